@@ -0,0 +1,126 @@
+// VS Code Learning Extension - Activity history
+// Shows the audit log: every request a view sent and every device file
+// change, filtered by date and kind, with export. Clicking an entry shows
+// all of it in the output log.
+
+(function () {
+    const { rpc, addOutput, showLoading, showError } = window.learningWebview;
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    // Date inputs are local days; the log stores UTC timestamps
+    function currentFilter() {
+        const from = document.getElementById('activityFrom').value;
+        const to = document.getElementById('activityTo').value;
+        const kind = document.getElementById('activityKind').value;
+        const filter = {};
+        if (from) {
+            filter.from = new Date(`${from}T00:00`).toISOString();
+        }
+        if (to) {
+            const end = new Date(`${to}T00:00`);
+            end.setDate(end.getDate() + 1);
+            filter.to = end.toISOString();
+        }
+        if (kind) {
+            filter.kind = kind;
+        }
+        return filter;
+    }
+
+    function describe(entry) {
+        if (entry.kind === 'operation') {
+            return `${entry.operation}: ${entry.applied} of ${entry.changes.length} changes`;
+        }
+        return entry.method;
+    }
+
+    function render(result) {
+        const container = document.getElementById('activityTable');
+        container.replaceChildren();
+        document.getElementById('activitySummary').textContent = result.truncated
+            ? `Newest ${result.entries.length} entries`
+            : `${result.entries.length} entr${result.entries.length === 1 ? 'y' : 'ies'}`;
+
+        if (result.entries.length === 0) {
+            container.appendChild(createElement('p', 'command-count', 'Nothing recorded in this range'));
+            return;
+        }
+
+        const table = container.appendChild(createElement('table', 'report-table'));
+        const headRow = createElement('tr');
+        ['Time', 'Kind', 'Action', 'Outcome', 'Duration'].forEach(header => headRow.appendChild(createElement('th', '', header)));
+        table.appendChild(createElement('thead')).appendChild(headRow);
+
+        const body = table.appendChild(createElement('tbody'));
+        result.entries.forEach(entry => {
+            const row = body.appendChild(createElement('tr', 'activity-row'));
+            row.appendChild(createElement('td', '', new Date(entry.timestamp).toLocaleString()));
+            row.appendChild(createElement('td', '', entry.kind === 'operation' ? 'File change' : 'Request'));
+            row.appendChild(createElement('td', 'backup-path', describe(entry)));
+            row.appendChild(createElement('td', entry.outcome === 'error' ? 'activity-error' : '',
+                entry.outcome === 'error' ? entry.error.message : 'OK'));
+            row.appendChild(createElement('td', '', entry.durationMs === undefined ? '' : `${entry.durationMs} ms`));
+            row.title = 'Show the whole entry in the output log';
+            row.addEventListener('click', () => addOutput(entry, entry.outcome === 'error' ? 'error' : 'info'));
+        });
+    }
+
+    function load() {
+        return rpc.request('listActivity', currentFilter()).then(render, showError);
+    }
+
+    // Something new was recorded, by this view or another
+    rpc.on('activityChanged', load);
+
+    // Only follow new entries while the history is on screen; catch up on
+    // whatever was missed when it comes back
+    let onScreen = false;
+    let following = false;
+    function updateFollowing() {
+        const follow = onScreen && document.visibilityState === 'visible';
+        if (follow === following) {
+            return;
+        }
+        following = follow;
+        if (follow) {
+            rpc.request('subscribeActivity').then(load, showError);
+        } else {
+            rpc.request('unsubscribeActivity').catch(showError);
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('refreshActivity').addEventListener('click', () => {
+            const stopLoading = showLoading('refreshActivity', 'Loading...');
+            load().finally(stopLoading);
+        });
+
+        ['activityFrom', 'activityTo', 'activityKind'].forEach(id => {
+            document.getElementById(id).addEventListener('change', load);
+        });
+
+        document.getElementById('exportActivity').addEventListener('click', () => {
+            rpc.request('exportActivity', currentFilter(), { timeout: 0 }).then(result => {
+                if (!result.cancelled) {
+                    addOutput(`Exported ${result.count} activity entries to ${result.path}`, 'success');
+                }
+            }, showError);
+        });
+
+        new IntersectionObserver(([observed]) => {
+            onScreen = observed.isIntersecting;
+            updateFollowing();
+        }).observe(document.querySelector('[data-section="activity"]'));
+        document.addEventListener('visibilitychange', updateFollowing);
+    });
+})();
@@ -0,0 +1,132 @@
+// VS Code Learning Extension - Backups
+// Lists the backups taken before every file change, with compare, restore,
+// delete and prune actions.
+
+(function () {
+    const { rpc, addOutput, showLoading, showError, confirmAction } = window.learningWebview;
+
+    function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function actionButton(label, onClick) {
+        const button = createElement('button', 'btn-small', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function compare(backup, index) {
+        rpc.request('compareBackup', { id: backup.id, index }).then(result => {
+            if (result.originalMissing) {
+                addOutput(`${backup.entries[index].original} no longer exists; opened the backup instead`, 'warning');
+            }
+        }, showError);
+    }
+
+    function restore(backup) {
+        addOutput(`Restoring backup from ${new Date(backup.created).toLocaleString()}: confirm in VS Code...`, 'info');
+        rpc.request('restoreBackup', { id: backup.id }, { timeout: 0 }).then(result => {
+            if (result.cancelled) {
+                addOutput('Restore cancelled, nothing was changed', 'warning');
+                return;
+            }
+            addOutput(`Restored ${result.restored.length} paths:`, 'success');
+            addOutput(result.restored, 'info');
+            addOutput(`The replaced versions were backed up to ${result.backup}`, 'info');
+        }, showError);
+    }
+
+    async function remove(backup) {
+        const warning = backup.sidecar ? ' The CLI left this copy next to the original and it may be the only one.' : '';
+        if (await confirmAction(`Delete the backup from ${new Date(backup.created).toLocaleString()}? It cannot be restored afterwards.${warning}`)) {
+            rpc.request('deleteBackup', { id: backup.id }).catch(showError);
+        }
+    }
+
+    function render(backups) {
+        const container = document.getElementById('backupTable');
+        container.replaceChildren();
+
+        const total = backups.reduce((sum, backup) =>
+            sum + backup.entries.reduce((entrySum, entry) => entrySum + (entry.size || 0), 0), 0);
+        document.getElementById('backupSummary').textContent =
+            `${backups.length} backup${backups.length === 1 ? '' : 's'}, ${formatBytes(total)}`;
+
+        if (backups.length === 0) {
+            container.appendChild(createElement('p', 'command-count', 'No backups yet. One is made before every file change.'));
+            return;
+        }
+
+        const table = container.appendChild(createElement('table', 'report-table'));
+        const headRow = createElement('tr');
+        ['Time', 'Operation', 'Paths', ''].forEach(header => headRow.appendChild(createElement('th', '', header)));
+        table.appendChild(createElement('thead')).appendChild(headRow);
+
+        const body = table.appendChild(createElement('tbody'));
+        backups.forEach(backup => {
+            const row = body.appendChild(createElement('tr'));
+            row.appendChild(createElement('td', '', new Date(backup.created).toLocaleString()));
+            row.appendChild(createElement('td', '', backup.sidecar ? `${backup.operation} (CLI)` : backup.operation));
+
+            const paths = row.appendChild(createElement('td'));
+            backup.entries.forEach((entry, index) => {
+                const line = paths.appendChild(createElement('div', 'backup-entry'));
+                line.appendChild(createElement('span', 'backup-path', entry.original));
+                line.appendChild(createElement('span', 'command-title', `${entry.kind}, ${formatBytes(entry.size || 0)}`));
+                if (entry.kind === 'file') {
+                    line.appendChild(actionButton('Compare', () => compare(backup, index)));
+                }
+            });
+
+            const actions = row.appendChild(createElement('td', 'backup-actions'));
+            if (backup.entries.length > 0) {
+                actions.appendChild(actionButton('Restore', () => restore(backup)));
+            }
+            actions.appendChild(actionButton('Delete', () => remove(backup)));
+        });
+    }
+
+    function loadBackups() {
+        return rpc.request('listBackups').then(render, showError);
+    }
+
+    // Any new, restored, deleted or pruned backup, from any view
+    rpc.on('backupsChanged', loadBackups);
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('refreshBackups').addEventListener('click', () => {
+            const stopLoading = showLoading('refreshBackups', 'Loading...');
+            loadBackups().finally(stopLoading);
+        });
+
+        document.getElementById('pruneBackups').addEventListener('click', () => {
+            rpc.request('pruneBackups', {}, { timeout: 0 }).then(result => {
+                if (result.cancelled) {
+                    addOutput('Prune cancelled, nothing was deleted', 'warning');
+                    return;
+                }
+                addOutput(`Pruned ${result.deleted.length} backups by the retention settings`, result.deleted.length ? 'success' : 'info');
+            }, showError);
+        });
+
+        loadBackups();
+    });
+})();
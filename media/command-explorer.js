@@ -0,0 +1,149 @@
+// VS Code Learning Extension - Command explorer
+// Browses every registered command, runs one with JSON arguments and keeps a replayable history.
+
+(function () {
+    const { rpc, addOutput, showLoading, showError, confirmAction } = window.learningWebview;
+    const MAX_SEARCH_RESULTS = 200;
+
+    let groups = [];
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function commandButton(command) {
+        const button = createElement('button', 'command-item');
+        button.appendChild(createElement('span', 'command-id', command.id));
+        if (command.title) {
+            button.appendChild(createElement('span', 'command-title', command.title));
+        }
+        button.addEventListener('click', () => {
+            document.getElementById('commandId').value = command.id;
+            document.getElementById('commandArgs').focus();
+        });
+        return button;
+    }
+
+    function renderCommands() {
+        const list = document.getElementById('commandList');
+        const query = document.getElementById('commandSearch').value.trim().toLowerCase();
+        list.replaceChildren();
+
+        if (!query) {
+            groups.forEach(group => {
+                const details = createElement('details', 'command-group');
+                details.appendChild(createElement('summary', '', `${group.group} (${group.commands.length})`));
+                // Render a group's commands only once it is opened
+                details.addEventListener('toggle', () => {
+                    if (details.open && details.children.length === 1) {
+                        group.commands.forEach(command => details.appendChild(commandButton(command)));
+                    }
+                }, { once: true });
+                list.appendChild(details);
+            });
+            return;
+        }
+
+        const matches = [];
+        groups.forEach(group => group.commands.forEach(command => {
+            if (command.id.toLowerCase().includes(query) ||
+                (command.title && command.title.toLowerCase().includes(query)) ||
+                group.group.toLowerCase().includes(query)) {
+                matches.push(command);
+            }
+        }));
+
+        list.appendChild(createElement('div', 'command-count',
+            matches.length > MAX_SEARCH_RESULTS
+                ? `Showing ${MAX_SEARCH_RESULTS} of ${matches.length} matches`
+                : `${matches.length} matches`));
+        matches.slice(0, MAX_SEARCH_RESULTS).forEach(command => list.appendChild(commandButton(command)));
+    }
+
+    function renderHistory(history) {
+        const container = document.getElementById('commandHistory');
+        container.replaceChildren();
+
+        if (history.length === 0) {
+            container.appendChild(createElement('p', 'command-count', 'No commands run yet'));
+            return;
+        }
+
+        history.forEach(entry => {
+            const row = createElement('div', `command-history-item ${entry.ok ? 'ok' : 'failed'}`);
+            const label = row.appendChild(createElement('div', 'command-history-label'));
+            label.appendChild(createElement('span', 'command-id', `${entry.ok ? '✓' : '✗'} ${entry.command}`));
+            if (entry.argsText) {
+                label.appendChild(createElement('span', 'command-title', entry.argsText));
+            }
+            label.title = `${new Date(entry.time).toLocaleString()}${entry.error ? `\n${entry.error}` : ''}`;
+
+            const replay = row.appendChild(createElement('button', 'btn-small', 'Replay'));
+            replay.addEventListener('click', () => runCommand(entry.command, entry.argsText));
+            container.appendChild(row);
+        });
+    }
+
+    function runCommand(command, argsText) {
+        addOutput(`Running command: ${command}${argsText ? ` ${argsText}` : ''}`, 'info');
+        return rpc.request('runCommand', { command, argsText }, { timeout: 0 })
+            .then(result => {
+                addOutput(`${result.command} finished in ${result.durationMs} ms`, 'success');
+                if (result.result !== null && result.result !== undefined) {
+                    addOutput(result.result, 'info');
+                }
+            }, error => {
+                addOutput(`${command} failed`, 'error');
+                showError(error);
+            });
+    }
+
+    function loadCommands() {
+        const stopLoading = showLoading('refreshCommands', 'Loading...');
+        return rpc.request('listCommands')
+            .then(result => {
+                groups = result;
+                renderCommands();
+            }, showError)
+            .finally(stopLoading);
+    }
+
+    rpc.on('commandHistory', renderHistory);
+
+    document.addEventListener('DOMContentLoaded', () => {
+        let searchTimer;
+        document.getElementById('commandSearch').addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(renderCommands, 150);
+        });
+
+        document.getElementById('refreshCommands').addEventListener('click', loadCommands);
+
+        document.getElementById('runCommand').addEventListener('click', () => {
+            const command = document.getElementById('commandId').value.trim();
+            const argsText = document.getElementById('commandArgs').value.trim();
+            if (!command) {
+                addOutput('Enter or pick a command id first', 'warning');
+                return;
+            }
+            const stopLoading = showLoading('runCommand', 'Running...');
+            runCommand(command, argsText).finally(stopLoading);
+        });
+
+        document.getElementById('clearCommandHistory').addEventListener('click', async () => {
+            if (await confirmAction('Clear the command history?')) {
+                rpc.request('clearCommandHistory').catch(showError);
+            }
+        });
+
+        loadCommands();
+        rpc.request('getCommandHistory').then(renderHistory, showError);
+    });
+})();
@@ -0,0 +1,176 @@
+// VS Code Learning Extension - Editor lab
+// Follows the text editor the user last worked in, and inserts snippets,
+// applies workspace edits and adds decorations to it. Every change can be
+// undone from here.
+
+(function () {
+    const { rpc, addOutput, showError } = window.learningWebview;
+
+    let current = { editor: null, decorations: [], undo: null };
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function value(id) {
+        return document.getElementById(id).value.trim();
+    }
+
+    function checked(id) {
+        return document.getElementById(id).checked;
+    }
+
+    // Positions are zero-based on the wire; show them as VS Code's status bar does
+    function formatPosition(position) {
+        return `Ln ${position.line + 1}, Col ${position.character + 1}`;
+    }
+
+    function formatRange(range) {
+        return `${range.start.line + 1}–${range.end.line + 1}`;
+    }
+
+    function renderEditor(editor) {
+        const container = document.getElementById('editorState');
+        if (!editor) {
+            container.replaceChildren(createElement('p', 'lab-hint', 'No text editor yet. Open a file to follow it here.'));
+            return;
+        }
+
+        const details = createElement('dl', 'editor-details');
+        [
+            ['File', editor.path],
+            ['URI', editor.uri],
+            ['Language', editor.languageId],
+            ['Version', `${editor.version}${editor.isDirty ? ' (unsaved changes)' : ''}`],
+            ['Lines', String(editor.lineCount)],
+            ['Visible lines', editor.visibleRanges.map(formatRange).join(', ')]
+        ].forEach(([label, text]) => {
+            details.appendChild(createElement('dt', null, label));
+            details.appendChild(createElement('dd', null, text));
+        });
+
+        const selections = createElement('ul', 'editor-selections');
+        editor.selections.forEach(selection => {
+            const item = createElement('li', null, selection.isEmpty
+                ? `Cursor at ${formatPosition(selection.active)}`
+                : `${formatPosition(selection.anchor)} → ${formatPosition(selection.active)}`);
+            if (selection.text) {
+                item.appendChild(createElement('code', null, selection.text));
+            }
+            selections.appendChild(item);
+        });
+
+        container.replaceChildren(details, createElement('h4', null, `Selections (${editor.selections.length})`), selections);
+    }
+
+    function renderDecorations(decorations) {
+        const list = document.getElementById('decorationList');
+        list.replaceChildren(...decorations.map(decoration => {
+            const item = createElement('li', null, `${decoration.id} · ${decoration.path} · lines ${decoration.ranges.map(formatRange).join(', ')}`);
+            const swatch = createElement('span', 'decoration-swatch');
+            swatch.style.backgroundColor = decoration.style.backgroundColor || 'transparent';
+            swatch.style.border = decoration.style.border || '';
+            item.prepend(swatch);
+            const remove = createElement('button', 'btn-small', 'Remove');
+            remove.addEventListener('click', () => run('removeDecoration', { id: decoration.id }, () => `removed ${decoration.id}`));
+            item.appendChild(remove);
+            return item;
+        }));
+        document.getElementById('clearDecorations').disabled = decorations.length === 0;
+    }
+
+    function render(state) {
+        current = state;
+        renderEditor(state.editor);
+        renderDecorations(state.decorations);
+
+        const undo = document.getElementById('undoEditorOperation');
+        undo.disabled = !state.undo;
+        undo.textContent = state.undo ? `Undo: ${state.undo}` : 'Nothing to Undo';
+    }
+
+    // Run a lab request and log what it did
+    function run(method, params, describe) {
+        return rpc.request(method, params).then(result => {
+            addOutput(`Editor lab: ${describe(result)}`, 'success');
+        }, showError);
+    }
+
+    function insertSnippet() {
+        const snippet = document.getElementById('snippetText').value;
+        if (!snippet) {
+            addOutput('Enter a snippet to insert', 'warning');
+            return;
+        }
+        run('insertSnippet', { snippet }, result =>
+            `inserted the snippet at ${result.cursors} cursor${result.cursors === 1 ? '' : 's'} in ${result.path}`);
+    }
+
+    // A starting point: replace the first selection, or insert at the cursor
+    function fillWorkspaceEdit() {
+        if (!current.editor) {
+            addOutput('Open a file in a text editor first', 'warning');
+            return;
+        }
+        const selection = current.editor.selections[0];
+        const [start, end] = [selection.anchor, selection.active].sort((a, b) => a.line - b.line || a.character - b.character);
+        const edit = selection.isEmpty
+            ? { path: current.editor.fileName, start, text: '/* inserted from the webview */' }
+            : { path: current.editor.fileName, start, end, text: '/* replaced from the webview */' };
+        document.getElementById('workspaceEditJson').value = JSON.stringify([edit], null, 2);
+    }
+
+    function applyWorkspaceEdit() {
+        let edits;
+        try {
+            edits = JSON.parse(value('workspaceEditJson'));
+        } catch (error) {
+            addOutput(`The edits are not valid JSON: ${error.message}`, 'error');
+            return;
+        }
+        run('applyWorkspaceEdit', { edits: Array.isArray(edits) ? edits : [edits] }, result =>
+            `applied ${result.edits} edit${result.edits === 1 ? '' : 's'} to ${result.files.join(', ')}`);
+    }
+
+    function addDecoration() {
+        const style = {};
+        ['backgroundColor', 'color', 'border', 'textDecoration', 'afterText'].forEach(key => {
+            const text = value(`decoration-${key}`);
+            if (text) {
+                style[key] = text;
+            }
+        });
+        if (checked('decorationBold')) {
+            style.fontWeight = 'bold';
+        }
+        if (checked('decorationItalic')) {
+            style.fontStyle = 'italic';
+        }
+        run('addDecoration', { style, wholeLine: checked('decorationWholeLine') }, result =>
+            `added ${result.id} to ${result.ranges} range${result.ranges === 1 ? '' : 's'}`);
+    }
+
+    rpc.on('editorState', render);
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('insertSnippet').addEventListener('click', insertSnippet);
+        document.getElementById('fillWorkspaceEdit').addEventListener('click', fillWorkspaceEdit);
+        document.getElementById('applyWorkspaceEdit').addEventListener('click', applyWorkspaceEdit);
+        document.getElementById('addDecoration').addEventListener('click', addDecoration);
+        document.getElementById('clearDecorations').addEventListener('click', () => {
+            run('clearDecorations', undefined, result => `removed ${result.removed} decorations`);
+        });
+        document.getElementById('undoEditorOperation').addEventListener('click', () => {
+            run('undoEditorOperation', undefined, result => `undid "${result.undone}"`);
+        });
+
+        rpc.request('subscribeEditorState').then(render, showError);
+    });
+})();
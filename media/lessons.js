@@ -0,0 +1,151 @@
+// VS Code Learning Extension - Lesson browser
+// Lists the lessons shipped with the extension and walks through their steps.
+
+(function () {
+    const { rpc, state, saveState, addOutput, showError, confirmAction } = window.learningWebview;
+
+    let lessons = [];
+    let openLesson;
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function badgeFor(summary) {
+        if (summary.completed) {
+            return createElement('span', 'lesson-badge complete', '✓ Complete');
+        }
+        const label = summary.started ? `${summary.completedCount}/${summary.stepCount}` : `${summary.stepCount} steps`;
+        return createElement('span', 'lesson-badge', label);
+    }
+
+    function renderList() {
+        const browser = document.getElementById('lessonBrowser');
+        browser.replaceChildren();
+
+        if (lessons.length === 0) {
+            browser.appendChild(createElement('p', 'lesson-empty', 'No lessons available'));
+            return;
+        }
+
+        lessons.forEach(summary => {
+            const card = createElement('button', 'lesson-card');
+            const title = card.appendChild(createElement('div', 'lesson-card-title', summary.title));
+            title.appendChild(badgeFor(summary));
+            card.appendChild(createElement('div', 'lesson-card-description', summary.description || ''));
+            card.addEventListener('click', () => showLesson(summary.id));
+            browser.appendChild(card);
+        });
+    }
+
+    function renderLesson() {
+        const browser = document.getElementById('lessonBrowser');
+        const { lesson, summary } = openLesson;
+        browser.replaceChildren();
+
+        const header = browser.appendChild(createElement('div', 'lesson-header'));
+        const back = header.appendChild(createElement('button', 'btn-small', '← All lessons'));
+        back.addEventListener('click', closeLesson);
+        const reset = header.appendChild(createElement('button', 'btn-small', 'Reset progress'));
+        reset.addEventListener('click', async () => {
+            if (await confirmAction(`Reset your progress in "${lesson.title}"?`)) {
+                rpc.request('resetLessonProgress', { lessonId: lesson.id }).catch(showError);
+            }
+        });
+
+        const title = browser.appendChild(createElement('h4', 'lesson-title', lesson.title));
+        title.appendChild(badgeFor(summary));
+
+        const list = browser.appendChild(createElement('ol', 'lesson-steps'));
+        lesson.steps.forEach(step => {
+            const done = summary.completedSteps.includes(step.id);
+            const current = step.id === summary.currentStepId;
+            const item = list.appendChild(createElement('li', `lesson-step${done ? ' done' : ''}${current ? ' current' : ''}`));
+            item.appendChild(createElement('div', 'lesson-step-title', `${done ? '✓' : current ? '▶' : '○'} ${step.title}`));
+
+            if (!current) {
+                return;
+            }
+
+            item.appendChild(createElement('p', 'lesson-step-explanation', step.explanation));
+            if (step.hint) {
+                item.appendChild(createElement('p', 'lesson-step-hint', step.hint));
+            }
+            if (step.tryIt) {
+                const tryIt = item.appendChild(createElement('button', 'btn btn-primary', `Try it: ${step.tryIt.label || step.tryIt.method}`));
+                tryIt.addEventListener('click', () => runStep(lesson.id, step));
+            }
+        });
+    }
+
+    function runStep(lessonId, step) {
+        addOutput(`Lesson step: ${step.title}`, 'info');
+        rpc.request('runLessonStep', { lessonId, stepId: step.id }, { timeout: 0 })
+            .then(({ method, result }) => {
+                if (result !== undefined && result !== null) {
+                    addOutput(`${method} returned:`, 'info');
+                    addOutput(result, 'info', { format: method === 'getWorkspaceReport' ? 'workspaceReport' : undefined });
+                }
+            }, showError);
+    }
+
+    function showLesson(lessonId) {
+        rpc.request('getLesson', { lessonId }).then(result => {
+            openLesson = result;
+            state.openLessonId = lessonId;
+            saveState();
+            renderLesson();
+        }, showError);
+    }
+
+    function closeLesson() {
+        openLesson = undefined;
+        state.openLessonId = null;
+        saveState();
+        loadLessons();
+    }
+
+    function loadLessons() {
+        return rpc.request('listLessons').then(result => {
+            lessons = result;
+            renderList();
+        }, showError);
+    }
+
+    // Progress changes come from VS Code events, so every open view hears about them
+    rpc.on('lessonProgress', summary => {
+        const index = lessons.findIndex(lesson => lesson.id === summary.id);
+        if (index !== -1) {
+            lessons[index] = summary;
+        }
+
+        if (summary.completedStep) {
+            addOutput(`✓ Lesson step complete: ${summary.completedStep.title}`, 'success', { sync: false });
+            if (summary.completed) {
+                addOutput(`🎉 Lesson complete: ${summary.title}`, 'success', { sync: false });
+            }
+        }
+
+        if (openLesson && openLesson.lesson.id === summary.id) {
+            openLesson.summary = summary;
+            renderLesson();
+        } else if (!openLesson) {
+            renderList();
+        }
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        loadLessons().then(() => {
+            if (state.openLessonId) {
+                showLesson(state.openLessonId);
+            }
+        });
+    });
+})();
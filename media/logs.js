@@ -0,0 +1,118 @@
+// VS Code Learning Extension - Extension log
+// Follows the "Learning Extension" log channel: the recent history first,
+// then every new entry as the extension host writes it.
+
+(function () {
+    const { rpc, state, saveState, showError } = window.learningWebview;
+    const LEVELS = ['error', 'warn', 'info', 'debug'];
+    const MAX_ENTRIES = 500;
+
+    let entries = [];
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function visible(entry) {
+        return LEVELS.indexOf(entry.level) <= LEVELS.indexOf(state.logLevelFilter);
+    }
+
+    function createRow(entry) {
+        const row = createElement('div', `log-entry log-${entry.level}`);
+        row.appendChild(createElement('span', 'log-time', new Date(entry.timestamp).toLocaleTimeString()));
+        row.appendChild(createElement('span', 'log-level', entry.level));
+        row.appendChild(createElement('span', 'log-message', entry.message));
+        return row;
+    }
+
+    function updateSummary() {
+        document.getElementById('logSummary').textContent = state.followLogs
+            ? `${entries.filter(visible).length} of ${entries.length} entries`
+            : 'Not following';
+        document.getElementById('followLogs').textContent = state.followLogs ? 'Stop Following' : 'Follow Log';
+    }
+
+    function render() {
+        const container = document.getElementById('logEntries');
+        container.replaceChildren(...entries.filter(visible).map(createRow));
+        container.scrollTop = container.scrollHeight;
+        updateSummary();
+    }
+
+    function append(newEntries) {
+        const container = document.getElementById('logEntries');
+        const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 4;
+
+        entries = entries.concat(newEntries);
+        if (entries.length > MAX_ENTRIES) {
+            entries = entries.slice(entries.length - MAX_ENTRIES);
+        }
+        newEntries.filter(visible).forEach(entry => container.appendChild(createRow(entry)));
+        while (container.childElementCount > MAX_ENTRIES) {
+            container.firstElementChild.remove();
+        }
+
+        // Keep following the tail unless the user scrolled up to read
+        if (atBottom) {
+            container.scrollTop = container.scrollHeight;
+        }
+        updateSummary();
+    }
+
+    function subscribe() {
+        return rpc.request('subscribeLogs').then(result => {
+            entries = result.entries;
+            render();
+        }, showError);
+    }
+
+    function setFollowing(follow) {
+        state.followLogs = follow;
+        saveState();
+        if (follow) {
+            subscribe();
+        } else {
+            rpc.request('unsubscribeLogs').catch(showError);
+            updateSummary();
+        }
+    }
+
+    rpc.on('logEntries', newEntries => {
+        if (state.followLogs) {
+            append(newEntries);
+        }
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const levelFilter = document.getElementById('logLevelFilter');
+        levelFilter.value = state.logLevelFilter;
+        levelFilter.addEventListener('change', () => {
+            state.logLevelFilter = levelFilter.value;
+            saveState();
+            render();
+        });
+
+        document.getElementById('followLogs').addEventListener('click', () => setFollowing(!state.followLogs));
+        document.getElementById('clearLogView').addEventListener('click', () => {
+            entries = [];
+            render();
+        });
+        document.getElementById('openLogChannel').addEventListener('click', () => {
+            rpc.request('showLogs').catch(showError);
+        });
+
+        // A reloaded view picks up where it left off
+        if (state.followLogs) {
+            subscribe();
+        } else {
+            updateSummary();
+        }
+    });
+})();
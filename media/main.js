@@ -2,39 +2,256 @@
 
 (function () {
     const vscode = acquireVsCodeApi();
+    const rpc = new RpcClient(vscode);
 
     // Get output container
     const outputContainer = document.getElementById('output');
 
-    // Utility function to add output to the display
-    function addOutput(message, type = 'info') {
-        const timestamp = new Date().toLocaleTimeString();
-        const outputItem = document.createElement('div');
-        outputItem.className = `output-item ${type}`;
+    // Persisted webview state: survives reloads through the panel serializer
+    const MAX_RECENT_FILES = 10;
+    const state = Object.assign({
+        history: [],
+        scrollTop: null,
+        section: null,
+        recentFiles: [],
+        openLessonId: null,
+        followLogs: false,
+        logLevelFilter: 'info',
+        logFilter: { types: OutputLog.TYPES.slice(), query: '' },
+        jsonCollapsed: false,
+        // Folder or resource this panel was opened for; the serializer reads it
+        scopeUri: null
+    }, vscode.getState());
+    let saveTimer;
+
+    // learningExtension.* settings, pushed by the host whenever they change.
+    // The defaults mirror package.json until the first reply arrives.
+    const settings = {
+        'welcome.enabled': true,
+        'welcome.message': '🎓 Welcome to the VS Code Learning Extension!',
+        'output.maxEntries': 500,
+        'defaultSection': 'messages',
+        'confirmDestructiveActions': true,
+        'logLevel': 'info',
+        'keyboardShortcuts': { 'ctrl+enter': 'getWorkspace', 'ctrl+i': 'showMessage' },
+        'backups.maxCount': 20,
+        'backups.maxAgeDays': 30
+    };
+
+    function saveState() {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(() => vscode.setState(state), 100);
+    }
+
+    // The output log renders, filters and searches the entries
+    const outputLog = new OutputLog(outputContainer, {
+        maxEntries: settings['output.maxEntries'],
+        onChange: entries => {
+            state.history = entries;
+            state.scrollTop = outputContainer.scrollTop;
+            saveState();
+        }
+    });
 
-        const timestampDiv = document.createElement('div');
-        timestampDiv.className = 'timestamp';
-        timestampDiv.textContent = timestamp;
+    function registerFormatter(format, render) {
+        outputLog.registerFormatter(format, render);
+    }
 
-        const messageDiv = document.createElement('div');
+    function appendEntry(entry) {
+        outputLog.append(entry);
+    }
 
-        if (typeof message === 'object') {
-            messageDiv.innerHTML = `<div class="json-output">${JSON.stringify(message, null, 2)}</div>`;
-        } else {
-            messageDiv.textContent = message;
+    // Utility function to add output to the display.
+    // Entries are mirrored to the other open views unless `sync` is false,
+    // and `format` picks a registered formatter instead of plain text/JSON.
+    function addOutput(message, type = 'info', options = {}) {
+        const now = new Date();
+        const entry = { message, type, timestamp: now.toLocaleTimeString(), time: now.toISOString() };
+        if (options.format) {
+            entry.format = options.format;
+        }
+        appendEntry(entry);
+
+        if (options.sync !== false) {
+            rpc.request('syncOutput', entry).catch(() => {});
+        }
+    }
+
+    // Mirror entries added in another view (panel or sidebar)
+    rpc.on('output', appendEntry);
+
+    function applySettings(values) {
+        const maxEntries = settings['output.maxEntries'];
+        Object.assign(settings, values);
+        if (settings['output.maxEntries'] !== maxEntries) {
+            outputLog.setMaxEntries(settings['output.maxEntries']);
+        }
+    }
+
+    // Settings edited in the settings section or in VS Code apply without a reload
+    rpc.on('settingsChanged', ({ settings: values }) => applySettings(values));
+
+    // Ask before a destructive action, unless confirmDestructiveActions is off
+    function confirmAction(message) {
+        return settings.confirmDestructiveActions ? showConfirmDialog(message) : Promise.resolve(true);
+    }
+
+    // Output toolbar: type filters, search, JSON collapsing, clear and export
+    function setupOutputToolbar() {
+        const search = document.getElementById('outputSearch');
+        const typeBoxes = document.querySelectorAll('.output-filters input[type="checkbox"]');
+        const collapseButton = document.getElementById('collapseJson');
+
+        function applyFilter() {
+            state.logFilter = {
+                types: Array.from(typeBoxes).filter(box => box.checked).map(box => box.dataset.type),
+                query: search.value.trim()
+            };
+            outputLog.setFilter(state.logFilter);
+            saveState();
         }
 
-        outputItem.appendChild(timestampDiv);
-        outputItem.appendChild(messageDiv);
+        search.value = state.logFilter.query;
+        typeBoxes.forEach(box => {
+            box.checked = state.logFilter.types.includes(box.dataset.type);
+            box.addEventListener('change', applyFilter);
+        });
 
-        // Clear initial message if it exists
-        if (outputContainer.children.length === 1 &&
-            outputContainer.children[0].textContent.includes('Click any button')) {
-            outputContainer.innerHTML = '';
+        let searchTimer;
+        search.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(applyFilter, 150);
+        });
+
+        function updateCollapseLabel() {
+            collapseButton.textContent = state.jsonCollapsed ? 'Expand JSON' : 'Collapse JSON';
         }
+        updateCollapseLabel();
+        collapseButton.addEventListener('click', () => {
+            state.jsonCollapsed = !state.jsonCollapsed;
+            outputLog.setJsonCollapsed(state.jsonCollapsed);
+            updateCollapseLabel();
+            saveState();
+        });
+
+        document.getElementById('clearOutput').addEventListener('click', () => {
+            confirmAction('Clear every entry from the output log?').then(confirmed => {
+                if (confirmed) {
+                    outputLog.clear();
+                }
+            });
+        });
+
+        const exportLog = format => {
+            rpc.request('exportOutputLog', { format, entries: outputLog.entries }, { timeout: 0 })
+                .then(result => {
+                    if (result.cancelled) {
+                        addOutput('Export cancelled', 'warning');
+                    } else {
+                        addOutput(`Exported ${result.count} entries to ${result.path}`, 'success');
+                    }
+                }, showError);
+        };
+        document.getElementById('exportMarkdown').addEventListener('click', () => exportLog('markdown'));
+        document.getElementById('exportJson').addEventListener('click', () => exportLog('json'));
+    }
+
+    // Remember which section was used last
+    function setActiveSection(section) {
+        document.querySelectorAll('[data-section]').forEach(group => {
+            group.classList.toggle('active', group.dataset.section === section);
+        });
+        state.section = section;
+        saveState();
+    }
+
+    function revealSection(section) {
+        setActiveSection(section);
+        const group = document.querySelector(`[data-section="${section}"]`);
+        if (group) {
+            group.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // Recently opened files, most recent first
+    function renderRecentFiles() {
+        const container = document.getElementById('recentFiles');
+        container.innerHTML = '';
+        if (state.recentFiles.length === 0) {
+            return;
+        }
+
+        const title = document.createElement('div');
+        title.className = 'recent-files-title';
+        title.textContent = 'Recent files';
+
+        const clear = document.createElement('a');
+        clear.href = '#';
+        clear.textContent = 'Clear';
+        clear.addEventListener('click', event => {
+            event.preventDefault();
+            state.recentFiles = [];
+            saveState();
+            renderRecentFiles();
+        });
+        title.appendChild(clear);
+        container.appendChild(title);
+
+        state.recentFiles.forEach(file => {
+            const item = document.createElement('button');
+            item.className = 'recent-file';
+            item.textContent = file.relativePath || file.name;
+            item.title = file.path;
+            item.addEventListener('click', () => openFile(file.path));
+            container.appendChild(item);
+        });
+    }
+
+    function rememberRecentFile(file) {
+        state.recentFiles = [file]
+            .concat(state.recentFiles.filter(recent => recent.path !== file.path))
+            .slice(0, MAX_RECENT_FILES);
+        saveState();
+        renderRecentFiles();
+    }
+
+    function forgetRecentFile(filePath) {
+        state.recentFiles = state.recentFiles.filter(recent => recent.path !== filePath);
+        saveState();
+        renderRecentFiles();
+    }
+
+    // Open a known path, or show the file picker when none is given
+    function openFile(filePath) {
+        if (filePath) {
+            addOutput(`Attempting to open file: ${filePath}`, 'info');
+        }
+
+        return rpc.request('openFile', filePath ? { path: filePath } : {}, { timeout: 0 })
+            .then(result => {
+                if (result.cancelled) {
+                    addOutput('Open file cancelled', 'warning');
+                    return;
+                }
+                addOutput(`Opened file: ${result.path}`, 'success');
+                if (result.reopenable) {
+                    rememberRecentFile(result);
+                } else {
+                    addOutput('It is outside the workspace folders, so it is not added to the recent files', 'info');
+                }
+            }, error => {
+                showError(error);
+                if (filePath) {
+                    forgetRecentFile(filePath);
+                }
+            });
+    }
 
-        outputContainer.appendChild(outputItem);
-        outputContainer.scrollTop = outputContainer.scrollHeight;
+    function restoreState() {
+        outputLog.load(state.history, state.scrollTop);
+        if (state.section) {
+            revealSection(state.section);
+        }
     }
 
     // Utility function to show loading state
@@ -154,182 +371,230 @@
         });
     }
 
-    // Message handlers from extension
-    window.addEventListener('message', event => {
-        const message = event.data;
-        console.log('Webview: Received message from extension:', message);
+    // Render replies from the extension host
+    function showDeviceInfo(info) {
+        if (info) {
+            if (info.message) {
+                // Handle fallback info case
+                addOutput('Device Information Status:', 'warning');
+                addOutput(info.message, 'warning');
+                addOutput('VS Code Configuration:', 'info');
+                addOutput(info, 'info');
+            } else {
+                // Handle normal device info case
+                addOutput('Current Device Information:', 'success');
+                addOutput(info, 'info');
+            }
+        } else {
+            addOutput('No device information found', 'warning');
+        }
+    }
 
-        switch (message.command) {
-            case 'workspaceInfo':
-                if (message.data.length > 0) {
-                    addOutput('Workspace Information:', 'info');
-                    addOutput(message.data, 'info');
-                } else {
-                    addOutput('No workspace folders are currently open', 'warning');
-                }
-                break;
-
-            case 'deviceInfo':
-                if (message.data) {
-                    if (message.data.message) {
-                        // Handle fallback info case
-                        addOutput('Device Information Status:', 'warning');
-                        addOutput(message.data.message, 'warning');
-                        addOutput('VS Code Configuration:', 'info');
-                        addOutput(message.data, 'info');
-                    } else {
-                        // Handle normal device info case
-                        addOutput('Current Device Information:', 'success');
-                        addOutput(message.data, 'info');
-                    }
-                } else {
-                    addOutput('No device information found', 'warning');
-                }
-                break;
+    // One line per location: where it is, or why it was not found
+    function showUserDataLocations(result) {
+        const sources = {
+            extension: 'the extension\'s global storage',
+            argument: '--user-data-dir',
+            portable: 'portable mode (VSCODE_PORTABLE)',
+            default: 'the platform default'
+        };
+        addOutput(`${result.product} user data: ${result.userDataDir} (from ${sources[result.source]})`, 'info');
 
-            case 'deviceReset':
-                if (message.data.message) {
-                    // Handle warning case where no storage file was found
-                    addOutput('Device Reset Status:', 'warning');
-                    addOutput(message.data.message, 'warning');
-                } else {
-                    // Handle successful reset case
-                    addOutput('Device identifiers reset successfully!', 'success');
-                    addOutput('New Device Identifiers:', 'success');
-                    addOutput(message.data, 'success');
-                }
-                break;
+        const showLocation = (label, location) => {
+            addOutput(location.found ? `✓ ${label}: ${location.path}` : `✗ ${label}: ${location.message}`,
+                location.found ? 'success' : 'warning');
+        };
+        showLocation('storage.json', result.locations.storageJson);
+        showLocation('state.vscdb', result.locations.stateDatabase);
+        showLocation('workspaceStorage', result.locations.workspaceStorage);
 
-            case 'error':
-                addOutput(`Error: ${message.data.message}`, 'error');
-                break;
+        addOutput(`${result.profiles.length} profile${result.profiles.length === 1 ? '' : 's'}:`, 'info');
+        result.profiles.forEach(profile => showLocation(`Profile "${profile.name}" state.vscdb`, profile.stateDatabase));
+    }
+
+    function showDeviceReset(result) {
+        if (result.cancelled) {
+            addOutput('Device reset cancelled, nothing was changed', 'warning');
+        } else if (result.message) {
+            // Handle warning case where no storage file was found
+            addOutput('Device Reset Status:', 'warning');
+            addOutput(result.message, 'warning');
+        } else {
+            // Handle successful reset case
+            const { backup, ...identifiers } = result;
+            addOutput('Device identifiers reset successfully!', 'success');
+            addOutput('New Device Identifiers:', 'success');
+            addOutput(identifiers, 'success');
+            addOutput(`Backup saved to ${backup}`, 'info');
         }
-    });
+    }
+
+    function showError(error) {
+        addOutput(`Error: ${error.message}`, 'error');
+    }
 
     // Button event handlers
     document.addEventListener('DOMContentLoaded', () => {
-        // Message buttons
-        document.getElementById('showInfo').addEventListener('click', () => {
-            vscode.postMessage({
-                command: 'showInfo',
-                text: 'This is an information message from the webview!'
-            });
-            addOutput('Sent info message to VS Code', 'info');
-        });
-
-        document.getElementById('showWarning').addEventListener('click', () => {
-            vscode.postMessage({
-                command: 'showWarning',
-                text: 'This is a warning message from the webview!'
+        document.querySelectorAll('[data-section]').forEach(group => {
+            group.addEventListener('click', event => {
+                if (event.target.closest('button')) {
+                    setActiveSection(group.dataset.section);
+                }
             });
-            addOutput('Sent warning message to VS Code', 'warning');
         });
 
-        document.getElementById('showError').addEventListener('click', () => {
-            vscode.postMessage({
-                command: 'showError',
-                text: 'This is an error message from the webview!'
-            });
-            addOutput('Sent error message to VS Code', 'error');
-        });
-
-        // Workspace buttons
-        document.getElementById('getWorkspace').addEventListener('click', () => {
-            const stopLoading = showLoading('getWorkspace', 'Getting workspace info...');
-
-            vscode.postMessage({
-                command: 'getWorkspaceInfo'
-            });
-
-            addOutput('Requesting workspace information...', 'info');
-
-            // Stop loading after a short delay (the response will come via message)
-            setTimeout(stopLoading, 1000);
+        outputContainer.addEventListener('scroll', () => {
+            state.scrollTop = outputContainer.scrollTop;
+            saveState();
         });
 
+        // Workspace buttons (the report buttons live in workspace-report.js)
         document.getElementById('openFile').addEventListener('click', () => {
-            // For demo purposes, try to open the package.json file
-            const packageJsonPath = './package.json';
-
-            vscode.postMessage({
-                command: 'openFile',
-                path: packageJsonPath
-            });
-
-            addOutput(`Attempting to open file: ${packageJsonPath}`, 'info');
+            const stopLoading = showLoading('openFile', 'Choosing file...');
+            openFile().finally(stopLoading);
         });
 
+        renderRecentFiles();
+
         // Device management buttons
         document.getElementById('getDeviceInfo').addEventListener('click', () => {
-            console.log('Webview: Get Device Info button clicked');
             const stopLoading = showLoading('getDeviceInfo', 'Getting device info...');
 
-            vscode.postMessage({
-                command: 'getCurrentDeviceInfo'
-            });
-            console.log('Webview: Sent getCurrentDeviceInfo message to extension');
-
             addOutput('Requesting current device information...', 'info');
 
-            // Stop loading after a short delay
-            setTimeout(stopLoading, 2000); // Increased timeout
+            rpc.request('getCurrentDeviceInfo')
+                .then(showDeviceInfo, showError)
+                .finally(stopLoading);
         });
 
-        document.getElementById('resetDevice').addEventListener('click', async () => {
-            console.log('Webview: Reset Device button clicked');
-
-            // Show confirmation dialog (smart fallback)
-            try {
-                addOutput('Starting device reset...', 'info');
+        document.getElementById('showDataLocations').addEventListener('click', () => {
+            rpc.request('getUserDataLocations').then(showUserDataLocations, showError);
+        });
 
-                const stopLoading = showLoading('resetDevice', 'Resetting device IDs...');
+        // Device writes are previewed and confirmed in VS Code, so no timeout
+        document.getElementById('resetDevice').addEventListener('click', () => {
+            addOutput('Planning device reset: review the diff and confirm in VS Code...', 'info');
 
-                vscode.postMessage({
-                    command: 'resetDeviceIds'
-                });
-                console.log('Webview: Sent resetDeviceIds message to extension');
+            const stopLoading = showLoading('resetDevice', 'Waiting for confirmation...');
 
-                addOutput('Resetting device identifiers...', 'warning');
+            rpc.request('resetDeviceIds', {}, { timeout: 0 })
+                .then(showDeviceReset, showError)
+                .finally(stopLoading);
+        });
 
-                // Stop loading after a delay
-                setTimeout(stopLoading, 3000); // Increased timeout
-            } catch (error) {
-                console.error('Webview: Error showing confirmation dialog:', error);
-                addOutput('Error showing confirmation dialog', 'error');
-            }
+        // The manager lives in its own section
+        document.getElementById('manageWorkspaceStorage').addEventListener('click', () => {
+            revealSection('workspaceStorage');
+            document.getElementById('scanWorkspaceStorage').click();
         });
     });
 
 
-    // Add some initial helpful information
-    setTimeout(() => {
-        addOutput('🎓 Welcome to the VS Code Learning Extension!', 'info');
-        addOutput('This extension demonstrates various VS Code API capabilities:', 'info');
-        addOutput('• Message notifications (info, warning, error)', 'info');
-        addOutput('• Workspace operations and file handling', 'info');
-        addOutput('• Device management and identifier operations', 'info');
-        addOutput('• Webview communication patterns', 'info');
-        addOutput('Click any button above to explore these features!', 'success');
-    }, 500);
+    // Add some initial helpful information (local to this view, never synced)
+    function showWelcome() {
+        setTimeout(() => {
+            addOutput(settings['welcome.message'], 'info', { sync: false });
+            addOutput('This extension demonstrates various VS Code API capabilities:', 'info', { sync: false });
+            addOutput('• Message notifications (info, warning, error)', 'info', { sync: false });
+            addOutput('• Workspace operations and file handling', 'info', { sync: false });
+            addOutput('• Device management and identifier operations', 'info', { sync: false });
+            addOutput('• Webview communication patterns', 'info', { sync: false });
+            addOutput('Click any button above to explore these features!', 'success', { sync: false });
+        }, 500);
+
+        // Add keyboard shortcut hints
+        setTimeout(() => {
+            const shortcuts = Object.entries(settings.keyboardShortcuts);
+            if (shortcuts.length === 0) {
+                return;
+            }
+            addOutput('💡 Keyboard shortcuts:', 'info', { sync: false });
+            shortcuts.forEach(([shortcut, buttonId]) => {
+                const button = document.getElementById(buttonId);
+                const label = shortcut.split('+')
+                    .map(part => part.toLowerCase() === 'ctrl' ? 'Ctrl/Cmd' : part.charAt(0).toUpperCase() + part.slice(1))
+                    .join(' + ');
+                addOutput(`• ${label}: ${button ? button.textContent : buttonId}`, 'info', { sync: false });
+            });
+        }, 1000);
+    }
 
-    // Handle keyboard shortcuts
+    // Handle keyboard shortcuts from the learningExtension.keyboardShortcuts setting:
+    // "ctrl+<key>" (Ctrl, or Cmd on macOS) or a bare key, mapped to a button id
     document.addEventListener('keydown', (event) => {
-        // Ctrl/Cmd + Enter to get workspace info
-        if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
-            document.getElementById('getWorkspace').click();
+        const modifier = event.ctrlKey || event.metaKey;
+        if (!modifier && event.target.closest && event.target.closest('input, textarea, select')) {
+            return;
         }
-
-        // Ctrl/Cmd + I to show info message
-        if ((event.ctrlKey || event.metaKey) && event.key === 'i') {
-            document.getElementById('showInfo').click();
+        const key = event.key.toLowerCase();
+        const match = Object.entries(settings.keyboardShortcuts).find(([shortcut]) => {
+            const parts = shortcut.toLowerCase().split('+');
+            const wantsModifier = parts.length > 1 && parts[0] === 'ctrl';
+            return parts[parts.length - 1] === key && wantsModifier === modifier;
+        });
+        const button = match && document.getElementById(match[1]);
+        if (button) {
+            event.preventDefault();
+            button.click();
         }
     });
 
-    // Add keyboard shortcut hints
-    setTimeout(() => {
-        addOutput('💡 Keyboard shortcuts:', 'info');
-        addOutput('• Ctrl/Cmd + Enter: Get workspace info', 'info');
-        addOutput('• Ctrl/Cmd + I: Show info message', 'info');
-    }, 1000);
+    // Shared helpers for the feature scripts loaded after this one
+    window.learningWebview = {
+        rpc,
+        state,
+        saveState,
+        addOutput,
+        showLoading,
+        showError,
+        registerFormatter,
+        settings,
+        confirmAction
+    };
+
+    // Restore this view's previous session, catch up with another open view,
+    // or start fresh. Waits for DOMContentLoaded so that every feature script
+    // has registered its formatters first.
+    document.addEventListener('DOMContentLoaded', () => {
+        outputLog.filter = Object.assign({}, outputLog.filter, state.logFilter);
+        outputLog.jsonCollapsed = state.jsonCollapsed;
+        setupOutputToolbar();
+
+        // Show which folder or resource this panel works on
+        rpc.request('getPanelScope', {}, { timeout: 2000 }).then(scope => {
+            const badge = document.getElementById('panelScope');
+            badge.textContent = `📁 ${scope.label}`;
+            badge.hidden = !scope.uri;
+            if (state.scopeUri !== scope.uri) {
+                state.scopeUri = scope.uri;
+                saveState();
+            }
+        }, () => {});
+
+        rpc.request('getSettings', {}, { timeout: 2000 })
+            .then(result => applySettings(result.settings), () => {})
+            .then(() => {
+                if (!state.section && settings.defaultSection) {
+                    revealSection(settings.defaultSection);
+                }
+
+                if (state.history.length > 0) {
+                    restoreState();
+                    return;
+                }
+                const welcome = () => {
+                    if (settings['welcome.enabled']) {
+                        showWelcome();
+                    }
+                };
+                rpc.request('getOutputHistory', {}, { timeout: 2000 }).then(history => {
+                    if (history.length > 0) {
+                        history.forEach(appendEntry);
+                    } else {
+                        welcome();
+                    }
+                }, welcome);
+            });
+    });
 
 })();
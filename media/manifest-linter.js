@@ -0,0 +1,106 @@
+// VS Code Learning Extension - Manifest linter
+// Lints every extension manifest in the workspace on request and lists the
+// problems per file; clicking one opens the manifest at that spot, where the
+// light bulb offers any quick fix. Manifests linted on save update in place.
+
+(function () {
+    const { rpc, addOutput, showLoading, showError } = window.learningWebview;
+    const SEVERITY_LABELS = { error: 'Error', warning: 'Warning', information: 'Info' };
+
+    // Latest summary per manifest path
+    const manifests = new Map();
+    let linted = false;
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function count(problems, severity) {
+        return problems.filter(problem => problem.severity === severity).length;
+    }
+
+    function reveal(manifest, problem) {
+        rpc.request('revealManifestProblem', {
+            path: manifest.fileName,
+            line: problem.line,
+            character: problem.character
+        }).catch(showError);
+    }
+
+    function render() {
+        const container = document.getElementById('manifestResults');
+        container.replaceChildren();
+        if (!linted) {
+            return;
+        }
+
+        const all = Array.from(manifests.values()).sort((a, b) => a.path.localeCompare(b.path));
+        const problems = all.flatMap(manifest => manifest.problems);
+        document.getElementById('manifestSummary').textContent =
+            `${all.length} manifest${all.length === 1 ? '' : 's'}: ${count(problems, 'error')} errors, ` +
+            `${count(problems, 'warning')} warnings, ${count(problems, 'information')} infos`;
+
+        if (all.length === 0) {
+            container.appendChild(createElement('p', 'command-count', 'No package.json in the workspace belongs to a VS Code extension'));
+            return;
+        }
+
+        all.forEach(manifest => {
+            container.appendChild(createElement('h4', null, manifest.path));
+            if (manifest.problems.length === 0) {
+                container.appendChild(createElement('p', 'command-count', 'No problems'));
+                return;
+            }
+
+            const table = container.appendChild(createElement('table', 'report-table'));
+            const headRow = createElement('tr');
+            ['Severity', 'Line', 'Problem', 'Quick fix'].forEach(header => headRow.appendChild(createElement('th', '', header)));
+            table.appendChild(createElement('thead')).appendChild(headRow);
+
+            const body = table.appendChild(createElement('tbody'));
+            manifest.problems.forEach(problem => {
+                const row = body.appendChild(createElement('tr', 'manifest-problem'));
+                row.appendChild(createElement('td', `manifest-${problem.severity}`, SEVERITY_LABELS[problem.severity]));
+                row.appendChild(createElement('td', '', `${problem.line + 1}:${problem.character + 1}`));
+                row.appendChild(createElement('td', '', problem.message));
+                row.appendChild(createElement('td', 'manifest-fix', problem.fix || ''));
+                row.title = `${problem.code}: open ${manifest.path} at this problem`;
+                row.addEventListener('click', () => reveal(manifest, problem));
+            });
+        });
+    }
+
+    function lint() {
+        return rpc.request('lintManifests', {}, { timeout: 0 }).then(summaries => {
+            manifests.clear();
+            summaries.forEach(summary => manifests.set(summary.path, summary));
+            linted = true;
+            render();
+            const total = summaries.reduce((sum, summary) => sum + summary.problems.length, 0);
+            addOutput(`Linted ${summaries.length} extension manifest${summaries.length === 1 ? '' : 's'}: ${total} problem${total === 1 ? '' : 's'}`,
+                summaries.some(summary => count(summary.problems, 'error') > 0) ? 'warning' : 'success');
+        }, showError);
+    }
+
+    // A manifest was saved and linted again
+    rpc.on('manifestLinted', summary => {
+        if (linted) {
+            manifests.set(summary.path, summary);
+            render();
+        }
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('lintManifests').addEventListener('click', () => {
+            const stopLoading = showLoading('lintManifests', 'Linting...');
+            lint().finally(stopLoading);
+        });
+    });
+})();
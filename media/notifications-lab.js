@@ -0,0 +1,144 @@
+// VS Code Learning Extension - Notifications lab
+// Builds messages, input boxes, quick picks and progress from the forms,
+// has the extension host show them, and logs what the user did with each.
+
+(function () {
+    const { rpc, addOutput, showError } = window.learningWebview;
+
+    let progressController;
+
+    function value(id) {
+        return document.getElementById(id).value.trim();
+    }
+
+    function checked(id) {
+        return document.getElementById(id).checked;
+    }
+
+    // Empty fields are left out so the host's defaults apply
+    function optional(text) {
+        return text || undefined;
+    }
+
+    function optionalNumber(id) {
+        const text = value(id);
+        return text === '' ? undefined : Number(text);
+    }
+
+    function showMessage() {
+        const severity = value('messageSeverity');
+        const modal = checked('messageModal');
+        const actions = value('messageActions').split(',').map(action => action.trim()).filter(Boolean);
+        rpc.request('showNotification', {
+            severity,
+            text: value('messageText') || 'Hello!',
+            modal,
+            detail: modal ? optional(value('messageDetail')) : undefined,
+            actions
+        }, { timeout: 0 }).then(result => {
+            const kind = `${modal ? 'Modal ' : ''}${severity} message`;
+            if (result.dismissed) {
+                addOutput(`${kind}: dismissed without choosing${modal ? ' (Cancel or Escape)' : ''}`, 'warning');
+            } else {
+                addOutput(`${kind}: chose "${result.choice}"`, 'success');
+            }
+        }, showError);
+    }
+
+    function showInputBox() {
+        const password = checked('inputPassword');
+        rpc.request('showInputBox', {
+            prompt: optional(value('inputPrompt')),
+            placeHolder: optional(value('inputPlaceholder')),
+            password,
+            validation: {
+                required: checked('inputRequired'),
+                minLength: optionalNumber('inputMinLength'),
+                pattern: optional(value('inputPattern')),
+                patternMessage: optional(value('inputPatternMessage'))
+            }
+        }, { timeout: 0 }).then(result => {
+            if (result.cancelled) {
+                addOutput('Input box: cancelled', 'warning');
+            } else {
+                addOutput(`Input box: entered ${password ? 'a password' : `"${result.value}"`}`, 'success');
+            }
+        }, showError);
+    }
+
+    // "*Label | description" → { label, description, picked }
+    function parseItems() {
+        return value('quickPickItems').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+            const picked = line.startsWith('*');
+            const [label, description] = line.replace(/^\*/, '').split('|').map(part => part.trim());
+            return { label, description: optional(description), picked };
+        }).filter(item => item.label);
+    }
+
+    function showQuickPick() {
+        const items = parseItems();
+        if (items.length === 0) {
+            addOutput('Add at least one quick pick item', 'warning');
+            return;
+        }
+        rpc.request('showQuickPick', {
+            placeHolder: optional(value('quickPickPlaceholder')),
+            canPickMany: checked('quickPickMany'),
+            items
+        }, { timeout: 0 }).then(result => {
+            if (result.cancelled) {
+                addOutput('Quick pick: cancelled', 'warning');
+            } else if (result.selected.length === 0) {
+                addOutput('Quick pick: accepted with nothing selected', 'info');
+            } else {
+                addOutput(`Quick pick: selected ${result.selected.map(label => `"${label}"`).join(', ')}`, 'success');
+            }
+        }, showError);
+    }
+
+    function setProgressRunning(running) {
+        document.getElementById('runProgress').disabled = running;
+        document.getElementById('cancelProgress').hidden = !running;
+    }
+
+    function runProgress() {
+        const location = value('progressLocation');
+        progressController = new AbortController();
+        setProgressRunning(true);
+
+        rpc.request('runProgress', {
+            location,
+            title: optional(value('progressTitle')),
+            steps: optionalNumber('progressSteps'),
+            stepMs: optionalNumber('progressStepMs'),
+            cancellable: checked('progressCancellable')
+        }, { timeout: 0, signal: progressController.signal }).then(result => {
+            if (result.cancelled) {
+                addOutput(`Progress (${location}): cancelled in VS Code after ${result.completed} of ${result.steps} steps`, 'warning');
+            } else {
+                addOutput(`Progress (${location}): finished ${result.steps} steps in ${result.durationMs} ms`, 'success');
+            }
+        }, error => {
+            if (error.code === 'Cancelled') {
+                addOutput(`Progress (${location}): cancelled from the webview`, 'warning');
+            } else {
+                showError(error);
+            }
+        }).finally(() => {
+            progressController = undefined;
+            setProgressRunning(false);
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('showMessage').addEventListener('click', showMessage);
+        document.getElementById('showInputBox').addEventListener('click', showInputBox);
+        document.getElementById('showQuickPick').addEventListener('click', showQuickPick);
+        document.getElementById('runProgress').addEventListener('click', runProgress);
+        document.getElementById('cancelProgress').addEventListener('click', () => {
+            if (progressController) {
+                progressController.abort();
+            }
+        });
+    });
+})();
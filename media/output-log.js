@@ -0,0 +1,411 @@
+// VS Code Learning Extension - Output log
+// Owns the entries shown in #output: a bounded ring buffer rendered as a
+// virtualized list, with type filters, search and clearing. Appends are
+// batched into one DOM update per animation frame.
+
+(function () {
+    const TYPES = ['info', 'warning', 'error', 'success'];
+    const PLACEHOLDER = 'Click any button above to see the results here...';
+    const DEFAULT_ROW_HEIGHT = 48;
+    const DEFAULT_VIEWPORT_HEIGHT = 400;
+    const OVERSCAN = 300;
+    // Groups: string (+ trailing colon for keys), keyword, number
+    const JSON_TOKEN = /("(?:\\u[a-fA-F0-9]{4}|\\[^u]|[^\\"])*")(\s*:)?|\b(true|false|null)\b|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/g;
+
+    function entryText(entry) {
+        return typeof entry.message === 'object'
+            ? JSON.stringify(entry.message, null, 2)
+            : String(entry.message);
+    }
+
+    /**
+     * Fixed-capacity FIFO: pushing past capacity drops the oldest item
+     */
+    class RingBuffer {
+        constructor(capacity) {
+            this.capacity = Math.max(1, capacity);
+            this.clear();
+        }
+
+        push(item) {
+            if (this.length < this.capacity) {
+                this._items[(this._start + this.length) % this.capacity] = item;
+                this.length++;
+                return undefined;
+            }
+            const dropped = this._items[this._start];
+            this._items[this._start] = item;
+            this._start = (this._start + 1) % this.capacity;
+            return dropped;
+        }
+
+        toArray() {
+            const items = new Array(this.length);
+            for (let i = 0; i < this.length; i++) {
+                items[i] = this._items[(this._start + i) % this.capacity];
+            }
+            return items;
+        }
+
+        clear() {
+            this._items = new Array(this.capacity);
+            this._start = 0;
+            this.length = 0;
+        }
+
+        resize(capacity) {
+            const items = this.toArray();
+            this.capacity = Math.max(1, capacity);
+            this.clear();
+            items.slice(-this.capacity).forEach(item => this.push(item));
+        }
+    }
+
+    // Build syntax-highlighted JSON out of text nodes and spans, never markup strings
+    function renderJsonText(value) {
+        const pre = document.createElement('pre');
+        pre.className = 'json-output';
+
+        const text = JSON.stringify(value, null, 2);
+        if (text === undefined) {
+            pre.textContent = String(value);
+            return pre;
+        }
+
+        let last = 0;
+        text.replace(JSON_TOKEN, (match, stringToken, colon, keyword, number, index) => {
+            if (index > last) {
+                pre.appendChild(document.createTextNode(text.slice(last, index)));
+            }
+            const span = document.createElement('span');
+            if (stringToken) {
+                span.className = colon ? 'json-key' : 'json-string';
+            } else if (keyword) {
+                span.className = keyword === 'null' ? 'json-null' : 'json-boolean';
+            } else {
+                span.className = 'json-number';
+            }
+            span.textContent = match;
+            pre.appendChild(span);
+            last = index + match.length;
+            return match;
+        });
+        if (last < text.length) {
+            pre.appendChild(document.createTextNode(text.slice(last)));
+        }
+        return pre;
+    }
+
+    // Wrap every match of `query` inside `element` in a <mark>, without touching markup
+    function highlight(element, query) {
+        const needle = query.toLowerCase();
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const lower = text.toLowerCase();
+            let index = lower.indexOf(needle);
+            if (index === -1) {
+                return;
+            }
+
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            while (index !== -1) {
+                fragment.appendChild(document.createTextNode(text.slice(last, index)));
+                const mark = document.createElement('mark');
+                mark.textContent = text.slice(index, index + needle.length);
+                fragment.appendChild(mark);
+                last = index + needle.length;
+                index = lower.indexOf(needle, last);
+            }
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+    }
+
+    class OutputLog {
+        /**
+         * Options: `maxEntries` ring-buffer size, and `onChange(entries)`
+         * called (at most once per frame) whenever the list changes.
+         */
+        constructor(container, options = {}) {
+            this._container = container;
+            this._buffer = new RingBuffer(options.maxEntries || 500);
+            this._onChange = options.onChange || (() => {});
+            this._formatters = {};
+            this._heights = new WeakMap();
+            this._toggled = new WeakSet();
+            this._rows = new Map();
+            this._visible = [];
+            this._frame = undefined;
+            this._pendingScrollTop = undefined;
+            this._dataChanged = false;
+            this._notify = false;
+            this.filter = { types: TYPES.slice(), query: '' };
+            this.jsonCollapsed = false;
+
+            this._topSpacer = document.createElement('div');
+            this._rowsHost = document.createElement('div');
+            this._bottomSpacer = document.createElement('div');
+            this._container.replaceChildren(this._topSpacer, this._rowsHost, this._bottomSpacer);
+
+            this._container.addEventListener('scroll', () => this._schedule());
+            window.addEventListener('resize', () => this._schedule());
+            this._schedule(true);
+        }
+
+        get entries() {
+            return this._buffer.toArray();
+        }
+
+        registerFormatter(format, render) {
+            this._formatters[format] = render;
+        }
+
+        append(entry) {
+            this._buffer.push(entry);
+            this._notify = true;
+            this._schedule(true);
+        }
+
+        // Replace the contents, optionally restoring a scroll position once drawn
+        load(entries, scrollTop) {
+            this._buffer.clear();
+            entries.forEach(entry => this._buffer.push(entry));
+            this._pendingScrollTop = scrollTop;
+            this._schedule(true);
+        }
+
+        clear() {
+            this._buffer.clear();
+            this._notify = true;
+            this._schedule(true);
+        }
+
+        setMaxEntries(maxEntries) {
+            this._buffer.resize(maxEntries);
+            this._notify = true;
+            this._schedule(true);
+        }
+
+        setFilter(filter) {
+            this.filter = Object.assign({}, this.filter, filter);
+            this.render();
+        }
+
+        setJsonCollapsed(collapsed) {
+            this.jsonCollapsed = collapsed;
+            this._toggled = new WeakSet();
+            this.render();
+        }
+
+        matches(entry) {
+            if (!this.filter.types.includes(entry.type)) {
+                return false;
+            }
+            return !this.filter.query ||
+                entryText(entry).toLowerCase().includes(this.filter.query.toLowerCase());
+        }
+
+        visibleEntries() {
+            return this.entries.filter(entry => this.matches(entry));
+        }
+
+        // Throw away every rendered row and draw the window again
+        render() {
+            this._rows.clear();
+            this._schedule(true);
+        }
+
+        _schedule(dataChanged) {
+            if (dataChanged) {
+                this._dataChanged = true;
+            }
+            if (this._frame === undefined) {
+                this._frame = requestAnimationFrame(() => {
+                    this._frame = undefined;
+                    this._flush();
+                });
+            }
+        }
+
+        _flush() {
+            const container = this._container;
+            // Follow the tail only if the user was already looking at it
+            const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 4;
+
+            const dataChanged = this._dataChanged;
+            if (dataChanged) {
+                this._dataChanged = false;
+                this._visible = this.visibleEntries();
+            }
+
+            this._drawWindow();
+            if (this._pendingScrollTop !== undefined && this._pendingScrollTop !== null) {
+                container.scrollTop = this._pendingScrollTop;
+                this._pendingScrollTop = undefined;
+                this._drawWindow();
+            } else if (dataChanged && atBottom) {
+                container.scrollTop = container.scrollHeight;
+                this._drawWindow();
+            }
+
+            if (this._notify) {
+                this._notify = false;
+                this._onChange(this.entries);
+            }
+        }
+
+        _estimateHeight() {
+            let total = 0;
+            let count = 0;
+            this._rows.forEach((row, entry) => {
+                const height = this._heights.get(entry);
+                if (height) {
+                    total += height;
+                    count++;
+                }
+            });
+            return count > 0 ? total / count : DEFAULT_ROW_HEIGHT;
+        }
+
+        // Render only the rows that intersect the viewport (plus overscan)
+        _drawWindow() {
+            const visible = this._visible;
+
+            if (visible.length === 0) {
+                const placeholder = document.createElement('p');
+                placeholder.className = 'output-placeholder';
+                placeholder.textContent = this._buffer.length === 0 ? PLACEHOLDER : 'No entries match the current filter';
+                this._rows.clear();
+                this._rowsHost.replaceChildren(placeholder);
+                this._topSpacer.style.height = '0px';
+                this._bottomSpacer.style.height = '0px';
+                return;
+            }
+
+            const estimate = this._estimateHeight();
+            const heightOf = entry => this._heights.get(entry) || estimate;
+            const scrollTop = this._container.scrollTop;
+            const viewportHeight = this._container.clientHeight || DEFAULT_VIEWPORT_HEIGHT;
+            const windowStart = scrollTop - OVERSCAN;
+            const windowEnd = scrollTop + viewportHeight + OVERSCAN;
+
+            let offset = 0;
+            let first = -1;
+            let last = -1;
+            let top = 0;
+            for (let i = 0; i < visible.length; i++) {
+                const height = heightOf(visible[i]);
+                if (offset + height >= windowStart && offset <= windowEnd) {
+                    if (first === -1) {
+                        first = i;
+                        top = offset;
+                    }
+                    last = i;
+                }
+                offset += height;
+            }
+            if (first === -1) {
+                // Scrolled past the end (e.g. after entries were dropped): show the tail
+                first = last = visible.length - 1;
+                top = offset - heightOf(visible[last]);
+            }
+
+            const rows = new Map();
+            const elements = [];
+            for (let i = first; i <= last; i++) {
+                const entry = visible[i];
+                const row = this._rows.get(entry) || this._renderRow(entry);
+                rows.set(entry, row);
+                elements.push(row);
+            }
+            this._rows = rows;
+            this._rowsHost.replaceChildren(...elements);
+
+            // Measure what was drawn so the spacers converge on real heights
+            let renderedHeight = 0;
+            let estimatedHeight = 0;
+            rows.forEach((row, entry) => {
+                estimatedHeight += heightOf(entry);
+                const measured = row.offsetHeight;
+                if (measured > 0) {
+                    this._heights.set(entry, measured);
+                }
+                renderedHeight += measured > 0 ? measured : heightOf(entry);
+            });
+
+            const total = offset - estimatedHeight + renderedHeight;
+            this._topSpacer.style.height = `${top}px`;
+            this._bottomSpacer.style.height = `${Math.max(0, total - top - renderedHeight)}px`;
+        }
+
+        _renderRow(entry) {
+            const row = document.createElement('div');
+            row.className = 'output-row';
+
+            const outputItem = document.createElement('div');
+            outputItem.className = `output-item ${entry.type}`;
+
+            const timestampDiv = document.createElement('div');
+            timestampDiv.className = 'timestamp';
+            timestampDiv.textContent = entry.timestamp;
+
+            const messageDiv = document.createElement('div');
+
+            if (entry.format && this._formatters[entry.format]) {
+                messageDiv.appendChild(this._formatters[entry.format](entry.message));
+            } else if (typeof entry.message === 'object' && entry.message !== null) {
+                messageDiv.appendChild(this._renderJson(entry));
+            } else {
+                messageDiv.textContent = entry.message;
+            }
+
+            outputItem.appendChild(timestampDiv);
+            outputItem.appendChild(messageDiv);
+            row.appendChild(outputItem);
+
+            if (this.filter.query) {
+                highlight(messageDiv, this.filter.query);
+            }
+            return row;
+        }
+
+        _renderJson(entry) {
+            const value = entry.message;
+            const wrapper = document.createElement('div');
+            wrapper.className = 'json-entry';
+            wrapper.classList.toggle('collapsed', this.jsonCollapsed !== this._toggled.has(entry));
+
+            const toggle = document.createElement('button');
+            toggle.className = 'json-toggle';
+            const size = Array.isArray(value) ? `[${value.length} items]` : `{${Object.keys(value).length} keys}`;
+            toggle.textContent = `JSON ${size}`;
+            toggle.addEventListener('click', () => {
+                if (this._toggled.has(entry)) {
+                    this._toggled.delete(entry);
+                } else {
+                    this._toggled.add(entry);
+                }
+                wrapper.classList.toggle('collapsed');
+                // Height changed: re-measure
+                this._schedule();
+            });
+
+            wrapper.appendChild(toggle);
+            wrapper.appendChild(renderJsonText(value));
+            return wrapper;
+        }
+    }
+
+    OutputLog.TYPES = TYPES;
+    OutputLog.RingBuffer = RingBuffer;
+    OutputLog.entryText = entryText;
+
+    window.OutputLog = OutputLog;
+})();
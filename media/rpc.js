@@ -0,0 +1,124 @@
+// VS Code Learning Extension - Webview RPC client
+// Pairs with src/rpc.js in the extension host.
+
+(function () {
+    const DEFAULT_TIMEOUT = 30000;
+
+    class RpcError extends Error {
+        constructor(code, message, data) {
+            super(message);
+            this.name = 'RpcError';
+            this.code = code;
+            this.data = data;
+        }
+    }
+
+    class RpcClient {
+        constructor(vscode) {
+            this._vscode = vscode;
+            this._nextId = 1;
+            this._pending = new Map();
+            this._listeners = new Map();
+
+            window.addEventListener('message', event => this._onMessage(event.data));
+        }
+
+        /**
+         * Call a handler registered in the extension host.
+         * Options: `timeout` in ms (0 disables it) and an AbortSignal `signal`
+         * that cancels the call on both sides.
+         */
+        request(method, params = {}, options = {}) {
+            const id = this._nextId++;
+            const timeout = options.timeout === undefined ? DEFAULT_TIMEOUT : options.timeout;
+            const signal = options.signal;
+
+            return new Promise((resolve, reject) => {
+                if (signal && signal.aborted) {
+                    reject(new RpcError('Cancelled', `Request cancelled: ${method}`));
+                    return;
+                }
+
+                const onAbort = () => {
+                    this._fail(id, new RpcError('Cancelled', `Request cancelled: ${method}`));
+                };
+
+                const timer = timeout > 0
+                    ? setTimeout(() => {
+                        this._fail(id, new RpcError('Timeout', `Request timed out after ${timeout}ms: ${method}`));
+                    }, timeout)
+                    : undefined;
+
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+
+                this._pending.set(id, {
+                    resolve,
+                    reject,
+                    cleanup: () => {
+                        clearTimeout(timer);
+                        if (signal) {
+                            signal.removeEventListener('abort', onAbort);
+                        }
+                    }
+                });
+
+                this._vscode.postMessage({ type: 'request', id, method, params });
+            });
+        }
+
+        // Subscribe to events pushed by the extension host; returns an unsubscribe function
+        on(event, listener) {
+            if (!this._listeners.has(event)) {
+                this._listeners.set(event, new Set());
+            }
+            this._listeners.get(event).add(listener);
+            return () => this._listeners.get(event).delete(listener);
+        }
+
+        // Reject locally and tell the host to cancel the in-flight handler
+        _fail(id, error) {
+            const pending = this._take(id);
+            if (pending) {
+                this._vscode.postMessage({ type: 'cancel', id });
+                pending.reject(error);
+            }
+        }
+
+        _take(id) {
+            const pending = this._pending.get(id);
+            if (pending) {
+                this._pending.delete(id);
+                pending.cleanup();
+            }
+            return pending;
+        }
+
+        _onMessage(message) {
+            if (!message || typeof message !== 'object') {
+                return;
+            }
+
+            if (message.type === 'response') {
+                const pending = this._take(message.id);
+                if (!pending) {
+                    return;
+                }
+                if (message.error) {
+                    pending.reject(new RpcError(message.error.code, message.error.message, message.error.data));
+                } else {
+                    pending.resolve(message.result);
+                }
+            } else if (message.type === 'event') {
+                const listeners = this._listeners.get(message.event);
+                if (listeners) {
+                    listeners.forEach(listener => listener(message.data));
+                }
+            }
+        }
+    }
+
+    window.RpcClient = RpcClient;
+    window.RpcError = RpcError;
+})();
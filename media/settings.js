@@ -0,0 +1,145 @@
+// VS Code Learning Extension - Settings
+// Edits the learningExtension.* settings at user or workspace scope. The form
+// is generated from the schema in package.json, and redrawn whenever the
+// configuration changes, wherever the change was made.
+
+(function () {
+    const { rpc, addOutput, showError } = window.learningWebview;
+
+    let descriptions = [];
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function scope() {
+        return document.getElementById('settingsScope').value;
+    }
+
+    function update(key, value) {
+        const target = scope();
+        return rpc.request('updateSetting', { key, value, scope: target })
+            .then(() => {
+                const shown = value === undefined ? 'default' : JSON.stringify(value);
+                addOutput(`Setting ${key} (${target}) → ${shown}`, 'success');
+            }, showError);
+    }
+
+    function sourceOf(setting) {
+        if (setting.workspaceValue !== undefined) {
+            return 'Set in workspace settings';
+        }
+        if (setting.userValue !== undefined) {
+            return 'Set in user settings';
+        }
+        return 'Default';
+    }
+
+    // One input per setting type: checkbox, select, number, text or JSON
+    function createControl(setting) {
+        const id = `setting-${setting.key}`;
+        let control;
+
+        if (setting.type === 'boolean') {
+            control = createElement('input');
+            control.type = 'checkbox';
+            control.checked = !!setting.value;
+            control.addEventListener('change', () => update(setting.key, control.checked));
+        } else if (setting.enum) {
+            control = createElement('select');
+            setting.enum.forEach((option, index) => {
+                const element = control.appendChild(createElement('option', '', option));
+                element.value = option;
+                if (setting.enumDescriptions) {
+                    element.title = setting.enumDescriptions[index];
+                }
+            });
+            control.value = setting.value;
+            control.addEventListener('change', () => update(setting.key, control.value));
+        } else if (setting.type === 'number') {
+            control = createElement('input');
+            control.type = 'number';
+            if (setting.minimum !== undefined) {
+                control.min = setting.minimum;
+            }
+            if (setting.maximum !== undefined) {
+                control.max = setting.maximum;
+            }
+            control.value = setting.value;
+            control.addEventListener('change', () => {
+                const value = Number(control.value);
+                if (!control.checkValidity() || control.value === '') {
+                    showError(new Error(`${setting.key} must be a number between ${setting.minimum} and ${setting.maximum}`));
+                    control.value = setting.value;
+                    return;
+                }
+                update(setting.key, value);
+            });
+        } else if (setting.type === 'object') {
+            control = createElement('textarea');
+            control.rows = 3;
+            control.value = JSON.stringify(setting.value, null, 2);
+            control.addEventListener('change', () => {
+                let value;
+                try {
+                    value = JSON.parse(control.value);
+                } catch (error) {
+                    showError(new Error(`${setting.key} is not valid JSON: ${error.message}`));
+                    return;
+                }
+                update(setting.key, value);
+            });
+        } else {
+            control = createElement('input');
+            control.type = 'text';
+            control.value = setting.value;
+            control.addEventListener('change', () => update(setting.key, control.value));
+        }
+
+        control.id = id;
+        return control;
+    }
+
+    function render() {
+        const form = document.getElementById('settingsForm');
+        form.replaceChildren();
+
+        descriptions.forEach(setting => {
+            const row = form.appendChild(createElement('div', 'setting-row'));
+            const label = row.appendChild(createElement('label', 'setting-key', setting.key));
+            label.htmlFor = `setting-${setting.key}`;
+            row.appendChild(createElement('div', 'setting-description', setting.description || ''));
+            row.appendChild(createControl(setting));
+
+            const footer = row.appendChild(createElement('div', 'setting-source', sourceOf(setting)));
+            const scoped = scope() === 'workspace' ? setting.workspaceValue : setting.userValue;
+            if (scoped !== undefined) {
+                const reset = footer.appendChild(createElement('button', 'btn-small', `Reset ${scope()} value`));
+                reset.addEventListener('click', () => update(setting.key, undefined));
+            }
+        });
+    }
+
+    rpc.on('settingsChanged', result => {
+        descriptions = result.descriptions;
+        render();
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('settingsScope').addEventListener('change', render);
+
+        rpc.request('getSettings').then(result => {
+            descriptions = result.descriptions;
+            const workspaceOption = document.querySelector('#settingsScope option[value="workspace"]');
+            workspaceOption.disabled = !result.hasWorkspace;
+            render();
+        }, showError);
+    });
+})();
@@ -0,0 +1,161 @@
+// VS Code Learning Extension - Global state viewer
+// Shows the keys of state.vscdb grouped by owning extension, largest first,
+// with search, for any profile. Values open in the output log.
+
+(function () {
+    const { rpc, addOutput, showLoading, showError } = window.learningWebview;
+    const MAX_KEYS_PER_GROUP = 100;
+
+    let database;
+    const expanded = new Set();
+
+    function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function createBar(value, max) {
+        const track = createElement('div', 'report-bar-track');
+        const bar = track.appendChild(createElement('div', 'report-bar'));
+        bar.style.width = `${max > 0 ? Math.max(1, Math.round(value / max * 100)) : 0}%`;
+        return track;
+    }
+
+    function showValue(key) {
+        rpc.request('getStateValue', { key }).then(result => {
+            addOutput(`${result.key} (${result.kind}):`, 'info');
+            addOutput(result.value, 'info');
+        }, showError);
+    }
+
+    function render() {
+        const container = document.getElementById('stateDbTable');
+        const query = document.getElementById('stateDbSearch').value.trim().toLowerCase();
+        container.replaceChildren();
+        if (!database) {
+            return;
+        }
+
+        document.getElementById('stateDbSummary').textContent =
+            `${database.keyCount} keys, ${formatBytes(database.size)} — read ${new Date(database.readAt).toLocaleTimeString()}`;
+
+        const groups = database.groups
+            .map(group => ({
+                ...group,
+                keys: query
+                    ? group.keys.filter(entry => entry.key.toLowerCase().includes(query) || group.group.toLowerCase().includes(query))
+                    : group.keys
+            }))
+            .filter(group => group.keys.length > 0);
+
+        if (groups.length === 0) {
+            container.appendChild(createElement('p', 'command-count', `Nothing matches "${query}"`));
+            return;
+        }
+
+        const max = groups[0].size;
+        const table = container.appendChild(createElement('table', 'report-table'));
+        const headRow = createElement('tr');
+        ['Owner', 'Keys', 'Size', ''].forEach(header => headRow.appendChild(createElement('th', '', header)));
+        table.appendChild(createElement('thead')).appendChild(headRow);
+        const body = table.appendChild(createElement('tbody'));
+
+        groups.forEach(group => {
+            // Searching opens every group that still has matches
+            const open = query || expanded.has(group.group);
+            const row = body.appendChild(createElement('tr', 'state-group'));
+            row.appendChild(createElement('td', '', `${open ? '▾' : '▸'} ${group.group}`));
+            row.appendChild(createElement('td', '', String(group.keys.length)));
+            row.appendChild(createElement('td', '', formatBytes(group.size)));
+            row.appendChild(createElement('td')).appendChild(createBar(group.size, max));
+            row.addEventListener('click', () => {
+                if (expanded.has(group.group)) {
+                    expanded.delete(group.group);
+                } else {
+                    expanded.add(group.group);
+                }
+                render();
+            });
+
+            if (!open) {
+                return;
+            }
+            group.keys.slice(0, MAX_KEYS_PER_GROUP).forEach(entry => {
+                const keyRow = body.appendChild(createElement('tr', 'state-key'));
+                const cell = keyRow.appendChild(createElement('td'));
+                cell.colSpan = 2;
+                const button = cell.appendChild(createElement('button', 'command-item'));
+                button.appendChild(createElement('span', 'command-id', entry.key));
+                button.title = 'Show the value in the output log';
+                button.addEventListener('click', () => showValue(entry.key));
+                keyRow.appendChild(createElement('td', '', formatBytes(entry.size)));
+                keyRow.appendChild(createElement('td')).appendChild(createBar(entry.size, max));
+            });
+            if (group.keys.length > MAX_KEYS_PER_GROUP) {
+                const more = body.appendChild(createElement('tr', 'state-key'));
+                const cell = more.appendChild(createElement('td', 'command-count',
+                    `…and ${group.keys.length - MAX_KEYS_PER_GROUP} smaller keys (search to narrow down)`));
+                cell.colSpan = 4;
+            }
+        });
+    }
+
+    // Only worth showing when there is more than the default profile
+    function loadProfiles() {
+        rpc.request('getUserDataLocations').then(result => {
+            const select = document.getElementById('stateDbProfile');
+            select.replaceChildren(...result.profiles.map(profile => {
+                const option = createElement('option', '', profile.stateDatabase.found ? profile.name : `${profile.name} (no state.vscdb)`);
+                option.value = profile.isDefault ? '' : profile.id;
+                option.disabled = !profile.stateDatabase.found;
+                return option;
+            }));
+            select.hidden = result.profiles.length < 2;
+        }, showError);
+    }
+
+    function load() {
+        const stopLoading = showLoading('readStateDb', 'Reading...');
+        const profile = document.getElementById('stateDbProfile').value;
+        return rpc.request('readStateDatabase', { profile: profile || undefined }, { timeout: 0 })
+            .then(result => {
+                database = result;
+                addOutput(`Read ${result.keyCount} keys from a copy of ${result.path}`, 'success');
+                render();
+            }, showError)
+            .finally(stopLoading);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('readStateDb').addEventListener('click', load);
+        document.getElementById('stateDbProfile').addEventListener('change', () => {
+            if (database) {
+                load();
+            }
+        });
+        loadProfiles();
+
+        let searchTimer;
+        document.getElementById('stateDbSearch').addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(render, 150);
+        });
+    });
+})();
@@ -0,0 +1,173 @@
+// VS Code Learning Extension - Workspace report
+// Renders the result of the `getWorkspaceReport` handler as tables and bar charts.
+
+(function () {
+    const { rpc, addOutput, showLoading, showError, registerFormatter } = window.learningWebview;
+
+    let scanController;
+
+    function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function createTable(headers, rows) {
+        const table = createElement('table', 'report-table');
+        const headRow = createElement('tr');
+        headers.forEach(header => headRow.appendChild(createElement('th', '', header)));
+        table.appendChild(createElement('thead')).appendChild(headRow);
+
+        const body = table.appendChild(createElement('tbody'));
+        rows.forEach(cells => {
+            const row = body.appendChild(createElement('tr'));
+            cells.forEach(cell => {
+                const td = row.appendChild(createElement('td'));
+                if (cell instanceof Node) {
+                    td.appendChild(cell);
+                } else {
+                    td.textContent = cell;
+                }
+            });
+        });
+        return table;
+    }
+
+    function createBar(value, max) {
+        const track = createElement('div', 'report-bar-track');
+        const bar = track.appendChild(createElement('div', 'report-bar'));
+        bar.style.width = `${max > 0 ? Math.max(1, Math.round(value / max * 100)) : 0}%`;
+        return track;
+    }
+
+    function renderFolder(folder) {
+        const section = createElement('div', 'report-folder');
+
+        section.appendChild(createElement('h4', '', `📁 ${folder.name}`));
+        let summary = `${folder.fileCount} files, ${formatBytes(folder.totalSize)}`;
+        if (folder.ignoredCount > 0) {
+            summary += ` (${folder.ignoredCount} ignored by .gitignore)`;
+        }
+        if (folder.truncated) {
+            summary += ' — file limit reached, results are partial';
+        }
+        section.appendChild(createElement('p', 'report-summary', summary));
+
+        if (folder.projectTypes.length > 0) {
+            section.appendChild(createElement('h5', '', 'Detected project types'));
+            section.appendChild(createTable(
+                ['Type', 'Found in'],
+                folder.projectTypes.map(project => [
+                    project.type,
+                    project.markers.join(', ') + (project.count > project.markers.length ? ` (+${project.count - project.markers.length} more)` : '')
+                ])
+            ));
+        }
+
+        if (folder.languages.length > 0) {
+            const maxSize = folder.languages[0].size;
+            section.appendChild(createElement('h5', '', 'Size by language'));
+            section.appendChild(createTable(
+                ['Language', 'Files', 'Size', ''],
+                folder.languages.map(language => [
+                    language.language,
+                    String(language.files),
+                    formatBytes(language.size),
+                    createBar(language.size, maxSize)
+                ])
+            ));
+        }
+
+        if (folder.largestFiles.length > 0) {
+            section.appendChild(createElement('h5', '', 'Largest files'));
+            section.appendChild(createTable(
+                ['File', 'Size'],
+                folder.largestFiles.map(file => [file.path, formatBytes(file.size)])
+            ));
+        }
+
+        return section;
+    }
+
+    registerFormatter('workspaceReport', report => {
+        const container = createElement('div', 'workspace-report');
+
+        if (report.folders.length === 0) {
+            container.appendChild(createElement('p', '', 'No workspace folders are currently open'));
+            return container;
+        }
+
+        report.folders.forEach(folder => container.appendChild(renderFolder(folder)));
+
+        const stats = `${report.incremental ? 'Incremental rescan' : 'Full scan'} in ${report.durationMs} ms ` +
+            `(${report.statCount} files measured, ${report.reusedCount} reused)`;
+        container.appendChild(createElement('p', 'report-summary', stats));
+        return container;
+    });
+
+    function setProgress(progress) {
+        const box = document.getElementById('scanProgress');
+        const label = box.querySelector('.scan-progress-label');
+        const bar = box.querySelector('.scan-progress-bar');
+
+        if (progress.phase === 'listing') {
+            label.textContent = `${progress.folder}: listing files...`;
+            bar.style.width = '0%';
+        } else {
+            label.textContent = `${progress.folder}: ${progress.processed} / ${progress.total} files`;
+            bar.style.width = `${progress.total > 0 ? Math.round(progress.processed / progress.total * 100) : 100}%`;
+        }
+    }
+
+    function runScan(buttonId, incremental) {
+        if (scanController) {
+            return;
+        }
+
+        const stopLoading = showLoading(buttonId, incremental ? 'Rescanning...' : 'Scanning workspace...');
+        const progressBox = document.getElementById('scanProgress');
+        progressBox.hidden = false;
+        scanController = new AbortController();
+
+        addOutput(incremental ? 'Rescanning changed files...' : 'Scanning workspace...', 'info');
+
+        rpc.request('getWorkspaceReport', { incremental }, { timeout: 0, signal: scanController.signal })
+            .then(report => {
+                addOutput('Workspace Report:', 'success');
+                addOutput(report, 'info', { format: 'workspaceReport' });
+            }, showError)
+            .finally(() => {
+                scanController = undefined;
+                progressBox.hidden = true;
+                stopLoading();
+            });
+    }
+
+    rpc.on('workspaceReportProgress', setProgress);
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('getWorkspace').addEventListener('click', () => runScan('getWorkspace', false));
+        document.getElementById('rescanWorkspace').addEventListener('click', () => runScan('rescanWorkspace', true));
+        document.getElementById('cancelScan').addEventListener('click', () => {
+            if (scanController) {
+                scanController.abort();
+            }
+        });
+    });
+})();
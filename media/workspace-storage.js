@@ -0,0 +1,199 @@
+// VS Code Learning Extension - Workspace storage manager
+// Lists every workspaceStorage folder with the folder or workspace it belongs
+// to, its size and age, so stale entries can be removed one by one. The
+// entry of the open workspace can never be selected.
+
+(function () {
+    const { rpc, addOutput, showLoading, showError } = window.learningWebview;
+    const DAY = 24 * 60 * 60 * 1000;
+
+    let listing;
+    let scanController;
+    const selected = new Set();
+
+    function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    function describeStatus(entry) {
+        if (entry.current) {
+            return { text: 'Open now', className: 'storage-current' };
+        }
+        if (entry.kind === 'empty') {
+            return { text: 'Empty window', className: 'storage-unknown' };
+        }
+        if (entry.exists === null) {
+            return { text: 'Remote', className: 'storage-unknown' };
+        }
+        return entry.exists
+            ? { text: 'Exists', className: 'storage-exists' }
+            : { text: 'Missing', className: 'storage-missing' };
+    }
+
+    function selectable() {
+        return listing ? listing.entries.filter(entry => !entry.current) : [];
+    }
+
+    function updateSummary() {
+        const chosen = selectable().filter(entry => selected.has(entry.id));
+        const size = chosen.reduce((total, entry) => total + entry.size, 0);
+        document.getElementById('workspaceStorageSummary').textContent = listing
+            ? `${listing.entries.length} folders, ${formatBytes(listing.size)}` +
+                (chosen.length ? ` — ${chosen.length} selected (${formatBytes(size)})` : '')
+            : '';
+        document.getElementById('removeWorkspaceStorage').disabled = chosen.length === 0;
+    }
+
+    function render() {
+        const container = document.getElementById('workspaceStorageTable');
+        container.replaceChildren();
+        updateSummary();
+        if (!listing) {
+            return;
+        }
+        if (listing.entries.length === 0) {
+            container.appendChild(createElement('p', 'command-count', `No workspace storage in ${listing.root}`));
+            return;
+        }
+
+        const table = container.appendChild(createElement('table', 'report-table'));
+        const headRow = createElement('tr');
+        ['', 'Workspace', 'Status', 'Size', 'Last modified'].forEach(header => headRow.appendChild(createElement('th', '', header)));
+        table.appendChild(createElement('thead')).appendChild(headRow);
+
+        const body = table.appendChild(createElement('tbody'));
+        listing.entries.forEach(entry => {
+            const row = body.appendChild(createElement('tr'));
+
+            const checkbox = row.appendChild(createElement('td')).appendChild(createElement('input'));
+            checkbox.type = 'checkbox';
+            checkbox.checked = selected.has(entry.id);
+            checkbox.disabled = entry.current;
+            checkbox.title = entry.current ? 'The open workspace is always kept' : entry.id;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    selected.add(entry.id);
+                } else {
+                    selected.delete(entry.id);
+                }
+                updateSummary();
+            });
+
+            const target = row.appendChild(createElement('td'));
+            target.appendChild(createElement('div', 'backup-path', entry.targetPath || '(no workspace)'));
+            target.appendChild(createElement('div', 'command-title', `${entry.kind} · ${entry.id}`));
+
+            const status = describeStatus(entry);
+            row.appendChild(createElement('td', status.className, status.text));
+            row.appendChild(createElement('td', '', formatBytes(entry.size)));
+            row.appendChild(createElement('td', '', entry.modified ? new Date(entry.modified).toLocaleDateString() : '—'));
+        });
+    }
+
+    function setProgress(progress) {
+        document.getElementById('workspaceStorageSummary').textContent =
+            `Measuring ${progress.processed} / ${progress.total} folders...`;
+    }
+
+    function scan() {
+        if (scanController) {
+            return Promise.resolve();
+        }
+        const stopLoading = showLoading('scanWorkspaceStorage', 'Scanning...');
+        const cancelButton = document.getElementById('cancelStorageScan');
+        cancelButton.hidden = false;
+        scanController = new AbortController();
+
+        return rpc.request('listWorkspaceStorage', {}, { timeout: 0, signal: scanController.signal })
+            .then(result => {
+                listing = result;
+                // Drop selections of folders that are gone
+                const ids = new Set(selectable().map(entry => entry.id));
+                Array.from(selected).filter(id => !ids.has(id)).forEach(id => selected.delete(id));
+                render();
+            }, error => {
+                showError(error);
+                updateSummary();
+            })
+            .finally(() => {
+                scanController = undefined;
+                cancelButton.hidden = true;
+                stopLoading();
+            });
+    }
+
+    function select(predicate) {
+        const matches = selectable().filter(predicate);
+        matches.forEach(entry => selected.add(entry.id));
+        addOutput(`Selected ${matches.length} workspace storage folders`, 'info');
+        render();
+    }
+
+    function removeSelected() {
+        const ids = selectable().filter(entry => selected.has(entry.id)).map(entry => entry.id);
+        if (ids.length === 0) {
+            return;
+        }
+        addOutput(`Removing ${ids.length} workspace storage folders: confirm in VS Code...`, 'info');
+        const stopLoading = showLoading('removeWorkspaceStorage', 'Waiting for confirmation...');
+
+        rpc.request('removeWorkspaceStorage', { ids }, { timeout: 0 })
+            .then(result => {
+                if (result.cancelled) {
+                    addOutput('Workspace storage cleanup cancelled, nothing was deleted', 'warning');
+                    return;
+                }
+                if (result.empty) {
+                    addOutput('The selected folders no longer exist', 'warning');
+                } else {
+                    addOutput(`Deleted ${result.deleted.length} workspace storage folders`, 'success');
+                    addOutput(`Backup saved to ${result.backup}`, 'info');
+                }
+                selected.clear();
+                return scan();
+            }, showError)
+            .finally(stopLoading);
+    }
+
+    rpc.on('workspaceStorageProgress', setProgress);
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('scanWorkspaceStorage').addEventListener('click', scan);
+        document.getElementById('cancelStorageScan').addEventListener('click', () => {
+            if (scanController) {
+                scanController.abort();
+            }
+        });
+        document.getElementById('selectOrphanedStorage').addEventListener('click', () => {
+            select(entry => entry.exists === false);
+        });
+        document.getElementById('selectOldStorage').addEventListener('click', () => {
+            const days = Number(document.getElementById('storageOlderThan').value);
+            if (!(days > 0)) {
+                showError(new Error('Enter a number of days'));
+                return;
+            }
+            const cutoff = Date.now() - days * DAY;
+            select(entry => !entry.modified || new Date(entry.modified).getTime() < cutoff);
+        });
+        document.getElementById('removeWorkspaceStorage').addEventListener('click', removeSelected);
+    });
+})();
@@ -0,0 +1,285 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { getActiveWorkspaceFolder, getScopeFolder } = require('./workspace-files');
+const logger = require('./logger');
+
+const FILE_NAME = 'audit.jsonl';
+const ROTATED_FILE_NAME = 'audit.1.jsonl';
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_VALUE_LENGTH = 2000;
+const MAX_LISTED = 2000;
+const CHUNK_SIZE = 64 * 1024;
+
+// Requests that are not recorded: the history's own listing and following
+// (which would record themselves on every refresh) and the per-entry output
+// log sync
+const UNAUDITED = new Set(['listActivity', 'subscribeActivity', 'unsubscribeActivity', 'syncOutput']);
+
+const TIMESTAMP = { type: 'string', maxLength: 40 };
+const FILTER_PARAMS = {
+    type: 'object',
+    properties: { from: TIMESTAMP, to: TIMESTAMP, kind: { enum: ['request', 'operation'] } },
+    additionalProperties: false
+};
+
+// Keep params and results readable without letting one large reply bloat the log
+function summarize(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    let text;
+    try {
+        text = JSON.stringify(value);
+    } catch (error) {
+        return { unserializable: true };
+    }
+    if (text === undefined || text.length <= MAX_VALUE_LENGTH) {
+        return value;
+    }
+    return { truncated: true, length: text.length, preview: text.slice(0, MAX_VALUE_LENGTH) };
+}
+
+async function fileSize(filePath) {
+    try {
+        return (await fs.promises.stat(filePath)).size;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return 0;
+        }
+        throw error;
+    }
+}
+
+// The lines of a file, last one first, read a chunk at a time from the end.
+// Splitting on the newline byte never cuts a UTF-8 character in two.
+async function* readLinesBackwards(filePath) {
+    let handle;
+    try {
+        handle = await fs.promises.open(filePath, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return;
+        }
+        throw error;
+    }
+    try {
+        let position = (await handle.stat()).size;
+        let rest = Buffer.alloc(0);
+        while (position > 0) {
+            const length = Math.min(CHUNK_SIZE, position);
+            position -= length;
+            const chunk = Buffer.alloc(length);
+            await handle.read(chunk, 0, length, position);
+            const buffer = Buffer.concat([chunk, rest]);
+            let end = buffer.length;
+            let newline;
+            while (end > 0 && (newline = buffer.lastIndexOf(0x0a, end - 1)) !== -1) {
+                yield buffer.toString('utf8', newline + 1, end);
+                end = newline;
+            }
+            rest = buffer.subarray(0, end);
+        }
+        yield rest.toString('utf8');
+    } finally {
+        await handle.close();
+    }
+}
+
+/*
+ * Append-only record of everything the extension did, one JSON object per
+ * line in <globalStorage>/audit.jsonl. Once that passes `maxFileSize` it
+ * becomes audit.1.jsonl, replacing the previous one, so the log keeps the
+ * newest one to two files' worth of entries:
+ *
+ *   { timestamp, kind: 'request', method, params, outcome, result | error, durationMs }
+ *   { timestamp, kind: 'operation', operation, changes, applied, outcome, error? }
+ *
+ * Requests are the webview's calls; operations are the device manager's file
+ * changes.
+ */
+class AuditLog {
+    /**
+     * @param {vscode.Uri} storageUri the extension's global storage folder
+     * @param {{ maxFileSize?: number }} [options] bytes after which the file is rotated
+     */
+    constructor(storageUri, { maxFileSize = MAX_FILE_SIZE } = {}) {
+        this.filePath = path.join(storageUri.fsPath, FILE_NAME);
+        this.rotatedPath = path.join(storageUri.fsPath, ROTATED_FILE_NAME);
+        this._maxFileSize = maxFileSize;
+        // Size of the current file, read on the first write
+        this._size = undefined;
+        this._writes = Promise.resolve();
+        this._onDidAppend = new vscode.EventEmitter();
+        this.onDidAppend = this._onDidAppend.event;
+    }
+
+    append(entry) {
+        const record = { timestamp: new Date().toISOString(), ...entry };
+        const line = `${JSON.stringify(record)}\n`;
+        // One write at a time, so lines never interleave
+        this._writes = this._writes
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                if (this._size === undefined) {
+                    this._size = await fileSize(this.filePath);
+                }
+                const bytes = Buffer.byteLength(line);
+                if (this._size > 0 && this._size + bytes > this._maxFileSize) {
+                    await fs.promises.rename(this.filePath, this.rotatedPath);
+                    this._size = 0;
+                }
+                await fs.promises.appendFile(this.filePath, line, 'utf8');
+                this._size += bytes;
+                this._onDidAppend.fire(record);
+            })
+            .catch(error => logger.error(`Could not write to ${this.filePath}:`, error));
+        return this._writes;
+    }
+
+    recordRequest({ method, params, result, error, durationMs }) {
+        if (UNAUDITED.has(method)) {
+            return Promise.resolve();
+        }
+        return this.append({
+            kind: 'request',
+            method,
+            params: summarize(params),
+            outcome: error ? 'error' : 'ok',
+            ...(error ? { error: { code: error.code, message: error.message } } : { result: summarize(result) }),
+            durationMs
+        });
+    }
+
+    recordOperation({ operation, changes, applied, error }) {
+        return this.append({
+            kind: 'operation',
+            operation,
+            changes,
+            applied,
+            outcome: error ? 'error' : 'ok',
+            ...(error ? { error: { message: error.message } } : {})
+        });
+    }
+
+    /**
+     * Entries between `from` and `to` (ISO timestamps, either optional), oldest first.
+     * The files are read from the end, so only the newest `limit` matches are parsed.
+     * @param {{ from?: string, to?: string, kind?: 'request'|'operation' }} [filter]
+     * @param {{ limit?: number }} [options]
+     */
+    async read({ from, to, kind } = {}, { limit = Infinity } = {}) {
+        await this._writes;
+        const entries = [];
+        for (const filePath of [this.filePath, this.rotatedPath]) {
+            if (entries.length >= limit) {
+                break;
+            }
+            for await (const line of readLinesBackwards(filePath)) {
+                if (!line.trim()) {
+                    continue;
+                }
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    // A line cut short by a crash: skip it, keep the rest
+                    continue;
+                }
+                if ((from && entry.timestamp < from) || (to && entry.timestamp >= to) || (kind && entry.kind !== kind)) {
+                    continue;
+                }
+                entries.push(entry);
+                if (entries.length >= limit) {
+                    break;
+                }
+            }
+        }
+        return entries.reverse();
+    }
+
+    dispose() {
+        this._onDidAppend.dispose();
+    }
+}
+
+/**
+ * Record every webview request, and register the Activity History handlers
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @param {AuditLog} audit
+ * @returns {vscode.Disposable[]}
+ */
+function registerAuditHandlers(registry, audit) {
+    // Views with the history on screen, and what ends their subscription
+    const subscribers = new Map();
+    const unsubscribe = endpoint => {
+        const subscription = subscribers.get(endpoint);
+        if (subscription) {
+            subscription.dispose();
+            subscribers.delete(endpoint);
+        }
+    };
+
+    // Those views refresh once a burst of activity settles
+    let changeTimer;
+    const announceChange = () => {
+        if (subscribers.size === 0) {
+            return;
+        }
+        clearTimeout(changeTimer);
+        changeTimer = setTimeout(() => registry.broadcast('activityChanged', undefined, {
+            where: endpoint => subscribers.has(endpoint)
+        }), 500);
+    };
+
+    return [
+        audit,
+        registry.onDidDispatch(dispatch => audit.recordRequest(dispatch)),
+        audit.onDidAppend(announceChange),
+        { dispose: () => clearTimeout(changeTimer) },
+
+        // Newest first, at most MAX_LISTED entries
+        registry.register('listActivity', async filter => {
+            const entries = await audit.read(filter, { limit: MAX_LISTED + 1 });
+            return {
+                truncated: entries.length > MAX_LISTED,
+                entries: entries.slice(-MAX_LISTED).reverse()
+            };
+        }, FILTER_PARAMS),
+
+        // New entries are announced with 'activityChanged' until the view unsubscribes
+        registry.register('subscribeActivity', (params, { endpoint }) => {
+            if (!subscribers.has(endpoint)) {
+                subscribers.set(endpoint, endpoint.onDidDispose(() => unsubscribe(endpoint)));
+            }
+        }),
+
+        registry.register('unsubscribeActivity', (params, { endpoint }) => {
+            unsubscribe(endpoint);
+        }),
+
+        registry.register('exportActivity', async (filter, { endpoint }) => {
+            const entries = await audit.read(filter);
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+            const folder = await getActiveWorkspaceFolder({ preferred: getScopeFolder(endpoint) });
+
+            const uri = await vscode.window.showSaveDialog({
+                defaultUri: folder ? vscode.Uri.joinPath(folder.uri, `learning-extension-activity-${stamp}.jsonl`) : undefined,
+                filters: { 'JSON Lines': ['jsonl'] },
+                saveLabel: 'Export Activity'
+            });
+            if (!uri) {
+                return { cancelled: true };
+            }
+
+            const content = entries.map(entry => JSON.stringify(entry)).join('\n');
+            await vscode.workspace.fs.writeFile(uri, Buffer.from(entries.length ? `${content}\n` : '', 'utf8'));
+            return { path: uri.fsPath, count: entries.length };
+        }, FILTER_PARAMS)
+    ];
+}
+
+module.exports = {
+    AuditLog,
+    registerAuditHandlers
+};
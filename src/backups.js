@@ -0,0 +1,406 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { RpcError, RpcErrorCode } = require('./rpc');
+const logger = require('./logger');
+
+/*
+ * Backups live in the extension's global storage, one folder per operation:
+ *
+ *   backups/2024-05-01T10-20-30-000Z-resetDeviceIdentifiers/
+ *       manifest.json   { id, operation, created, entries: [{ original, backup, kind, size }] }
+ *       0/storage.json  copy of the first touched path, and so on
+ *
+ * The CLI's cleanTelemetryData still leaves `<file>.backup.<ms>` copies next
+ * to the original; those are listed too, with a "sidecar:" id. They are often
+ * the only copy of the original file, so automatic pruning leaves them alone.
+ */
+
+const SIDECAR_PATTERN = /^(.+)\.backup\.(\d+)$/;
+
+// Backup ids are folder names, or "sidecar:" plus the sidecar file's path
+const BACKUP_ID = { type: 'string', minLength: 1, maxLength: 4200 };
+const BACKUP_PARAMS = {
+    type: 'object',
+    properties: { id: BACKUP_ID },
+    required: ['id'],
+    additionalProperties: false
+};
+
+async function sizeOf(target) {
+    const stat = await fs.promises.stat(target);
+    if (!stat.isDirectory()) {
+        return stat.size;
+    }
+    let total = 0;
+    for (const name of await fs.promises.readdir(target)) {
+        total += await sizeOf(path.join(target, name));
+    }
+    return total;
+}
+
+async function exists(target) {
+    try {
+        await fs.promises.access(target);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Replace `target` with a copy of `source` via a temporary sibling and renames,
+// so the original is never left half-written
+async function replaceAtomically(source, target) {
+    const temporary = `${target}.restore-${Date.now()}`;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.cp(source, temporary, { recursive: true });
+
+    const stat = await fs.promises.stat(temporary);
+    if (!stat.isDirectory() || !await exists(target)) {
+        await fs.promises.rename(temporary, target);
+        return;
+    }
+    // A directory cannot be renamed over another: move the old one aside first
+    const previous = `${temporary}.old`;
+    await fs.promises.rename(target, previous);
+    await fs.promises.rename(temporary, target);
+    await fs.promises.rm(previous, { recursive: true, force: true });
+}
+
+class BackupStore {
+    /**
+     * @param {vscode.Uri} storageUri the extension's globalStorageUri
+     * @param {string[]} [sidecarDirectories] folders to search for CLI `.backup.<ms>` copies
+     */
+    constructor(storageUri, sidecarDirectories = []) {
+        this.root = path.join(storageUri.fsPath, 'backups');
+        this._sidecarDirectories = sidecarDirectories;
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    /**
+     * Copy every existing path into a new timestamped backup
+     * @param {string} operation name recorded in the manifest
+     * @param {string[]} paths files or directories about to be changed
+     */
+    async create(operation, paths) {
+        const manifest = await this._write(operation, paths);
+        this._onDidChange.fire();
+        return manifest;
+    }
+
+    /**
+     * Every backup, newest first. Entries carry an absolute `backupPath`.
+     */
+    async list() {
+        const backups = [];
+
+        let ids = [];
+        try {
+            ids = await fs.promises.readdir(this.root);
+        } catch (error) {
+            // No backup has been made yet
+        }
+        for (const id of ids) {
+            const directory = path.join(this.root, id);
+            try {
+                const manifest = JSON.parse(await fs.promises.readFile(path.join(directory, 'manifest.json'), 'utf8'));
+                backups.push({
+                    ...manifest,
+                    directory,
+                    entries: manifest.entries.map(entry => ({
+                        ...entry,
+                        backupPath: path.join(directory, entry.backup)
+                    }))
+                });
+            } catch (error) {
+                // Not a backup folder (or an interrupted one): leave it alone
+            }
+        }
+
+        backups.push(...await this._listSidecars());
+        return backups.sort((a, b) => b.created.localeCompare(a.created));
+    }
+
+    /**
+     * How much a backup of `paths` would take; missing paths count as nothing
+     * @param {string[]} paths
+     * @returns {Promise<number>} bytes
+     */
+    async measure(paths) {
+        let total = 0;
+        for (const target of paths) {
+            try {
+                total += await sizeOf(target);
+            } catch (error) {
+                // Nothing to back up for a path that does not exist
+            }
+        }
+        return total;
+    }
+
+    async get(id) {
+        const backup = (await this.list()).find(candidate => candidate.id === id);
+        if (!backup) {
+            throw new RpcError(RpcErrorCode.InvalidRequest, `Unknown backup: ${id}`);
+        }
+        return backup;
+    }
+
+    /**
+     * Put every path of a backup back in place. The current versions are
+     * backed up first, so a restore can itself be undone.
+     */
+    async restore(id) {
+        const backup = await this.get(id);
+        const safety = await this._write(`restore-${backup.operation}`, backup.entries.map(entry => entry.original));
+        for (const entry of backup.entries) {
+            await replaceAtomically(entry.backupPath, entry.original);
+        }
+        this._onDidChange.fire();
+        return { restored: backup.entries.map(entry => entry.original), backup: safety.directory };
+    }
+
+    async delete(id) {
+        const backup = await this.get(id);
+        if (backup.sidecar) {
+            await fs.promises.rm(backup.entries[0].backupPath, { force: true });
+        } else {
+            await fs.promises.rm(backup.directory, { recursive: true, force: true });
+        }
+        this._onDidChange.fire();
+    }
+
+    /**
+     * Backups beyond the newest `maxCount` or older than `maxAgeDays` (0 keeps all).
+     * CLI sidecars only count with `includeSidecars`.
+     */
+    async expired({ maxCount, maxAgeDays }, { includeSidecars = false } = {}) {
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+        const backups = (await this.list()).filter(backup => includeSidecars || !backup.sidecar);
+        return backups.filter((backup, index) =>
+            (maxCount > 0 && index >= maxCount) || Date.parse(backup.created) < cutoff
+        );
+    }
+
+    /**
+     * Delete the backups `expired` returns
+     * @returns {Promise<string[]>} ids of the deleted backups
+     */
+    async prune(retention, options) {
+        const expired = await this.expired(retention, options);
+        for (const backup of expired) {
+            await this.delete(backup.id);
+        }
+        return expired.map(backup => backup.id);
+    }
+
+    dispose() {
+        this._onDidChange.dispose();
+    }
+
+    async _write(operation, paths) {
+        const created = new Date().toISOString();
+        const { id, directory } = await this._createDirectory(`${created.replace(/[:.]/g, '-')}-${operation}`);
+
+        try {
+            const entries = [];
+            for (const original of paths) {
+                let stat;
+                try {
+                    stat = await fs.promises.stat(original);
+                } catch (error) {
+                    // Nothing to back up for a path that does not exist yet
+                    continue;
+                }
+
+                const backup = path.join(String(entries.length), path.basename(original));
+                await fs.promises.cp(original, path.join(directory, backup), { recursive: true });
+                entries.push({
+                    original,
+                    backup,
+                    kind: stat.isDirectory() ? 'directory' : 'file',
+                    size: await sizeOf(original)
+                });
+            }
+
+            const manifest = { id, operation, created, entries };
+            await fs.promises.writeFile(path.join(directory, 'manifest.json'), JSON.stringify(manifest, null, 2));
+            return { ...manifest, directory };
+        } catch (error) {
+            // Without a manifest the folder is neither listed nor pruned
+            await fs.promises.rm(directory, { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    // Claim a new folder named `name`, or `name-2`, `name-3`... when two
+    // backups of one operation start in the same millisecond
+    async _createDirectory(name) {
+        await fs.promises.mkdir(this.root, { recursive: true });
+        for (let attempt = 1; ; attempt++) {
+            const id = attempt === 1 ? name : `${name}-${attempt}`;
+            const directory = path.join(this.root, id);
+            try {
+                await fs.promises.mkdir(directory);
+                return { id, directory };
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async _listSidecars() {
+        const backups = [];
+        for (const directory of new Set(this._sidecarDirectories)) {
+            let names = [];
+            try {
+                names = await fs.promises.readdir(directory);
+            } catch (error) {
+                continue;
+            }
+            for (const name of names) {
+                const match = SIDECAR_PATTERN.exec(name);
+                if (!match) {
+                    continue;
+                }
+                const backupPath = path.join(directory, name);
+                backups.push({
+                    id: `sidecar:${backupPath}`,
+                    operation: 'cleanTelemetryData',
+                    created: new Date(Number(match[2])).toISOString(),
+                    sidecar: true,
+                    entries: [{
+                        original: path.join(directory, match[1]),
+                        backupPath,
+                        kind: 'file',
+                        size: (await fs.promises.stat(backupPath)).size
+                    }]
+                });
+            }
+        }
+        return backups;
+    }
+}
+
+function retentionSettings() {
+    const config = vscode.workspace.getConfiguration('learningExtension');
+    return {
+        maxCount: config.get('backups.maxCount', 20),
+        maxAgeDays: config.get('backups.maxAgeDays', 30)
+    };
+}
+
+/**
+ * Register the backup browser handlers: list, compare, restore, delete and prune
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @param {BackupStore} backups
+ * @returns {vscode.Disposable[]}
+ */
+function registerBackupHandlers(registry, backups) {
+    // Apply the retention rules on startup and after every new backup,
+    // leaving the CLI's sidecars to an explicit prune
+    let pruning = false;
+    const autoPrune = () => {
+        if (pruning) {
+            return;
+        }
+        pruning = true;
+        backups.prune(retentionSettings()).catch(error => {
+            logger.warn('Automatic backup pruning failed:', error);
+        }).finally(() => {
+            pruning = false;
+        });
+    };
+    autoPrune();
+
+    return [
+        backups,
+
+        backups.onDidChange(() => {
+            registry.broadcast('backupsChanged');
+            autoPrune();
+        }),
+
+        registry.register('listBackups', () => backups.list()),
+
+        // Diff a backed-up file against the file as it is now
+        registry.register('compareBackup', async ({ id, index = 0 }) => {
+            const entry = (await backups.get(id)).entries[index];
+            if (!entry || entry.kind !== 'file') {
+                throw new RpcError(RpcErrorCode.InvalidRequest, 'Only backed-up files can be compared');
+            }
+            const backupUri = vscode.Uri.file(entry.backupPath);
+            if (!await exists(entry.original)) {
+                await vscode.window.showTextDocument(backupUri, { preview: true });
+                return { originalMissing: true };
+            }
+            await vscode.commands.executeCommand(
+                'vscode.diff',
+                backupUri,
+                vscode.Uri.file(entry.original),
+                `${path.basename(entry.original)}: backup ↔ current`,
+                { preview: true }
+            );
+            return { originalMissing: false };
+        }, {
+            type: 'object',
+            properties: { id: BACKUP_ID, index: { type: 'integer', minimum: 0 } },
+            required: ['id'],
+            additionalProperties: false
+        }),
+
+        registry.register('restoreBackup', async ({ id }) => {
+            const backup = await backups.get(id);
+            const choice = await vscode.window.showWarningMessage(
+                `Restore ${backup.entries.length} path${backup.entries.length === 1 ? '' : 's'} from the backup of ${new Date(backup.created).toLocaleString()}?`,
+                {
+                    modal: true,
+                    detail: backup.entries.map(entry => entry.original).join('\n') +
+                        '\n\nThe current versions are backed up first.'
+                },
+                'Restore'
+            );
+            if (choice !== 'Restore') {
+                return { cancelled: true };
+            }
+            const result = await backups.restore(id);
+            vscode.window.showInformationMessage(`Restored ${result.restored.length} paths from backup`);
+            return result;
+        }, BACKUP_PARAMS),
+
+        registry.register('deleteBackup', ({ id }) => backups.delete(id), BACKUP_PARAMS),
+
+        // Sidecars the retention rules cover are only deleted once confirmed
+        registry.register('pruneBackups', async () => {
+            const retention = retentionSettings();
+            const sidecars = (await backups.expired(retention, { includeSidecars: true })).filter(backup => backup.sidecar);
+            let includeSidecars = false;
+            if (sidecars.length > 0) {
+                const choice = await vscode.window.showWarningMessage(
+                    `The retention settings also cover ${sidecars.length} backup${sidecars.length === 1 ? '' : 's'} the CLI left next to the original files. Delete ${sidecars.length === 1 ? 'it' : 'them'} too?`,
+                    {
+                        modal: true,
+                        detail: sidecars.map(backup => backup.entries[0].backupPath).join('\n') +
+                            '\n\nThese copies are often the only one of the original state.vscdb.'
+                    },
+                    'Delete Them Too',
+                    'Keep Them'
+                );
+                if (!choice) {
+                    return { cancelled: true, deleted: [] };
+                }
+                includeSidecars = choice === 'Delete Them Too';
+            }
+            return { deleted: await backups.prune(retention, { includeSidecars }) };
+        })
+    ];
+}
+
+module.exports = {
+    BackupStore,
+    registerBackupHandlers
+};
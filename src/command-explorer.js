@@ -0,0 +1,139 @@
+const vscode = require('vscode');
+const { RpcError, RpcErrorCode } = require('./rpc');
+
+const HISTORY_KEY = 'learningExtension.commandHistory';
+const MAX_HISTORY = 50;
+
+// Convert a command result into plain JSON: Uris become strings, cycles and functions are dropped
+function toSerializable(value) {
+    const seen = new WeakSet();
+    const text = JSON.stringify(value, function (key, current) {
+        const original = this[key];
+        if (original instanceof vscode.Uri) {
+            return original.toString();
+        }
+        if (typeof current === 'bigint') {
+            return current.toString();
+        }
+        if (typeof current === 'function') {
+            return undefined;
+        }
+        if (current && typeof current === 'object') {
+            if (seen.has(current)) {
+                return '[Circular]';
+            }
+            seen.add(current);
+        }
+        return current;
+    });
+    return text === undefined ? null : JSON.parse(text);
+}
+
+/**
+ * Group every registered command by the extension that contributes it.
+ * Commands without a contribution are grouped by their id prefix as built-ins.
+ */
+async function listCommandGroups() {
+    const ids = await vscode.commands.getCommands(true);
+    const contributed = new Map();
+
+    for (const extension of vscode.extensions.all) {
+        const manifest = extension.packageJSON || {};
+        const commands = (manifest.contributes && manifest.contributes.commands) || [];
+        const label = manifest.displayName || manifest.name || extension.id;
+        for (const command of commands) {
+            contributed.set(command.command, {
+                group: `${label} (${extension.id})`,
+                title: command.category ? `${command.category}: ${command.title}` : command.title
+            });
+        }
+    }
+
+    const groups = new Map();
+    for (const id of ids) {
+        const contribution = contributed.get(id);
+        const group = contribution ? contribution.group : `Built-in: ${id.split('.')[0]}`;
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+        groups.get(group).push({ id, title: contribution ? contribution.title : undefined });
+    }
+
+    return Array.from(groups, ([group, commands]) => ({
+        group,
+        commands: commands.sort((a, b) => a.id.localeCompare(b.id))
+    })).sort((a, b) => a.group.localeCompare(b.group));
+}
+
+function parseArgs(argsText) {
+    if (!argsText || !argsText.trim()) {
+        return [];
+    }
+    let args;
+    try {
+        args = JSON.parse(argsText);
+    } catch (error) {
+        throw new RpcError(RpcErrorCode.InvalidRequest, `Arguments are not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(args)) {
+        throw new RpcError(RpcErrorCode.InvalidRequest, 'Arguments must be a JSON array, e.g. ["value", 2]');
+    }
+    return args;
+}
+
+/**
+ * Register the command explorer handlers
+ * @param {vscode.ExtensionContext} context
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {vscode.Disposable[]}
+ */
+function registerCommandExplorerHandlers(context, registry) {
+    const getHistory = () => context.globalState.get(HISTORY_KEY, []);
+
+    async function record(entry) {
+        const history = [entry].concat(getHistory()).slice(0, MAX_HISTORY);
+        await context.globalState.update(HISTORY_KEY, history);
+        registry.broadcast('commandHistory', history);
+    }
+
+    return [
+        registry.register('listCommands', () => listCommandGroups()),
+
+        registry.register('runCommand', async ({ command, argsText }) => {
+            if (typeof command !== 'string' || !command.trim()) {
+                throw new RpcError(RpcErrorCode.InvalidRequest, 'A command id is required');
+            }
+            const args = parseArgs(argsText);
+            const started = Date.now();
+            const entry = { command, argsText: argsText || '', time: new Date().toISOString() };
+
+            try {
+                const result = toSerializable(await vscode.commands.executeCommand(command, ...args));
+                await record({ ...entry, ok: true });
+                return { command, result, durationMs: Date.now() - started };
+            } catch (error) {
+                await record({ ...entry, ok: false, error: error.message });
+                throw error;
+            }
+        }, {
+            type: 'object',
+            properties: {
+                command: { type: 'string', minLength: 1, maxLength: 200 },
+                argsText: { type: 'string', maxLength: 10000 }
+            },
+            required: ['command'],
+            additionalProperties: false
+        }),
+
+        registry.register('getCommandHistory', () => getHistory()),
+
+        registry.register('clearCommandHistory', async () => {
+            await context.globalState.update(HISTORY_KEY, []);
+            registry.broadcast('commandHistory', []);
+        })
+    ];
+}
+
+module.exports = {
+    registerCommandExplorerHandlers
+};
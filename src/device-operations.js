@@ -0,0 +1,192 @@
+const vscode = require('vscode');
+const path = require('path');
+const logger = require('./logger');
+
+const PLAN_SCHEME = 'learning-plan';
+const MAX_LISTED_PATHS = 15;
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// Serves the proposed contents of planned writes to the diff editor
+class PlanContentProvider {
+    constructor() {
+        this._contents = new Map();
+    }
+
+    add(uri, content) {
+        this._contents.set(uri.toString(), content);
+    }
+
+    delete(uri) {
+        this._contents.delete(uri.toString());
+    }
+
+    provideTextDocumentContent(uri) {
+        return this._contents.get(uri.toString()) || '';
+    }
+}
+
+/**
+ * Runs VSCodeDeviceManager plans safely: preview every change, ask in a
+ * modal, back up the touched paths, and only then apply the plan.
+ */
+class DeviceOperationRunner {
+    /**
+     * @param {import('../vscode-device-cleaner')} deviceManager
+     * @param {import('./backups').BackupStore} backups
+     */
+    constructor(deviceManager, backups) {
+        this._deviceManager = deviceManager;
+        this._backups = backups;
+        this._provider = new PlanContentProvider();
+        this._nextId = 1;
+        this._registration = vscode.workspace.registerTextDocumentContentProvider(PLAN_SCHEME, this._provider);
+    }
+
+    /**
+     * @param {{ operation: string, changes: object[] }} plan
+     * @param {{ title: string, confirmLabel: string }} options
+     * @returns {Promise<{ cancelled?: boolean, empty?: boolean, backup?: object, changes: object[] }>}
+     */
+    async run(plan, { title, confirmLabel }) {
+        const changes = plan.changes.map(change => ({ type: change.type, path: change.path }));
+        if (changes.length === 0) {
+            return { empty: true, changes };
+        }
+
+        const previews = await this._showDiffs(plan);
+        try {
+            const backupSize = await this._backups.measure(changes.map(change => change.path));
+            const choice = await vscode.window.showWarningMessage(title, {
+                modal: true,
+                detail: this._describe(plan, backupSize)
+            }, confirmLabel);
+            if (choice !== confirmLabel) {
+                logger.info(`${plan.operation} cancelled`);
+                return { cancelled: true, changes };
+            }
+
+            const backup = await this._backups.create(plan.operation, changes.map(change => change.path));
+            logger.info(`Backed up ${backup.entries.length} paths to ${backup.directory}`);
+            this._deviceManager.applyPlan(plan);
+            return { backup, changes };
+        } finally {
+            // The previews would show nothing once their content is gone
+            await this._closeDiffs(previews);
+            previews.forEach(uri => this._provider.delete(uri));
+        }
+    }
+
+    dispose() {
+        this._registration.dispose();
+    }
+
+    // Open a diff of every planned write: file on disk ↔ proposed content
+    async _showDiffs(plan) {
+        const uris = [];
+        for (const change of plan.changes.filter(candidate => candidate.type === 'write')) {
+            const proposed = vscode.Uri.from({
+                scheme: PLAN_SCHEME,
+                path: `/${this._nextId++}/${path.basename(change.path)}`
+            });
+            this._provider.add(proposed, change.after);
+            uris.push(proposed);
+            await vscode.commands.executeCommand(
+                'vscode.diff',
+                vscode.Uri.file(change.path),
+                proposed,
+                `${path.basename(change.path)}: current ↔ planned (${plan.operation})`,
+                { preview: true }
+            );
+        }
+        return uris;
+    }
+
+    async _closeDiffs(uris) {
+        const previews = new Set(uris.map(uri => uri.toString()));
+        const tabs = vscode.window.tabGroups.all
+            .flatMap(group => group.tabs)
+            .filter(tab => tab.input instanceof vscode.TabInputTextDiff && previews.has(tab.input.modified.toString()));
+        if (tabs.length === 0) {
+            return;
+        }
+        try {
+            await vscode.window.tabGroups.close(tabs, true);
+        } catch (error) {
+            logger.warn('Could not close the plan previews:', error);
+        }
+    }
+
+    _describe(plan, backupSize) {
+        const lines = [];
+        const writes = plan.changes.filter(change => change.type === 'write');
+        const deletes = plan.changes.filter(change => change.type === 'delete');
+
+        if (writes.length > 0) {
+            lines.push('Will modify (see the diff editor):');
+            writes.forEach(change => lines.push(`  ${change.path}`));
+        }
+        if (deletes.length > 0) {
+            lines.push(`Will delete ${deletes.length} path${deletes.length === 1 ? '' : 's'}:`);
+            deletes.slice(0, MAX_LISTED_PATHS).forEach(change => lines.push(`  ${change.path}`));
+            if (deletes.length > MAX_LISTED_PATHS) {
+                lines.push(`  …and ${deletes.length - MAX_LISTED_PATHS} more`);
+            }
+        }
+        lines.push('', `A backup (${formatBytes(backupSize)}) is kept in the extension's storage before anything changes.`);
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Register the handlers that change device files, all going through a DeviceOperationRunner
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @param {import('../vscode-device-cleaner')} deviceManager
+ * @param {DeviceOperationRunner} runner
+ * @returns {vscode.Disposable[]}
+ */
+function registerDeviceOperationHandlers(registry, deviceManager, runner) {
+    return [
+        registry.register('resetDeviceIds', async () => {
+            try {
+                logger.info('Planning device identifier reset...');
+                const plan = deviceManager.planResetDeviceIdentifiers();
+                const outcome = await runner.run(plan, {
+                    title: 'Reset the VS Code device identifiers?',
+                    confirmLabel: 'Reset'
+                });
+
+                if (outcome.cancelled) {
+                    return { cancelled: true };
+                }
+                if (outcome.empty) {
+                    const message = 'No storage file was found, so there are no device identifiers to reset';
+                    vscode.window.showWarningMessage(message);
+                    return { message: message, timestamp: new Date().toISOString() };
+                }
+
+                logger.debug('Reset result:', plan.identifiers);
+                vscode.window.showInformationMessage('Device identifiers reset successfully!');
+                return { ...plan.identifiers, backup: outcome.backup.directory };
+            } catch (error) {
+                logger.error('Error resetting device IDs:', error);
+                vscode.window.showErrorMessage(`Error resetting device IDs: ${error.message}`);
+                throw error;
+            }
+        })
+    ];
+}
+
+module.exports = {
+    DeviceOperationRunner,
+    registerDeviceOperationHandlers
+};
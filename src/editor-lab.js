@@ -0,0 +1,443 @@
+const vscode = require('vscode');
+const { RpcError, RpcErrorCode } = require('./rpc');
+const { resolveWorkspacePath, getScopeFolder } = require('./workspace-files');
+const logger = require('./logger');
+
+/*
+ * Handlers behind the Editor Lab. Subscribed webviews follow the text editor
+ * the user last worked in: its document, selections and visible ranges, sent
+ * as 'editorState' events whenever they change. The lab can insert snippets
+ * at the cursor, apply a WorkspaceEdit across files and decorate text.
+ *
+ * Focusing the webview clears window.activeTextEditor, so the lab keeps track
+ * of the last text editor itself.
+ *
+ * Every change the lab makes goes onto its own undo stack: text edits keep a
+ * copy of each document they touch, decorations know how to take themselves
+ * off again (or put themselves back).
+ */
+
+// State is sent to subscribed webviews at most this often
+const STATE_INTERVAL = 100;
+const MAX_UNDO = 20;
+const MAX_SELECTION_TEXT = 200;
+
+const POSITION = {
+    type: 'object',
+    properties: {
+        line: { type: 'integer', minimum: 0 },
+        character: { type: 'integer', minimum: 0 }
+    },
+    required: ['line', 'character'],
+    additionalProperties: false
+};
+
+// Goes into the editor's stylesheet, so nothing that could end the declaration
+const CSS_VALUE = { type: 'string', maxLength: 100, pattern: '^[^;{}<>]*$' };
+
+const DECORATION_STYLE = {
+    type: 'object',
+    properties: {
+        backgroundColor: CSS_VALUE,
+        color: CSS_VALUE,
+        border: CSS_VALUE,
+        fontStyle: { enum: ['normal', 'italic'] },
+        fontWeight: { enum: ['normal', 'bold'] },
+        textDecoration: CSS_VALUE,
+        afterText: { type: 'string', maxLength: 100 }
+    },
+    additionalProperties: false
+};
+
+function toPosition(position) {
+    return { line: position.line, character: position.character };
+}
+
+function toRange(range) {
+    return { start: toPosition(range.start), end: toPosition(range.end) };
+}
+
+function truncate(text) {
+    return text.length > MAX_SELECTION_TEXT ? `${text.slice(0, MAX_SELECTION_TEXT)}…` : text;
+}
+
+function sameDocument(editor, uri) {
+    return editor.document.uri.toString() === uri.toString();
+}
+
+// Options for createTextEditorDecorationType from the lab's style form
+function decorationOptions({ afterText, ...style }, wholeLine) {
+    const options = { ...style, isWholeLine: wholeLine, rangeBehavior: vscode.DecorationRangeBehavior.ClosedClosed };
+    if (style.backgroundColor) {
+        options.overviewRulerColor = style.backgroundColor;
+        options.overviewRulerLane = vscode.OverviewRulerLane.Right;
+    }
+    if (afterText) {
+        options.after = { contentText: afterText, color: style.color, margin: '0 0 0 1em' };
+    }
+    return options;
+}
+
+class EditorLab {
+    constructor() {
+        this._editor = vscode.window.activeTextEditor;
+        this._subscribers = new Map();
+        this._decorations = new Map();
+        this._nextDecorationId = 1;
+        this._undoStack = [];
+        this._stateTimer = undefined;
+
+        this._disposables = [
+            vscode.window.onDidChangeActiveTextEditor(editor => {
+                // Undefined whenever a webview or panel takes focus: keep the last editor
+                if (editor) {
+                    this._editor = editor;
+                    this._scheduleState();
+                }
+            }),
+            vscode.window.onDidChangeVisibleTextEditors(editors => {
+                if (this._editor && !editors.includes(this._editor)) {
+                    this._editor = vscode.window.activeTextEditor || editors[0];
+                }
+                // A document shown again gets a new editor without our decorations
+                this._decorations.forEach(record => this._applyDecoration(record));
+                this._scheduleState();
+            }),
+            vscode.window.onDidChangeTextEditorSelection(event => this._editorChanged(event.textEditor)),
+            vscode.window.onDidChangeTextEditorVisibleRanges(event => this._editorChanged(event.textEditor)),
+            vscode.workspace.onDidChangeTextDocument(event => {
+                if (this._editor && event.document === this._editor.document) {
+                    this._scheduleState();
+                }
+            })
+        ];
+    }
+
+    /**
+     * What the webview shows: the tracked editor (or null), the lab's
+     * decorations and the next change Undo would revert
+     */
+    getState() {
+        const editor = this._editor;
+        const top = this._undoStack[this._undoStack.length - 1];
+        return {
+            editor: editor ? this._describeEditor(editor) : null,
+            decorations: Array.from(this._decorations.values()).map(record => ({
+                id: record.id,
+                path: vscode.workspace.asRelativePath(record.uri),
+                ranges: record.ranges.map(toRange),
+                wholeLine: record.wholeLine,
+                style: record.style
+            })),
+            undo: top ? top.label : null
+        };
+    }
+
+    subscribe(endpoint) {
+        if (!this._subscribers.has(endpoint)) {
+            this._subscribers.set(endpoint, endpoint.onDidDispose(() => this.unsubscribe(endpoint)));
+        }
+        return this.getState();
+    }
+
+    unsubscribe(endpoint) {
+        const subscription = this._subscribers.get(endpoint);
+        if (subscription) {
+            subscription.dispose();
+            this._subscribers.delete(endpoint);
+        }
+    }
+
+    /**
+     * Insert a snippet at every cursor of the tracked editor
+     * @param {string} snippet snippet syntax: $1, ${2:default}, $TM_FILENAME, ...
+     */
+    async insertSnippet(snippet) {
+        const editor = this._requireEditor();
+        const path = vscode.workspace.asRelativePath(editor.document.uri);
+        await this._recordEdit(`Insert snippet in ${path}`, [editor.document], () =>
+            editor.insertSnippet(new vscode.SnippetString(snippet))
+        );
+        return { path, cursors: editor.selections.length };
+    }
+
+    /**
+     * Apply one WorkspaceEdit built from insertions (no `end`) and
+     * replacements, each in a file inside the workspace
+     * @param {{ path: string, start: vscode.Position, end?: vscode.Position, text: string }[]} edits
+     * @param {vscode.WorkspaceFolder} [folder] relative paths start here, e.g. the panel's folder
+     */
+    async applyWorkspaceEdit(edits, folder) {
+        if (edits.length === 0) {
+            throw new RpcError(RpcErrorCode.InvalidRequest, 'Add at least one edit');
+        }
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        const documents = new Map();
+        for (const edit of edits) {
+            const uri = await resolveWorkspacePath(edit.path, folder);
+            if (!documents.has(uri.toString())) {
+                documents.set(uri.toString(), await vscode.workspace.openTextDocument(uri));
+            }
+            const start = new vscode.Position(edit.start.line, edit.start.character);
+            if (edit.end) {
+                workspaceEdit.replace(uri, new vscode.Range(start, new vscode.Position(edit.end.line, edit.end.character)), edit.text);
+            } else {
+                workspaceEdit.insert(uri, start, edit.text);
+            }
+        }
+
+        const files = Array.from(documents.values()).map(document => vscode.workspace.asRelativePath(document.uri));
+        const label = `Apply ${edits.length} edit${edits.length === 1 ? '' : 's'} to ${files.join(', ')}`;
+        await this._recordEdit(label, Array.from(documents.values()), () => vscode.workspace.applyEdit(workspaceEdit));
+        return { files, edits: edits.length };
+    }
+
+    /**
+     * Decorate the tracked editor's selections; an empty selection decorates its line
+     * @param {object} style see DECORATION_STYLE
+     * @param {boolean} wholeLine
+     */
+    addDecoration(style, wholeLine) {
+        const editor = this._requireEditor();
+        const document = editor.document;
+        const ranges = editor.selections.map(selection => selection.isEmpty ? document.lineAt(selection.active.line).range : selection);
+        const record = {
+            id: `decoration-${this._nextDecorationId++}`,
+            uri: document.uri,
+            ranges: ranges.map(range => new vscode.Range(range.start, range.end)),
+            wholeLine,
+            style,
+            type: undefined
+        };
+
+        this._showDecoration(record);
+        this._pushUndo(`Add ${record.id}`, () => this._hideDecoration(record));
+        logger.info(`Editor lab: added ${record.id} to ${vscode.workspace.asRelativePath(record.uri)}`, style);
+        return { id: record.id, ranges: record.ranges.length };
+    }
+
+    removeDecoration(id) {
+        const record = this._decorations.get(id);
+        if (!record) {
+            throw new RpcError(RpcErrorCode.InvalidRequest, `Unknown decoration: ${id}`);
+        }
+        this._hideDecoration(record);
+        this._pushUndo(`Remove ${id}`, () => this._showDecoration(record));
+        logger.info(`Editor lab: removed ${id}`);
+    }
+
+    clearDecorations() {
+        const records = Array.from(this._decorations.values());
+        if (records.length === 0) {
+            return { removed: 0 };
+        }
+        records.forEach(record => this._hideDecoration(record));
+        this._pushUndo(`Remove ${records.length} decoration${records.length === 1 ? '' : 's'}`,
+            () => records.forEach(record => this._showDecoration(record)));
+        logger.info(`Editor lab: removed ${records.length} decorations`);
+        return { removed: records.length };
+    }
+
+    /**
+     * Revert the lab's most recent change
+     * @returns {Promise<{ undone: string }>}
+     */
+    async undo() {
+        const entry = this._undoStack.pop();
+        if (!entry) {
+            throw new RpcError(RpcErrorCode.InvalidRequest, 'Nothing to undo');
+        }
+        try {
+            await entry.undo();
+        } finally {
+            this._scheduleState();
+        }
+        logger.info(`Editor lab: undid "${entry.label}"`);
+        return { undone: entry.label };
+    }
+
+    dispose() {
+        clearTimeout(this._stateTimer);
+        this._decorations.forEach(record => record.type.dispose());
+        this._decorations.clear();
+        this._subscribers.forEach(subscription => subscription.dispose());
+        this._subscribers.clear();
+        this._disposables.forEach(disposable => disposable.dispose());
+    }
+
+    _describeEditor(editor) {
+        const document = editor.document;
+        return {
+            uri: document.uri.toString(),
+            path: vscode.workspace.asRelativePath(document.uri),
+            fileName: document.fileName,
+            languageId: document.languageId,
+            version: document.version,
+            lineCount: document.lineCount,
+            isDirty: document.isDirty,
+            viewColumn: editor.viewColumn,
+            selections: editor.selections.map(selection => ({
+                anchor: toPosition(selection.anchor),
+                active: toPosition(selection.active),
+                isEmpty: selection.isEmpty,
+                text: truncate(document.getText(selection))
+            })),
+            visibleRanges: editor.visibleRanges.map(toRange)
+        };
+    }
+
+    _requireEditor() {
+        if (!this._editor) {
+            throw new RpcError(RpcErrorCode.InvalidRequest, 'Open a file in a text editor first');
+        }
+        return this._editor;
+    }
+
+    _editorChanged(editor) {
+        if (editor === this._editor) {
+            this._scheduleState();
+        }
+    }
+
+    _scheduleState() {
+        if (this._subscribers.size === 0 || this._stateTimer) {
+            return;
+        }
+        this._stateTimer = setTimeout(() => {
+            this._stateTimer = undefined;
+            const state = this.getState();
+            this._subscribers.forEach((subscription, endpoint) => endpoint.notify('editorState', state));
+        }, STATE_INTERVAL);
+    }
+
+    _pushUndo(label, undo) {
+        this._undoStack.push({ label, undo });
+        if (this._undoStack.length > MAX_UNDO) {
+            this._undoStack.shift();
+        }
+        this._scheduleState();
+    }
+
+    // Copy the documents, make the edit and keep the copies for undo
+    async _recordEdit(label, documents, apply) {
+        const copies = documents.map(document => ({ document, text: document.getText() }));
+        if (!await apply()) {
+            throw new RpcError(RpcErrorCode.HandlerError, `VS Code did not apply the edit: ${label}`);
+        }
+        copies.forEach(copy => {
+            copy.version = copy.document.version;
+        });
+        this._pushUndo(label, () => this._restoreDocuments(copies));
+        logger.info(`Editor lab: ${label}`);
+    }
+
+    // Put documents back as they were, unless they changed after the lab's edit
+    async _restoreDocuments(copies) {
+        const changed = copies.find(copy => copy.document.isClosed || copy.document.version !== copy.version);
+        if (changed) {
+            throw new RpcError(RpcErrorCode.InvalidRequest,
+                `${vscode.workspace.asRelativePath(changed.document.uri)} has changed since; use Undo in the editor instead`);
+        }
+
+        const edit = new vscode.WorkspaceEdit();
+        copies.forEach(({ document, text }) => {
+            const all = new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length));
+            edit.replace(document.uri, all, text);
+        });
+        if (!await vscode.workspace.applyEdit(edit)) {
+            throw new RpcError(RpcErrorCode.HandlerError, 'VS Code did not apply the undo');
+        }
+    }
+
+    _showDecoration(record) {
+        record.type = vscode.window.createTextEditorDecorationType(decorationOptions(record.style, record.wholeLine));
+        this._decorations.set(record.id, record);
+        this._applyDecoration(record);
+        this._scheduleState();
+    }
+
+    _hideDecoration(record) {
+        // Disposing the type takes it off every editor
+        record.type.dispose();
+        this._decorations.delete(record.id);
+        this._scheduleState();
+    }
+
+    _applyDecoration(record) {
+        vscode.window.visibleTextEditors
+            .filter(editor => sameDocument(editor, record.uri))
+            .forEach(editor => editor.setDecorations(record.type, record.ranges));
+    }
+}
+
+/**
+ * Register the Editor Lab handlers
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {vscode.Disposable[]}
+ */
+function registerEditorLabHandlers(registry) {
+    const lab = new EditorLab();
+
+    return [
+        lab,
+
+        // Replies with the current state; changes follow as 'editorState' events
+        registry.register('subscribeEditorState', (params, { endpoint }) => lab.subscribe(endpoint)),
+
+        registry.register('unsubscribeEditorState', (params, { endpoint }) => {
+            lab.unsubscribe(endpoint);
+        }),
+
+        registry.register('insertSnippet', ({ snippet }) => lab.insertSnippet(snippet), {
+            type: 'object',
+            properties: { snippet: { type: 'string', minLength: 1, maxLength: 10000 } },
+            required: ['snippet'],
+            additionalProperties: false
+        }),
+
+        registry.register('applyWorkspaceEdit', ({ edits }, { endpoint }) => lab.applyWorkspaceEdit(edits, getScopeFolder(endpoint)), {
+            type: 'object',
+            properties: {
+                edits: {
+                    type: 'array',
+                    maxItems: 50,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            path: { type: 'string', minLength: 1, maxLength: 1000 },
+                            start: POSITION,
+                            end: POSITION,
+                            text: { type: 'string', maxLength: 10000 }
+                        },
+                        required: ['path', 'start', 'text'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['edits'],
+            additionalProperties: false
+        }),
+
+        registry.register('addDecoration', ({ style = {}, wholeLine = false }) => lab.addDecoration(style, wholeLine), {
+            type: 'object',
+            properties: { style: DECORATION_STYLE, wholeLine: { type: 'boolean' } },
+            additionalProperties: false
+        }),
+
+        registry.register('removeDecoration', ({ id }) => lab.removeDecoration(id), {
+            type: 'object',
+            properties: { id: { type: 'string', minLength: 1, maxLength: 100 } },
+            required: ['id'],
+            additionalProperties: false
+        }),
+
+        registry.register('clearDecorations', () => lab.clearDecorations()),
+
+        registry.register('undoEditorOperation', () => lab.undo())
+    ];
+}
+
+module.exports = {
+    EditorLab,
+    registerEditorLabHandlers
+};
@@ -0,0 +1,211 @@
+const vscode = require('vscode');
+const path = require('path');
+const { resolveWorkspacePath, isInsideWorkspace, pickFile, getActiveWorkspaceFolder, getScopeFolder } = require('./workspace-files');
+const logger = require('./logger');
+
+const MESSAGE_PARAMS = {
+    type: 'object',
+    properties: { text: { type: 'string', minLength: 1, maxLength: 1000 } },
+    required: ['text'],
+    additionalProperties: false
+};
+
+const OUTPUT_ENTRY = {
+    type: 'object',
+    properties: {
+        message: {},
+        type: { enum: ['info', 'success', 'warning', 'error'] },
+        timestamp: { type: 'string', maxLength: 100 },
+        time: { type: 'string', maxLength: 100 },
+        format: { type: 'string', maxLength: 100 }
+    },
+    required: ['message', 'type'],
+    additionalProperties: false
+};
+
+/**
+ * Register the built-in webview handlers (messages, workspace and device demos)
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @param {import('../vscode-device-cleaner')} deviceManager
+ * @returns {vscode.Disposable[]}
+ */
+function registerCoreHandlers(registry, deviceManager) {
+    return [
+        registry.register('showInfo', ({ text }) => {
+            vscode.window.showInformationMessage(text);
+        }, MESSAGE_PARAMS),
+
+        registry.register('showWarning', ({ text }) => {
+            vscode.window.showWarningMessage(text);
+        }, MESSAGE_PARAMS),
+
+        registry.register('showError', ({ text }) => {
+            vscode.window.showErrorMessage(text);
+        }, MESSAGE_PARAMS),
+
+        registry.register('getWorkspaceInfo', () => {
+            const workspaceFolders = vscode.workspace.workspaceFolders;
+            return workspaceFolders ?
+                workspaceFolders.map(folder => ({
+                    name: folder.name,
+                    uri: folder.uri.toString()
+                })) : [];
+        }),
+
+        registry.register('getCurrentDeviceInfo', async () => {
+            logger.info('Getting device info...');
+            const deviceInfo = await deviceManager.getCurrentDeviceInfo();
+            logger.debug('Device info result:', deviceInfo);
+
+            if (deviceInfo) {
+                return deviceInfo;
+            }
+
+            // Handle case where no device info is found: say why
+            const userData = deviceManager.getUserDataLocations();
+            const storageJson = userData.locations.storageJson;
+            return {
+                message: storageJson.found
+                    ? 'storage.json has no device identifiers'
+                    : storageJson.message,
+                storagePath: storageJson.path,
+                product: userData.product,
+                userDataPath: userData.userDataDir,
+                resolvedFrom: userData.source
+            };
+        }),
+
+        // Where the running editor keeps its data, and which profiles it has
+        registry.register('getUserDataLocations', () => deviceManager.getUserDataLocations()),
+
+        // Paths must resolve inside the open workspace folders; a panel
+        // opened for a folder resolves them from that folder
+        registry.register('openFile', async ({ path: filePath }, { endpoint }) => {
+            const folder = getScopeFolder(endpoint);
+            try {
+                // Without a path, let the user pick the file
+                const uri = filePath ? await resolveWorkspacePath(filePath, folder) : await pickFile(folder);
+                if (!uri) {
+                    return { cancelled: true };
+                }
+
+                const document = await vscode.workspace.openTextDocument(uri);
+                await vscode.window.showTextDocument(document);
+                return {
+                    path: uri.fsPath,
+                    name: path.basename(uri.fsPath),
+                    relativePath: vscode.workspace.asRelativePath(uri),
+                    // A picked file outside the workspace can't be reopened by its path
+                    reopenable: Boolean(filePath) || isInsideWorkspace(uri)
+                };
+            } catch (error) {
+                vscode.window.showErrorMessage(`Could not open file: ${error.message}`);
+                throw error;
+            }
+        }, {
+            type: 'object',
+            properties: { path: { type: 'string', minLength: 1, maxLength: 4096 } },
+            additionalProperties: false
+        })
+    ];
+}
+
+/**
+ * Keep the output log of the open webviews in sync. Views bound to the same
+ * scope share a log: the sidebar and the default panel, or every panel of
+ * one folder. The host holds each scope's history so a newly opened view can
+ * catch up.
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {vscode.Disposable[]}
+ */
+function registerOutputSyncHandlers(registry) {
+    // scope key -> entries
+    const histories = new Map();
+    const scopeKey = endpoint => (endpoint && endpoint.scope ? endpoint.scope.key : '');
+
+    return [
+        registry.register('syncOutput', (entry, { endpoint }) => {
+            const maxEntries = vscode.workspace.getConfiguration('learningExtension').get('output.maxEntries', 500);
+            const key = scopeKey(endpoint);
+            if (!histories.has(key)) {
+                histories.set(key, []);
+            }
+            const history = histories.get(key);
+            history.push(entry);
+            if (history.length > maxEntries) {
+                history.splice(0, history.length - maxEntries);
+            }
+            registry.broadcast('output', entry, { except: endpoint, where: other => scopeKey(other) === key });
+        }, OUTPUT_ENTRY),
+
+        registry.register('getOutputHistory', (params, { endpoint }) => histories.get(scopeKey(endpoint)) || [])
+    ];
+}
+
+// Render output log entries as a Markdown transcript
+function formatLogAsMarkdown(entries) {
+    const lines = [
+        '# Learning Extension Log',
+        '',
+        `Exported ${new Date().toISOString()} — ${entries.length} entries`,
+        ''
+    ];
+
+    entries.forEach(entry => {
+        const heading = `**[${entry.type}]** ${entry.time || entry.timestamp}`;
+        if (typeof entry.message === 'object') {
+            lines.push(`- ${heading}`, '', '  ```json');
+            JSON.stringify(entry.message, null, 2).split('\n').forEach(line => lines.push(`  ${line}`));
+            lines.push('  ```', '');
+        } else {
+            lines.push(`- ${heading} ${entry.message}`);
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Export a webview's output log to a Markdown or JSON file in the workspace
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {vscode.Disposable[]}
+ */
+function registerOutputExportHandlers(registry) {
+    return [
+        registry.register('exportOutputLog', async ({ format, entries = [] }, { endpoint }) => {
+            const markdown = format !== 'json';
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+            const fileName = `learning-extension-log-${stamp}.${markdown ? 'md' : 'json'}`;
+            const folder = await getActiveWorkspaceFolder({ preferred: getScopeFolder(endpoint) });
+
+            const uri = await vscode.window.showSaveDialog({
+                defaultUri: folder ? vscode.Uri.joinPath(folder.uri, fileName) : undefined,
+                filters: markdown ? { 'Markdown': ['md'] } : { 'JSON': ['json'] },
+                saveLabel: 'Export Log'
+            });
+            if (!uri) {
+                return { cancelled: true };
+            }
+
+            const content = markdown
+                ? formatLogAsMarkdown(entries)
+                : JSON.stringify({ exportedAt: new Date().toISOString(), entries }, null, 2);
+            await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+
+            return { path: uri.fsPath, count: entries.length };
+        }, {
+            type: 'object',
+            properties: {
+                format: { enum: ['markdown', 'json'] },
+                entries: { type: 'array', maxItems: 10000, items: OUTPUT_ENTRY }
+            },
+            additionalProperties: false
+        })
+    ];
+}
+
+module.exports = {
+    registerCoreHandlers,
+    registerOutputSyncHandlers,
+    registerOutputExportHandlers
+};
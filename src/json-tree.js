@@ -0,0 +1,173 @@
+/*
+ * JSON parser that keeps offsets, for pointing at a key or value in the
+ * text of a JSON file: revealing a storage.json key, or placing diagnostics
+ * and quick fixes in a package.json.
+ *
+ * Every node is { type, start, end } plus `members` for objects and arrays.
+ * A member is { key, keyStart, keyEnd, node }; array members have their
+ * index as key and no key offsets.
+ */
+
+class JsonSyntaxError extends SyntaxError {
+    constructor(message, offset) {
+        super(`${message} at offset ${offset}`);
+        this.name = 'JsonSyntaxError';
+        this.offset = offset;
+    }
+}
+
+const LITERALS = { true: 'boolean', false: 'boolean', null: 'null' };
+const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+// JSON.parse then checks the escapes and control characters
+const STRING = /"(?:[^"\\]|\\.)*"/y;
+
+/**
+ * @param {string} text
+ * @returns {{ type: string, start: number, end: number, members?: object[] }}
+ * @throws {JsonSyntaxError} with the offset of the first problem
+ */
+function parseJsonTree(text) {
+    let index = 0;
+
+    const skipWhitespace = () => {
+        while (index < text.length && ' \t\n\r'.includes(text[index])) {
+            index++;
+        }
+    };
+
+    const fail = expected => {
+        const found = index < text.length ? `'${text[index]}'` : 'end of file';
+        throw new JsonSyntaxError(`Expected ${expected} but found ${found}`, index);
+    };
+
+    const match = pattern => {
+        pattern.lastIndex = index;
+        const result = pattern.exec(text);
+        return result ? result[0] : undefined;
+    };
+
+    const parseString = () => {
+        const token = match(STRING);
+        if (token === undefined) {
+            fail('a string');
+        }
+        let value;
+        try {
+            value = JSON.parse(token);
+        } catch (error) {
+            fail('a valid string');
+        }
+        const start = index;
+        index += token.length;
+        return { type: 'string', start, end: index, value };
+    };
+
+    const parseContainer = (type, close, parseMember) => {
+        const node = { type, start: index, end: index, members: [] };
+        index++;
+        skipWhitespace();
+        if (text[index] === close) {
+            index++;
+            node.end = index;
+            return node;
+        }
+        for (;;) {
+            node.members.push(parseMember(node.members.length));
+            skipWhitespace();
+            if (text[index] === ',') {
+                index++;
+                skipWhitespace();
+            } else if (text[index] === close) {
+                index++;
+                node.end = index;
+                return node;
+            } else {
+                fail(`',' or '${close}'`);
+            }
+        }
+    };
+
+    const parseValue = () => {
+        skipWhitespace();
+        const char = text[index];
+        if (char === '{') {
+            return parseContainer('object', '}', () => {
+                const key = parseString();
+                skipWhitespace();
+                if (text[index] !== ':') {
+                    fail("':'");
+                }
+                index++;
+                return { key: key.value, keyStart: key.start, keyEnd: key.end, node: parseValue() };
+            });
+        }
+        if (char === '[') {
+            return parseContainer('array', ']', position => ({ key: position, node: parseValue() }));
+        }
+        if (char === '"') {
+            return parseString();
+        }
+        const number = match(NUMBER);
+        if (number) {
+            const start = index;
+            index += number.length;
+            return { type: 'number', start, end: index };
+        }
+        const literal = Object.keys(LITERALS).find(word => text.startsWith(word, index));
+        if (literal) {
+            const start = index;
+            index += literal.length;
+            return { type: LITERALS[literal], start, end: index };
+        }
+        return fail('a value');
+    };
+
+    const root = parseValue();
+    skipWhitespace();
+    if (index < text.length) {
+        fail('end of file');
+    }
+    return root;
+}
+
+/**
+ * The member at `segments` (object keys and array indexes) below `root`
+ * @returns {{ key, keyStart?, keyEnd?, node } | undefined}
+ */
+function findJsonMember(root, segments) {
+    let member = { key: undefined, node: root };
+    for (const segment of segments) {
+        member = member.node.members && member.node.members.find(candidate => candidate.key === segment);
+        if (!member) {
+            return undefined;
+        }
+    }
+    return member;
+}
+
+/**
+ * Find the key of the property at `segments` (object keys and array indexes)
+ * in a JSON text, or the item itself for array indexes. Returns `{ start, end }`
+ * offsets, or undefined.
+ */
+function locateJsonPath(text, segments) {
+    let member;
+    try {
+        member = findJsonMember(parseJsonTree(text), segments);
+    } catch (error) {
+        return undefined;
+    }
+    if (!member || segments.length === 0) {
+        return undefined;
+    }
+    return member.keyStart !== undefined
+        ? { start: member.keyStart, end: member.keyEnd }
+        : { start: member.node.start, end: member.node.end };
+}
+
+module.exports = {
+    JsonSyntaxError,
+    parseJsonTree,
+    findJsonMember,
+    locateJsonPath
+};
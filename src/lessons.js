@@ -0,0 +1,257 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const PROGRESS_KEY = 'learningExtension.lessonProgress';
+
+const LESSON_ID = { type: 'string', minLength: 1, maxLength: 100 };
+const LESSON_PARAMS = {
+    type: 'object',
+    properties: { lessonId: LESSON_ID },
+    required: ['lessonId'],
+    additionalProperties: false
+};
+
+/*
+ * Lessons are JSON files in the extension's lessons/ folder, loaded in file
+ * name order. Each step may have a "try it" action naming a registered
+ * handler, and a completion rule matched against real VS Code events:
+ *
+ *   { "event": "openDocument", "languageId": "json" }
+ *   { "event": "runHandler", "method": "showInfo" }
+ *
+ * Every key besides "event" must equal the matching fact of the event.
+ * Only the first unfinished step of a started lesson can complete.
+ */
+
+function documentFacts(document) {
+    return {
+        languageId: document.languageId,
+        fileName: path.basename(document.fileName),
+        scheme: document.uri.scheme
+    };
+}
+
+function matchesCompletion(completion, event, facts) {
+    if (!completion || completion.event !== event) {
+        return false;
+    }
+    return Object.keys(completion).every(key => {
+        if (key === 'event') {
+            return true;
+        }
+        if (key === 'section' && facts.affectsConfiguration) {
+            return facts.affectsConfiguration(completion.section);
+        }
+        return facts[key] === completion[key];
+    });
+}
+
+class LessonEngine {
+    /**
+     * @param {vscode.ExtensionContext} context
+     * @param {import('./rpc').RpcHandlerRegistry} registry
+     */
+    constructor(context, registry) {
+        this._context = context;
+        this._registry = registry;
+        this._lessons = [];
+        this.ready = this._load();
+    }
+
+    get lessons() {
+        return this._lessons;
+    }
+
+    getLesson(lessonId) {
+        const lesson = this._lessons.find(candidate => candidate.id === lessonId);
+        if (!lesson) {
+            throw new Error(`Unknown lesson: ${lessonId}`);
+        }
+        return lesson;
+    }
+
+    getProgress(lessonId) {
+        const progress = this._context.globalState.get(PROGRESS_KEY, {});
+        return progress[lessonId] || { started: undefined, completedSteps: [] };
+    }
+
+    summarize(lesson) {
+        const progress = this.getProgress(lesson.id);
+        const completedCount = lesson.steps.filter(step => progress.completedSteps.includes(step.id)).length;
+        return {
+            id: lesson.id,
+            title: lesson.title,
+            description: lesson.description,
+            stepCount: lesson.steps.length,
+            completedCount,
+            started: !!progress.started,
+            completed: completedCount === lesson.steps.length,
+            completedSteps: progress.completedSteps,
+            currentStepId: this._currentStep(lesson, progress)?.id
+        };
+    }
+
+    async start(lessonId) {
+        const lesson = this.getLesson(lessonId);
+        const progress = this.getProgress(lessonId);
+        if (!progress.started) {
+            await this._saveProgress(lessonId, { ...progress, started: new Date().toISOString() });
+        }
+        return lesson;
+    }
+
+    async reset(lessonId) {
+        this.getLesson(lessonId);
+        const all = { ...this._context.globalState.get(PROGRESS_KEY, {}) };
+        delete all[lessonId];
+        await this._context.globalState.update(PROGRESS_KEY, all);
+        this._registry.broadcast('lessonProgress', this.summarize(this.getLesson(lessonId)));
+    }
+
+    // Subscribe to the VS Code events that lesson steps can wait for
+    listen() {
+        return [
+            vscode.workspace.onDidOpenTextDocument(document => {
+                if (document.uri.scheme !== 'output') {
+                    this.check('openDocument', documentFacts(document));
+                }
+            }),
+            vscode.workspace.onDidSaveTextDocument(document => {
+                this.check('saveDocument', documentFacts(document));
+            }),
+            vscode.window.onDidChangeActiveTextEditor(editor => {
+                if (editor) {
+                    this.check('changeActiveEditor', documentFacts(editor.document));
+                }
+            }),
+            vscode.window.onDidChangeTextEditorSelection(event => {
+                this.check('changeSelection', {
+                    ...documentFacts(event.textEditor.document),
+                    nonEmpty: event.selections.some(selection => !selection.isEmpty)
+                });
+            }),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                this.check('changeConfiguration', {
+                    affectsConfiguration: section => event.affectsConfiguration(section)
+                });
+            }),
+            this._registry.onDidHandle(({ method }) => {
+                this.check('runHandler', { method });
+            })
+        ];
+    }
+
+    async check(event, facts) {
+        await this.ready;
+
+        for (const lesson of this._lessons) {
+            const progress = this.getProgress(lesson.id);
+            if (!progress.started) {
+                continue;
+            }
+            const step = this._currentStep(lesson, progress);
+            if (step && matchesCompletion(step.completion, event, facts)) {
+                await this._completeStep(lesson, step, progress);
+            }
+        }
+    }
+
+    async _completeStep(lesson, step, progress) {
+        const completedSteps = progress.completedSteps.concat(step.id);
+        const updated = { ...progress, completedSteps };
+        if (completedSteps.length === lesson.steps.length) {
+            updated.completedAt = new Date().toISOString();
+        }
+        await this._saveProgress(lesson.id, updated);
+
+        this._registry.broadcast('lessonProgress', {
+            ...this.summarize(lesson),
+            completedStep: { id: step.id, title: step.title }
+        });
+    }
+
+    _currentStep(lesson, progress) {
+        return lesson.steps.find(step => !progress.completedSteps.includes(step.id));
+    }
+
+    async _saveProgress(lessonId, lessonProgress) {
+        const all = { ...this._context.globalState.get(PROGRESS_KEY, {}) };
+        all[lessonId] = lessonProgress;
+        await this._context.globalState.update(PROGRESS_KEY, all);
+    }
+
+    async _load() {
+        const directory = path.join(this._context.extensionPath, 'lessons');
+        let files = [];
+        try {
+            files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.json')).sort();
+        } catch (error) {
+            logger.error('Could not read lessons folder:', error);
+            return;
+        }
+
+        for (const file of files) {
+            try {
+                const lesson = JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8'));
+                if (!lesson.id || !lesson.title || !Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+                    throw new Error('a lesson needs an id, a title and at least one step');
+                }
+                this._lessons.push(lesson);
+            } catch (error) {
+                logger.warn(`Skipping invalid lesson ${file}:`, error);
+            }
+        }
+    }
+}
+
+/**
+ * Register the lesson browser handlers and start listening for completion events
+ * @param {vscode.ExtensionContext} context
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {vscode.Disposable[]}
+ */
+function registerLessonHandlers(context, registry) {
+    const engine = new LessonEngine(context, registry);
+
+    return [
+        ...engine.listen(),
+
+        registry.register('listLessons', async () => {
+            await engine.ready;
+            return engine.lessons.map(lesson => engine.summarize(lesson));
+        }),
+
+        registry.register('getLesson', async ({ lessonId }) => {
+            await engine.ready;
+            const lesson = await engine.start(lessonId);
+            return { lesson, summary: engine.summarize(lesson) };
+        }, LESSON_PARAMS),
+
+        registry.register('runLessonStep', async ({ lessonId, stepId }, handlerContext) => {
+            await engine.ready;
+            const step = engine.getLesson(lessonId).steps.find(candidate => candidate.id === stepId);
+            if (!step || !step.tryIt) {
+                throw new Error(`Lesson step has no action: ${lessonId}/${stepId}`);
+            }
+            const result = await registry.invoke(step.tryIt.method, step.tryIt.params, handlerContext);
+            return { method: step.tryIt.method, result };
+        }, {
+            type: 'object',
+            properties: { lessonId: LESSON_ID, stepId: { type: 'string', minLength: 1, maxLength: 100 } },
+            required: ['lessonId', 'stepId'],
+            additionalProperties: false
+        }),
+
+        registry.register('resetLessonProgress', async ({ lessonId }) => {
+            await engine.ready;
+            await engine.reset(lessonId);
+        }, LESSON_PARAMS)
+    ];
+}
+
+module.exports = {
+    LessonEngine,
+    registerLessonHandlers
+};
@@ -0,0 +1,64 @@
+const logger = require('./logger');
+
+// Entries are sent to subscribed webviews in batches, at most this often
+const FLUSH_INTERVAL = 100;
+
+/**
+ * Register the handlers that let a webview follow the extension log
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {import('vscode').Disposable[]}
+ */
+function registerLogHandlers(registry) {
+    const subscribers = new Map();
+    let pending = [];
+    let flushTimer;
+
+    const flush = () => {
+        flushTimer = undefined;
+        const entries = pending;
+        pending = [];
+        subscribers.forEach((subscription, endpoint) => endpoint.notify('logEntries', entries));
+    };
+
+    const unsubscribe = endpoint => {
+        const subscription = subscribers.get(endpoint);
+        if (subscription) {
+            subscription.dispose();
+            subscribers.delete(endpoint);
+        }
+    };
+
+    return [
+        logger.onDidLog(entry => {
+            if (subscribers.size === 0) {
+                return;
+            }
+            pending.push(entry);
+            if (!flushTimer) {
+                flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+            }
+        }),
+
+        { dispose: () => clearTimeout(flushTimer) },
+
+        // Replies with the recent history; new entries follow as 'logEntries' events
+        registry.register('subscribeLogs', (params, { endpoint }) => {
+            if (!subscribers.has(endpoint)) {
+                subscribers.set(endpoint, endpoint.onDidDispose(() => unsubscribe(endpoint)));
+            }
+            return { entries: logger.recent };
+        }),
+
+        registry.register('unsubscribeLogs', (params, { endpoint }) => {
+            unsubscribe(endpoint);
+        }),
+
+        registry.register('showLogs', () => {
+            logger.show();
+        })
+    ];
+}
+
+module.exports = {
+    registerLogHandlers
+};
@@ -0,0 +1,81 @@
+const vscode = require('vscode');
+const util = require('util');
+const { isLevelEnabled } = require('./stderr-logger');
+
+const CHANNEL_NAME = 'Learning Extension';
+const MAX_RECENT = 500;
+
+/**
+ * The extension's logger: writes to the "Learning Extension" log output
+ * channel (timestamps and levels are added by VS Code) when the
+ * learningExtension.logLevel setting allows it. The latest entries are kept
+ * in memory and fired through onDidLog so the webview can follow the log.
+ */
+class ExtensionLogger {
+    constructor() {
+        this._channel = undefined;
+        this._recent = [];
+        this._onDidLog = new vscode.EventEmitter();
+        // Fired with { timestamp, level, message } for every entry written
+        this.onDidLog = this._onDidLog.event;
+    }
+
+    error(...args) {
+        this._log('error', args);
+    }
+
+    warn(...args) {
+        this._log('warn', args);
+    }
+
+    info(...args) {
+        this._log('info', args);
+    }
+
+    debug(...args) {
+        this._log('debug', args);
+    }
+
+    // Oldest first
+    get recent() {
+        return this._recent.slice();
+    }
+
+    show() {
+        this._getChannel().show(true);
+    }
+
+    dispose() {
+        if (this._channel) {
+            this._channel.dispose();
+            this._channel = undefined;
+        }
+    }
+
+    // Created on first use, so that a module logging before activation still works
+    _getChannel() {
+        if (!this._channel) {
+            this._channel = vscode.window.createOutputChannel(CHANNEL_NAME, { log: true });
+        }
+        return this._channel;
+    }
+
+    _log(level, args) {
+        const configured = vscode.workspace.getConfiguration('learningExtension').get('logLevel', 'info');
+        if (!isLevelEnabled(level, configured)) {
+            return;
+        }
+
+        const message = util.format(...args);
+        this._getChannel()[level](message);
+
+        const entry = { timestamp: new Date().toISOString(), level, message };
+        this._recent.push(entry);
+        if (this._recent.length > MAX_RECENT) {
+            this._recent.shift();
+        }
+        this._onDidLog.fire(entry);
+    }
+}
+
+module.exports = new ExtensionLogger();
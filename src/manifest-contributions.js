@@ -0,0 +1,124 @@
+const path = require('path');
+const { parseJsonTree, findJsonMember } = require('./json-tree');
+const { findRegisteredCommands, findSourceLiteral, isExtensionManifest, resolveSource } = require('./manifest-rules');
+
+/*
+ * Indexes what an extension manifest contributes (commands, views and menu
+ * items) together with where the source registers each one and when VS Code
+ * shows it. Needs nothing from VS Code: manifest-navigation.js turns the
+ * index into hovers and CodeLenses.
+ *
+ * An entry is { kind: 'command' | 'view' | 'menu', id, start, end, ... }
+ * where start and end are the offsets of the entry's object in the manifest
+ * and `source` is the { file, line, character } that registers it, if found.
+ */
+
+/**
+ * How the Command Palette treats a command: undefined when it always lists
+ * it, otherwise the `when` clause of its commandPalette menu item ('false'
+ * hides it for good)
+ */
+function paletteWhen(menus, id) {
+    const items = Array.isArray(menus.commandPalette) ? menus.commandPalette : [];
+    const item = items.find(candidate => candidate && candidate.command === id);
+    return item && typeof item.when === 'string' && item.when.trim() !== 'true' ? item.when.trim() : undefined;
+}
+
+/**
+ * @param {string} text the manifest
+ * @param {string} manifestPath where the manifest lives; its entry point is resolved from here
+ * @returns {Promise<object | null>} { entryFile, computed, entries }, or null when the text
+ *   is not valid JSON or not an extension manifest
+ */
+async function indexContributions(text, manifestPath) {
+    let root;
+    let manifest;
+    try {
+        root = parseJsonTree(text);
+        manifest = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+    if (root.type !== 'object' || !isExtensionManifest(manifest)) {
+        return null;
+    }
+
+    const directory = path.dirname(manifestPath);
+    const entry = [manifest.main, manifest.browser].find(value => typeof value === 'string');
+    const entryFile = entry && await resolveSource(path.resolve(directory, entry));
+    const registered = entryFile ? await findRegisteredCommands(entryFile) : { commands: new Map(), computed: false, sources: [] };
+
+    const contributes = manifest.contributes && typeof manifest.contributes === 'object' ? manifest.contributes : {};
+    const menus = contributes.menus && typeof contributes.menus === 'object' ? contributes.menus : {};
+    const commands = Array.isArray(contributes.commands) ? contributes.commands : [];
+    const contributed = new Map(commands.filter(command => command && typeof command.command === 'string').map(command => [command.command, command]));
+
+    const entries = [];
+    const add = (segments, fields) => {
+        const member = findJsonMember(root, segments);
+        if (member) {
+            entries.push({ start: member.node.start, end: member.node.end, ...fields });
+        }
+    };
+
+    commands.forEach((command, index) => {
+        if (command && typeof command.command === 'string') {
+            add(['contributes', 'commands', index], {
+                kind: 'command',
+                id: command.command,
+                title: command.title,
+                category: command.category,
+                enablement: command.enablement,
+                palette: paletteWhen(menus, command.command),
+                source: registered.commands.get(command.command)
+            });
+        }
+    });
+
+    const viewLocations = contributes.views && typeof contributes.views === 'object' ? contributes.views : {};
+    Object.entries(viewLocations).forEach(([container, views]) => (Array.isArray(views) ? views : []).forEach((view, index) => {
+        if (view && typeof view.id === 'string') {
+            add(['contributes', 'views', container, index], {
+                kind: 'view',
+                id: view.id,
+                title: view.name,
+                container,
+                when: view.when,
+                source: findSourceLiteral(registered.sources, view.id)
+            });
+        }
+    }));
+
+    Object.entries(menus).forEach(([menu, items]) => (Array.isArray(items) ? items : []).forEach((item, index) => {
+        if (item && typeof item.command === 'string') {
+            const command = contributed.get(item.command);
+            add(['contributes', 'menus', menu, index], {
+                kind: 'menu',
+                id: item.command,
+                title: command && command.title,
+                menu,
+                when: item.when,
+                contributed: Boolean(command),
+                palette: paletteWhen(menus, item.command),
+                source: registered.commands.get(item.command)
+            });
+        }
+    }));
+
+    return { entryFile, computed: registered.computed, entries };
+}
+
+/**
+ * The innermost entry whose object contains `offset`
+ * @returns {object | undefined}
+ */
+function entryAt(index, offset) {
+    return index.entries
+        .filter(entry => entry.start <= offset && offset < entry.end)
+        .sort((a, b) => (a.end - a.start) - (b.end - b.start))[0];
+}
+
+module.exports = {
+    indexContributions,
+    entryAt
+};
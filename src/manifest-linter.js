@@ -0,0 +1,235 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const { lintManifest } = require('./manifest-rules');
+const { resolveWorkspacePath, getScopeFolder } = require('./workspace-files');
+const logger = require('./logger');
+
+/*
+ * Lints the extension manifests in the workspace: whenever a package.json
+ * is saved, and for the whole workspace on demand from the panel. Problems
+ * come from manifest-rules.js and show up in the Problems panel; the ones
+ * with a fix get a quick fix code action.
+ */
+
+const SOURCE = 'extension manifest';
+const MANIFEST_GLOB = '**/package.json';
+const EXCLUDE_GLOB = '**/node_modules/**';
+const MAX_MANIFESTS = 200;
+
+const SEVERITIES = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    information: vscode.DiagnosticSeverity.Information
+};
+
+function isManifest(uri) {
+    return uri.scheme === 'file' && /(^|[\\/])package\.json$/.test(uri.fsPath) && !/[\\/]node_modules[\\/]/.test(uri.fsPath);
+}
+
+function toRange(document, problem) {
+    return new vscode.Range(document.positionAt(problem.start), document.positionAt(problem.end));
+}
+
+function sameRange(a, b) {
+    return a.start.line === b.start.line && a.start.character === b.start.character &&
+        a.end.line === b.end.line && a.end.character === b.end.character;
+}
+
+// positionAt for a text that is not open in an editor
+function createPositionAt(text) {
+    return offset => {
+        const before = text.slice(0, offset).split('\n');
+        return new vscode.Position(before.length - 1, before[before.length - 1].length);
+    };
+}
+
+class ManifestLinter {
+    constructor() {
+        this._diagnostics = vscode.languages.createDiagnosticCollection('extension-manifest');
+        this._onDidLint = new vscode.EventEmitter();
+        // Fires with the summary of every manifest linted
+        this.onDidLint = this._onDidLint.event;
+    }
+
+    /**
+     * Lint one manifest and replace its diagnostics
+     * @param {vscode.Uri} uri
+     * @param {string} text
+     * @returns {Promise<object | undefined>} a summary for the webview, undefined when it is not an extension manifest
+     */
+    async lint(uri, text) {
+        const problems = await lintManifest(text, uri.fsPath);
+        if (!problems) {
+            this._diagnostics.delete(uri);
+            return undefined;
+        }
+
+        const positionAt = createPositionAt(text);
+        const diagnostics = problems.map(problem => {
+            const diagnostic = new vscode.Diagnostic(
+                new vscode.Range(positionAt(problem.start), positionAt(problem.end)),
+                problem.message,
+                SEVERITIES[problem.severity]
+            );
+            diagnostic.source = SOURCE;
+            diagnostic.code = problem.code;
+            if (problem.unnecessary) {
+                diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+            }
+            return diagnostic;
+        });
+        this._diagnostics.set(uri, diagnostics);
+
+        const summary = {
+            path: vscode.workspace.asRelativePath(uri),
+            fileName: uri.fsPath,
+            problems: problems.map((problem, index) => ({
+                code: problem.code,
+                severity: problem.severity,
+                message: problem.message,
+                line: diagnostics[index].range.start.line,
+                character: diagnostics[index].range.start.character,
+                fix: problem.fix ? problem.fix.title : null
+            }))
+        };
+        logger.debug(`Linted ${summary.path}: ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+        this._onDidLint.fire(summary);
+        return summary;
+    }
+
+    /**
+     * Lint every package.json in the workspace that belongs to an extension
+     * @param {vscode.CancellationToken} [token]
+     * @param {vscode.WorkspaceFolder} [folder] only lint the manifests in this folder
+     * @returns {Promise<object[]>} one summary per extension manifest
+     */
+    async lintWorkspace(token, folder) {
+        const include = folder ? new vscode.RelativePattern(folder, MANIFEST_GLOB) : MANIFEST_GLOB;
+        const uris = await vscode.workspace.findFiles(include, EXCLUDE_GLOB, MAX_MANIFESTS, token);
+        const summaries = [];
+        for (const uri of uris.filter(isManifest)) {
+            if (token && token.isCancellationRequested) {
+                break;
+            }
+            // Unsaved changes count: lint what the user sees
+            const open = vscode.workspace.textDocuments.find(document => document.uri.toString() === uri.toString());
+            try {
+                const text = open ? open.getText() : await fs.promises.readFile(uri.fsPath, 'utf8');
+                const summary = await this.lint(uri, text);
+                if (summary) {
+                    summaries.push(summary);
+                }
+            } catch (error) {
+                logger.warn(`Could not lint ${uri.fsPath}:`, error);
+            }
+        }
+        return summaries.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    /**
+     * Quick fixes for this linter's diagnostics in the requested range.
+     * The manifest is linted again so the fix matches the current text.
+     */
+    async provideCodeActions(document, range, context) {
+        const ours = context.diagnostics.filter(diagnostic => diagnostic.source === SOURCE);
+        if (ours.length === 0) {
+            return [];
+        }
+        const problems = await lintManifest(document.getText(), document.uri.fsPath) || [];
+        // Identical problems in two places differ only by their range
+        return problems
+            .map(problem => ({
+                problem,
+                diagnostic: ours.find(diagnostic => diagnostic.code === problem.code && diagnostic.message === problem.message &&
+                    sameRange(diagnostic.range, toRange(document, problem)))
+            }))
+            .filter(({ problem, diagnostic }) => problem.fix && diagnostic)
+            .map(({ problem, diagnostic }) => {
+                const action = new vscode.CodeAction(problem.fix.title, vscode.CodeActionKind.QuickFix);
+                action.diagnostics = [diagnostic];
+                action.edit = new vscode.WorkspaceEdit();
+                problem.fix.edits.forEach(edit => action.edit.replace(document.uri, toRange(document, edit), edit.text));
+                return action;
+            });
+    }
+
+    dispose() {
+        this._diagnostics.dispose();
+        this._onDidLint.dispose();
+    }
+}
+
+/**
+ * Lint manifests on save, offer their quick fixes, and register the
+ * handlers behind the panel's Manifest Linter section
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {vscode.Disposable[]}
+ */
+function registerManifestLinter(registry) {
+    const linter = new ManifestLinter();
+
+    const lintWorkspace = async (token, folder) => {
+        const summaries = await linter.lintWorkspace(token, folder);
+        const count = summaries.reduce((total, summary) => total + summary.problems.length, 0);
+        logger.info(`Linted ${summaries.length} extension manifest${summaries.length === 1 ? '' : 's'}: ${count} problem${count === 1 ? '' : 's'}`);
+        return summaries;
+    };
+
+    return [
+        linter,
+
+        // Open panels update the manifest's entry when it is linted on save;
+        // panels opened for another folder are not told
+        linter.onDidLint(summary => {
+            const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(summary.fileName));
+            registry.broadcast('manifestLinted', summary, {
+                where: endpoint => !getScopeFolder(endpoint) || (folder && getScopeFolder(endpoint).uri.toString() === folder.uri.toString())
+            });
+        }),
+
+        vscode.workspace.onDidSaveTextDocument(document => {
+            if (isManifest(document.uri)) {
+                linter.lint(document.uri, document.getText())
+                    .catch(error => logger.error(`Could not lint ${document.uri.fsPath}:`, error));
+            }
+        }),
+
+        vscode.languages.registerCodeActionsProvider(
+            { scheme: 'file', pattern: MANIFEST_GLOB },
+            linter,
+            { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+        ),
+
+        vscode.commands.registerCommand('vscode-learning-extension.lintManifests', async () => {
+            const summaries = await lintWorkspace();
+            if (summaries.length === 0) {
+                vscode.window.showInformationMessage('No extension manifests found in the workspace');
+            } else {
+                await vscode.commands.executeCommand('workbench.actions.view.problems');
+            }
+        }),
+
+        registry.register('lintManifests', (params, { token, endpoint }) => lintWorkspace(token, getScopeFolder(endpoint))),
+
+        // Open the manifest with the problem selected
+        registry.register('revealManifestProblem', async ({ path: filePath, line, character }, { endpoint }) => {
+            const document = await vscode.workspace.openTextDocument(await resolveWorkspacePath(filePath, getScopeFolder(endpoint)));
+            const position = new vscode.Position(line, character);
+            await vscode.window.showTextDocument(document, { selection: new vscode.Range(position, position) });
+        }, {
+            type: 'object',
+            properties: {
+                path: { type: 'string', minLength: 1, maxLength: 4096 },
+                line: { type: 'integer', minimum: 0 },
+                character: { type: 'integer', minimum: 0 }
+            },
+            required: ['path', 'line', 'character'],
+            additionalProperties: false
+        })
+    ];
+}
+
+module.exports = {
+    ManifestLinter,
+    registerManifestLinter
+};
@@ -0,0 +1,237 @@
+const vscode = require('vscode');
+const path = require('path');
+const { indexContributions, entryAt } = require('./manifest-contributions');
+const logger = require('./logger');
+
+/*
+ * Hovers and CodeLenses on the commands, views and menu items an extension
+ * manifest contributes: where the source registers each one, when VS Code
+ * shows it, and a lens that runs the command. Works for every package.json
+ * in every workspace folder; the index comes from manifest-contributions.js.
+ */
+
+const MANIFEST_SELECTOR = { scheme: 'file', pattern: '**/package.json' };
+const RUN_COMMAND = 'vscode-learning-extension.runContributedCommand';
+
+const KIND_LABELS = { command: 'Command', view: 'View', menu: 'Menu item' };
+
+// Hovers are trusted to run RUN_COMMAND, so nothing the manifest says may
+// add markup of its own: text is escaped and kept on one line
+const oneLine = text => String(text).replace(/\s*[\r\n]+\s*/g, ' ');
+const escapeMarkdown = text => oneLine(text).replace(/[\\`*_[\]<>&!#|~]/g, '\\$&');
+
+// Hovers show clauses as code, fenced by more backticks than the clause
+// contains; CodeLens titles are plain text
+function asCode(text) {
+    const code = oneLine(text);
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${code}${padding}${fence}`;
+}
+const asText = text => text;
+
+// "true" and a missing clause both mean always
+function describeWhen(when, format) {
+    if (when === undefined || when.trim() === 'true') {
+        return 'always';
+    }
+    return when.trim() === 'false' ? 'never' : `when ${format(when.trim())}`;
+}
+
+function describePalette(entry, format) {
+    if (entry.kind === 'menu' && !entry.contributed) {
+        return 'Not in the Command Palette: the command is not in contributes.commands';
+    }
+    if (entry.palette === undefined) {
+        return 'Listed in the Command Palette';
+    }
+    return entry.palette === 'false'
+        ? `Hidden from the Command Palette (${format('when: false')})`
+        : `Listed in the Command Palette when ${format(entry.palette)}`;
+}
+
+function sourceLabel(entry, manifestPath) {
+    const { file, line } = entry.source;
+    return `${path.relative(path.dirname(manifestPath), file)}:${line + 1}`;
+}
+
+function notFound(entry, index, manifestPath) {
+    if (!index.entryFile) {
+        return 'No entry point to look in';
+    }
+    const entryName = path.relative(path.dirname(manifestPath), index.entryFile);
+    if (entry.kind === 'view') {
+        return `Not found in ${entryName} or the modules it requires`;
+    }
+    return `Not registered in ${entryName} or the modules it requires${index.computed ? ' (unless under a computed id)' : ''}`;
+}
+
+class ManifestNavigator {
+    constructor() {
+        // uri → { version, index }; sources can change too, so saves clear it
+        this._cache = new Map();
+        this._onDidChangeCodeLenses = new vscode.EventEmitter();
+        this.onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
+    }
+
+    /**
+     * The contributions of an open manifest, indexed once per version
+     * @param {vscode.TextDocument} document
+     * @returns {Promise<object | null>}
+     */
+    index(document) {
+        const key = document.uri.toString();
+        const cached = this._cache.get(key);
+        if (cached && cached.version === document.version) {
+            return cached.index;
+        }
+        const index = indexContributions(document.getText(), document.uri.fsPath).catch(error => {
+            logger.warn(`Could not index ${document.uri.fsPath}:`, error);
+            return null;
+        });
+        this._cache.set(key, { version: document.version, index });
+        return index;
+    }
+
+    // Forget every index, e.g. after a source file was saved
+    refresh() {
+        this._cache.clear();
+        this._onDidChangeCodeLenses.fire();
+    }
+
+    forget(document) {
+        this._cache.delete(document.uri.toString());
+    }
+
+    async provideHover(document, position) {
+        const index = await this.index(document);
+        const entry = index && entryAt(index, document.offsetAt(position));
+        if (!entry) {
+            return undefined;
+        }
+
+        const manifestPath = document.uri.fsPath;
+        const title = entry.title ? ` — ${entry.category ? `${escapeMarkdown(entry.category)}: ` : ''}${escapeMarkdown(entry.title)}` : '';
+        const lines = [`**${KIND_LABELS[entry.kind]}** ${asCode(entry.id)}${title}`];
+        if (entry.kind === 'menu') {
+            lines.push(`In menu ${asCode(entry.menu)}, shown ${describeWhen(entry.when, asCode)}`);
+        }
+        if (entry.kind === 'view') {
+            lines.push(`In view container ${asCode(entry.container)}, shown ${describeWhen(entry.when, asCode)}`);
+        }
+        if (entry.source) {
+            const target = `${vscode.Uri.file(entry.source.file).toString()}#L${entry.source.line + 1}`;
+            lines.push(`${entry.kind === 'view' ? 'Id defined in' : 'Registered in'} [${escapeMarkdown(sourceLabel(entry, manifestPath))}](${target})`);
+        } else {
+            lines.push(escapeMarkdown(notFound(entry, index, manifestPath)));
+        }
+        if (entry.kind !== 'view') {
+            lines.push(describePalette(entry, asCode));
+            if (entry.enablement) {
+                lines.push(`Enabled when ${asCode(entry.enablement)}`);
+            }
+            // encodeURIComponent leaves parentheses, which would end the link early
+            const args = encodeURIComponent(JSON.stringify([entry.id])).replace(/[()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+            lines.push(`[Run this command](command:${RUN_COMMAND}?${args})`);
+        }
+
+        const markdown = new vscode.MarkdownString(lines.join('\n\n'));
+        markdown.isTrusted = { enabledCommands: [RUN_COMMAND] };
+        return new vscode.Hover(markdown, new vscode.Range(document.positionAt(entry.start), document.positionAt(entry.end)));
+    }
+
+    async provideCodeLenses(document) {
+        const index = await this.index(document);
+        if (!index) {
+            return [];
+        }
+
+        const manifestPath = document.uri.fsPath;
+        return index.entries.flatMap(entry => {
+            const start = document.positionAt(entry.start);
+            const range = new vscode.Range(start, start);
+            const lenses = [];
+
+            if (entry.source) {
+                const position = new vscode.Position(entry.source.line, entry.source.character);
+                lenses.push(new vscode.CodeLens(range, {
+                    title: `$(go-to-file) ${sourceLabel(entry, manifestPath)}`,
+                    tooltip: entry.kind === 'view' ? 'Open where the view id is defined' : 'Open the registerCommand call',
+                    command: 'vscode.open',
+                    arguments: [vscode.Uri.file(entry.source.file), { selection: new vscode.Range(position, position) }]
+                }));
+            } else {
+                lenses.push(new vscode.CodeLens(range, { title: notFound(entry, index, manifestPath), command: '' }));
+            }
+
+            if (entry.kind === 'view') {
+                lenses.push(new vscode.CodeLens(range, { title: `Shown ${describeWhen(entry.when, asText)}`, command: '' }));
+            } else {
+                const shown = entry.kind === 'menu' ? `In ${entry.menu} ${describeWhen(entry.when, asText)}; ` : '';
+                lenses.push(new vscode.CodeLens(range, { title: shown + describePalette(entry, asText), command: '' }));
+                lenses.push(new vscode.CodeLens(range, {
+                    title: '$(play) Run this command',
+                    tooltip: `Run ${entry.id}`,
+                    command: RUN_COMMAND,
+                    arguments: [entry.id]
+                }));
+            }
+            return lenses;
+        });
+    }
+
+    dispose() {
+        this._cache.clear();
+        this._onDidChangeCodeLenses.dispose();
+    }
+}
+
+/**
+ * Run a command named in a manifest. It only exists once the extension
+ * that registers it is running, usually in the Extension Development Host.
+ * @param {string} id
+ */
+async function runContributedCommand(id) {
+    const available = await vscode.commands.getCommands(true);
+    if (!available.includes(id)) {
+        vscode.window.showWarningMessage(`${id} is not registered in this window. Start the extension (F5) and run it in the Extension Development Host.`);
+        return;
+    }
+    try {
+        logger.info(`Running ${id} from its manifest`);
+        await vscode.commands.executeCommand(id);
+    } catch (error) {
+        logger.error(`${id} failed:`, error);
+        vscode.window.showErrorMessage(`${id} failed: ${error.message}`);
+    }
+}
+
+/**
+ * Hover and CodeLens providers for package.json, and the command behind
+ * the "Run this command" lens
+ * @returns {vscode.Disposable[]}
+ */
+function registerManifestNavigation() {
+    const navigator = new ManifestNavigator();
+
+    return [
+        navigator,
+        vscode.languages.registerHoverProvider(MANIFEST_SELECTOR, navigator),
+        vscode.languages.registerCodeLensProvider(MANIFEST_SELECTOR, navigator),
+        vscode.commands.registerCommand('vscode-learning-extension.runContributedCommand', runContributedCommand),
+
+        // A registerCommand call may have moved; lenses follow on save
+        vscode.workspace.onDidSaveTextDocument(document => {
+            if (document.uri.scheme === 'file' && path.basename(document.uri.fsPath) !== 'package.json') {
+                navigator.refresh();
+            }
+        }),
+        vscode.workspace.onDidCloseTextDocument(document => navigator.forget(document))
+    ];
+}
+
+module.exports = {
+    ManifestNavigator,
+    registerManifestNavigation
+};
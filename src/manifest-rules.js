@@ -0,0 +1,454 @@
+const fs = require('fs');
+const path = require('path');
+const { parseJsonTree, findJsonMember, JsonSyntaxError } = require('./json-tree');
+
+/*
+ * Checks for VS Code extension manifests (a package.json with engines.vscode,
+ * activationEvents or contributes). Works on the text so every problem has
+ * offsets, and needs nothing from VS Code: manifest-linter.js turns the
+ * problems into diagnostics and quick fixes.
+ *
+ * A problem is { code, severity, message, start, end, unnecessary?, fix? }
+ * where severity is 'error' | 'warning' | 'information' and a fix is
+ * { title, edits: [{ start, end, text }] } against the same text.
+ */
+
+// What VS Code accepts in engines.vscode (see its extensionValidator)
+const ENGINE_RANGE = /^(\^|>=)?(\d+|x)\.(\d+|x)\.(\d+|x)(-.*)?$/;
+
+// From this version on, contributed commands and views activate the
+// extension without onCommand/onView activation events
+const IMPLICIT_ACTIVATION = [1, 74, 0];
+
+const ALWAYS_ACTIVE = ['*', 'onStartupFinished'];
+
+// Scripts that run a file with node, e.g. "node ./test/runTest.js"
+const NODE_SCRIPT = /\bnode\s+(?:-[-\w]*(?:=\S+)?\s+)*(?:"([^"]+)"|'([^']+)'|([^\s&|;]+))/g;
+
+const REQUIRE = /\brequire\(\s*(['"])(\.{1,2}\/[^'"]+)\1\s*\)|\bfrom\s+(['"])(\.{1,2}\/[^'"]+)\3/g;
+const REGISTER_COMMAND = /\bregister(?:TextEditor)?Command\(\s*([^,)]*)/g;
+const SOURCE_EXTENSIONS = ['', '.js', '.cjs', '.mjs', '.ts', '/index.js'];
+const MAX_SOURCE_FILES = 500;
+
+async function isFile(filePath) {
+    try {
+        return (await fs.promises.stat(filePath)).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+// Resolve a module path the way require does for local files
+async function resolveSource(base) {
+    for (const extension of SOURCE_EXTENSIONS) {
+        if (await isFile(base + extension)) {
+            return base + extension;
+        }
+    }
+    return undefined;
+}
+
+// Zero-based line and character of an offset in a source file
+function positionIn(source, offset) {
+    const before = source.slice(0, offset).split('\n');
+    return { line: before.length - 1, character: before[before.length - 1].length };
+}
+
+/**
+ * Collect the command ids passed to registerCommand and
+ * registerTextEditorCommand in `entryFile` and every local module it
+ * requires or imports
+ * @returns {Promise<{ commands: Map<string, object>, computed: boolean, sources: object[] }>}
+ *   command id → { file, line, character } of its first registration; `computed` when
+ *   some ids are not string literals; `sources` is every { file, source } read, in order
+ */
+async function findRegisteredCommands(entryFile) {
+    const commands = new Map();
+    const sources = [];
+    let computed = false;
+    const seen = new Set([entryFile]);
+    const queue = [entryFile];
+
+    while (queue.length > 0 && seen.size <= MAX_SOURCE_FILES) {
+        const file = queue.shift();
+        let source;
+        try {
+            source = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            continue;
+        }
+        sources.push({ file, source });
+
+        for (const match of source.matchAll(REGISTER_COMMAND)) {
+            const literal = /^(['"`])([^'"`]*)\1\s*$/.exec(match[1]);
+            if (literal && !literal[2].includes('${')) {
+                if (!commands.has(literal[2])) {
+                    const offset = match.index + match[0].length - match[1].length;
+                    commands.set(literal[2], { file, ...positionIn(source, offset) });
+                }
+            } else {
+                computed = true;
+            }
+        }
+
+        for (const match of source.matchAll(REQUIRE)) {
+            const resolved = await resolveSource(path.resolve(path.dirname(file), match[2] || match[4]));
+            if (resolved && !seen.has(resolved)) {
+                seen.add(resolved);
+                queue.push(resolved);
+            }
+        }
+    }
+    return { commands, computed, sources };
+}
+
+/**
+ * Where `value` first appears as a string literal in `sources`, such as
+ * the constant a view id is kept in
+ * @param {{ file: string, source: string }[]} sources from findRegisteredCommands
+ * @returns {{ file: string, line: number, character: number } | undefined}
+ */
+function findSourceLiteral(sources, value) {
+    const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(['"\`])${escaped}\\1`);
+    for (const { file, source } of sources) {
+        const match = pattern.exec(source);
+        if (match) {
+            return { file, ...positionIn(source, match.index) };
+        }
+    }
+    return undefined;
+}
+
+// A package.json is an extension manifest when it says anything VS Code reads
+function isExtensionManifest(manifest) {
+    return Boolean(manifest && typeof manifest === 'object' &&
+        ((manifest.engines && manifest.engines.vscode !== undefined) || manifest.activationEvents || manifest.contributes));
+}
+
+/**
+ * The lowest version an engines.vscode range allows, as [major, minor, patch]
+ * @returns {number[] | undefined} undefined when VS Code would reject the range
+ */
+function minimumEngineVersion(range) {
+    const trimmed = range.trim();
+    if (trimmed === '*') {
+        return [0, 0, 0];
+    }
+    const match = ENGINE_RANGE.exec(trimmed);
+    if (!match) {
+        return undefined;
+    }
+    return match.slice(2, 5).map(part => (part === 'x' ? 0 : Number(part)));
+}
+
+function atLeast(version, minimum) {
+    for (let i = 0; i < minimum.length; i++) {
+        if (version[i] !== minimum[i]) {
+            return version[i] > minimum[i];
+        }
+    }
+    return true;
+}
+
+// "storageInspector.copyValue" → "Copy Value"
+function titleFromCommand(id) {
+    const last = id.split('.').pop();
+    return last.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[-_]+/g, ' ').replace(/^./, char => char.toUpperCase());
+}
+
+/*
+ * Text edits that keep the manifest's own indentation
+ */
+
+function indentOf(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+function indentUnit(text) {
+    const match = /\n([ \t]+)\S/.exec(text);
+    return match ? match[1] : '    ';
+}
+
+function formatValue(value, indent, unit) {
+    return JSON.stringify(value, null, unit).split('\n').join(`\n${indent}`);
+}
+
+function removeArrayItem(array, index) {
+    const items = array.members;
+    if (items.length === 1) {
+        return { start: array.start + 1, end: array.end - 1, text: '' };
+    }
+    if (index < items.length - 1) {
+        return { start: items[index].node.start, end: items[index + 1].node.start, text: '' };
+    }
+    return { start: items[index - 1].node.end, end: items[index].node.end, text: '' };
+}
+
+function addProperty(text, object, key, value) {
+    const unit = indentUnit(text);
+    if (object.members.length === 0) {
+        const indent = indentOf(text, object.start);
+        const inner = indent + unit;
+        return { start: object.start + 1, end: object.end - 1, text: `\n${inner}${JSON.stringify(key)}: ${formatValue(value, inner, unit)}\n${indent}` };
+    }
+    const last = object.members[object.members.length - 1];
+    const indent = indentOf(text, last.keyStart);
+    return { start: last.node.end, end: last.node.end, text: `,\n${indent}${JSON.stringify(key)}: ${formatValue(value, indent, unit)}` };
+}
+
+// Append `value` to the array at `segments`, creating the array (and any
+// objects missing on the way). Undefined when something else is in the way.
+function appendAt(text, root, segments, value) {
+    const member = findJsonMember(root, segments);
+    if (member) {
+        if (member.node.type !== 'array') {
+            return undefined;
+        }
+        const items = member.node.members;
+        const indent = indentOf(text, items.length > 0 ? items[items.length - 1].node.start : member.node.start);
+        if (items.length === 0) {
+            return { start: member.node.start, end: member.node.end, text: formatValue([value], indent, indentUnit(text)) };
+        }
+        const last = items[items.length - 1].node;
+        return { start: last.end, end: last.end, text: `,\n${indent}${formatValue(value, indent, indentUnit(text))}` };
+    }
+
+    let depth = segments.length - 1;
+    let parent;
+    while (!(parent = findJsonMember(root, segments.slice(0, depth)))) {
+        depth--;
+    }
+    if (parent.node.type !== 'object') {
+        return undefined;
+    }
+    let nested = [value];
+    for (let i = segments.length - 1; i > depth; i--) {
+        nested = { [segments[i]]: nested };
+    }
+    return addProperty(text, parent.node, segments[depth], nested);
+}
+
+/**
+ * Lint the text of an extension manifest
+ * @param {string} text
+ * @param {string} manifestPath where the manifest lives; the files it names are resolved from here
+ * @returns {Promise<object[] | null>} the problems, or null when this package.json is not an extension
+ */
+async function lintManifest(text, manifestPath) {
+    let root;
+    try {
+        root = parseJsonTree(text);
+    } catch (error) {
+        if (!(error instanceof JsonSyntaxError)) {
+            throw error;
+        }
+        return [{ code: 'invalid-json', severity: 'error', message: error.message, start: error.offset, end: Math.min(error.offset + 1, text.length) }];
+    }
+    if (root.type !== 'object') {
+        return null;
+    }
+
+    const manifest = JSON.parse(text);
+    const contributes = manifest.contributes && typeof manifest.contributes === 'object' ? manifest.contributes : {};
+    if (!isExtensionManifest(manifest)) {
+        return null;
+    }
+
+    const directory = path.dirname(manifestPath);
+    const problems = [];
+    const member = segments => findJsonMember(root, segments);
+    // The key of the member at `segments`, or its value; falls back to the nearest parent
+    const locate = (segments, part = 'key') => {
+        for (let depth = segments.length; depth >= 0; depth--) {
+            const found = member(segments.slice(0, depth));
+            if (found && depth === segments.length && (part === 'value' || found.keyStart === undefined)) {
+                return { start: found.node.start, end: found.node.end };
+            }
+            if (found && found.keyStart !== undefined) {
+                return { start: found.keyStart, end: found.keyEnd };
+            }
+        }
+        return { start: root.start, end: root.start + 1 };
+    };
+    const report = (code, severity, message, location, extra = {}) => {
+        problems.push({ code, severity, message, ...location, ...extra });
+    };
+
+    // engines.vscode
+    let engine;
+    const engineRange = manifest.engines && manifest.engines.vscode;
+    if (engineRange === undefined) {
+        report('missing-engine', 'error', 'Extensions must say which VS Code versions they support in engines.vscode, e.g. "^1.74.0"', locate(['engines']));
+    } else if (typeof engineRange !== 'string' || !(engine = minimumEngineVersion(engineRange))) {
+        const location = locate(['engines', 'vscode'], 'value');
+        const numbers = typeof engineRange === 'string' && /(\d+)\.(\d+)(?:\.(\d+))?/.exec(engineRange);
+        const suggestion = numbers && `^${numbers[1]}.${numbers[2]}.${numbers[3] || 0}`;
+        report('invalid-engine', 'error',
+            `VS Code does not understand the engine range ${JSON.stringify(engineRange)}: use "^x.y.z", ">=x.y.z" or "x.y.z"`,
+            location,
+            suggestion ? { fix: { title: `Change to "${suggestion}"`, edits: [{ ...location, text: JSON.stringify(suggestion) }] } } : {});
+    }
+    const implicitActivation = Boolean(engine && atLeast(engine, IMPLICIT_ACTIVATION));
+
+    // Files the manifest points at
+    const checkFile = async (segments, relativePath, severity, message) => {
+        if (typeof relativePath !== 'string' || relativePath.startsWith('$(')) {
+            return true;
+        }
+        const resolved = path.resolve(directory, relativePath);
+        const found = severity === 'error' ? await resolveSource(resolved) : (await isFile(resolved) && resolved);
+        if (!found) {
+            report('missing-file', severity, message, locate(segments, 'value'));
+        }
+        return Boolean(found);
+    };
+
+    let mainFile;
+    if (manifest.main !== undefined && await checkFile(['main'], manifest.main, 'error', `The main entry point ${manifest.main} does not exist`)) {
+        mainFile = await resolveSource(path.resolve(directory, manifest.main));
+    }
+    await checkFile(['browser'], manifest.browser, 'error', `The browser entry point ${manifest.browser} does not exist`);
+    await checkFile(['icon'], manifest.icon, 'warning', `The extension icon ${manifest.icon} does not exist`);
+
+    if (manifest.scripts && typeof manifest.scripts === 'object') {
+        for (const [name, script] of Object.entries(manifest.scripts)) {
+            if (typeof script !== 'string') {
+                continue;
+            }
+            for (const match of script.matchAll(NODE_SCRIPT)) {
+                const target = match[1] || match[2] || match[3];
+                if (!/[$*%]/.test(target)) {
+                    await checkFile(['scripts', name], target, 'warning', `The ${name} script runs ${target}, which does not exist`);
+                }
+            }
+        }
+    }
+
+    const containers = contributes.viewsContainers && typeof contributes.viewsContainers === 'object' ? contributes.viewsContainers : {};
+    for (const [location, list] of Object.entries(containers)) {
+        for (const [index, container] of (Array.isArray(list) ? list : []).entries()) {
+            await checkFile(['contributes', 'viewsContainers', location, index, 'icon'], container && container.icon, 'warning', `The icon of view container ${container && container.id} does not exist`);
+        }
+    }
+
+    // Commands: contributed, registered in code, used by menus and activation events
+    const commandList = Array.isArray(contributes.commands) ? contributes.commands : [];
+    const contributed = new Map();
+    for (const [index, command] of commandList.entries()) {
+        if (!command || typeof command.command !== 'string') {
+            continue;
+        }
+        contributed.set(command.command, index);
+        const icon = command.icon;
+        if (icon && typeof icon === 'object') {
+            await checkFile(['contributes', 'commands', index, 'icon', 'light'], icon.light, 'warning', `The light icon of ${command.command} does not exist`);
+            await checkFile(['contributes', 'commands', index, 'icon', 'dark'], icon.dark, 'warning', `The dark icon of ${command.command} does not exist`);
+        } else {
+            await checkFile(['contributes', 'commands', index, 'icon'], icon, 'warning', `The icon of ${command.command} does not exist`);
+        }
+    }
+
+    const categories = new Set(commandList.map(command => command && command.category).filter(Boolean));
+    const addCommandFix = id => {
+        const entry = { command: id, title: titleFromCommand(id) };
+        if (categories.size === 1) {
+            entry.category = Array.from(categories)[0];
+        }
+        const edit = appendAt(text, root, ['contributes', 'commands'], entry);
+        return edit && { title: `Add ${id} to contributes.commands`, edits: [edit] };
+    };
+
+    const registered = mainFile ? await findRegisteredCommands(mainFile) : undefined;
+    if (registered) {
+        const mainName = path.relative(directory, mainFile);
+        contributed.forEach((index, id) => {
+            if (!registered.commands.has(id)) {
+                report('unregistered-command', registered.computed ? 'information' : 'warning',
+                    `${id} is contributed but never registered with registerCommand in ${mainName} or the modules it requires${registered.computed ? ' (unless under a computed id)' : ''}`,
+                    locate(['contributes', 'commands', index, 'command'], 'value'));
+            }
+        });
+        registered.commands.forEach(({ file }, id) => {
+            if (!contributed.has(id)) {
+                report('uncontributed-command', 'information',
+                    `${id} is registered in ${path.relative(directory, file)} but not contributed, so it has no title and is missing from the Command Palette`,
+                    locate(['contributes', 'commands']),
+                    { fix: addCommandFix(id) });
+            }
+        });
+    }
+
+    const menus = contributes.menus && typeof contributes.menus === 'object' ? contributes.menus : {};
+    for (const [menu, items] of Object.entries(menus)) {
+        for (const [index, item] of (Array.isArray(items) ? items : []).entries()) {
+            ['command', 'alt'].forEach(key => {
+                const id = item && item[key];
+                if (typeof id === 'string' && !contributed.has(id)) {
+                    report('unknown-menu-command', 'error', `Menu ${menu} refers to ${id}, which is not in contributes.commands`,
+                        locate(['contributes', 'menus', menu, index, key], 'value'), { fix: addCommandFix(id) });
+                }
+            });
+        }
+    }
+
+    // Activation events
+    const views = new Set();
+    const viewLocations = contributes.views && typeof contributes.views === 'object' ? contributes.views : {};
+    Object.values(viewLocations).forEach(list => (Array.isArray(list) ? list : []).forEach(view => view && views.add(view.id)));
+
+    const events = Array.isArray(manifest.activationEvents) ? manifest.activationEvents : [];
+    const eventsNode = member(['activationEvents']);
+    const removeEvent = (index, title) => ({ title, edits: [removeArrayItem(eventsNode.node, index)] });
+
+    events.forEach((event, index) => {
+        const location = locate(['activationEvents', index], 'value');
+        if (typeof event !== 'string') {
+            return;
+        }
+        if (event === '*') {
+            report('startup-activation', 'information', '"*" activates the extension while VS Code starts up and slows it down; "onStartupFinished" waits until it has',
+                location, { fix: { title: 'Change to "onStartupFinished"', edits: [{ ...location, text: '"onStartupFinished"' }] } });
+            return;
+        }
+        const [kind, id] = [event.slice(0, event.indexOf(':')), event.slice(event.indexOf(':') + 1)];
+        const known = kind === 'onCommand' ? contributed.has(id) : kind === 'onView' ? views.has(id) : undefined;
+        if (known === undefined) {
+            return;
+        }
+        if (!known && !(kind === 'onCommand' && registered && registered.commands.has(id))) {
+            report('unknown-activation-event', 'warning', `${event} names a ${kind === 'onCommand' ? 'command' : 'view'} this extension does not contribute`,
+                location, { fix: removeEvent(index, `Remove ${event}`) });
+        } else if (known && implicitActivation) {
+            report('redundant-activation-event', 'information',
+                `VS Code ${IMPLICIT_ACTIVATION.join('.')} and later activate the extension for contributed ${kind === 'onCommand' ? 'commands' : 'views'} without ${event}`,
+                location, { unnecessary: true, fix: removeEvent(index, `Remove ${event}`) });
+        }
+    });
+
+    if (engine && !implicitActivation && !events.some(event => ALWAYS_ACTIVE.includes(event))) {
+        const addEvent = event => {
+            const edit = appendAt(text, root, ['activationEvents'], event);
+            return edit && { title: `Add ${event} to activationEvents`, edits: [edit] };
+        };
+        contributed.forEach((index, id) => {
+            if (!events.includes(`onCommand:${id}`)) {
+                report('missing-activation-event', 'warning',
+                    `Running ${id} cannot activate the extension: add onCommand:${id}, or require VS Code ${IMPLICIT_ACTIVATION.join('.')} or later`,
+                    locate(['contributes', 'commands', index, 'command'], 'value'), { fix: addEvent(`onCommand:${id}`) });
+            }
+        });
+    }
+
+    return problems.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+    lintManifest,
+    findRegisteredCommands,
+    findSourceLiteral,
+    isExtensionManifest,
+    minimumEngineVersion,
+    resolveSource
+};
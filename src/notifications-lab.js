@@ -0,0 +1,205 @@
+const vscode = require('vscode');
+const { RpcError, RpcErrorCode } = require('./rpc');
+
+/*
+ * Handlers behind the Notifications Lab. Each one shows a piece of VS Code's
+ * notification and input UI built from the webview's form, waits for the
+ * user and replies with what they did, so the choice (or the dismissal)
+ * ends up in the output log. Cancelling the request from the webview closes
+ * input boxes and quick picks and stops running progress.
+ */
+
+const SEVERITY_METHODS = {
+    info: 'showInformationMessage',
+    warning: 'showWarningMessage',
+    error: 'showErrorMessage'
+};
+
+const PROGRESS_LOCATIONS = {
+    notification: 'Notification',
+    window: 'Window'
+};
+
+const LABEL = { type: 'string', minLength: 1, maxLength: 200 };
+const TEXT = { type: 'string', maxLength: 1000 };
+
+// Resolves after `ms`, or as soon as any of the tokens is cancelled
+function wait(ms, tokens) {
+    return new Promise(resolve => {
+        const listeners = [];
+        const done = () => {
+            clearTimeout(timer);
+            listeners.forEach(listener => listener.dispose());
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        tokens.forEach(token => listeners.push(token.onCancellationRequested(done)));
+    });
+}
+
+// validateInput for showInputBox, from the lab's validation options
+function createInputValidator({ required, minLength, maxLength, pattern, patternMessage }) {
+    let expression;
+    if (pattern) {
+        try {
+            expression = new RegExp(pattern);
+        } catch (error) {
+            throw new RpcError(RpcErrorCode.InvalidRequest, `Invalid pattern: ${error.message}`);
+        }
+    }
+
+    return value => {
+        if (required && value.length === 0) {
+            return 'A value is required';
+        }
+        if (minLength !== undefined && value.length < minLength) {
+            return `Enter at least ${minLength} characters`;
+        }
+        if (maxLength !== undefined && value.length > maxLength) {
+            return `Enter at most ${maxLength} characters`;
+        }
+        if (expression && value.length > 0 && !expression.test(value)) {
+            return patternMessage || `Must match /${pattern}/`;
+        }
+        return undefined;
+    };
+}
+
+/**
+ * Register the Notifications Lab handlers
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {vscode.Disposable[]}
+ */
+function registerNotificationLabHandlers(registry) {
+    return [
+        // Replies with the button the user pressed, or `dismissed` when they closed the message
+        registry.register('showNotification', async ({ severity = 'info', text, modal = false, detail, actions = [] }) => {
+            const options = modal ? { modal: true, detail: detail || undefined } : {};
+            const choice = await vscode.window[SEVERITY_METHODS[severity]](text, options, ...actions);
+            return choice === undefined ? { dismissed: true } : { choice };
+        }, {
+            type: 'object',
+            properties: {
+                severity: { enum: Object.keys(SEVERITY_METHODS) },
+                text: { type: 'string', minLength: 1, maxLength: 1000 },
+                modal: { type: 'boolean' },
+                detail: TEXT,
+                actions: { type: 'array', maxItems: 5, items: LABEL }
+            },
+            required: ['text'],
+            additionalProperties: false
+        }),
+
+        registry.register('showInputBox', async ({ title, prompt, placeHolder, value, password = false, validation = {} }, { token }) => {
+            const result = await vscode.window.showInputBox({
+                title,
+                prompt,
+                placeHolder,
+                value,
+                password,
+                ignoreFocusOut: true,
+                validateInput: createInputValidator(validation)
+            }, token);
+            if (result === undefined) {
+                return { cancelled: true };
+            }
+            // A password is not echoed back into the output and activity logs
+            return { value: password ? '•'.repeat(result.length) : result };
+        }, {
+            type: 'object',
+            properties: {
+                title: TEXT,
+                prompt: TEXT,
+                placeHolder: TEXT,
+                value: TEXT,
+                password: { type: 'boolean' },
+                validation: {
+                    type: 'object',
+                    properties: {
+                        required: { type: 'boolean' },
+                        minLength: { type: 'integer', minimum: 0, maximum: 1000 },
+                        maxLength: { type: 'integer', minimum: 0, maximum: 1000 },
+                        pattern: { type: 'string', maxLength: 200 },
+                        patternMessage: TEXT
+                    },
+                    additionalProperties: false
+                }
+            },
+            additionalProperties: false
+        }),
+
+        // Replies with the labels picked, in list order
+        registry.register('showQuickPick', async ({ title, placeHolder, items, canPickMany = false }, { token }) => {
+            const result = await vscode.window.showQuickPick(items, {
+                title,
+                placeHolder,
+                canPickMany,
+                ignoreFocusOut: true
+            }, token);
+            if (result === undefined) {
+                return { cancelled: true };
+            }
+            const selected = canPickMany ? result : [result];
+            return { selected: selected.map(item => item.label) };
+        }, {
+            type: 'object',
+            properties: {
+                title: TEXT,
+                placeHolder: TEXT,
+                canPickMany: { type: 'boolean' },
+                items: {
+                    type: 'array',
+                    maxItems: 50,
+                    items: {
+                        type: 'object',
+                        properties: { label: LABEL, description: TEXT, detail: TEXT, picked: { type: 'boolean' } },
+                        required: ['label'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['items'],
+            additionalProperties: false
+        }),
+
+        // Only notifications get a Cancel button; window progress can only be
+        // stopped from the webview
+        registry.register('runProgress', ({ location = 'notification', title, steps = 5, stepMs = 1000, cancellable = true }, { token }) => {
+            const started = Date.now();
+            return vscode.window.withProgress({
+                location: vscode.ProgressLocation[PROGRESS_LOCATIONS[location]],
+                title,
+                cancellable
+            }, async (progress, progressToken) => {
+                for (let step = 0; step < steps; step++) {
+                    await wait(stepMs, [progressToken, token]);
+                    if (progressToken.isCancellationRequested || token.isCancellationRequested) {
+                        return {
+                            cancelled: true,
+                            by: progressToken.isCancellationRequested ? 'user' : 'webview',
+                            completed: step,
+                            steps,
+                            durationMs: Date.now() - started
+                        };
+                    }
+                    progress.report({ increment: 100 / steps, message: `Step ${step + 1} of ${steps}` });
+                }
+                return { completed: steps, steps, durationMs: Date.now() - started };
+            });
+        }, {
+            type: 'object',
+            properties: {
+                location: { enum: Object.keys(PROGRESS_LOCATIONS) },
+                title: TEXT,
+                steps: { type: 'integer', minimum: 1, maximum: 20 },
+                stepMs: { type: 'integer', minimum: 100, maximum: 5000 },
+                cancellable: { type: 'boolean' }
+            },
+            additionalProperties: false
+        })
+    ];
+}
+
+module.exports = {
+    registerNotificationLabHandlers
+};
@@ -0,0 +1,255 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getWebviewContent, getWebviewOptions } = require('./webview-content');
+const logger = require('./logger');
+
+/*
+ * The learning panels in the editor area: the default one, one per workspace
+ * folder, and one per resource opened from the explorer's context menu.
+ * Each panel connects to the registry with its scope, so handlers can tell
+ * which folder a request came from (see getScopeFolder in
+ * workspace-files.js) and panels of different scopes keep separate output.
+ */
+
+const PANEL_TITLE = 'Learning Extension';
+
+// The sidebar and the panel opened from the Command Palette share this scope
+const DEFAULT_SCOPE = Object.freeze({ key: '', label: PANEL_TITLE });
+
+/**
+ * The scope of a panel for a workspace folder or a resource in one
+ * @param {vscode.WorkspaceFolder | vscode.Uri} [target] undefined for the default panel
+ * @returns {{ key: string, label: string, folder?: vscode.WorkspaceFolder, uri?: vscode.Uri }}
+ */
+function createPanelScope(target) {
+    if (!target) {
+        return DEFAULT_SCOPE;
+    }
+    if (!(target instanceof vscode.Uri)) {
+        return { key: target.uri.toString(), label: target.name, folder: target };
+    }
+    const folder = vscode.workspace.getWorkspaceFolder(target);
+    if (folder && folder.uri.toString() === target.toString()) {
+        return createPanelScope(folder);
+    }
+    const label = folder ? `${folder.name}/${path.posix.relative(folder.uri.path, target.path)}` : path.basename(target.fsPath);
+    return { key: target.toString(), label, folder, uri: target };
+}
+
+// What the webview is told about its scope; it keeps `uri` to be revived with
+function describeScope(scope) {
+    const uri = scope.uri || (scope.folder && scope.folder.uri);
+    return {
+        label: scope.label || PANEL_TITLE,
+        folder: scope.folder ? scope.folder.name : null,
+        uri: uri ? uri.toString() : null
+    };
+}
+
+function panelTitle(scope) {
+    return scope === DEFAULT_SCOPE ? PANEL_TITLE : `${PANEL_TITLE}: ${scope.label}`;
+}
+
+/**
+ * One panel in the editor area, with its own RPC endpoint
+ */
+class WebviewPanel {
+    static viewType = 'learningExtension';
+
+    constructor(panel, extensionUri, registry, scope = DEFAULT_SCOPE) {
+        this._panel = panel;
+        this._extensionUri = extensionUri;
+        this.scope = scope;
+        this._rpc = registry.connect(panel.webview, scope);
+        this._disposed = false;
+        this._onDidDispose = new vscode.EventEmitter();
+        // Fired once the panel is closed
+        this.onDidDispose = this._onDidDispose.event;
+        this._disposables = [this._rpc];
+
+        // Set the webview's initial html content
+        this._update();
+
+        // Listen for when the panel is disposed
+        this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+        // Handle messages from the webview
+        this._panel.webview.onDidReceiveMessage(
+            message => this._handleMessage(message),
+            null,
+            this._disposables
+        );
+    }
+
+    reveal(column) {
+        this._panel.reveal(column);
+    }
+
+    dispose() {
+        if (this._disposed) {
+            return;
+        }
+        this._disposed = true;
+
+        // Clean up our resources
+        this._panel.dispose();
+
+        while (this._disposables.length) {
+            const x = this._disposables.pop();
+            if (x) {
+                x.dispose();
+            }
+        }
+        this._onDidDispose.fire();
+        this._onDidDispose.dispose();
+    }
+
+    _handleMessage(message) {
+        return this._rpc.handle(message);
+    }
+
+    _update() {
+        const webview = this._panel.webview;
+        this._panel.webview.html = this._getHtmlForWebview(webview);
+    }
+
+    _getHtmlForWebview(webview) {
+        return getWebviewContent(webview, this._extensionUri);
+    }
+}
+
+/**
+ * Keeps one panel per scope and remembers which one last had focus, for
+ * the commands that act on "the" panel
+ */
+class PanelManager {
+    constructor(extensionUri, registry) {
+        this._extensionUri = extensionUri;
+        this._registry = registry;
+        // scope key -> WebviewPanel, least recently focused first
+        this._panels = new Map();
+    }
+
+    /**
+     * The panel that last had focus, if any panel is open
+     * @returns {WebviewPanel | undefined}
+     */
+    get activePanel() {
+        return Array.from(this._panels.values()).pop();
+    }
+
+    get panels() {
+        return Array.from(this._panels.values());
+    }
+
+    /**
+     * Show the panel for `target`, creating it if needed
+     * @param {vscode.WorkspaceFolder | vscode.Uri} [target] undefined for the default panel
+     * @param {vscode.ViewColumn} [column]
+     * @returns {WebviewPanel}
+     */
+    open(target, column) {
+        const scope = createPanelScope(target);
+        const existing = this._panels.get(scope.key);
+        if (existing) {
+            existing.reveal(column);
+            this._focus(existing);
+            return existing;
+        }
+
+        const editor = vscode.window.activeTextEditor;
+        const panel = vscode.window.createWebviewPanel(
+            WebviewPanel.viewType,
+            panelTitle(scope),
+            column || (editor && editor.viewColumn) || vscode.ViewColumn.One,
+            {
+                ...getWebviewOptions(this._extensionUri),
+                retainContextWhenHidden: true
+            }
+        );
+        return this._add(panel, scope);
+    }
+
+    /**
+     * Reveal the panel that last had focus, or open the default one
+     * @returns {WebviewPanel}
+     */
+    showActive() {
+        const active = this.activePanel;
+        if (active) {
+            active.reveal();
+            return active;
+        }
+        return this.open();
+    }
+
+    /**
+     * Open a panel for every workspace folder, each in its own editor column
+     * @returns {WebviewPanel[]}
+     */
+    openAllFolders() {
+        const folders = vscode.workspace.workspaceFolders || [];
+        return folders.map((folder, index) => this.open(folder, Math.min(index + 1, 9)));
+    }
+
+    /**
+     * Take over a panel VS Code restored after a reload; `state` is what
+     * its webview last saved, including the uri of its scope
+     */
+    revive(panel, state) {
+        // Restored panels don't keep their options, so set them again
+        panel.webview.options = getWebviewOptions(this._extensionUri);
+
+        let scope = DEFAULT_SCOPE;
+        if (state && typeof state.scopeUri === 'string') {
+            const uri = vscode.Uri.parse(state.scopeUri);
+            // A folder that has left the workspace falls back to the default panel
+            scope = vscode.workspace.getWorkspaceFolder(uri) ? createPanelScope(uri) : DEFAULT_SCOPE;
+        }
+        panel.title = panelTitle(scope);
+        return this._add(panel, scope);
+    }
+
+    _add(panel, scope) {
+        const webviewPanel = new WebviewPanel(panel, this._extensionUri, this._registry, scope);
+        this._panels.set(scope.key, webviewPanel);
+        logger.debug(`Opened panel ${panelTitle(scope)}`);
+
+        const focus = panel.onDidChangeViewState(({ webviewPanel: changed }) => {
+            if (changed.active) {
+                this._focus(webviewPanel);
+            }
+        });
+        webviewPanel.onDidDispose(() => {
+            focus.dispose();
+            if (this._panels.get(scope.key) === webviewPanel) {
+                this._panels.delete(scope.key);
+            }
+        });
+        return webviewPanel;
+    }
+
+    // Move a panel to the end of the map, where activePanel looks
+    _focus(webviewPanel) {
+        this._panels.delete(webviewPanel.scope.key);
+        this._panels.set(webviewPanel.scope.key, webviewPanel);
+    }
+}
+
+/**
+ * Let a webview ask which folder or resource it was opened for
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {vscode.Disposable[]}
+ */
+function registerPanelHandlers(registry) {
+    return [
+        registry.register('getPanelScope', (params, { endpoint }) => describeScope(endpoint.scope))
+    ];
+}
+
+module.exports = {
+    WebviewPanel,
+    PanelManager,
+    createPanelScope,
+    registerPanelHandlers
+};
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Keeps paths that arrive from a webview inside a set of root folders (the
+ * open workspace folders). Both the path and the roots are resolved through
+ * symlinks before comparing, so neither `..` segments nor a link pointing out
+ * of the workspace can reach anything else. Nothing here requires 'vscode'.
+ */
+
+class PathOutsideRootsError extends Error {
+    constructor(requestedPath, resolvedPath) {
+        super(`Path is outside the open workspace folders: ${requestedPath}`);
+        this.name = 'PathOutsideRootsError';
+        this.requestedPath = requestedPath;
+        this.resolvedPath = resolvedPath;
+    }
+}
+
+// Resolve symlinks in the longest part of the path that exists; a file that
+// is about to be created keeps its (not yet existing) tail unchanged
+function realpathOfNearestExisting(target, fileSystem) {
+    const missing = [];
+    let current = target;
+    for (;;) {
+        try {
+            return path.join(fileSystem.realpathSync(current), ...missing.reverse());
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+                throw error;
+            }
+            const parent = path.dirname(current);
+            if (parent === current) {
+                return target;
+            }
+            missing.push(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+function isInside(root, target, platform) {
+    const relative = platform === 'win32'
+        ? path.relative(root.toLowerCase(), target.toLowerCase())
+        : path.relative(root, target);
+    const escapes = relative === '..' || relative.startsWith(`..${path.sep}`);
+    return !escapes && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolve `requestedPath` and make sure it lies within one of `roots`
+ * @param {string} requestedPath absolute, or relative to `base`
+ * @param {{ roots: string[], base?: string, fileSystem?: typeof fs, platform?: string }} options
+ * @returns {string} the real path of the target
+ * @throws {PathOutsideRootsError}
+ */
+function resolveInsideRoots(requestedPath, { roots, base, fileSystem = fs, platform = process.platform }) {
+    if (typeof requestedPath !== 'string' || requestedPath.length === 0 || requestedPath.includes('\0')) {
+        throw new PathOutsideRootsError(String(requestedPath), undefined);
+    }
+    if (!path.isAbsolute(requestedPath) && !base) {
+        throw new PathOutsideRootsError(requestedPath, undefined);
+    }
+
+    const target = realpathOfNearestExisting(path.resolve(base || '', requestedPath), fileSystem);
+    const inside = roots.some(root => isInside(realpathOfNearestExisting(path.resolve(root), fileSystem), target, platform));
+    if (!inside) {
+        throw new PathOutsideRootsError(requestedPath, target);
+    }
+    return target;
+}
+
+module.exports = {
+    PathOutsideRootsError,
+    resolveInsideRoots
+};
@@ -0,0 +1,260 @@
+const vscode = require('vscode');
+const { validate } = require('./validation');
+const logger = require('./logger');
+
+/*
+ * Request/response RPC between the webview (media/rpc.js) and the extension host.
+ *
+ * Wire format (all messages are plain JSON objects):
+ *   webview -> host   { type: 'request', id, method, params }
+ *   webview -> host   { type: 'cancel', id }
+ *   host -> webview   { type: 'response', id, result }
+ *   host -> webview   { type: 'response', id, error: { code, message, data } }
+ *   host -> webview   { type: 'event', event, data }
+ *
+ * The webview is untrusted: every message is checked against MESSAGE_SCHEMA
+ * and every request's params against the schema its handler was registered
+ * with. Rejected messages get an InvalidRequest reply and are logged.
+ */
+
+const MESSAGE_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: { enum: ['request', 'cancel'] },
+        id: { type: 'integer', minimum: 0 },
+        method: { type: 'string', minLength: 1, maxLength: 100 },
+        params: { type: 'object' }
+    },
+    required: ['type', 'id'],
+    additionalProperties: false
+};
+
+// Handlers registered without a schema take no params
+const NO_PARAMS = { type: 'object', additionalProperties: false };
+
+// Error codes carried in error replies
+const RpcErrorCode = Object.freeze({
+    InvalidRequest: 'InvalidRequest',
+    MethodNotFound: 'MethodNotFound',
+    Cancelled: 'Cancelled',
+    Timeout: 'Timeout',
+    HandlerError: 'HandlerError'
+});
+
+/**
+ * Typed error that is sent back to the webview as-is
+ */
+class RpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+        this.data = data;
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message, data: this.data };
+    }
+
+    static from(error) {
+        if (error instanceof RpcError) {
+            return error;
+        }
+        return new RpcError(RpcErrorCode.HandlerError, error && error.message ? error.message : String(error));
+    }
+}
+
+/**
+ * Registry of named handlers shared by every webview endpoint.
+ * A handler is called as `handler(params, { token, endpoint })` and its
+ * return value (or resolved promise) becomes the reply's result. Its params
+ * schema (see src/validation.js) is checked first.
+ * The registry also tracks connected endpoints so events can reach all open webviews.
+ */
+class RpcHandlerRegistry {
+    constructor() {
+        this._handlers = new Map();
+        this._endpoints = new Set();
+        this._onDidHandle = new vscode.EventEmitter();
+        // Fired with { method, params, result } after a handler succeeds
+        this.onDidHandle = this._onDidHandle.event;
+        this._onDidDispatch = new vscode.EventEmitter();
+        // Fired with { method, params, result?, error?, durationMs } for every
+        // request a webview sent, whether it succeeded or not
+        this.onDidDispatch = this._onDidDispatch.event;
+    }
+
+    /**
+     * @param {vscode.Webview} webview
+     * @param {{ key: string, label?: string, folder?: vscode.WorkspaceFolder, uri?: vscode.Uri }} [scope]
+     *   what the webview is bound to; the sidebar and the unbound panel share the empty key
+     */
+    connect(webview, scope) {
+        const endpoint = new RpcEndpoint(webview, this, scope);
+        this._endpoints.add(endpoint);
+        return endpoint;
+    }
+
+    /**
+     * Send an event to every connected webview
+     * @param {{ except?: RpcEndpoint, where?: (endpoint: RpcEndpoint) => boolean }} [options]
+     *   skip the sender, or only reach the endpoints `where` accepts
+     */
+    broadcast(event, data, options = {}) {
+        for (const endpoint of this._endpoints) {
+            if (endpoint !== options.except && (!options.where || options.where(endpoint))) {
+                endpoint.notify(event, data);
+            }
+        }
+    }
+
+    /**
+     * @param {string} method
+     * @param {Function} handler
+     * @param {object} [paramsSchema] defaults to no params at all
+     */
+    register(method, handler, paramsSchema = NO_PARAMS) {
+        if (this._handlers.has(method)) {
+            throw new Error(`RPC handler already registered: ${method}`);
+        }
+        this._handlers.set(method, { handler, paramsSchema });
+        return new vscode.Disposable(() => this._handlers.delete(method));
+    }
+
+    /**
+     * Run a handler by name. Endpoints dispatch through here, and features
+     * that trigger existing handlers themselves (e.g. lesson steps) should too.
+     */
+    async invoke(method, params, context) {
+        const registration = this._handlers.get(method);
+        if (!registration) {
+            throw new RpcError(RpcErrorCode.MethodNotFound, `Unknown method: ${method}`);
+        }
+        const errors = validate(params || {}, registration.paramsSchema);
+        if (errors.length > 0) {
+            logger.warn(`Rejected ${method} request:`, errors.join('; '));
+            throw new RpcError(RpcErrorCode.InvalidRequest, `Invalid params for ${method}: ${errors.join('; ')}`, { errors });
+        }
+        const result = await registration.handler(params || {}, context);
+        this._onDidHandle.fire({ method, params, result });
+        return result;
+    }
+
+    get(method) {
+        const registration = this._handlers.get(method);
+        return registration && registration.handler;
+    }
+
+    has(method) {
+        return this._handlers.has(method);
+    }
+
+    methods() {
+        return Array.from(this._handlers.keys());
+    }
+}
+
+/**
+ * Binds one webview to the handler registry: dispatches its requests,
+ * tracks in-flight calls for cancellation and pushes events to it.
+ */
+class RpcEndpoint {
+    constructor(webview, registry, scope = { key: '' }) {
+        this._webview = webview;
+        this._registry = registry;
+        this.scope = scope;
+        this._pending = new Map();
+        this._onDidDispose = new vscode.EventEmitter();
+        // Fired once the webview behind this endpoint is gone
+        this.onDidDispose = this._onDidDispose.event;
+    }
+
+    async handle(message) {
+        const errors = validate(message, MESSAGE_SCHEMA, 'message');
+        if (errors.length > 0) {
+            logger.warn('Rejected webview message:', errors.join('; '));
+            // Answer anything that can be answered, so the caller is not left waiting
+            const id = message && typeof message === 'object' && Number.isInteger(message.id) ? message.id : undefined;
+            if (id !== undefined) {
+                return this._reply(id, undefined, new RpcError(RpcErrorCode.InvalidRequest, `Malformed message: ${errors.join('; ')}`, { errors }));
+            }
+            return;
+        }
+
+        if (message.type === 'cancel') {
+            const source = this._pending.get(message.id);
+            if (source) {
+                source.cancel();
+            }
+            return;
+        }
+
+        const { id, method, params } = message;
+        if (method === undefined) {
+            logger.warn('Rejected webview request without a method');
+            return this._reply(id, undefined, new RpcError(RpcErrorCode.InvalidRequest, 'Malformed request: message.method is required'));
+        }
+
+        const started = Date.now();
+        const dispatched = fields => this._registry._onDidDispatch.fire({
+            method,
+            params,
+            ...fields,
+            durationMs: Date.now() - started
+        });
+
+        if (!this._registry.has(method)) {
+            logger.warn(`Rejected unknown method: ${method}`);
+            const error = new RpcError(RpcErrorCode.MethodNotFound, `Unknown method: ${method}`);
+            dispatched({ error });
+            return this._reply(id, undefined, error);
+        }
+
+        const source = new vscode.CancellationTokenSource();
+        this._pending.set(id, source);
+
+        try {
+            const result = await this._registry.invoke(method, params, { token: source.token, endpoint: this });
+            if (source.token.isCancellationRequested) {
+                throw new RpcError(RpcErrorCode.Cancelled, `Request cancelled: ${method}`);
+            }
+            dispatched({ result });
+            await this._reply(id, result);
+        } catch (error) {
+            const rpcError = RpcError.from(error);
+            dispatched({ error: rpcError });
+            await this._reply(id, undefined, rpcError);
+        } finally {
+            this._pending.delete(id);
+            source.dispose();
+        }
+    }
+
+    notify(event, data) {
+        return this._webview.postMessage({ type: 'event', event, data });
+    }
+
+    dispose() {
+        for (const source of this._pending.values()) {
+            source.cancel();
+        }
+        this._pending.clear();
+        this._registry._endpoints.delete(this);
+        this._onDidDispose.fire();
+        this._onDidDispose.dispose();
+    }
+
+    _reply(id, result, error) {
+        const message = error
+            ? { type: 'response', id, error: error.toJSON() }
+            : { type: 'response', id, result };
+        return this._webview.postMessage(message);
+    }
+}
+
+module.exports = {
+    RpcErrorCode,
+    RpcError,
+    RpcHandlerRegistry,
+    RpcEndpoint
+};
@@ -0,0 +1,111 @@
+const vscode = require('vscode');
+const { RpcError, RpcErrorCode } = require('./rpc');
+const { validate } = require('./validation');
+const logger = require('./logger');
+
+const SECTION = 'learningExtension';
+
+// Contributed settings, from package.json, keyed without the section prefix
+function getSchema(context) {
+    const configuration = context.extension.packageJSON.contributes.configuration;
+    const schema = {};
+    Object.entries(configuration.properties).forEach(([key, property]) => {
+        schema[key.slice(SECTION.length + 1)] = property;
+    });
+    return schema;
+}
+
+/**
+ * Current effective value of every contributed setting, e.g. `{ 'output.maxEntries': 500 }`
+ */
+function getSettings(context) {
+    const config = vscode.workspace.getConfiguration(SECTION);
+    const settings = {};
+    Object.keys(getSchema(context)).forEach(key => {
+        settings[key] = config.get(key);
+    });
+    return settings;
+}
+
+// Schema plus the value set at each scope, for the settings form
+function describeSettings(context) {
+    const config = vscode.workspace.getConfiguration(SECTION);
+    return Object.entries(getSchema(context)).map(([key, property]) => {
+        const inspected = config.inspect(key) || {};
+        return {
+            key,
+            type: property.type,
+            description: property.description,
+            enum: property.enum,
+            enumDescriptions: property.enumDescriptions,
+            minimum: property.minimum,
+            maximum: property.maximum,
+            defaultValue: inspected.defaultValue,
+            userValue: inspected.globalValue,
+            workspaceValue: inspected.workspaceValue,
+            value: config.get(key)
+        };
+    });
+}
+
+/**
+ * Register the settings handlers and push configuration changes to every open view
+ * @param {vscode.ExtensionContext} context
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {vscode.Disposable[]}
+ */
+function registerSettingsHandlers(context, registry) {
+    const schema = getSchema(context);
+
+    return [
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(SECTION)) {
+                registry.broadcast('settingsChanged', {
+                    settings: getSettings(context),
+                    descriptions: describeSettings(context)
+                });
+            }
+        }),
+
+        registry.register('getSettings', () => ({
+            settings: getSettings(context),
+            descriptions: describeSettings(context),
+            hasWorkspace: !!vscode.workspace.workspaceFolders
+        })),
+
+        // A value of undefined removes the setting from that scope
+        registry.register('updateSetting', async ({ key, value, scope }) => {
+            if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+                throw new RpcError(RpcErrorCode.InvalidRequest, `Unknown setting: ${key}`);
+            }
+            // The setting's own schema from package.json decides what values it takes
+            const errors = value === undefined ? [] : validate(value, schema[key], 'params.value');
+            if (errors.length > 0) {
+                logger.warn(`Rejected value for ${key}:`, errors.join('; '));
+                throw new RpcError(RpcErrorCode.InvalidRequest, `Invalid value for ${key}: ${errors.join('; ')}`, { errors });
+            }
+            if (scope === 'workspace' && !vscode.workspace.workspaceFolders) {
+                throw new RpcError(RpcErrorCode.InvalidRequest, 'Workspace settings need an open folder');
+            }
+            const target = scope === 'workspace'
+                ? vscode.ConfigurationTarget.Workspace
+                : vscode.ConfigurationTarget.Global;
+            await vscode.workspace.getConfiguration(SECTION).update(key, value, target);
+        }, {
+            type: 'object',
+            properties: {
+                key: { type: 'string', minLength: 1, maxLength: 200 },
+                value: {},
+                scope: { enum: ['user', 'workspace'] }
+            },
+            required: ['key'],
+            additionalProperties: false
+        })
+    ];
+}
+
+module.exports = {
+    SECTION,
+    getSettings,
+    registerSettingsHandlers
+};
@@ -0,0 +1,41 @@
+const { getWebviewContent, getWebviewOptions } = require('./webview-content');
+
+/**
+ * Activity-bar view showing a compact version of the learning panel.
+ * It talks to the same handler registry as the editor panel.
+ */
+class LearningSidebarProvider {
+    static viewType = 'learningExtension.sidebar';
+
+    constructor(extensionUri, registry) {
+        this._extensionUri = extensionUri;
+        this._registry = registry;
+    }
+
+    /**
+     * @param {import('vscode').WebviewView} webviewView
+     */
+    resolveWebviewView(webviewView) {
+        const webview = webviewView.webview;
+        const rpc = this._registry.connect(webview);
+        const disposables = [rpc];
+
+        webview.options = getWebviewOptions(this._extensionUri);
+        webview.html = getWebviewContent(webview, this._extensionUri, { compact: true });
+
+        webview.onDidReceiveMessage(message => rpc.handle(message), null, disposables);
+
+        webviewView.onDidDispose(() => {
+            while (disposables.length) {
+                const x = disposables.pop();
+                if (x) {
+                    x.dispose();
+                }
+            }
+        });
+    }
+}
+
+module.exports = {
+    LearningSidebarProvider
+};
@@ -0,0 +1,266 @@
+/*
+ * Minimal read-only SQLite reader: enough of the file format to list the rows
+ * of a rowid table, so state.vscdb can be inspected without a native module.
+ * https://www.sqlite.org/fileformat2.html
+ *
+ * Supported: table b-trees (interior and leaf pages), overflow pages, every
+ * serial type, UTF-8 and UTF-16 text, and committed frames from a -wal file
+ * (checked against their salts and checksums).
+ * Not supported: WITHOUT ROWID tables and indexes (never needed here).
+ */
+
+const HEADER = 'SQLite format 3\u0000';
+const WAL_MAGIC = [0x377f0682, 0x377f0683];
+const PAGE_INTERIOR_TABLE = 5;
+const PAGE_LEAF_TABLE = 13;
+
+class SqliteReader {
+    /**
+     * @param {Buffer} database contents of the database file
+     * @param {Buffer} [wal] contents of its -wal file, if any
+     */
+    constructor(database, wal) {
+        if (database.length < 100 || database.toString('latin1', 0, 16) !== HEADER) {
+            throw new Error('Not an SQLite 3 database');
+        }
+        this._db = database;
+        const pageSize = database.readUInt16BE(16);
+        this.pageSize = pageSize === 1 ? 65536 : pageSize;
+        this.usableSize = this.pageSize - database[20];
+        this.encoding = ['utf8', 'utf8', 'utf16le', 'utf16be'][database.readUInt32BE(56)] || 'utf8';
+        this._walPages = wal && wal.length > 32 ? this._readWal(wal) : new Map();
+    }
+
+    /**
+     * Rows of sqlite_master: `{ type, name, tableName, rootPage, sql }`
+     */
+    schema() {
+        return this._readTree(1).map(({ values }) => ({
+            type: values[0],
+            name: values[1],
+            tableName: values[2],
+            rootPage: values[3],
+            sql: values[4]
+        }));
+    }
+
+    /**
+     * Every row of a table as `{ rowid, values }`, in rowid order
+     * @param {string} name
+     */
+    readTable(name) {
+        const table = this.schema().find(entry => entry.type === 'table' && entry.name === name);
+        if (!table) {
+            throw new Error(`No table named ${name}`);
+        }
+        if (/without\s+rowid/i.test(table.sql || '')) {
+            throw new Error(`${name} is a WITHOUT ROWID table, which this reader does not support`);
+        }
+        return this._readTree(table.rootPage);
+    }
+
+    _page(number) {
+        if (this._walPages.has(number)) {
+            return this._walPages.get(number);
+        }
+        const start = (number - 1) * this.pageSize;
+        if (start + this.pageSize > this._db.length) {
+            throw new Error(`Page ${number} is past the end of the file`);
+        }
+        return this._db.subarray(start, start + this.pageSize);
+    }
+
+    // The last committed version of every page in the WAL wins. Reading
+    // stops at the first frame with old salts or a bad checksum, as SQLite's does.
+    _readWal(wal) {
+        const pages = new Map();
+        const magic = wal.readUInt32BE(0);
+        if (!WAL_MAGIC.includes(magic)) {
+            return pages;
+        }
+        const pageSize = wal.readUInt32BE(8);
+        if (pageSize !== this.pageSize) {
+            return pages;
+        }
+        const littleEndian = magic === WAL_MAGIC[0];
+        let checksum = walChecksum(wal, 0, 24, littleEndian, [0, 0]);
+        if (!checksumMatches(wal, 24, checksum)) {
+            return pages;
+        }
+        const salt1 = wal.readUInt32BE(16);
+        const salt2 = wal.readUInt32BE(20);
+
+        let pending = new Map();
+        for (let offset = 32; offset + 24 + pageSize <= wal.length; offset += 24 + pageSize) {
+            // Frames left over from an earlier checkpoint carry old salts
+            if (wal.readUInt32BE(offset + 8) !== salt1 || wal.readUInt32BE(offset + 12) !== salt2) {
+                break;
+            }
+            // Each frame's checksum continues from the one before it
+            checksum = walChecksum(wal, offset, offset + 8, littleEndian, checksum);
+            checksum = walChecksum(wal, offset + 24, offset + 24 + pageSize, littleEndian, checksum);
+            if (!checksumMatches(wal, offset + 16, checksum)) {
+                break;
+            }
+            const pageNumber = wal.readUInt32BE(offset);
+            pending.set(pageNumber, wal.subarray(offset + 24, offset + 24 + pageSize));
+            if (wal.readUInt32BE(offset + 4) !== 0) {
+                pending.forEach((page, number) => pages.set(number, page));
+                pending = new Map();
+            }
+        }
+        return pages;
+    }
+
+    _readTree(rootPage) {
+        const rows = [];
+        const stack = [rootPage];
+        const visited = new Set();
+
+        while (stack.length > 0) {
+            const number = stack.pop();
+            if (visited.has(number)) {
+                throw new Error(`B-tree loop at page ${number}`);
+            }
+            visited.add(number);
+
+            const page = this._page(number);
+            const headerOffset = number === 1 ? 100 : 0;
+            const type = page[headerOffset];
+            const cellCount = page.readUInt16BE(headerOffset + 3);
+
+            if (type === PAGE_INTERIOR_TABLE) {
+                // Push children right to left so rows come out in rowid order
+                stack.push(page.readUInt32BE(headerOffset + 8));
+                for (let i = cellCount - 1; i >= 0; i--) {
+                    const cell = page.readUInt16BE(headerOffset + 12 + i * 2);
+                    stack.push(page.readUInt32BE(cell));
+                }
+            } else if (type === PAGE_LEAF_TABLE) {
+                for (let i = 0; i < cellCount; i++) {
+                    const cell = page.readUInt16BE(headerOffset + 8 + i * 2);
+                    rows.push(this._readLeafCell(page, cell));
+                }
+            } else {
+                throw new Error(`Page ${number} is not a table b-tree page (type ${type})`);
+            }
+        }
+        return rows;
+    }
+
+    _readLeafCell(page, offset) {
+        const [size, afterSize] = readVarint(page, offset);
+        const [rowid, payloadStart] = readVarint(page, afterSize);
+        const payloadSize = Number(size);
+
+        // How much of the payload is stored on this page (fileformat2.html, "Cell Payload Overflow Pages")
+        const usable = this.usableSize;
+        const maxLocal = usable - 35;
+        let local = payloadSize;
+        if (payloadSize > maxLocal) {
+            const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+            const candidate = minLocal + (payloadSize - minLocal) % (usable - 4);
+            local = candidate <= maxLocal ? candidate : minLocal;
+        }
+
+        let payload = page.subarray(payloadStart, payloadStart + local);
+        if (local < payloadSize) {
+            const parts = [payload];
+            let remaining = payloadSize - local;
+            let next = page.readUInt32BE(payloadStart + local);
+            while (next !== 0 && remaining > 0) {
+                const overflow = this._page(next);
+                const length = Math.min(remaining, usable - 4);
+                parts.push(overflow.subarray(4, 4 + length));
+                remaining -= length;
+                next = overflow.readUInt32BE(0);
+            }
+            payload = Buffer.concat(parts);
+        }
+
+        return { rowid: Number(rowid), values: this._readRecord(payload) };
+    }
+
+    _readRecord(payload) {
+        const [headerSize, firstType] = readVarint(payload, 0);
+        const types = [];
+        for (let offset = firstType; offset < Number(headerSize);) {
+            const [type, next] = readVarint(payload, offset);
+            types.push(Number(type));
+            offset = next;
+        }
+
+        const values = [];
+        let offset = Number(headerSize);
+        types.forEach(type => {
+            const [value, size] = this._readValue(payload, offset, type);
+            values.push(value);
+            offset += size;
+        });
+        return values;
+    }
+
+    _readValue(buffer, offset, type) {
+        switch (type) {
+            case 0: return [null, 0];
+            case 1: return [buffer.readInt8(offset), 1];
+            case 2: return [buffer.readInt16BE(offset), 2];
+            case 3: return [buffer.readIntBE(offset, 3), 3];
+            case 4: return [buffer.readInt32BE(offset), 4];
+            case 5: return [buffer.readIntBE(offset, 6), 6];
+            case 6: return [Number(buffer.readBigInt64BE(offset)), 8];
+            case 7: return [buffer.readDoubleBE(offset), 8];
+            case 8: return [0, 0];
+            case 9: return [1, 0];
+        }
+        if (type >= 12 && type % 2 === 0) {
+            const size = (type - 12) / 2;
+            return [Buffer.from(buffer.subarray(offset, offset + size)), size];
+        }
+        if (type >= 13) {
+            const size = (type - 13) / 2;
+            const bytes = buffer.subarray(offset, offset + size);
+            const text = this.encoding === 'utf16be'
+                ? Buffer.from(bytes).swap16().toString('utf16le')
+                : bytes.toString(this.encoding);
+            return [text, size];
+        }
+        throw new Error(`Unknown serial type ${type}`);
+    }
+}
+
+// WAL checksum over 32-bit word pairs in the byte order the magic names
+// (fileformat2.html, "Checksum Algorithm")
+function walChecksum(buffer, start, end, littleEndian, [s0, s1]) {
+    for (let offset = start; offset < end; offset += 8) {
+        const x0 = littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+        const x1 = littleEndian ? buffer.readUInt32LE(offset + 4) : buffer.readUInt32BE(offset + 4);
+        s0 = (s0 + x0 + s1) >>> 0;
+        s1 = (s1 + x1 + s0) >>> 0;
+    }
+    return [s0, s1];
+}
+
+// Checksums are stored big-endian whatever the byte order of the words
+function checksumMatches(buffer, offset, [s0, s1]) {
+    return buffer.readUInt32BE(offset) === s0 && buffer.readUInt32BE(offset + 4) === s1;
+}
+
+// SQLite varint: 1-9 bytes, big-endian, 7 bits per byte except a full 9th byte.
+// Returns [value (BigInt), offset after it].
+function readVarint(buffer, offset) {
+    let value = 0n;
+    for (let i = 0; i < 8; i++) {
+        const byte = buffer[offset + i];
+        value = (value << 7n) | BigInt(byte & 0x7f);
+        if (byte < 0x80) {
+            return [value, offset + i + 1];
+        }
+    }
+    value = (value << 8n) | BigInt(buffer[offset + 8]);
+    return [BigInt.asIntN(64, value), offset + 9];
+}
+
+module.exports = {
+    SqliteReader
+};
@@ -0,0 +1,183 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { SqliteReader } = require('./sqlite-reader');
+const { RpcError, RpcErrorCode } = require('./rpc');
+const logger = require('./logger');
+
+const READ_ATTEMPTS = 3;
+
+// The salts in a -wal file's header change whenever a checkpoint restarts
+// the log; null when there is no log
+async function readWalSalts(walPath) {
+    let handle;
+    try {
+        handle = await fs.promises.open(walPath, 'r');
+        const { bytesRead, buffer } = await handle.read(Buffer.alloc(32), 0, 32, 0);
+        return bytesRead === 32 ? buffer.toString('hex', 16, 24) : null;
+    } catch (error) {
+        return null;
+    } finally {
+        if (handle) {
+            await handle.close();
+        }
+    }
+}
+
+async function readOptional(filePath) {
+    try {
+        return await fs.promises.readFile(filePath);
+    } catch (error) {
+        // No write-ahead log: everything is in the main file
+        return undefined;
+    }
+}
+
+/**
+ * Read every key of state.vscdb's ItemTable. Reading the files takes no
+ * lock and changes nothing. The database and its -wal file (changes not yet
+ * checkpointed) are two reads, so the log's salts are compared before and
+ * after: a checkpoint that restarted the log in between would pair the
+ * database with a log it doesn't belong to, and the read is tried again.
+ * @param {string} databasePath
+ * @returns {Promise<{ key: string, value: string|Buffer|number|null }[]>}
+ */
+async function readStateDatabase(databasePath) {
+    const walPath = `${databasePath}-wal`;
+    for (let attempt = 1; attempt <= READ_ATTEMPTS; attempt++) {
+        const salts = await readWalSalts(walPath);
+        const database = await fs.promises.readFile(databasePath);
+        const wal = await readOptional(walPath);
+        const walSalts = wal && wal.length >= 32 ? wal.toString('hex', 16, 24) : null;
+        if (walSalts !== salts) {
+            logger.debug(`${walPath} was restarted while reading, reading again`);
+            continue;
+        }
+        return new SqliteReader(database, wal).readTable('ItemTable').map(({ values }) => ({
+            key: String(values[0]),
+            value: values[1]
+        }));
+    }
+    throw new RpcError(RpcErrorCode.HandlerError, `${path.basename(databasePath)} kept changing while it was read; try again`);
+}
+
+function sizeOfValue(value) {
+    if (value === null || value === undefined) {
+        return 0;
+    }
+    return Buffer.isBuffer(value) ? value.length : Buffer.byteLength(String(value));
+}
+
+// Values are usually JSON text; show them parsed when they are
+function parseValue(value) {
+    if (Buffer.isBuffer(value)) {
+        return { kind: 'blob', value: value.toString('base64') };
+    }
+    if (typeof value === 'string') {
+        try {
+            return { kind: 'json', value: JSON.parse(value) };
+        } catch (error) {
+            return { kind: 'text', value };
+        }
+    }
+    return { kind: typeof value, value };
+}
+
+/**
+ * Extension global state is stored under the extension's id; everything else
+ * is grouped by the first segment of its key.
+ */
+function groupKeys(items) {
+    const extensions = new Map(vscode.extensions.all.map(extension => [
+        extension.id.toLowerCase(),
+        (extension.packageJSON && extension.packageJSON.displayName) || extension.id
+    ]));
+
+    const groups = new Map();
+    items.forEach(({ key, value }) => {
+        const owner = key.split(/[/:]/)[0].toLowerCase();
+        const name = extensions.has(owner)
+            ? `${extensions.get(owner)} (${owner})`
+            : `Built-in: ${key.split(/[./:]/)[0]}`;
+        if (!groups.has(name)) {
+            groups.set(name, { group: name, extensionId: extensions.has(owner) ? owner : undefined, size: 0, keys: [] });
+        }
+        const group = groups.get(name);
+        const size = Buffer.byteLength(key) + sizeOfValue(value);
+        group.size += size;
+        group.keys.push({ key, size });
+    });
+
+    return Array.from(groups.values())
+        .map(group => ({ ...group, keys: group.keys.sort((a, b) => b.size - a.size) }))
+        .sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Register the read-only state.vscdb viewer handlers
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @param {import('../vscode-device-cleaner')} deviceManager
+ * @returns {vscode.Disposable[]}
+ */
+function registerStateDatabaseHandlers(registry, deviceManager) {
+    // Values of the last snapshot, so opening a key does not re-read the file
+    let snapshot = new Map();
+
+    return [
+        // Every profile has its own state.vscdb; without a profile, read the default one
+        registry.register('readStateDatabase', async ({ profile } = {}) => {
+            let databasePath = deviceManager.getTelemetryPath();
+            if (profile) {
+                const match = deviceManager.getUserDataLocations().profiles.find(candidate => candidate.id === profile);
+                if (!match) {
+                    throw new RpcError(RpcErrorCode.InvalidRequest, `Unknown profile: ${profile}`);
+                }
+                if (!match.stateDatabase.found) {
+                    throw new RpcError(RpcErrorCode.HandlerError, match.stateDatabase.message);
+                }
+                databasePath = match.stateDatabase.path;
+            }
+            let items;
+            try {
+                items = await readStateDatabase(databasePath);
+            } catch (error) {
+                logger.error(`Could not read ${databasePath}:`, error);
+                if (error.code === 'ENOENT') {
+                    throw new RpcError(RpcErrorCode.HandlerError, `No state database at ${databasePath}`);
+                }
+                throw error;
+            }
+
+            snapshot = new Map(items.map(item => [item.key, item.value]));
+            const groups = groupKeys(items);
+            return {
+                path: databasePath,
+                readAt: new Date().toISOString(),
+                keyCount: items.length,
+                size: groups.reduce((total, group) => total + group.size, 0),
+                groups
+            };
+        }, {
+            type: 'object',
+            properties: { profile: { type: 'string', maxLength: 200 } },
+            additionalProperties: false
+        }),
+
+        registry.register('getStateValue', ({ key }) => {
+            if (!snapshot.has(key)) {
+                throw new RpcError(RpcErrorCode.InvalidRequest, `Unknown key (reload the database?): ${key}`);
+            }
+            return { key, ...parseValue(snapshot.get(key)) };
+        }, {
+            type: 'object',
+            properties: { key: { type: 'string', maxLength: 1000 } },
+            required: ['key'],
+            additionalProperties: false
+        })
+    ];
+}
+
+module.exports = {
+    readStateDatabase,
+    registerStateDatabaseHandlers
+};
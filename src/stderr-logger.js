@@ -0,0 +1,42 @@
+const util = require('util');
+
+/*
+ * The logger interface shared by the extension and the command-line script:
+ * `{ error, warn, info, debug }`, each taking console-style arguments.
+ * src/logger.js implements it on a LogOutputChannel; this file implements it
+ * on stderr, and needs nothing from 'vscode'.
+ */
+
+const LOG_LEVELS = ['off', 'error', 'warn', 'info', 'debug'];
+
+// Whether `level` messages pass a `configured` minimum level
+function isLevelEnabled(level, configured) {
+    const limit = LOG_LEVELS.indexOf(configured);
+    return LOG_LEVELS.indexOf(level) <= (limit === -1 ? LOG_LEVELS.indexOf('info') : limit);
+}
+
+/**
+ * Plain-text logger for the command line. Writes to stderr so that stdout
+ * keeps only the script's own output.
+ * @param {string} [level] minimum level, one of LOG_LEVELS
+ * @param {NodeJS.WritableStream} [stream]
+ */
+function createStderrLogger(level = 'info', stream = process.stderr) {
+    const log = (name, args) => {
+        if (isLevelEnabled(name, level)) {
+            stream.write(`[${name}] ${util.format(...args)}\n`);
+        }
+    };
+    return {
+        error: (...args) => log('error', args),
+        warn: (...args) => log('warn', args),
+        info: (...args) => log('info', args),
+        debug: (...args) => log('debug', args)
+    };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    isLevelEnabled,
+    createStderrLogger
+};
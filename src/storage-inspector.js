@@ -0,0 +1,259 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { locateJsonPath } = require('./json-tree');
+const logger = require('./logger');
+
+const VIEW_ID = 'learningExtension.storageInspector';
+const STORAGE_SCHEME = 'learning-storage';
+const MAX_TOOLTIP = 2000;
+
+function describeValue(value) {
+    if (Array.isArray(value)) {
+        return `[${value.length} items]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).length} keys}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Read-only tree over the keys of the editor's globalStorage/storage.json
+ */
+class StorageTreeProvider {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.query = '';
+        this._data = undefined;
+        this._error = undefined;
+        this._matches = undefined;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    get error() {
+        return this._error;
+    }
+
+    get matchCount() {
+        return this._matches ? this._matches.count : undefined;
+    }
+
+    async load() {
+        try {
+            this._data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            this._error = undefined;
+        } catch (error) {
+            this._data = undefined;
+            this._error = error.code === 'ENOENT' ? `No storage.json at ${this.filePath}` : error.message;
+            logger.warn(`Could not read ${this.filePath}:`, error.message);
+        }
+        this._updateMatches();
+        this._onDidChangeTreeData.fire();
+    }
+
+    setQuery(query) {
+        this.query = query.trim();
+        this._updateMatches();
+        this._onDidChangeTreeData.fire();
+    }
+
+    getChildren(node) {
+        const value = node ? node.value : this._data;
+        if (!value || typeof value !== 'object') {
+            return [];
+        }
+        const parentPath = node ? node.path : [];
+        const children = Array.isArray(value)
+            ? value.map((child, index) => ({ key: String(index), path: parentPath.concat(index), value: child }))
+            : Object.keys(value).map(key => ({ key, path: parentPath.concat(key), value: value[key] }));
+        return this._matches
+            ? children.filter(child => this._matches.visible.has(JSON.stringify(child.path)))
+            : children;
+    }
+
+    getTreeItem(node) {
+        const isContainer = node.value !== null && typeof node.value === 'object';
+        const expanded = this._matches && isContainer;
+        const item = new vscode.TreeItem(
+            node.key,
+            !isContainer ? vscode.TreeItemCollapsibleState.None
+                : expanded ? vscode.TreeItemCollapsibleState.Expanded
+                    : vscode.TreeItemCollapsibleState.Collapsed
+        );
+        item.id = JSON.stringify(node.path);
+        item.description = describeValue(node.value);
+        const full = JSON.stringify(node.value, null, 2);
+        item.tooltip = new vscode.MarkdownString().appendCodeblock(
+            full.length > MAX_TOOLTIP ? `${full.slice(0, MAX_TOOLTIP)}\n…` : full,
+            'json'
+        );
+        item.contextValue = 'storageValue';
+        item.iconPath = new vscode.ThemeIcon(
+            Array.isArray(node.value) ? 'symbol-array'
+                : isContainer ? 'symbol-object'
+                    : typeof node.value === 'string' ? 'symbol-string'
+                        : 'symbol-constant'
+        );
+        return item;
+    }
+
+    // With a query, only matching nodes and their ancestors stay visible
+    _updateMatches() {
+        if (!this.query || this._data === undefined) {
+            this._matches = undefined;
+            return;
+        }
+        const needle = this.query.toLowerCase();
+        const visible = new Set();
+        let count = 0;
+
+        const walk = (value, nodePath) => {
+            let matched = false;
+            const key = nodePath.length > 0 ? String(nodePath[nodePath.length - 1]) : '';
+            if (key.toLowerCase().includes(needle) ||
+                ((value === null || typeof value !== 'object') && String(value).toLowerCase().includes(needle))) {
+                matched = true;
+                count++;
+            }
+            if (value && typeof value === 'object') {
+                Object.keys(value).forEach(childKey => {
+                    const segment = Array.isArray(value) ? Number(childKey) : childKey;
+                    if (walk(value[childKey], nodePath.concat(segment))) {
+                        matched = true;
+                    }
+                });
+            }
+            if (matched) {
+                visible.add(JSON.stringify(nodePath));
+            }
+            return matched;
+        };
+
+        walk(this._data, []);
+        this._matches = { visible, count };
+    }
+}
+
+// Serves storage.json to a read-only editor, so nothing typed there can be
+// saved over the file VS Code keeps rewriting
+class StorageContentProvider {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.uri = vscode.Uri.from({ scheme: STORAGE_SCHEME, path: vscode.Uri.file(filePath).path });
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    refresh() {
+        this._onDidChange.fire(this.uri);
+    }
+
+    async provideTextDocumentContent() {
+        try {
+            return await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    dispose() {
+        this._onDidChange.dispose();
+    }
+}
+
+/**
+ * Register the storage.json inspector view and its commands
+ * @param {import('../vscode-device-cleaner')} deviceManager
+ * @returns {vscode.Disposable[]}
+ */
+function registerStorageInspector(deviceManager) {
+    const filePath = deviceManager.getMachineIdPath();
+    const provider = new StorageTreeProvider(filePath);
+    const treeView = vscode.window.createTreeView(VIEW_ID, { treeDataProvider: provider, showCollapseAll: true });
+
+    const updateView = () => {
+        treeView.description = provider.query ? `Search: "${provider.query}"` : undefined;
+        if (provider.error) {
+            treeView.message = provider.error;
+        } else if (provider.query && provider.matchCount === 0) {
+            treeView.message = `Nothing matches "${provider.query}"`;
+        } else {
+            treeView.message = undefined;
+        }
+    };
+    const content = new StorageContentProvider(filePath);
+    const refresh = () => {
+        content.refresh();
+        return provider.load().then(updateView);
+    };
+    refresh();
+
+    // VS Code rewrites storage.json as it runs: follow it, a beat behind
+    let reloadTimer;
+    const scheduleReload = () => {
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(refresh, 200);
+    };
+    const watcher = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(vscode.Uri.file(path.dirname(filePath)), path.basename(filePath))
+    );
+
+    return [
+        treeView,
+        content,
+        vscode.workspace.registerTextDocumentContentProvider(STORAGE_SCHEME, content),
+        watcher,
+        watcher.onDidChange(scheduleReload),
+        watcher.onDidCreate(scheduleReload),
+        watcher.onDidDelete(scheduleReload),
+        { dispose: () => clearTimeout(reloadTimer) },
+
+        vscode.commands.registerCommand('vscode-learning-extension.storageInspector.refresh', refresh),
+
+        vscode.commands.registerCommand('vscode-learning-extension.storageInspector.search', async () => {
+            const query = await vscode.window.showInputBox({
+                title: 'Search storage.json',
+                prompt: 'Matches keys and values; leave empty to show everything',
+                value: provider.query
+            });
+            if (query !== undefined) {
+                provider.setQuery(query);
+                updateView();
+            }
+        }),
+
+        vscode.commands.registerCommand('vscode-learning-extension.storageInspector.clearSearch', () => {
+            provider.setQuery('');
+            updateView();
+        }),
+
+        vscode.commands.registerCommand('vscode-learning-extension.storageInspector.copyValue', async node => {
+            if (!node) {
+                return;
+            }
+            const text = typeof node.value === 'string' ? node.value : JSON.stringify(node.value, null, 2);
+            await vscode.env.clipboard.writeText(text);
+            vscode.window.setStatusBarMessage(`Copied ${node.path.join('.')}`, 3000);
+        }),
+
+        // Open a read-only copy of the file in the JSON editor with the key selected
+        vscode.commands.registerCommand('vscode-learning-extension.storageInspector.reveal', async node => {
+            let document = await vscode.workspace.openTextDocument(content.uri);
+            if (document.languageId !== 'json') {
+                document = await vscode.languages.setTextDocumentLanguage(document, 'json');
+            }
+            const location = node ? locateJsonPath(document.getText(), node.path) : undefined;
+            const selection = location
+                ? new vscode.Range(document.positionAt(location.start), document.positionAt(location.end))
+                : undefined;
+            await vscode.window.showTextDocument(document, { selection, preview: true });
+        })
+    ];
+}
+
+module.exports = {
+    StorageTreeProvider,
+    registerStorageInspector
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/*
+ * Where an editor keeps its user data:
+ *
+ *   <user data>/User/globalStorage/storage.json     window and telemetry state
+ *   <user data>/User/globalStorage/state.vscdb      global state (default profile)
+ *   <user data>/User/workspaceStorage/<hash>/       per-workspace state
+ *   <user data>/User/profiles/<id>/globalStorage/   state of every other profile
+ *
+ * <user data> is, in order of precedence: the folder the running extension's
+ * globalStorageUri lives in, --user-data-dir, <portable>/user-data in portable
+ * mode, and otherwise the product's folder in the platform's application data
+ * folder (~/.config/Code, ~/Library/Application Support/Code, %APPDATA%\Code).
+ *
+ * Nothing here requires 'vscode', so the CLI and the tests can use it too.
+ */
+
+// vscode.env.appName → name of the product's user data folder. Any other name
+// (such as the CLI's 'Cursor' or 'Windsurf') is taken as the folder name.
+const DATA_FOLDER_NAMES = {
+    'Visual Studio Code': 'Code',
+    'Visual Studio Code - Insiders': 'Code - Insiders',
+    'Visual Studio Code - Exploration': 'Code - Exploration',
+    'Code - OSS': 'Code - OSS',
+    'Code - OSS Dev': 'code-oss-dev',
+    'VSCodium': 'VSCodium',
+    'VSCodium - Insiders': 'VSCodium - Insiders'
+};
+
+const DEFAULT_PROFILE_ID = '__default__profile__';
+
+function pathModule(platform) {
+    return platform === 'win32' ? path.win32 : path.posix;
+}
+
+function appDataDirectory({ platform, env, homeDir }) {
+    const paths = pathModule(platform);
+    if (env.VSCODE_APPDATA) {
+        return env.VSCODE_APPDATA;
+    }
+    switch (platform) {
+        case 'win32':
+            return env.APPDATA || paths.join(homeDir, 'AppData', 'Roaming');
+        case 'darwin':
+            return paths.join(homeDir, 'Library', 'Application Support');
+        default:
+            return env.XDG_CONFIG_HOME || paths.join(homeDir, '.config');
+    }
+}
+
+// --user-data-dir <dir> or --user-data-dir=<dir>
+function userDataDirArgument(argv) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--user-data-dir' && argv[i + 1]) {
+            return argv[i + 1];
+        }
+        if (argv[i].startsWith('--user-data-dir=')) {
+            return argv[i].slice('--user-data-dir='.length);
+        }
+    }
+    return undefined;
+}
+
+// <user data>/User/globalStorage/<extension> or <user data>/User/profiles/<id>/globalStorage/<extension>
+function userDataFromGlobalStorage(globalStoragePath, paths) {
+    const marker = `${paths.sep}User${paths.sep}`;
+    const index = globalStoragePath.lastIndexOf(marker);
+    return index > 0 ? globalStoragePath.slice(0, index) : undefined;
+}
+
+/**
+ * Check that a path exists and has the expected kind.
+ * @returns {{ path: string, found: boolean, reason?: 'missing'|'notDirectory'|'notFile'|'unreadable', message?: string }}
+ */
+function checkLocation(fileSystem, location, kind, label) {
+    try {
+        const stat = fileSystem.statSync(location);
+        if (kind === 'directory' && !stat.isDirectory()) {
+            return { path: location, found: false, reason: 'notDirectory', message: `${label} is not a folder: ${location}` };
+        }
+        if (kind === 'file' && !stat.isFile()) {
+            return { path: location, found: false, reason: 'notFile', message: `${label} is not a file: ${location}` };
+        }
+        return { path: location, found: true };
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+            return { path: location, found: false, reason: 'missing', message: `No ${label} at ${location}` };
+        }
+        return { path: location, found: false, reason: 'unreadable', message: `Cannot read ${label} at ${location}: ${error.message}` };
+    }
+}
+
+// Names come from storage.json; folders it does not mention are listed by id
+function listProfiles(fileSystem, userDir, paths) {
+    const profiles = [{ id: DEFAULT_PROFILE_ID, name: 'Default', isDefault: true, path: userDir }];
+
+    let known = [];
+    try {
+        const storage = JSON.parse(fileSystem.readFileSync(paths.join(userDir, 'globalStorage', 'storage.json'), 'utf8'));
+        known = Array.isArray(storage.userDataProfiles) ? storage.userDataProfiles : [];
+    } catch (error) {
+        // No storage.json yet, or not JSON: profile names are unknown
+    }
+    const names = new Map(known.filter(profile => profile && profile.location).map(profile => [profile.location, profile.name]));
+
+    let folders = [];
+    try {
+        folders = fileSystem.readdirSync(paths.join(userDir, 'profiles'), { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+    } catch (error) {
+        // No profiles folder: only the default profile exists
+    }
+
+    const ids = Array.from(new Set([...names.keys(), ...folders]));
+    ids.forEach(id => profiles.push({
+        id,
+        name: names.get(id) || id,
+        isDefault: false,
+        path: paths.join(userDir, 'profiles', id)
+    }));
+
+    return profiles.map(profile => {
+        const globalStorage = paths.join(profile.path, 'globalStorage');
+        return {
+            ...profile,
+            globalStorage: checkLocation(fileSystem, globalStorage, 'directory', `globalStorage folder of profile "${profile.name}"`),
+            stateDatabase: checkLocation(fileSystem, paths.join(globalStorage, 'state.vscdb'), 'file', `state.vscdb of profile "${profile.name}"`)
+        };
+    });
+}
+
+/**
+ * Work out an editor's user data folder, without touching the disk.
+ * @param {object} [options]
+ * @param {string} [options.appName] vscode.env.appName, or a user data folder name such as 'Cursor'
+ * @param {string} [options.globalStoragePath] the running extension's globalStorageUri.fsPath
+ * @param {string} [options.platform] defaults to process.platform
+ * @param {object} [options.env] defaults to process.env
+ * @param {string} [options.homeDir] defaults to os.homedir()
+ * @param {string[]} [options.argv] defaults to process.argv
+ * @returns {{ product: string, source: 'extension'|'argument'|'portable'|'default', userDataDir: string }}
+ */
+function resolveUserDataDir(options = {}) {
+    const {
+        appName = 'Visual Studio Code',
+        globalStoragePath,
+        platform = process.platform,
+        env = process.env,
+        homeDir = os.homedir(),
+        argv = process.argv
+    } = options;
+    const paths = pathModule(platform);
+    const product = DATA_FOLDER_NAMES[appName] || appName;
+
+    const fromExtension = globalStoragePath && userDataFromGlobalStorage(globalStoragePath, paths);
+    if (fromExtension) {
+        return { product, source: 'extension', userDataDir: fromExtension };
+    }
+    const fromArgument = userDataDirArgument(argv);
+    if (fromArgument) {
+        return { product, source: 'argument', userDataDir: paths.resolve(fromArgument) };
+    }
+    if (env.VSCODE_PORTABLE) {
+        return { product, source: 'portable', userDataDir: paths.join(env.VSCODE_PORTABLE, 'user-data') };
+    }
+    return { product, source: 'default', userDataDir: paths.join(appDataDirectory({ platform, env, homeDir }), product) };
+}
+
+/**
+ * Work out every user data location and profile of an editor, and check
+ * which of them exist. Takes the options of resolveUserDataDir(), plus
+ * `fileSystem` (statSync, readFileSync and readdirSync; defaults to fs).
+ */
+function resolveUserDataPaths(options = {}) {
+    const { platform = process.platform, fileSystem = fs } = options;
+    const paths = pathModule(platform);
+    const resolved = resolveUserDataDir(options);
+
+    const userDir = paths.join(resolved.userDataDir, 'User');
+    const globalStorage = paths.join(userDir, 'globalStorage');
+    return {
+        ...resolved,
+        locations: {
+            userData: checkLocation(fileSystem, resolved.userDataDir, 'directory', 'user data folder'),
+            globalStorage: checkLocation(fileSystem, globalStorage, 'directory', 'globalStorage folder'),
+            storageJson: checkLocation(fileSystem, paths.join(globalStorage, 'storage.json'), 'file', 'storage.json'),
+            stateDatabase: checkLocation(fileSystem, paths.join(globalStorage, 'state.vscdb'), 'file', 'state.vscdb'),
+            workspaceStorage: checkLocation(fileSystem, paths.join(userDir, 'workspaceStorage'), 'directory', 'workspaceStorage folder')
+        },
+        profiles: listProfiles(fileSystem, userDir, paths)
+    };
+}
+
+module.exports = {
+    DEFAULT_PROFILE_ID,
+    resolveUserDataDir,
+    resolveUserDataPaths
+};
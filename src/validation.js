@@ -0,0 +1,118 @@
+/*
+ * Checks values against a small subset of JSON Schema, enough to describe
+ * what the webview may send:
+ *
+ *   type                  'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null',
+ *                         or an array of them; leave it out to accept any JSON value
+ *   enum                  allowed values
+ *   minLength, maxLength, pattern     strings
+ *   minimum, maximum                  numbers
+ *   items, maxItems                   arrays
+ *   properties, required, additionalProperties (a boolean)   objects
+ *
+ * Nothing here requires 'vscode', so it can be unit tested in plain Node.
+ */
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+        return String(value);
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'object':
+            return typeOf(value) === 'object';
+        default:
+            return typeOf(value) === type;
+    }
+}
+
+/**
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [where] name of the value in error messages
+ * @returns {string[]} what is wrong, empty when the value is valid
+ */
+function validate(value, schema, where = 'params') {
+    const errors = [];
+    if (!schema) {
+        return errors;
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${where} must be ${types.join(' or ')}, not ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${where} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${where} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where} has an invalid format`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${where} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${where} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${where} must have at most ${schema.maxItems} items`);
+        } else if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(item, schema.items, `${where}[${index}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                errors.push(`${where}.${name} is required`);
+            }
+        });
+        Object.keys(value).forEach(name => {
+            if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                if (value[name] !== undefined) {
+                    errors.push(...validate(value[name], properties[name], `${where}.${name}`));
+                }
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}.${name} is not allowed`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,369 @@
+const vscode = require('vscode');
+
+// Scripts loaded into the webview, in order: the RPC client, the main script
+// and then the feature scripts that build on it
+const WEBVIEW_SCRIPTS = [
+    'rpc.js',
+    'output-log.js',
+    'main.js',
+    'notifications-lab.js',
+    'editor-lab.js',
+    'workspace-report.js',
+    'lessons.js',
+    'command-explorer.js',
+    'logs.js',
+    'settings.js',
+    'backups.js',
+    'activity.js',
+    'state-database.js',
+    'workspace-storage.js',
+    'manifest-linter.js'
+];
+
+/**
+ * Build the HTML shared by the editor panel and the sidebar view
+ * @param {vscode.Webview} webview
+ * @param {vscode.Uri} extensionUri
+ * @param {{ compact?: boolean }} [options] compact renders the narrow sidebar layout
+ */
+function getWebviewContent(webview, extensionUri, options = {}) {
+    // Get the local paths to the scripts run in the webview
+    const scriptUris = WEBVIEW_SCRIPTS.map(name =>
+        webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'media', name))
+    );
+
+    // Get the local path to css file
+    const stylePathOnDisk = vscode.Uri.joinPath(extensionUri, 'media', 'main.css');
+    const styleUri = webview.asWebviewUri(stylePathOnDisk);
+
+    // Use a nonce to only allow specific scripts to be run
+    const nonce = getNonce();
+
+    return `<!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <link href="${styleUri}" rel="stylesheet">
+            <title>Learning Extension</title>
+        </head>
+        <body class="${options.compact ? 'compact' : ''}">
+            <div class="container">
+                <header>
+                    <h1>🎓 VS Code Learning Extension</h1>
+                    <p>Explore VS Code extension capabilities with interactive examples</p>
+                    <p id="panelScope" class="panel-scope" hidden></p>
+                </header>
+
+                <main>
+                    <section class="button-grid">
+                        <div class="button-group" data-section="workspace">
+                            <h3>📁 Workspace Operations</h3>
+                            <button id="getWorkspace" class="btn btn-primary">Get Workspace Info</button>
+                            <button id="rescanWorkspace" class="btn btn-secondary">Rescan Changed Files</button>
+                            <div id="scanProgress" class="scan-progress" hidden>
+                                <div class="scan-progress-label"></div>
+                                <div class="scan-progress-track"><div class="scan-progress-bar"></div></div>
+                                <button id="cancelScan" class="btn btn-error">Cancel Scan</button>
+                            </div>
+                            <button id="openFile" class="btn btn-secondary">Open File Dialog</button>
+                            <div id="recentFiles" class="recent-files"></div>
+                        </div>
+
+                        <div class="button-group" data-section="device">
+                            <h3>🔧 Device Management</h3>
+                            <button id="getDeviceInfo" class="btn btn-info">Get Device Info</button>
+                            <button id="showDataLocations" class="btn btn-info">Show Data Locations</button>
+                            <button id="resetDevice" class="btn btn-warning">Reset Device IDs</button>
+                            <button id="manageWorkspaceStorage" class="btn btn-secondary">Manage Workspace Storage</button>
+                        </div>
+                    </section>
+
+                    <section class="tool-section" data-section="messages">
+                        <h3>📢 Notifications Lab</h3>
+                        <div class="notification-lab">
+                            <div class="lab-card">
+                                <h4>Message</h4>
+                                <div class="lab-row">
+                                    <select id="messageSeverity" aria-label="Severity">
+                                        <option value="info">Information</option>
+                                        <option value="warning">Warning</option>
+                                        <option value="error">Error</option>
+                                    </select>
+                                    <label><input id="messageModal" type="checkbox"> Modal</label>
+                                </div>
+                                <input id="messageText" type="text" value="Hello from the notifications lab!" aria-label="Message">
+                                <input id="messageDetail" type="text" placeholder="Detail (modal only)" aria-label="Detail">
+                                <input id="messageActions" type="text" value="Yes, No" placeholder="Buttons, comma separated" aria-label="Buttons">
+                                <button id="showMessage" class="btn btn-info">Show Message</button>
+                            </div>
+
+                            <div class="lab-card">
+                                <h4>Input Box</h4>
+                                <input id="inputPrompt" type="text" value="What is your name?" placeholder="Prompt" aria-label="Prompt">
+                                <input id="inputPlaceholder" type="text" placeholder="Placeholder" aria-label="Placeholder">
+                                <div class="lab-row">
+                                    <label><input id="inputRequired" type="checkbox" checked> Required</label>
+                                    <label><input id="inputPassword" type="checkbox"> Password</label>
+                                    <label>Min length <input id="inputMinLength" type="number" min="0" max="1000"></label>
+                                </div>
+                                <input id="inputPattern" type="text" placeholder="Pattern, e.g. ^[A-Za-z ]+$" aria-label="Pattern">
+                                <input id="inputPatternMessage" type="text" placeholder="Message when the pattern does not match" aria-label="Pattern message">
+                                <button id="showInputBox" class="btn btn-primary">Show Input Box</button>
+                            </div>
+
+                            <div class="lab-card">
+                                <h4>Quick Pick</h4>
+                                <textarea id="quickPickItems" rows="4" aria-label="Items">Apples
+*Bananas
+Cherries | Sour ones</textarea>
+                                <p class="lab-hint">One item per line; * preselects it, text after | is its description</p>
+                                <input id="quickPickPlaceholder" type="text" value="Pick some fruit" placeholder="Placeholder" aria-label="Placeholder">
+                                <label><input id="quickPickMany" type="checkbox" checked> Pick many</label>
+                                <button id="showQuickPick" class="btn btn-primary">Show Quick Pick</button>
+                            </div>
+
+                            <div class="lab-card">
+                                <h4>Progress</h4>
+                                <div class="lab-row">
+                                    <select id="progressLocation" aria-label="Location">
+                                        <option value="notification">Notification</option>
+                                        <option value="window">Status bar (window)</option>
+                                    </select>
+                                    <label><input id="progressCancellable" type="checkbox" checked> Cancellable</label>
+                                </div>
+                                <input id="progressTitle" type="text" value="Working on it" placeholder="Title" aria-label="Title">
+                                <div class="lab-row">
+                                    <label>Steps <input id="progressSteps" type="number" min="1" max="20" value="5"></label>
+                                    <label>ms per step <input id="progressStepMs" type="number" min="100" max="5000" step="100" value="1000"></label>
+                                </div>
+                                <div class="lab-row">
+                                    <button id="runProgress" class="btn btn-primary">Run Progress</button>
+                                    <button id="cancelProgress" class="btn btn-error" hidden>Cancel from Webview</button>
+                                </div>
+                            </div>
+                        </div>
+                    </section>
+
+                    <section class="tool-section" data-section="editor">
+                        <h3>✏️ Editor Lab</h3>
+                        <div class="notification-lab">
+                            <div class="lab-card">
+                                <h4>Active Editor</h4>
+                                <div id="editorState" class="editor-state"></div>
+                                <button id="undoEditorOperation" class="btn btn-secondary" disabled>Nothing to Undo</button>
+                            </div>
+
+                            <div class="lab-card">
+                                <h4>Snippet</h4>
+                                <textarea id="snippetText" rows="4" aria-label="Snippet">// \${1:TODO}: \${2:describe it} ($TM_FILENAME)$0</textarea>
+                                <p class="lab-hint">Inserted at every cursor. $1, \${2:default} and $0 are tab stops; $TM_FILENAME, $CURRENT_DATE and friends are filled in</p>
+                                <button id="insertSnippet" class="btn btn-primary">Insert Snippet</button>
+                            </div>
+
+                            <div class="lab-card">
+                                <h4>Workspace Edit</h4>
+                                <textarea id="workspaceEditJson" rows="6" aria-label="Edits" placeholder='[{ "path": "src/index.js", "start": { "line": 0, "character": 0 }, "text": "// hello\\n" }]'></textarea>
+                                <p class="lab-hint">A JSON array of edits, applied together. Lines and characters start at 0; leave out "end" to insert</p>
+                                <div class="lab-row">
+                                    <button id="fillWorkspaceEdit" class="btn-small">Use Selection</button>
+                                    <button id="applyWorkspaceEdit" class="btn btn-primary">Apply Edit</button>
+                                </div>
+                            </div>
+
+                            <div class="lab-card">
+                                <h4>Decorations</h4>
+                                <input id="decoration-backgroundColor" type="text" value="rgba(255, 200, 0, 0.3)" placeholder="Background color" aria-label="Background color">
+                                <input id="decoration-color" type="text" placeholder="Text color" aria-label="Text color">
+                                <input id="decoration-border" type="text" placeholder="Border, e.g. 1px dashed red" aria-label="Border">
+                                <input id="decoration-textDecoration" type="text" placeholder="Text decoration, e.g. underline wavy" aria-label="Text decoration">
+                                <input id="decoration-afterText" type="text" placeholder="Text shown after the range" aria-label="Text after">
+                                <div class="lab-row">
+                                    <label><input id="decorationBold" type="checkbox"> Bold</label>
+                                    <label><input id="decorationItalic" type="checkbox"> Italic</label>
+                                    <label><input id="decorationWholeLine" type="checkbox"> Whole line</label>
+                                </div>
+                                <p class="lab-hint">Decorates each selection; an empty selection decorates its line</p>
+                                <div class="lab-row">
+                                    <button id="addDecoration" class="btn btn-primary">Decorate Selection</button>
+                                    <button id="clearDecorations" class="btn-small" disabled>Clear All</button>
+                                </div>
+                                <ul id="decorationList" class="decoration-list"></ul>
+                            </div>
+                        </div>
+                    </section>
+
+                    <section class="tool-section" data-section="lessons">
+                        <h3>🎯 Lessons</h3>
+                        <div id="lessonBrowser" class="lesson-browser"></div>
+                    </section>
+
+                    <section class="tool-section" data-section="commands">
+                        <h3>🧭 Command Explorer</h3>
+                        <div class="command-explorer">
+                            <div class="command-browser">
+                                <div class="command-toolbar">
+                                    <input id="commandSearch" type="search" placeholder="Search commands..." aria-label="Search commands">
+                                    <button id="refreshCommands" class="btn-small">Refresh</button>
+                                </div>
+                                <div id="commandList" class="command-list"></div>
+                            </div>
+                            <div class="command-runner">
+                                <input id="commandId" type="text" placeholder="Command id" aria-label="Command id">
+                                <textarea id="commandArgs" rows="3" placeholder='Arguments as a JSON array, e.g. ["value", 2]' aria-label="Command arguments"></textarea>
+                                <button id="runCommand" class="btn btn-primary">Run Command</button>
+                                <div class="command-history-header">
+                                    <h4>History</h4>
+                                    <button id="clearCommandHistory" class="btn-small">Clear</button>
+                                </div>
+                                <div id="commandHistory" class="command-history"></div>
+                            </div>
+                        </div>
+                    </section>
+
+                    <section class="tool-section" data-section="logs">
+                        <h3>📜 Extension Log</h3>
+                        <div class="backup-toolbar">
+                            <button id="followLogs" class="btn-small">Follow Log</button>
+                            <select id="logLevelFilter" aria-label="Minimum level">
+                                <option value="debug">Debug</option>
+                                <option value="info" selected>Info</option>
+                                <option value="warn">Warning</option>
+                                <option value="error">Error</option>
+                            </select>
+                            <button id="clearLogView" class="btn-small">Clear</button>
+                            <button id="openLogChannel" class="btn-small">Open in Output Panel</button>
+                            <span id="logSummary" class="backup-summary"></span>
+                        </div>
+                        <div id="logEntries" class="log-entries"></div>
+                    </section>
+
+                    <section class="tool-section" data-section="backups">
+                        <h3>🗄️ Backups</h3>
+                        <div class="backup-toolbar">
+                            <button id="refreshBackups" class="btn-small">Refresh</button>
+                            <button id="pruneBackups" class="btn-small">Prune Now</button>
+                            <span id="backupSummary" class="backup-summary"></span>
+                        </div>
+                        <div id="backupTable" class="backup-table"></div>
+                    </section>
+
+                    <section class="tool-section" data-section="activity">
+                        <h3>🕘 Activity History</h3>
+                        <div class="backup-toolbar">
+                            <label for="activityFrom">From</label>
+                            <input id="activityFrom" type="date">
+                            <label for="activityTo">To</label>
+                            <input id="activityTo" type="date">
+                            <select id="activityKind" aria-label="Kind">
+                                <option value="">Everything</option>
+                                <option value="request">Requests</option>
+                                <option value="operation">File changes</option>
+                            </select>
+                            <button id="refreshActivity" class="btn-small">Refresh</button>
+                            <button id="exportActivity" class="btn-small">Export .jsonl</button>
+                            <span id="activitySummary" class="backup-summary"></span>
+                        </div>
+                        <div id="activityTable" class="backup-table"></div>
+                    </section>
+
+                    <section class="tool-section" data-section="stateDb">
+                        <h3>🗃️ Global State (state.vscdb)</h3>
+                        <div class="backup-toolbar">
+                            <select id="stateDbProfile" aria-label="Profile" hidden></select>
+                            <button id="readStateDb" class="btn-small">Read Database</button>
+                            <input id="stateDbSearch" type="search" placeholder="Search keys..." aria-label="Search keys">
+                            <span id="stateDbSummary" class="backup-summary"></span>
+                        </div>
+                        <div id="stateDbTable" class="backup-table"></div>
+                    </section>
+
+                    <section class="tool-section" data-section="workspaceStorage">
+                        <h3>🧹 Workspace Storage</h3>
+                        <div class="backup-toolbar">
+                            <button id="scanWorkspaceStorage" class="btn-small">Scan</button>
+                            <button id="cancelStorageScan" class="btn-small" hidden>Cancel</button>
+                            <button id="selectOrphanedStorage" class="btn-small">Select Missing</button>
+                            <label for="storageOlderThan">Older than</label>
+                            <input id="storageOlderThan" type="number" min="1" value="90" aria-label="Days">
+                            <button id="selectOldStorage" class="btn-small">Select</button>
+                            <button id="removeWorkspaceStorage" class="btn-small" disabled>Remove Selected</button>
+                            <span id="workspaceStorageSummary" class="backup-summary"></span>
+                        </div>
+                        <div id="workspaceStorageTable" class="backup-table"></div>
+                    </section>
+
+                    <section class="tool-section" data-section="manifest">
+                        <h3>🧾 Manifest Linter</h3>
+                        <div class="backup-toolbar">
+                            <button id="lintManifests" class="btn-small">Lint Extension Manifests</button>
+                            <span id="manifestSummary" class="backup-summary">Every package.json with engines.vscode is checked on save</span>
+                        </div>
+                        <div id="manifestResults" class="backup-table"></div>
+                    </section>
+
+                    <section class="tool-section" data-section="settings">
+                        <h3>⚙️ Settings</h3>
+                        <div class="settings-toolbar">
+                            <label for="settingsScope">Save to</label>
+                            <select id="settingsScope">
+                                <option value="user">User settings</option>
+                                <option value="workspace">Workspace settings</option>
+                            </select>
+                        </div>
+                        <div id="settingsForm" class="settings-form"></div>
+                    </section>
+
+                    <section class="output-section">
+                        <h3>📋 Output</h3>
+                        <div class="output-toolbar">
+                            <input id="outputSearch" type="search" placeholder="Search output..." aria-label="Search output">
+                            <div class="output-filters">
+                                <label><input type="checkbox" data-type="info" checked> Info</label>
+                                <label><input type="checkbox" data-type="success" checked> Success</label>
+                                <label><input type="checkbox" data-type="warning" checked> Warning</label>
+                                <label><input type="checkbox" data-type="error" checked> Error</label>
+                            </div>
+                            <div class="output-actions">
+                                <button id="collapseJson" class="btn-small">Collapse JSON</button>
+                                <button id="clearOutput" class="btn-small">Clear</button>
+                                <button id="exportMarkdown" class="btn-small">Export .md</button>
+                                <button id="exportJson" class="btn-small">Export .json</button>
+                            </div>
+                        </div>
+                        <div id="output" class="output-box">
+                            <p class="output-placeholder">Click any button above to see the results here...</p>
+                        </div>
+                    </section>
+                </main>
+            </div>
+
+            ${scriptUris.map(uri => `<script nonce="${nonce}" src="${uri}"></script>`).join('\n            ')}
+        </body>
+        </html>`;
+}
+
+function getWebviewOptions(extensionUri) {
+    return {
+        enableScripts: true,
+        localResourceRoots: [
+            vscode.Uri.joinPath(extensionUri, 'media'),
+            vscode.Uri.joinPath(extensionUri, 'src')
+        ]
+    };
+}
+
+function getNonce() {
+    let text = '';
+    const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    for (let i = 0; i < 32; i++) {
+        text += possible.charAt(Math.floor(Math.random() * possible.length));
+    }
+    return text;
+}
+
+module.exports = {
+    getWebviewContent,
+    getWebviewOptions
+};
@@ -0,0 +1,139 @@
+const vscode = require('vscode');
+const { resolveInsideRoots, PathOutsideRootsError } = require('./path-sandbox');
+const { RpcError, RpcErrorCode } = require('./rpc');
+const logger = require('./logger');
+
+const OPEN_DIALOG_FILTERS = {
+    'All Files': ['*'],
+    'JavaScript': ['js', 'mjs', 'cjs'],
+    'TypeScript': ['ts', 'tsx'],
+    'JSON': ['json', 'jsonc'],
+    'Markdown': ['md']
+};
+
+/**
+ * The workspace folder the webview behind `endpoint` is bound to, if it is
+ * a panel opened for a folder or a resource in one
+ * @param {import('./rpc').RpcEndpoint} [endpoint]
+ * @returns {vscode.WorkspaceFolder | undefined}
+ */
+function getScopeFolder(endpoint) {
+    return endpoint && endpoint.scope ? endpoint.scope.folder : undefined;
+}
+
+/**
+ * Work out which workspace folder an operation applies to: the `preferred`
+ * folder (a panel's own) while it is open, the folder of the active editor,
+ * the only folder, or (multi-root, when `pick` is set) the user's choice.
+ * @param {{ pick?: boolean, preferred?: vscode.WorkspaceFolder }} [options]
+ * @returns {Promise<vscode.WorkspaceFolder | undefined>}
+ */
+async function getActiveWorkspaceFolder(options = {}) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    if (folders.length === 0) {
+        return undefined;
+    }
+    const preferred = options.preferred && folders.find(folder => folder.uri.toString() === options.preferred.uri.toString());
+    if (preferred) {
+        return preferred;
+    }
+    if (folders.length === 1) {
+        return folders[0];
+    }
+
+    if (options.pick) {
+        return vscode.window.showWorkspaceFolderPick({ placeHolder: 'Select a workspace folder' });
+    }
+
+    const editor = vscode.window.activeTextEditor;
+    const editorFolder = editor && vscode.workspace.getWorkspaceFolder(editor.document.uri);
+    return editorFolder || folders[0];
+}
+
+// Local workspace folders, the only roots webview paths may resolve into
+function workspaceRoots() {
+    return (vscode.workspace.workspaceFolders || [])
+        .filter(folder => folder.uri.scheme === 'file')
+        .map(folder => folder.uri.fsPath);
+}
+
+/**
+ * Resolve a path from the webview: relative paths are joined to the active
+ * workspace folder rather than the host's cwd, and the result (after `..`
+ * segments and symlinks) must lie inside one of the open workspace folders.
+ * @param {string} filePath
+ * @param {vscode.WorkspaceFolder} [preferred] folder relative paths start from, e.g. the panel's
+ * @returns {Promise<vscode.Uri>}
+ * @throws {RpcError} InvalidRequest for anything outside the workspace
+ */
+async function resolveWorkspacePath(filePath, preferred) {
+    const roots = workspaceRoots();
+    if (roots.length === 0) {
+        throw new RpcError(RpcErrorCode.InvalidRequest, `Cannot open ${filePath} without an open workspace folder`);
+    }
+
+    const folder = await getActiveWorkspaceFolder({ preferred });
+    try {
+        return vscode.Uri.file(resolveInsideRoots(filePath, { roots, base: folder && folder.uri.fsPath }));
+    } catch (error) {
+        if (!(error instanceof PathOutsideRootsError)) {
+            throw error;
+        }
+        logger.warn(`Rejected path from webview: ${filePath}`, error.resolvedPath ? `(resolves to ${error.resolvedPath})` : '');
+        throw new RpcError(RpcErrorCode.InvalidRequest, error.message, { path: filePath });
+    }
+}
+
+/**
+ * Whether resolveWorkspacePath would accept this file's path, e.g. for a
+ * file picked in the open dialog, which can be anywhere
+ * @param {vscode.Uri} uri
+ * @returns {boolean}
+ */
+function isInsideWorkspace(uri) {
+    const roots = workspaceRoots();
+    if (uri.scheme !== 'file' || roots.length === 0) {
+        return false;
+    }
+    try {
+        resolveInsideRoots(uri.fsPath, { roots });
+        return true;
+    } catch (error) {
+        if (!(error instanceof PathOutsideRootsError)) {
+            throw error;
+        }
+        return false;
+    }
+}
+
+/**
+ * Show a native open dialog starting in the chosen workspace folder.
+ * Multi-root workspaces ask for the folder first, unless one is `preferred`.
+ * @param {vscode.WorkspaceFolder} [preferred]
+ * @returns {Promise<vscode.Uri | undefined>} undefined when the user cancels
+ */
+async function pickFile(preferred) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const folder = await getActiveWorkspaceFolder({ pick: folders.length > 1, preferred });
+    if (folders.length > 1 && !folder) {
+        return undefined;
+    }
+
+    const uris = await vscode.window.showOpenDialog({
+        canSelectFiles: true,
+        canSelectFolders: false,
+        canSelectMany: false,
+        defaultUri: folder ? folder.uri : undefined,
+        filters: OPEN_DIALOG_FILTERS,
+        openLabel: 'Open'
+    });
+    return uris && uris[0];
+}
+
+module.exports = {
+    getScopeFolder,
+    getActiveWorkspaceFolder,
+    resolveWorkspacePath,
+    isInsideWorkspace,
+    pickFile
+};
@@ -0,0 +1,463 @@
+const vscode = require('vscode');
+const path = require('path');
+const { RpcError, RpcErrorCode } = require('./rpc');
+const { getScopeFolder } = require('./workspace-files');
+
+const MAX_FILES = 100000;
+const STAT_BATCH_SIZE = 64;
+const LARGEST_FILES = 10;
+const PROGRESS_INTERVAL = 250;
+
+const LANGUAGES = {
+    '.js': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript', '.jsx': 'JavaScript',
+    '.ts': 'TypeScript', '.tsx': 'TypeScript', '.mts': 'TypeScript', '.cts': 'TypeScript',
+    '.json': 'JSON', '.jsonc': 'JSON',
+    '.md': 'Markdown', '.markdown': 'Markdown',
+    '.html': 'HTML', '.htm': 'HTML',
+    '.css': 'CSS', '.scss': 'SCSS', '.less': 'Less',
+    '.py': 'Python', '.ipynb': 'Jupyter',
+    '.java': 'Java', '.kt': 'Kotlin', '.scala': 'Scala',
+    '.c': 'C', '.h': 'C', '.cpp': 'C++', '.cc': 'C++', '.hpp': 'C++',
+    '.cs': 'C#', '.go': 'Go', '.rs': 'Rust', '.rb': 'Ruby', '.php': 'PHP',
+    '.swift': 'Swift', '.dart': 'Dart', '.lua': 'Lua',
+    '.sh': 'Shell', '.bash': 'Shell', '.ps1': 'PowerShell',
+    '.yml': 'YAML', '.yaml': 'YAML', '.toml': 'TOML', '.xml': 'XML',
+    '.sql': 'SQL', '.vue': 'Vue', '.svelte': 'Svelte',
+    '.png': 'Image', '.jpg': 'Image', '.jpeg': 'Image', '.gif': 'Image', '.svg': 'Image', '.ico': 'Image'
+};
+
+const FILENAME_LANGUAGES = {
+    'Dockerfile': 'Docker',
+    'Makefile': 'Makefile'
+};
+
+// Marker files that identify a project type
+const PROJECT_MARKERS = [
+    { type: 'Node.js', test: name => name === 'package.json' },
+    { type: 'TypeScript', test: name => /^tsconfig(\..+)?\.json$/.test(name) },
+    { type: 'Python', test: name => ['pyproject.toml', 'setup.py', 'requirements.txt', 'Pipfile'].includes(name) },
+    { type: 'Rust', test: name => name === 'Cargo.toml' },
+    { type: 'Go', test: name => name === 'go.mod' },
+    { type: 'Java (Maven)', test: name => name === 'pom.xml' },
+    { type: 'Java (Gradle)', test: name => /^build\.gradle(\.kts)?$/.test(name) },
+    { type: '.NET', test: name => /\.(csproj|fsproj|sln)$/.test(name) },
+    { type: 'Ruby', test: name => name === 'Gemfile' },
+    { type: 'PHP', test: name => name === 'composer.json' },
+    { type: 'Docker', test: name => name === 'Dockerfile' || /^docker-compose\.ya?ml$/.test(name) },
+    { type: 'VS Code Extension', test: name => name === 'vsc-extension-quickstart.md' }
+];
+
+function getLanguage(fileName) {
+    return FILENAME_LANGUAGES[fileName] || LANGUAGES[path.extname(fileName).toLowerCase()] || 'Other';
+}
+
+// Index of the ] closing the class opened at `start`, or -1; a ] right
+// after [ or [! belongs to the class
+function classEnd(glob, start) {
+    let first = start + 1;
+    if (glob[first] === '!') {
+        first++;
+    }
+    return glob.indexOf(']', first + 1);
+}
+
+// Translate one gitignore glob into a regular expression source
+function globToRegExpSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[' && classEnd(glob, i) !== -1) {
+            // [abc], [a-z] and [!abc] character classes
+            const end = classEnd(glob, i);
+            let body = glob.slice(i + 1, end);
+            const negated = body.startsWith('!');
+            if (negated) {
+                body = body.slice(1);
+            }
+            source += `[${negated ? '^' : ''}${body.replace(/[\\\]^[]/g, '\\$&')}]`;
+            i = end;
+        } else {
+            source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+/**
+ * Compile the contents of a .gitignore file into a matcher for paths
+ * relative to the directory holding it. Later rules win, `!` re-includes.
+ * @param {string} content
+ * @returns {(relativePath: string) => boolean | undefined} undefined when no rule matched
+ */
+function compileGitignore(content) {
+    const rules = [];
+
+    for (let line of content.split(/\r?\n/)) {
+        line = line.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const negated = line.startsWith('!');
+        if (negated) {
+            line = line.slice(1);
+        }
+        const dirOnly = line.endsWith('/');
+        if (dirOnly) {
+            line = line.slice(0, -1);
+        }
+        // A slash anywhere but the end anchors the pattern to this directory
+        const anchored = line.includes('/');
+        if (line.startsWith('/')) {
+            line = line.slice(1);
+        }
+
+        const source = (anchored ? '^' : '(?:^|/)') + globToRegExpSource(line) + (dirOnly ? '/' : '(?:/|$)');
+        rules.push({ regex: new RegExp(source), negated });
+    }
+
+    return relativePath => {
+        let ignored;
+        for (const rule of rules) {
+            if (rule.regex.test(relativePath)) {
+                ignored = !rule.negated;
+            }
+        }
+        return ignored;
+    };
+}
+
+/**
+ * The rules of a .gitignore that findFiles can leave out up front, as globs
+ * relative to the folder holding it. Only rules after the last `!` rule
+ * qualify, since no later rule can re-include what they ignore; the
+ * matcher from compileGitignore still applies every rule afterwards.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function gitignoreExcludeGlobs(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    const lastNegated = lines.map(line => line.startsWith('!')).lastIndexOf(true);
+
+    return lines.slice(lastNegated + 1)
+        // Braces and commas mean something else in a VS Code glob
+        .filter(line => !/[{},\\]/.test(line))
+        .flatMap(line => {
+            const dirOnly = line.endsWith('/');
+            const pattern = dirOnly ? line.slice(0, -1) : line;
+            const glob = pattern.includes('/') ? pattern.replace(/^\//, '') : `**/${pattern}`;
+            return dirOnly ? [`${glob}/**`] : [glob, `${glob}/**`];
+        });
+}
+
+// `{a,b}/x` -> ['a/x', 'b/x'], innermost braces first
+function expandBraces(glob) {
+    const match = /\{([^{}]*)\}/.exec(glob);
+    if (!match) {
+        return [glob];
+    }
+    return match[1].split(',').flatMap(alternative =>
+        expandBraces(glob.slice(0, match.index) + alternative + glob.slice(match.index + match[0].length)));
+}
+
+/**
+ * One exclude glob for findFiles out of the given globs. An explicit exclude
+ * replaces the files.exclude default, so callers pass those in too.
+ * @param {string[]} globs
+ * @returns {string}
+ */
+function combineExcludeGlobs(globs) {
+    const expanded = new Set(globs.flatMap(expandBraces).filter(glob => glob && !glob.includes(',')));
+    return `{${Array.from(expanded).join(',')}}`;
+}
+
+// The globs a files.exclude or search.exclude setting turns on; entries
+// with a `when` clause depend on sibling files and are left to the user
+function settingExcludeGlobs(section, folder) {
+    const globs = vscode.workspace.getConfiguration(section, folder.uri).get('exclude', {}) || {};
+    return Object.keys(globs).filter(glob => globs[glob] === true);
+}
+
+/**
+ * Scans workspace folders into a per-language report. Keeps the stats of the
+ * last scan so an incremental rescan only stats files that changed since.
+ */
+class WorkspaceScanner {
+    constructor() {
+        // folder uri -> Map(file uri -> { size, mtime })
+        this._cache = new Map();
+        this._dirty = new Set();
+        this._watcher = undefined;
+    }
+
+    /**
+     * @param {{ incremental?: boolean, token?: vscode.CancellationToken, onProgress?: Function, folder?: vscode.WorkspaceFolder }} options
+     *   `folder` scans just that folder instead of all of them
+     */
+    async scan(options = {}) {
+        const { incremental = false, token, onProgress = () => {}, folder } = options;
+        const folders = folder ? [folder] : vscode.workspace.workspaceFolders || [];
+        const started = Date.now();
+
+        this._ensureWatcher();
+
+        const report = {
+            scannedAt: new Date().toISOString(),
+            incremental,
+            folders: [],
+            statCount: 0,
+            reusedCount: 0,
+            durationMs: 0
+        };
+
+        for (const scanned of folders) {
+            const folderReport = await this._scanFolder(scanned, { incremental, token, onProgress, report });
+            report.folders.push(folderReport);
+        }
+
+        // Changes in folders this scan skipped still count next time
+        const prefixes = folders.map(scanned => `${scanned.uri.toString()}/`);
+        this._dirty.forEach(key => {
+            if (prefixes.some(prefix => key.startsWith(prefix))) {
+                this._dirty.delete(key);
+            }
+        });
+        report.durationMs = Date.now() - started;
+        return report;
+    }
+
+    dispose() {
+        if (this._watcher) {
+            this._watcher.dispose();
+            this._watcher = undefined;
+        }
+    }
+
+    _ensureWatcher() {
+        if (this._watcher) {
+            return;
+        }
+        this._watcher = vscode.workspace.createFileSystemWatcher('**/*');
+        const markDirty = uri => this._dirty.add(uri.toString());
+        this._watcher.onDidChange(markDirty);
+        this._watcher.onDidCreate(markDirty);
+        this._watcher.onDidDelete(markDirty);
+    }
+
+    async _scanFolder(folder, { incremental, token, onProgress, report }) {
+        const folderKey = folder.uri.toString();
+        const previous = incremental ? this._cache.get(folderKey) : undefined;
+
+        onProgress({ folder: folder.name, phase: 'listing', processed: 0, total: 0 });
+
+        // Leave ignored trees out of the listing so they can't fill MAX_FILES;
+        // nested .gitignore files and `!` rules are applied below
+        const uris = await vscode.workspace.findFiles(
+            new vscode.RelativePattern(folder, '**/*'),
+            await this._excludeGlob(folder),
+            MAX_FILES + 1,
+            token
+        );
+        throwIfCancelled(token);
+
+        const truncated = uris.length > MAX_FILES;
+        const listed = truncated ? uris.slice(0, MAX_FILES) : uris;
+        const isIgnored = await this._loadGitignores(folder, listed);
+
+        const files = [];
+        let ignoredCount = 0;
+        for (const uri of listed) {
+            const relativePath = path.posix.relative(folder.uri.path, uri.path);
+            if (isIgnored(relativePath)) {
+                ignoredCount++;
+            } else {
+                files.push({ uri, relativePath });
+            }
+        }
+
+        const stats = new Map();
+        let lastProgress = 0;
+
+        for (let i = 0; i < files.length; i += STAT_BATCH_SIZE) {
+            throwIfCancelled(token);
+
+            const batch = files.slice(i, i + STAT_BATCH_SIZE);
+            await Promise.all(batch.map(async file => {
+                const key = file.uri.toString();
+                const cached = previous && previous.get(key);
+                if (cached && !this._dirty.has(key)) {
+                    stats.set(key, cached);
+                    report.reusedCount++;
+                    return;
+                }
+                try {
+                    const stat = await vscode.workspace.fs.stat(file.uri);
+                    stats.set(key, { size: stat.size, mtime: stat.mtime });
+                    report.statCount++;
+                } catch (error) {
+                    // File vanished between listing and stat
+                }
+            }));
+
+            const processed = Math.min(i + STAT_BATCH_SIZE, files.length);
+            if (Date.now() - lastProgress > PROGRESS_INTERVAL || processed === files.length) {
+                lastProgress = Date.now();
+                onProgress({ folder: folder.name, phase: 'measuring', processed, total: files.length });
+            }
+        }
+
+        this._cache.set(folderKey, stats);
+        return summarizeFolder(folder, files, stats, { truncated, ignoredCount });
+    }
+
+    // files.exclude, search.exclude, node_modules, .git and the root .gitignore
+    async _excludeGlob(folder) {
+        let gitignore = '';
+        try {
+            gitignore = Buffer.from(await vscode.workspace.fs.readFile(vscode.Uri.joinPath(folder.uri, '.gitignore'))).toString('utf8');
+        } catch (error) {
+            // No root .gitignore
+        }
+        return combineExcludeGlobs([
+            '**/.git/**',
+            '**/node_modules/**',
+            ...settingExcludeGlobs('files', folder),
+            ...settingExcludeGlobs('search', folder),
+            ...gitignoreExcludeGlobs(gitignore)
+        ]);
+    }
+
+    // Build one matcher from every .gitignore found in the folder
+    async _loadGitignores(folder, uris) {
+        const matchers = [];
+
+        for (const uri of uris) {
+            if (path.posix.basename(uri.path) !== '.gitignore') {
+                continue;
+            }
+            try {
+                const content = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+                const base = path.posix.relative(folder.uri.path, path.posix.dirname(uri.path));
+                matchers.push({ base, match: compileGitignore(content) });
+            } catch (error) {
+                // Unreadable .gitignore: scan as if it wasn't there
+            }
+        }
+
+        // Deeper .gitignore files override shallower ones
+        matchers.sort((a, b) => a.base.length - b.base.length);
+
+        return relativePath => {
+            if (relativePath === '.git' || relativePath.startsWith('.git/')) {
+                return true;
+            }
+            let ignored = false;
+            for (const { base, match } of matchers) {
+                if (base && !relativePath.startsWith(base + '/')) {
+                    continue;
+                }
+                const result = match(base ? relativePath.slice(base.length + 1) : relativePath);
+                if (result !== undefined) {
+                    ignored = result;
+                }
+            }
+            return ignored;
+        };
+    }
+}
+
+function summarizeFolder(folder, files, stats, { truncated, ignoredCount }) {
+    const languages = new Map();
+    const projectTypes = new Map();
+    const measured = [];
+    let totalSize = 0;
+
+    for (const file of files) {
+        const stat = stats.get(file.uri.toString());
+        if (!stat) {
+            continue;
+        }
+        const fileName = path.posix.basename(file.relativePath);
+        const language = getLanguage(fileName);
+        const entry = languages.get(language) || { language, files: 0, size: 0 };
+        entry.files++;
+        entry.size += stat.size;
+        languages.set(language, entry);
+
+        totalSize += stat.size;
+        measured.push({ path: file.relativePath, size: stat.size, language });
+
+        for (const marker of PROJECT_MARKERS) {
+            if (marker.test(fileName)) {
+                if (!projectTypes.has(marker.type)) {
+                    projectTypes.set(marker.type, []);
+                }
+                projectTypes.get(marker.type).push(file.relativePath);
+            }
+        }
+    }
+
+    return {
+        name: folder.name,
+        uri: folder.uri.toString(),
+        fileCount: measured.length,
+        totalSize,
+        ignoredCount,
+        truncated,
+        languages: Array.from(languages.values()).sort((a, b) => b.size - a.size),
+        largestFiles: measured.sort((a, b) => b.size - a.size).slice(0, LARGEST_FILES),
+        projectTypes: Array.from(projectTypes, ([type, markers]) => ({ type, markers: markers.slice(0, 5), count: markers.length }))
+    };
+}
+
+function throwIfCancelled(token) {
+    if (token && token.isCancellationRequested) {
+        throw new RpcError(RpcErrorCode.Cancelled, 'Workspace scan cancelled');
+    }
+}
+
+/**
+ * Register the workspace report handler
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @returns {vscode.Disposable[]}
+ */
+function registerWorkspaceReportHandlers(registry) {
+    const scanner = new WorkspaceScanner();
+
+    return [
+        scanner,
+        // A panel opened for a folder reports on that folder only
+        registry.register('getWorkspaceReport', ({ incremental }, { token, endpoint }) => {
+            return scanner.scan({
+                incremental: !!incremental,
+                token,
+                folder: getScopeFolder(endpoint),
+                onProgress: progress => endpoint.notify('workspaceReportProgress', progress)
+            });
+        }, {
+            type: 'object',
+            properties: { incremental: { type: 'boolean' } },
+            additionalProperties: false
+        })
+    ];
+}
+
+module.exports = {
+    WorkspaceScanner,
+    compileGitignore,
+    gitignoreExcludeGlobs,
+    combineExcludeGlobs,
+    registerWorkspaceReportHandlers
+};
@@ -0,0 +1,209 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { RpcError, RpcErrorCode } = require('./rpc');
+
+const BATCH_SIZE = 16;
+
+/*
+ * Every folder under workspaceStorage is named by a hash of the workspace it
+ * belongs to, and records that workspace in workspace.json:
+ *
+ *   { "folder": "file:///home/me/project" }
+ *   { "workspace": "file:///home/me/all.code-workspace" }
+ *
+ * Empty windows get folders without a workspace.json.
+ */
+
+// Total size and newest modification time of everything in a folder
+async function measure(directory) {
+    let size = 0;
+    let modified = 0;
+    const pending = [directory];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        let entries = [];
+        try {
+            entries = await fs.promises.readdir(current, { withFileTypes: true });
+        } catch (error) {
+            continue;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                pending.push(entryPath);
+                continue;
+            }
+            try {
+                const stat = await fs.promises.stat(entryPath);
+                size += stat.size;
+                modified = Math.max(modified, stat.mtimeMs);
+            } catch (error) {
+                // Removed while we were measuring
+            }
+        }
+    }
+    return { size, modified };
+}
+
+async function readTarget(directory) {
+    try {
+        const manifest = JSON.parse(await fs.promises.readFile(path.join(directory, 'workspace.json'), 'utf8'));
+        if (manifest.folder) {
+            return { kind: 'folder', uri: manifest.folder };
+        }
+        if (manifest.workspace) {
+            return { kind: 'workspace', uri: manifest.workspace };
+        }
+    } catch (error) {
+        // No (readable) workspace.json
+    }
+    return { kind: 'empty', uri: undefined };
+}
+
+// true or false for local targets; null when it cannot be checked (remote, empty window)
+async function targetExists(uri) {
+    if (!uri) {
+        return null;
+    }
+    const parsed = vscode.Uri.parse(uri);
+    if (parsed.scheme !== 'file') {
+        return null;
+    }
+    try {
+        await fs.promises.access(parsed.fsPath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Names of the workspaceStorage folders that belong to the open window: the
+ * parent of this extension's own storage folder, and any folder whose
+ * workspace.json names an open folder or the open workspace file.
+ * @param {vscode.ExtensionContext} context
+ */
+function currentWorkspaceMatcher(context) {
+    const ids = new Set();
+    if (context.storageUri) {
+        ids.add(path.basename(path.dirname(context.storageUri.fsPath)));
+    }
+    const uris = new Set((vscode.workspace.workspaceFolders || []).map(folder => folder.uri.toString()));
+    if (vscode.workspace.workspaceFile) {
+        uris.add(vscode.workspace.workspaceFile.toString());
+    }
+    return (id, target) => ids.has(id) || (!!target.uri && uris.has(vscode.Uri.parse(target.uri).toString()));
+}
+
+function throwIfCancelled(token) {
+    if (token && token.isCancellationRequested) {
+        throw new RpcError(RpcErrorCode.Cancelled, 'Workspace storage scan cancelled');
+    }
+}
+
+/**
+ * Describe every workspaceStorage folder
+ * @param {string} root the workspaceStorage folder
+ * @param {{ isCurrent: Function, token?: vscode.CancellationToken, onProgress?: Function }} options
+ */
+async function listWorkspaceStorage(root, { isCurrent, token, onProgress = () => {} }) {
+    let names = [];
+    try {
+        names = (await fs.promises.readdir(root, { withFileTypes: true }))
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    const entries = [];
+    for (let start = 0; start < names.length; start += BATCH_SIZE) {
+        throwIfCancelled(token);
+        const batch = await Promise.all(names.slice(start, start + BATCH_SIZE).map(async id => {
+            const directory = path.join(root, id);
+            const [target, stats] = await Promise.all([readTarget(directory), measure(directory)]);
+            const exists = await targetExists(target.uri);
+            return {
+                id,
+                kind: target.kind,
+                target: target.uri,
+                targetPath: target.uri && vscode.Uri.parse(target.uri).scheme === 'file'
+                    ? vscode.Uri.parse(target.uri).fsPath
+                    : target.uri,
+                exists,
+                current: isCurrent(id, target),
+                size: stats.size,
+                modified: stats.modified ? new Date(stats.modified).toISOString() : undefined
+            };
+        }));
+        entries.push(...batch);
+        onProgress({ processed: entries.length, total: names.length });
+    }
+
+    return {
+        root,
+        entries: entries.sort((a, b) => b.size - a.size),
+        size: entries.reduce((total, entry) => total + entry.size, 0)
+    };
+}
+
+/**
+ * Register the workspace storage manager handlers
+ * @param {vscode.ExtensionContext} context
+ * @param {import('./rpc').RpcHandlerRegistry} registry
+ * @param {import('../vscode-device-cleaner')} deviceManager
+ * @param {import('./device-operations').DeviceOperationRunner} runner
+ * @returns {vscode.Disposable[]}
+ */
+function registerWorkspaceStorageHandlers(context, registry, deviceManager, runner) {
+    return [
+        registry.register('listWorkspaceStorage', (params, { token, endpoint }) => {
+            return listWorkspaceStorage(deviceManager.getWorkspaceStatePath(), {
+                isCurrent: currentWorkspaceMatcher(context),
+                token,
+                onProgress: progress => endpoint.notify('workspaceStorageProgress', progress)
+            });
+        }),
+
+        registry.register('removeWorkspaceStorage', async ({ ids }) => {
+            if (!Array.isArray(ids) || ids.length === 0) {
+                throw new RpcError(RpcErrorCode.InvalidRequest, 'Select at least one workspace storage folder');
+            }
+
+            // Check again on the host: the open workspace is never removed
+            const root = deviceManager.getWorkspaceStatePath();
+            const isCurrent = currentWorkspaceMatcher(context);
+            for (const id of ids) {
+                if (isCurrent(id, await readTarget(path.join(root, id)))) {
+                    throw new RpcError(RpcErrorCode.InvalidRequest, `${id} belongs to the open workspace and cannot be removed`);
+                }
+            }
+
+            const plan = deviceManager.planRemoveWorkspaceStorage(ids);
+            const outcome = await runner.run(plan, {
+                title: `Delete ${plan.changes.length} workspace storage folder${plan.changes.length === 1 ? '' : 's'}?`,
+                confirmLabel: 'Delete'
+            });
+            if (outcome.cancelled || outcome.empty) {
+                return outcome;
+            }
+            return { deleted: outcome.changes.map(change => path.basename(change.path)), backup: outcome.backup.directory };
+        }, {
+            type: 'object',
+            properties: {
+                // Folder names only: no separators, no "." or ".."
+                ids: { type: 'array', maxItems: 10000, items: { type: 'string', pattern: '^(?!\\.\\.?$)[^/\\\\]+$' } }
+            },
+            required: ['ids'],
+            additionalProperties: false
+        })
+    ];
+}
+
+module.exports = {
+    listWorkspaceStorage,
+    registerWorkspaceStorageHandlers
+};
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { RpcHandlerRegistry } = require('../../src/rpc');
+const { AuditLog, registerAuditHandlers } = require('../../src/audit-log');
+
+suite('Audit log', () => {
+    let base;
+    let audit;
+
+    setup(() => {
+        vscode.reset();
+        base = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-audit-'));
+    });
+
+    teardown(() => {
+        audit.dispose();
+        fs.rmSync(base, { recursive: true, force: true });
+    });
+
+    const operations = log => log.map(entry => entry.operation);
+
+    test('rotates to audit.1.jsonl past the size limit and reads both files', async () => {
+        audit = new AuditLog(vscode.Uri.file(base), { maxFileSize: 300 });
+        for (let index = 0; index < 8; index++) {
+            await audit.recordOperation({ operation: `op-${index}`, changes: [], applied: 0 });
+        }
+
+        const rotated = fs.readFileSync(audit.rotatedPath, 'utf8').trim().split('\n');
+        const current = fs.readFileSync(audit.filePath, 'utf8').trim().split('\n');
+        assert.ok(fs.statSync(audit.filePath).size <= 300);
+        assert.ok(rotated.length + current.length < 8, 'the oldest entries were dropped');
+
+        const kept = [...rotated, ...current].map(line => JSON.parse(line).operation);
+        assert.deepStrictEqual(operations(await audit.read()), kept);
+        assert.strictEqual(kept[kept.length - 1], 'op-7');
+    });
+
+    test('reads only the newest entries from the end of the file', async () => {
+        audit = new AuditLog(vscode.Uri.file(base));
+        const lines = [];
+        for (let index = 0; index < 3000; index++) {
+            lines.push(JSON.stringify({ timestamp: new Date(index * 1000).toISOString(), kind: 'operation', operation: `op-${index}` }));
+        }
+        // A line cut short by a crash, then one written after the restart
+        fs.writeFileSync(audit.filePath, `${lines.join('\n')}\n{"timestamp":"1970-01-0\n${lines[2999]}\n`);
+
+        const newest = await audit.read({}, { limit: 3 });
+        assert.deepStrictEqual(operations(newest), ['op-2998', 'op-2999', 'op-2999']);
+
+        const all = await audit.read();
+        assert.strictEqual(all.length, 3001);
+        assert.deepStrictEqual(operations(all.slice(0, 2)), ['op-0', 'op-1']);
+
+        const ranged = await audit.read({ from: new Date(10 * 1000).toISOString(), to: new Date(12 * 1000).toISOString() });
+        assert.deepStrictEqual(operations(ranged), ['op-10', 'op-11']);
+    });
+
+    test('tells only the views that follow the history about new entries', async () => {
+        audit = new AuditLog(vscode.Uri.file(base));
+        const registry = new RpcHandlerRegistry();
+        const disposables = registerAuditHandlers(registry, audit);
+        const connect = () => {
+            const posted = [];
+            const endpoint = registry.connect({ postMessage: async message => posted.push(message) });
+            return { endpoint, posted };
+        };
+        const following = connect();
+        const other = connect();
+        const changed = posted => posted.filter(message => message.event === 'activityChanged').length;
+        const settle = () => new Promise(resolve => setTimeout(resolve, 550));
+
+        try {
+            await registry.invoke('subscribeActivity', undefined, { endpoint: following.endpoint });
+            await audit.recordOperation({ operation: 'reset', changes: [], applied: 0 });
+            await settle();
+            assert.strictEqual(changed(following.posted), 1);
+            assert.strictEqual(changed(other.posted), 0);
+
+            await registry.invoke('unsubscribeActivity', undefined, { endpoint: following.endpoint });
+            await audit.recordOperation({ operation: 'reset', changes: [], applied: 0 });
+            await settle();
+            assert.strictEqual(changed(following.posted), 1);
+
+            const listed = await registry.invoke('listActivity', {}, {});
+            assert.deepStrictEqual({ truncated: listed.truncated, count: listed.entries.length }, { truncated: false, count: 2 });
+        } finally {
+            following.endpoint.dispose();
+            other.endpoint.dispose();
+            disposables.filter(disposable => disposable !== audit).forEach(disposable => disposable.dispose());
+        }
+    });
+});
@@ -0,0 +1,122 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { RpcHandlerRegistry } = require('../../src/rpc');
+const { BackupStore, registerBackupHandlers } = require('../../src/backups');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+suite('Backups', () => {
+    let base;
+    let globalStorage;
+    let store;
+
+    // A state.vscdb with a CLI sidecar copy from `daysAgo` days ago
+    function createSidecar(daysAgo) {
+        const sidecar = path.join(globalStorage, `state.vscdb.backup.${Date.now() - daysAgo * DAY}`);
+        fs.writeFileSync(sidecar, 'original');
+        return `sidecar:${sidecar}`;
+    }
+
+    setup(() => {
+        vscode.reset();
+        base = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-backups-'));
+        globalStorage = path.join(base, 'globalStorage');
+        fs.mkdirSync(globalStorage);
+        fs.writeFileSync(path.join(globalStorage, 'state.vscdb'), 'current');
+        store = new BackupStore(vscode.Uri.file(path.join(base, 'extension')), [globalStorage]);
+    });
+
+    teardown(() => {
+        store.dispose();
+        fs.rmSync(base, { recursive: true, force: true });
+    });
+
+    test('gives backups started in the same millisecond their own folders', async () => {
+        const toISOString = Date.prototype.toISOString;
+        Date.prototype.toISOString = () => '2024-05-01T10:20:30.000Z';
+        let created;
+        try {
+            const file = path.join(globalStorage, 'state.vscdb');
+            created = await Promise.all([store.create('reset', [file]), store.create('reset', [file])]);
+        } finally {
+            Date.prototype.toISOString = toISOString;
+        }
+        assert.deepStrictEqual(created.map(backup => backup.id).sort(), [
+            '2024-05-01T10-20-30-000Z-reset',
+            '2024-05-01T10-20-30-000Z-reset-2'
+        ]);
+        assert.strictEqual((await store.list()).filter(backup => !backup.sidecar).length, 2);
+    });
+
+    test('removes the folder of a backup that failed part way', async () => {
+        const cp = fs.promises.cp;
+        fs.promises.cp = async () => {
+            throw new Error('disk full');
+        };
+        try {
+            await assert.rejects(store.create('reset', [path.join(globalStorage, 'state.vscdb')]), /disk full/);
+        } finally {
+            fs.promises.cp = cp;
+        }
+        assert.deepStrictEqual(fs.readdirSync(store.root), []);
+    });
+
+    test('leaves CLI sidecars out of automatic pruning', async () => {
+        const sidecar = createSidecar(90);
+        const backup = await store.create('reset', [path.join(globalStorage, 'state.vscdb')]);
+
+        assert.deepStrictEqual(await store.prune({ maxCount: 0, maxAgeDays: 30 }), []);
+        assert.deepStrictEqual(await store.prune({ maxCount: 1, maxAgeDays: 0 }), []);
+        assert.deepStrictEqual((await store.list()).map(entry => entry.id), [backup.id, sidecar]);
+    });
+
+    suite('pruneBackups', () => {
+        let registry;
+        let disposables;
+
+        setup(() => {
+            registry = new RpcHandlerRegistry();
+            vscode.configuration['learningExtension.backups.maxAgeDays'] = 30;
+        });
+
+        teardown(() => {
+            disposables.forEach(disposable => disposable.dispose());
+        });
+
+        // Registering prunes once in the background; wait for it to finish
+        async function register() {
+            disposables = registerBackupHandlers(registry, store);
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        test('deletes expired sidecars only once confirmed', async () => {
+            const sidecar = createSidecar(90);
+            await register();
+
+            const result = await registry.invoke('pruneBackups', {}, {});
+            assert.deepStrictEqual(result, { cancelled: true, deleted: [] });
+            assert.strictEqual(vscode.calls.messages[0].items[0].modal, true);
+            assert.match(vscode.calls.messages[0].items[0].detail, /only one of the original state\.vscdb/);
+
+            vscode.window.messageReply = (level, text, items) => items[2];
+            assert.deepStrictEqual(await registry.invoke('pruneBackups', {}, {}), { deleted: [] });
+
+            vscode.window.messageReply = (level, text, items) => items[1];
+            assert.deepStrictEqual(await registry.invoke('pruneBackups', {}, {}), { deleted: [sidecar] });
+            assert.deepStrictEqual(await store.list(), []);
+        });
+
+        test('does not ask when no sidecar has expired', async () => {
+            createSidecar(1);
+            await register();
+            assert.deepStrictEqual(await registry.invoke('pruneBackups', {}, {}), { deleted: [] });
+            assert.deepStrictEqual(vscode.calls.messages, []);
+        });
+    });
+});
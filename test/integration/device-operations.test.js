@@ -0,0 +1,70 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { BackupStore } = require('../../src/backups');
+const { DeviceOperationRunner } = require('../../src/device-operations');
+
+suite('Device operations', () => {
+    let base;
+    let backups;
+    let runner;
+    let plan;
+    const applied = [];
+
+    setup(() => {
+        vscode.reset();
+        applied.length = 0;
+        base = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-operations-'));
+        const folder = path.join(base, 'workspaceStorage', '1a2b');
+        fs.mkdirSync(folder, { recursive: true });
+        fs.writeFileSync(path.join(folder, 'state.vscdb'), Buffer.alloc(3 * 1024));
+        plan = { operation: 'removeWorkspaceStorage', changes: [{ type: 'delete', path: folder }] };
+
+        backups = new BackupStore(vscode.Uri.file(path.join(base, 'extension')));
+        runner = new DeviceOperationRunner({ applyPlan: applied.push.bind(applied) }, backups);
+    });
+
+    teardown(() => {
+        runner.dispose();
+        backups.dispose();
+        fs.rmSync(base, { recursive: true, force: true });
+    });
+
+    const options = { title: 'Delete 1 workspace storage folder?', confirmLabel: 'Delete' };
+
+    test('shows the size of the backup and always keeps one', async () => {
+        vscode.window.messageReply = (level, text, items) => items[1];
+        const outcome = await runner.run(plan, options);
+
+        const [{ items }] = vscode.calls.messages;
+        assert.deepStrictEqual(items.slice(1), ['Delete']);
+        assert.match(items[0].detail, /A backup \(3\.0 KB\) is kept/);
+        assert.strictEqual(outcome.backup.entries[0].size, 3 * 1024);
+        assert.deepStrictEqual(applied, [plan]);
+    });
+
+    test('closes the diff previews once the run is over', async () => {
+        const storagePath = path.join(base, 'storage.json');
+        fs.writeFileSync(storagePath, '{}');
+        const write = { operation: 'resetDeviceIdentifiers', changes: [{ type: 'write', path: storagePath, before: '{}', after: '{"a":1}' }] };
+        let openTabs;
+        vscode.window.messageReply = () => {
+            openTabs = vscode.window.tabGroups.all[0].tabs.map(tab => tab.input.modified.scheme);
+            return undefined;
+        };
+
+        await runner.run(write, { title: 'Reset?', confirmLabel: 'Reset' });
+        assert.deepStrictEqual(openTabs, ['learning-plan']);
+        assert.deepStrictEqual(vscode.window.tabGroups.all[0].tabs, []);
+    });
+
+    test('changes nothing when the modal is dismissed', async () => {
+        assert.deepStrictEqual(await runner.run(plan, options), { cancelled: true, changes: plan.changes });
+        assert.deepStrictEqual(applied, []);
+    });
+});
@@ -0,0 +1,183 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { RpcHandlerRegistry } = require('../../src/rpc');
+const { registerEditorLabHandlers } = require('../../src/editor-lab');
+
+suite('Editor lab', () => {
+    let root;
+    let registry;
+    let disposables;
+    let endpoint;
+
+    const invoke = (method, params) => registry.invoke(method, params, { token: new vscode.CancellationTokenSource().token, endpoint });
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // Opens a file inside the workspace folder (it need not exist on disk)
+    function open(name, text) {
+        return vscode.openEditor(path.join(root, name), text, 'javascript');
+    }
+
+    function select(editor, anchor, active = anchor) {
+        editor.selections = [new vscode.Selection(new vscode.Position(...anchor), new vscode.Position(...active))];
+        vscode.events.textEditorSelection.fire({ textEditor: editor, selections: editor.selections });
+    }
+
+    setup(() => {
+        vscode.reset();
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'editor-lab-')));
+        vscode.workspace.workspaceFolders = [{ name: 'project', index: 0, uri: vscode.Uri.file(root) }];
+        registry = new RpcHandlerRegistry();
+        disposables = registerEditorLabHandlers(registry);
+        endpoint = { notified: [], notify: (event, data) => endpoint.notified.push({ event, data }), onDidDispose: () => new vscode.Disposable() };
+    });
+
+    teardown(() => {
+        disposables.forEach(disposable => disposable.dispose());
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    suite('state', () => {
+        test('describes the active editor', async () => {
+            const editor = open('main.js', 'const a = 1;\nconst b = 2;\n');
+            select(editor, [1, 6], [1, 7]);
+
+            const { editor: state } = await invoke('subscribeEditorState');
+            assert.strictEqual(state.path, 'main.js');
+            assert.strictEqual(state.languageId, 'javascript');
+            assert.strictEqual(state.lineCount, 3);
+            assert.deepStrictEqual(state.selections, [{ anchor: { line: 1, character: 6 }, active: { line: 1, character: 7 }, isEmpty: false, text: 'b' }]);
+        });
+
+        test('keeps the last editor when the webview takes focus', async () => {
+            open('main.js', 'x');
+            vscode.window.activeTextEditor = undefined;
+            vscode.events.activeTextEditor.fire(undefined);
+            assert.strictEqual((await invoke('subscribeEditorState')).editor.path, 'main.js');
+        });
+
+        test('pushes changes to subscribers', async () => {
+            const editor = open('main.js', 'hello world');
+            await invoke('subscribeEditorState');
+            select(editor, [0, 6], [0, 11]);
+            await wait(150);
+            assert.strictEqual(endpoint.notified.length, 1);
+            assert.strictEqual(endpoint.notified[0].event, 'editorState');
+            assert.strictEqual(endpoint.notified[0].data.editor.selections[0].text, 'world');
+
+            await invoke('unsubscribeEditorState');
+            select(editor, [0, 0]);
+            await wait(150);
+            assert.strictEqual(endpoint.notified.length, 1);
+        });
+    });
+
+    suite('edits', () => {
+        test('inserts a snippet at the cursor and undoes it', async () => {
+            const editor = open('main.js', 'start\n');
+            select(editor, [0, 5]);
+
+            await invoke('insertSnippet', { snippet: ' ${1:middle} end$0' });
+            assert.strictEqual(editor.document.getText(), 'start middle end\n');
+
+            assert.deepStrictEqual(await invoke('undoEditorOperation'), { undone: 'Insert snippet in main.js' });
+            assert.strictEqual(editor.document.getText(), 'start\n');
+        });
+
+        test('applies one edit across files', async () => {
+            const first = open('a.js', 'one\ntwo\n');
+            const second = open('b.js', 'three\n');
+
+            const result = await invoke('applyWorkspaceEdit', {
+                edits: [
+                    { path: 'a.js', start: { line: 1, character: 0 }, end: { line: 1, character: 3 }, text: 'TWO' },
+                    { path: 'a.js', start: { line: 0, character: 0 }, text: '// ' },
+                    { path: 'b.js', start: { line: 0, character: 5 }, text: '!' }
+                ]
+            });
+            assert.deepStrictEqual(result, { files: ['a.js', 'b.js'], edits: 3 });
+            assert.strictEqual(first.document.getText(), '// one\nTWO\n');
+            assert.strictEqual(second.document.getText(), 'three!\n');
+
+            await invoke('undoEditorOperation');
+            assert.strictEqual(first.document.getText(), 'one\ntwo\n');
+            assert.strictEqual(second.document.getText(), 'three\n');
+        });
+
+        test('refuses to undo over later changes', async () => {
+            const editor = open('main.js', 'text');
+            await invoke('insertSnippet', { snippet: '1' });
+            await vscode.workspace.applyEdit(Object.assign(new vscode.WorkspaceEdit(), {
+                edits: [{ uri: editor.document.uri, range: new vscode.Range(0, 0, 0, 0), text: '2' }]
+            }));
+
+            await assert.rejects(invoke('undoEditorOperation'), /main\.js has changed since/);
+            assert.strictEqual(editor.document.getText(), '21text');
+        });
+
+        test('rejects files outside the workspace', async () => {
+            open('main.js', 'text');
+            await assert.rejects(
+                invoke('applyWorkspaceEdit', { edits: [{ path: '../outside.js', start: { line: 0, character: 0 }, text: 'x' }] }),
+                error => error.code === 'InvalidRequest'
+            );
+        });
+
+        test('needs an editor and something to undo', async () => {
+            await assert.rejects(invoke('insertSnippet', { snippet: 'x' }), /Open a file in a text editor first/);
+            await assert.rejects(invoke('undoEditorOperation'), /Nothing to undo/);
+        });
+    });
+
+    suite('decorations', () => {
+        test('decorates the selection, or the cursor line', async () => {
+            const editor = open('main.js', 'first line\nsecond line\n');
+            select(editor, [0, 0], [0, 5]);
+            const { id } = await invoke('addDecoration', { style: { backgroundColor: 'rgba(255, 200, 0, 0.3)', fontWeight: 'bold' } });
+            select(editor, [1, 3]);
+            await invoke('addDecoration', { style: { afterText: '← here', color: 'gray' }, wholeLine: true });
+
+            const [highlight, note] = Array.from(editor.decorations.entries());
+            assert.deepStrictEqual(highlight[1].map(range => editor.document.getText(range)), ['first']);
+            assert.strictEqual(highlight[0].options.fontWeight, 'bold');
+            assert.deepStrictEqual(note[1].map(range => editor.document.getText(range)), ['second line']);
+            assert.strictEqual(note[0].options.after.contentText, '← here');
+
+            const { decorations } = await invoke('subscribeEditorState');
+            assert.deepStrictEqual(decorations.map(decoration => decoration.id), [id, 'decoration-2']);
+        });
+
+        test('undoes adding, removing and clearing', async () => {
+            const editor = open('main.js', 'text');
+            const { id } = await invoke('addDecoration', {});
+            await invoke('removeDecoration', { id });
+            assert.strictEqual(editor.decorations.size, 0);
+
+            await invoke('undoEditorOperation');
+            assert.strictEqual(editor.decorations.size, 1);
+
+            await invoke('clearDecorations');
+            assert.strictEqual(editor.decorations.size, 0);
+            await invoke('undoEditorOperation');
+            assert.strictEqual(editor.decorations.size, 1);
+
+            // Only adding it is left on the stack
+            await invoke('undoEditorOperation');
+            assert.strictEqual(editor.decorations.size, 0);
+            assert.strictEqual((await invoke('subscribeEditorState')).undo, null);
+        });
+
+        test('rejects styles that could escape the declaration', async () => {
+            open('main.js', 'text');
+            await assert.rejects(
+                invoke('addDecoration', { style: { color: 'red; } body { display: none' } }),
+                error => error.code === 'InvalidRequest'
+            );
+        });
+    });
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { RpcHandlerRegistry } = require('../../src/rpc');
+const { ManifestLinter, registerManifestLinter } = require('../../src/manifest-linter');
+
+const MANIFEST = {
+    name: 'demo',
+    engines: { vscode: '^1.74.0' },
+    main: './extension.js',
+    activationEvents: ['*'],
+    contributes: { commands: [{ command: 'demo.hello', title: 'Hello' }] }
+};
+
+suite('Manifest linter', () => {
+    let root;
+    let manifestUri;
+    let linter;
+
+    const text = JSON.stringify(MANIFEST, null, 2);
+    const diagnostics = () => vscode.calls.diagnostics.find(({ name }) => name === 'extension-manifest').entries;
+
+    setup(() => {
+        vscode.reset();
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-linter-')));
+        vscode.workspace.workspaceFolders = [{ name: 'project', index: 0, uri: vscode.Uri.file(root) }];
+        manifestUri = vscode.Uri.file(path.join(root, 'package.json'));
+        fs.writeFileSync(manifestUri.fsPath, text);
+        fs.writeFileSync(path.join(root, 'extension.js'), "vscode.commands.registerCommand('demo.hello', () => {});\n");
+        fs.mkdirSync(path.join(root, 'node_modules', 'dep'), { recursive: true });
+        fs.writeFileSync(path.join(root, 'node_modules', 'dep', 'package.json'), text);
+        vscode.workspace.files = [manifestUri, vscode.Uri.file(path.join(root, 'node_modules', 'dep', 'package.json'))];
+        linter = new ManifestLinter();
+    });
+
+    teardown(() => {
+        linter.dispose();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('lints the workspace manifests into diagnostics', async () => {
+        const summaries = await linter.lintWorkspace();
+        assert.deepStrictEqual(summaries.map(summary => summary.path), ['package.json']);
+        assert.deepStrictEqual(summaries[0].problems.map(problem => [problem.code, problem.line, problem.fix]), [
+            ['startup-activation', 7, 'Change to "onStartupFinished"']
+        ]);
+
+        const [diagnostic] = diagnostics().get(manifestUri.toString());
+        assert.strictEqual(diagnostic.severity, vscode.DiagnosticSeverity.Information);
+        assert.strictEqual(diagnostic.source, 'extension manifest');
+        assert.strictEqual(diagnostic.range.start.line, 7);
+    });
+
+    test('offers the fix as a quick fix that edits the manifest', async () => {
+        await linter.lintWorkspace();
+        const { document } = vscode.openEditor(manifestUri.fsPath, text, 'json');
+        const context = { diagnostics: diagnostics().get(manifestUri.toString()) };
+
+        const [action] = await linter.provideCodeActions(document, context.diagnostics[0].range, context);
+        assert.strictEqual(action.kind, vscode.CodeActionKind.QuickFix);
+        assert.deepStrictEqual(action.diagnostics, context.diagnostics);
+        assert.ok(await vscode.workspace.applyEdit(action.edit));
+        assert.deepStrictEqual(JSON.parse(document.getText()).activationEvents, ['onStartupFinished']);
+    });
+
+    test('gives identical problems in two places a quick fix each', async () => {
+        const menus = { 'view/title': [{ command: 'demo.missing' }, { command: 'demo.missing' }] };
+        const duplicated = JSON.stringify({ ...MANIFEST, activationEvents: [], contributes: { ...MANIFEST.contributes, menus } }, null, 2);
+        await linter.lint(manifestUri, duplicated);
+        const { document } = vscode.openEditor(manifestUri.fsPath, duplicated, 'json');
+        const context = { diagnostics: diagnostics().get(manifestUri.toString()).filter(diagnostic => diagnostic.code === 'unknown-menu-command') };
+        assert.strictEqual(context.diagnostics.length, 2);
+
+        const actions = await linter.provideCodeActions(document, context.diagnostics[0].range, context);
+        assert.deepStrictEqual(actions.map(action => action.diagnostics[0]), context.diagnostics);
+    });
+
+    test('lints on save and broadcasts the summary', async () => {
+        const registry = new RpcHandlerRegistry();
+        const broadcasts = [];
+        registry.broadcast = (event, data) => broadcasts.push({ event, data });
+        const disposables = registerManifestLinter(registry);
+        try {
+            const { document } = vscode.openEditor(manifestUri.fsPath, JSON.stringify({ ...MANIFEST, activationEvents: [] }), 'json');
+            vscode.events.saveTextDocument.fire(document);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            assert.deepStrictEqual(broadcasts.map(({ event, data }) => [event, data.path, data.problems.length]), [['manifestLinted', 'package.json', 0]]);
+        } finally {
+            disposables.forEach(disposable => disposable.dispose());
+        }
+    });
+});
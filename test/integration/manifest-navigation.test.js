@@ -0,0 +1,177 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { ManifestNavigator, registerManifestNavigation } = require('../../src/manifest-navigation');
+
+const MANIFEST = {
+    name: 'demo',
+    engines: { vscode: '^1.74.0' },
+    main: './src/extension.js',
+    contributes: {
+        commands: [
+            { command: 'demo.hello', title: 'Hello', category: 'Demo', enablement: 'editorIsOpen' },
+            { command: 'demo.hidden', title: 'Hidden' }
+        ],
+        views: { explorer: [{ id: 'demo.tree', name: 'Tree', when: 'demo.enabled' }] },
+        menus: {
+            commandPalette: [{ command: 'demo.hidden', when: 'false' }],
+            'view/title': [{ command: 'demo.hello', when: 'view == demo.tree' }]
+        }
+    }
+};
+
+const EXTENSION_SOURCE = `const vscode = require('vscode');
+const TREE_ID = 'demo.tree';
+
+exports.activate = context => {
+    context.subscriptions.push(vscode.commands.registerCommand('demo.hello', () => {}));
+    vscode.window.createTreeView(TREE_ID, {});
+};
+`;
+
+suite('Manifest navigation', () => {
+    const folders = [];
+    let navigator;
+
+    // One extension per workspace folder, so the suite covers multi-root
+    function createExtension(name, manifest = MANIFEST) {
+        const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), `manifest-${name}-`)));
+        fs.mkdirSync(path.join(root, 'src'));
+        fs.writeFileSync(path.join(root, 'src', 'extension.js'), EXTENSION_SOURCE);
+        folders.push({ name, index: folders.length, uri: vscode.Uri.file(root) });
+        return vscode.openEditor(path.join(root, 'package.json'), JSON.stringify(manifest, null, 2), 'json').document;
+    }
+
+    // Position of the first occurrence of `text`
+    function positionOf(document, text) {
+        return document.positionAt(document.getText().indexOf(text));
+    }
+
+    setup(() => {
+        vscode.reset();
+        folders.length = 0;
+        navigator = new ManifestNavigator();
+    });
+
+    teardown(() => {
+        navigator.dispose();
+        folders.forEach(folder => fs.rmSync(folder.uri.fsPath, { recursive: true, force: true }));
+    });
+
+    test('shows a command\'s registration, palette state and a run link on hover', async () => {
+        const document = createExtension('first');
+        const hover = await navigator.provideHover(document, positionOf(document, '"title": "Hello"'));
+        const text = hover.contents[0].value;
+
+        assert.match(text, /\*\*Command\*\* `demo\.hello` — Demo: Hello/);
+        assert.match(text, /Registered in \[src[\\/]extension\.js:5\]\(file:\/\/.*extension\.js#L5\)/);
+        assert.match(text, /Listed in the Command Palette/);
+        assert.match(text, /Enabled when `editorIsOpen`/);
+        assert.match(text, /\[Run this command\]\(command:vscode-learning-extension\.runContributedCommand\?%5B%22demo\.hello%22%5D\)/);
+        assert.strictEqual(document.getText(hover.range).startsWith('{'), true);
+    });
+
+    test('explains unregistered and hidden commands, views and menu items', async () => {
+        const document = createExtension('first');
+        const hidden = (await navigator.provideHover(document, positionOf(document, '"title": "Hidden"'))).contents[0].value;
+        assert.match(hidden, /Not registered in src[\\/]extension\.js or the modules it requires/);
+        assert.match(hidden, /Hidden from the Command Palette \(`when: false`\)/);
+
+        const view = (await navigator.provideHover(document, positionOf(document, '"name": "Tree"'))).contents[0].value;
+        assert.match(view, /In view container `explorer`, shown when `demo\.enabled`/);
+        assert.match(view, /Id defined in \[src[\\/]extension\.js:2\]/);
+        assert.doesNotMatch(view, /Run this command/);
+
+        const menu = (await navigator.provideHover(document, positionOf(document, '"when": "view == demo.tree"'))).contents[0].value;
+        assert.match(menu, /\*\*Menu item\*\* `demo\.hello`/);
+        assert.match(menu, /In menu `view\/title`, shown when `view == demo\.tree`/);
+
+        assert.strictEqual(await navigator.provideHover(document, positionOf(document, '"name": "demo"')), undefined);
+    });
+
+    test('escapes what the manifest says so only its own links are trusted', async () => {
+        const document = createExtension('first', {
+            ...MANIFEST,
+            contributes: {
+                commands: [{
+                    command: 'demo.hello',
+                    title: '[Pwn](command:workbench.action.terminal.sendSequence)',
+                    category: 'Demo\n\n<img src=x>',
+                    enablement: 'a ` [x](command:evil) ``'
+                }]
+            }
+        });
+        const text = (await navigator.provideHover(document, positionOf(document, '"title"'))).contents[0].value;
+
+        assert.match(text, / — Demo \\<img src=x\\>: \\\[Pwn\\\]\(command:workbench\.action\.terminal\.sendSequence\)\n/);
+        assert.match(text, /Enabled when ``` a ` \[x\]\(command:evil\) `` ```/);
+        // Outside code spans, the run link is the only command link left
+        const markup = text.replace(/(`+)[^]*?\1/g, '');
+        assert.deepStrictEqual(markup.match(/(?<!\\)\]\(command:[^)]*\)/g), [
+            '](command:vscode-learning-extension.runContributedCommand?%5B%22demo.hello%22%5D)'
+        ]);
+    });
+
+    test('puts lenses on every entry of every workspace folder', async () => {
+        const documents = [createExtension('first'), createExtension('second')];
+        vscode.workspace.workspaceFolders = folders;
+
+        for (const document of documents) {
+            const lenses = await navigator.provideCodeLenses(document);
+            const titles = lenses.map(lens => lens.command.title);
+            // 2 commands and 2 menu items with three lenses each, a view with two
+            assert.strictEqual(lenses.length, 14);
+            assert.deepStrictEqual(titles.slice(0, 3), [
+                `$(go-to-file) ${path.join('src', 'extension.js')}:5`,
+                'Listed in the Command Palette',
+                '$(play) Run this command'
+            ]);
+            assert.ok(titles.includes('Shown when demo.enabled'));
+            assert.ok(titles.includes('In view/title when view == demo.tree; Listed in the Command Palette'));
+
+            const [open] = lenses;
+            assert.strictEqual(open.command.command, 'vscode.open');
+            assert.strictEqual(open.command.arguments[0].fsPath, path.join(path.dirname(document.uri.fsPath), 'src', 'extension.js'));
+            assert.deepStrictEqual(open.command.arguments[1].selection.start, new vscode.Position(4, 63));
+        }
+    });
+
+    test('indexes each version once and again after a source file is saved', async () => {
+        const document = createExtension('first');
+        const first = await navigator.index(document);
+        assert.strictEqual(await navigator.index(document), first);
+
+        let changed = 0;
+        navigator.onDidChangeCodeLenses(() => changed++);
+        navigator.refresh();
+        assert.notStrictEqual(await navigator.index(document), first);
+        assert.strictEqual(changed, 1);
+    });
+
+    test('runs a command only when this window has it', async () => {
+        const original = { ...vscode.commands };
+        const handlers = new Map();
+        const executed = [];
+        Object.assign(vscode.commands, {
+            registerCommand: (id, handler) => handlers.set(id, handler) && new vscode.Disposable(),
+            getCommands: async () => ['demo.hello'],
+            executeCommand: async id => executed.push(id)
+        });
+        const disposables = registerManifestNavigation();
+        try {
+            const run = handlers.get('vscode-learning-extension.runContributedCommand');
+            await run('demo.hello');
+            await run('demo.hidden');
+            assert.deepStrictEqual(executed, ['demo.hello']);
+            assert.match(vscode.calls.messages.pop().text, /demo\.hidden is not registered in this window/);
+        } finally {
+            disposables.forEach(disposable => disposable.dispose());
+            Object.assign(vscode.commands, original);
+        }
+    });
+});
@@ -0,0 +1,132 @@
+const assert = require('assert');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { RpcHandlerRegistry } = require('../../src/rpc');
+const { registerNotificationLabHandlers } = require('../../src/notifications-lab');
+
+suite('Notifications lab', () => {
+    let registry;
+    let disposables;
+    let source;
+
+    const invoke = (method, params) => registry.invoke(method, params, { token: source.token });
+
+    setup(() => {
+        vscode.reset();
+        registry = new RpcHandlerRegistry();
+        disposables = registerNotificationLabHandlers(registry);
+        source = new vscode.CancellationTokenSource();
+    });
+
+    teardown(() => {
+        disposables.forEach(disposable => disposable.dispose());
+    });
+
+    suite('showNotification', () => {
+        test('replies with the button pressed', async () => {
+            vscode.window.messageReply = (level, text, items) => items[2];
+            const result = await invoke('showNotification', { severity: 'warning', text: 'Continue?', actions: ['Yes', 'No'] });
+            assert.deepStrictEqual(result, { choice: 'No' });
+            assert.deepStrictEqual(vscode.calls.messages, [{ level: 'warning', text: 'Continue?', items: [{}, 'Yes', 'No'] }]);
+        });
+
+        test('passes modal and detail, and reports a dismissal', async () => {
+            const result = await invoke('showNotification', { severity: 'error', text: 'Delete?', modal: true, detail: 'For good', actions: ['Delete'] });
+            assert.deepStrictEqual(result, { dismissed: true });
+            assert.deepStrictEqual(vscode.calls.messages[0].items, [{ modal: true, detail: 'For good' }, 'Delete']);
+        });
+
+        test('rejects too many buttons', async () => {
+            await assert.rejects(
+                invoke('showNotification', { text: 'Hi', actions: ['1', '2', '3', '4', '5', '6'] }),
+                error => error.code === 'InvalidRequest'
+            );
+        });
+    });
+
+    suite('showInputBox', () => {
+        test('validates as the user types', async () => {
+            let validate;
+            vscode.window.inputReply = options => {
+                validate = options.validateInput;
+                return 'Ada';
+            };
+            const result = await invoke('showInputBox', {
+                prompt: 'Name',
+                validation: { required: true, minLength: 2, pattern: '^[A-Z]', patternMessage: 'Start with a capital' }
+            });
+            assert.deepStrictEqual(result, { value: 'Ada' });
+            assert.strictEqual(validate(''), 'A value is required');
+            assert.strictEqual(validate('A'), 'Enter at least 2 characters');
+            assert.strictEqual(validate('ada'), 'Start with a capital');
+            assert.strictEqual(validate('Ada'), undefined);
+        });
+
+        test('masks passwords and reports cancellation', async () => {
+            vscode.window.inputReply = () => 'hunter2';
+            assert.deepStrictEqual(await invoke('showInputBox', { password: true }), { value: '•••••••' });
+
+            vscode.window.inputReply = undefined;
+            assert.deepStrictEqual(await invoke('showInputBox', {}), { cancelled: true });
+        });
+
+        test('passes the request token, and rejects an invalid pattern', async () => {
+            let passedToken;
+            vscode.window.inputReply = (options, token) => {
+                passedToken = token;
+            };
+            await invoke('showInputBox', {});
+            assert.strictEqual(passedToken, source.token);
+
+            await assert.rejects(invoke('showInputBox', { validation: { pattern: '(' } }), /Invalid pattern/);
+        });
+    });
+
+    suite('showQuickPick', () => {
+        const items = [{ label: 'Apples' }, { label: 'Bananas', picked: true }, { label: 'Cherries', description: 'Sour' }];
+
+        test('replies with every label picked', async () => {
+            vscode.window.quickPickReply = (picks, options) => {
+                assert.strictEqual(options.canPickMany, true);
+                return picks.filter(pick => pick.label !== 'Apples');
+            };
+            assert.deepStrictEqual(await invoke('showQuickPick', { items, canPickMany: true }), { selected: ['Bananas', 'Cherries'] });
+        });
+
+        test('handles a single pick and cancellation', async () => {
+            vscode.window.quickPickReply = picks => picks[0];
+            assert.deepStrictEqual(await invoke('showQuickPick', { items }), { selected: ['Apples'] });
+
+            vscode.window.quickPickReply = undefined;
+            assert.deepStrictEqual(await invoke('showQuickPick', { items }), { cancelled: true });
+        });
+    });
+
+    suite('runProgress', () => {
+        test('reports every step in the chosen location', async () => {
+            const result = await invoke('runProgress', { location: 'window', title: 'Working', steps: 2, stepMs: 100 });
+            assert.strictEqual(result.completed, 2);
+            const run = vscode.calls.progress[0];
+            assert.deepStrictEqual(run.options, { location: vscode.ProgressLocation.Window, title: 'Working', cancellable: true });
+            assert.deepStrictEqual(run.reports.map(report => report.message), ['Step 1 of 2', 'Step 2 of 2']);
+        });
+
+        test('stops when the user presses Cancel', async () => {
+            const running = invoke('runProgress', { steps: 10, stepMs: 200 });
+            setTimeout(() => vscode.calls.progress[0].source.cancel(), 300);
+            const result = await running;
+            assert.strictEqual(result.cancelled, true);
+            assert.strictEqual(result.by, 'user');
+            assert.strictEqual(result.completed, 1);
+        });
+
+        test('stops when the webview cancels the request', async () => {
+            const running = invoke('runProgress', { steps: 10, stepMs: 100 });
+            setTimeout(() => source.cancel(), 50);
+            const result = await running;
+            assert.deepStrictEqual([result.cancelled, result.by, result.completed], [true, 'webview', 0]);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { RpcHandlerRegistry } = require('../../src/rpc');
+const { registerCoreHandlers, registerOutputSyncHandlers } = require('../../src/handlers');
+const { WebviewPanel, PanelManager, registerPanelHandlers } = require('../../src/panel-manager');
+
+const EXTENSION_ROOT = path.resolve(__dirname, '..', '..');
+
+suite('Panel manager', () => {
+    let base;
+    let folders;
+    let registry;
+    let disposables;
+    let panels;
+    let nextId;
+
+    // Send a request as the panel's webview would and return the reply
+    async function request(webviewPanel, method, params) {
+        const id = nextId++;
+        await webviewPanel._handleMessage({ type: 'request', id, method, params });
+        return webviewPanel._panel.posted.find(posted => posted.type === 'response' && posted.id === id);
+    }
+
+    const events = webviewPanel => webviewPanel._panel.posted.filter(posted => posted.type === 'event');
+
+    setup(() => {
+        vscode.reset();
+        nextId = 1;
+        base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'learning-panels-')));
+        folders = ['client', 'server'].map((name, index) => {
+            fs.mkdirSync(path.join(base, name, 'src'), { recursive: true });
+            fs.writeFileSync(path.join(base, name, 'README.md'), `# ${name}`);
+            return { name, index, uri: vscode.Uri.file(path.join(base, name)) };
+        });
+        vscode.workspace.workspaceFolders = folders;
+
+        registry = new RpcHandlerRegistry();
+        disposables = [
+            ...registerCoreHandlers(registry, {}),
+            ...registerOutputSyncHandlers(registry),
+            ...registerPanelHandlers(registry)
+        ];
+        panels = new PanelManager(vscode.Uri.file(EXTENSION_ROOT), registry);
+    });
+
+    teardown(() => {
+        panels.panels.forEach(webviewPanel => webviewPanel.dispose());
+        disposables.forEach(disposable => disposable.dispose());
+        fs.rmSync(base, { recursive: true, force: true });
+    });
+
+    test('opens every folder side by side with its own title', async () => {
+        const [client, server] = panels.openAllFolders();
+        assert.deepStrictEqual(vscode.calls.panels.map(({ title, viewColumn }) => [title, viewColumn]), [
+            ['Learning Extension: client', 1],
+            ['Learning Extension: server', 2]
+        ]);
+        assert.deepStrictEqual((await request(server, 'getPanelScope')).result, { label: 'server', folder: 'server', uri: folders[1].uri.toString() });
+
+        // Opening them again reveals the same panels
+        assert.deepStrictEqual(panels.openAllFolders(), [client, server]);
+        assert.strictEqual(vscode.calls.panels.length, 2);
+    });
+
+    test('routes requests to the panel\'s own folder', async () => {
+        const [client, server] = panels.openAllFolders();
+        await request(client, 'openFile', { path: 'README.md' });
+        await request(server, 'openFile', { path: 'README.md' });
+        assert.deepStrictEqual(vscode.calls.documents.map(fsPath => path.relative(base, fsPath)), [
+            path.join('client', 'README.md'),
+            path.join('server', 'README.md')
+        ]);
+    });
+
+    test('keeps the output of each scope apart', async () => {
+        const entry = { message: 'Scanned', type: 'success', time: new Date().toISOString() };
+        const [client, server] = panels.openAllFolders();
+        const clientAgain = new WebviewPanel(vscode.window.createWebviewPanel(), vscode.Uri.file(EXTENSION_ROOT), registry, client.scope);
+        try {
+            await request(client, 'syncOutput', entry);
+            assert.deepStrictEqual(events(clientAgain), [{ type: 'event', event: 'output', data: entry }]);
+            assert.deepStrictEqual(events(server), []);
+
+            assert.deepStrictEqual((await request(server, 'getOutputHistory')).result, []);
+            assert.deepStrictEqual((await request(clientAgain, 'getOutputHistory')).result, [entry]);
+        } finally {
+            clientAgain.dispose();
+        }
+    });
+
+    test('follows focus so commands reach the last focused panel', () => {
+        const [client, server] = panels.openAllFolders();
+        assert.strictEqual(panels.activePanel, server);
+
+        client._panel.focus();
+        assert.strictEqual(panels.activePanel, client);
+        assert.strictEqual(panels.showActive(), client);
+
+        client.dispose();
+        assert.strictEqual(panels.activePanel, server);
+        server.dispose();
+        assert.strictEqual(panels.activePanel, undefined);
+        assert.strictEqual(panels.showActive().scope.key, '');
+    });
+
+    test('opens a panel for a resource picked in the explorer', async () => {
+        const resource = vscode.Uri.file(path.join(base, 'server', 'src'));
+        const webviewPanel = panels.open(resource);
+        assert.strictEqual(webviewPanel.scope.folder, folders[1]);
+        assert.strictEqual(vscode.calls.panels[0].title, 'Learning Extension: server/src');
+        assert.strictEqual((await request(webviewPanel, 'getPanelScope')).result.uri, resource.toString());
+
+        // The folder itself opens the folder's panel
+        assert.strictEqual(panels.open(folders[1].uri).scope.key, folders[1].uri.toString());
+    });
+
+    test('revives panels with the scope their webview saved', () => {
+        const revived = panels.revive(vscode.window.createWebviewPanel('learningExtension', 'old title'), { scopeUri: folders[0].uri.toString() });
+        assert.strictEqual(revived.scope.folder, folders[0]);
+        assert.strictEqual(revived._panel.title, 'Learning Extension: client');
+
+        // Its folder has left the workspace
+        const gone = panels.revive(vscode.window.createWebviewPanel('learningExtension', 'old title'), { scopeUri: vscode.Uri.file(path.join(base, 'gone')).toString() });
+        assert.strictEqual(gone.scope.key, '');
+        assert.strictEqual(gone._panel.title, 'Learning Extension');
+    });
+});
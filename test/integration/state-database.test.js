@@ -0,0 +1,35 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { readStateDatabase } = require('../../src/state-database');
+
+const FIXTURES = path.join(__dirname, '..', 'unit', 'fixtures');
+
+suite('State database', () => {
+    let base;
+
+    setup(() => {
+        base = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-state-'));
+    });
+
+    teardown(() => {
+        fs.rmSync(base, { recursive: true, force: true });
+    });
+
+    test('reads the database together with its write-ahead log in place', async () => {
+        const databasePath = path.join(base, 'state.vscdb');
+        fs.copyFileSync(path.join(FIXTURES, 'wal.vscdb'), databasePath);
+        assert.deepStrictEqual(await readStateDatabase(databasePath), [{ key: 'theme', value: 'light' }]);
+
+        fs.copyFileSync(path.join(FIXTURES, 'wal.vscdb-wal'), `${databasePath}-wal`);
+        assert.deepStrictEqual(await readStateDatabase(databasePath), [
+            { key: 'theme', value: 'dark' },
+            { key: 'added', value: 'in the wal' }
+        ]);
+    });
+});
@@ -0,0 +1,262 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { WebviewPanel } = require('../../src/extension');
+const { PanelManager } = require('../../src/panel-manager');
+const { RpcHandlerRegistry } = require('../../src/rpc');
+const { registerCoreHandlers, registerOutputSyncHandlers } = require('../../src/handlers');
+const { registerSettingsHandlers } = require('../../src/settings');
+const VSCodeDeviceManager = require('../../vscode-device-cleaner');
+
+const EXTENSION_ROOT = path.resolve(__dirname, '..', '..');
+
+// A webview panel that records what the extension posts to it
+function createPanel() {
+    const disposed = new vscode.EventEmitter();
+    const posted = [];
+    const panel = {
+        posted,
+        disposed: false,
+        revealed: 0,
+        webview: {
+            html: '',
+            options: {},
+            cspSource: 'vscode-webview:',
+            asWebviewUri: uri => uri,
+            postMessage: async message => {
+                posted.push(message);
+                return true;
+            },
+            onDidReceiveMessage: new vscode.EventEmitter().event
+        },
+        onDidDispose: disposed.event,
+        reveal() {
+            panel.revealed++;
+        },
+        // Like VS Code, only the first dispose() fires onDidDispose
+        dispose() {
+            if (!panel.disposed) {
+                panel.disposed = true;
+                disposed.fire();
+            }
+        }
+    };
+    return panel;
+}
+
+// Tiny home folder with a storage.json, and a workspace with a file in it
+function createTree() {
+    const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'learning-panel-')));
+    const globalStorage = path.join(base, 'home', '.config', 'Code', 'User', 'globalStorage');
+    fs.mkdirSync(globalStorage, { recursive: true });
+    fs.writeFileSync(path.join(globalStorage, 'storage.json'), JSON.stringify({ 'telemetry.machineId': 'machine-1' }));
+    fs.mkdirSync(path.join(base, 'workspace'));
+    fs.writeFileSync(path.join(base, 'workspace', 'notes.md'), '# Notes');
+    fs.writeFileSync(path.join(base, 'secret.txt'), 'secret');
+    return base;
+}
+
+suite('WebviewPanel', () => {
+    let base;
+    let registry;
+    let disposables;
+    let panel;
+    let webviewPanel;
+
+    // Send one message as the webview would and wait for its reply
+    const send = async message => {
+        await webviewPanel._handleMessage(message);
+        return panel.posted.filter(posted => posted.type === 'response' && posted.id === message.id).pop();
+    };
+    const request = (id, method, params) => send({ type: 'request', id, method, params });
+
+    setup(() => {
+        vscode.reset();
+        base = createTree();
+        vscode.workspace.workspaceFolders = [{ name: 'workspace', index: 0, uri: vscode.Uri.file(path.join(base, 'workspace')) }];
+
+        const deviceManager = new VSCodeDeviceManager({
+            homeDir: path.join(base, 'home'),
+            env: {},
+            userData: { platform: 'linux', argv: [] },
+            logger: { error() {}, warn() {}, info() {}, debug() {} }
+        });
+        const context = {
+            extensionUri: vscode.Uri.file(EXTENSION_ROOT),
+            extensionPath: EXTENSION_ROOT,
+            extension: { packageJSON: require('../../package.json') }
+        };
+
+        registry = new RpcHandlerRegistry();
+        disposables = [
+            ...registerCoreHandlers(registry, deviceManager),
+            ...registerOutputSyncHandlers(registry),
+            ...registerSettingsHandlers(context, registry)
+        ];
+        panel = createPanel();
+        webviewPanel = new WebviewPanel(panel, context.extensionUri, registry);
+    });
+
+    teardown(() => {
+        webviewPanel.dispose();
+        disposables.forEach(disposable => disposable.dispose());
+        fs.rmSync(base, { recursive: true, force: true });
+    });
+
+    test('renders the webview HTML with a nonce-restricted script policy', () => {
+        const html = panel.webview.html;
+        const nonce = /script-src 'nonce-([A-Za-z0-9]+)'/.exec(html)[1];
+        assert.ok(html.includes(`<script nonce="${nonce}" src="file://`));
+        assert.ok(html.includes('style-src vscode-webview:'));
+    });
+
+    test('replies to a request and shows the notification', async () => {
+        const reply = await request(1, 'showInfo', { text: 'Hello' });
+        assert.deepStrictEqual(reply, { type: 'response', id: 1, result: undefined });
+        assert.deepStrictEqual(vscode.calls.messages, [{ level: 'info', text: 'Hello', items: [] }]);
+    });
+
+    test('reads device info from the injected home folder', async () => {
+        const reply = await request(2, 'getCurrentDeviceInfo');
+        assert.strictEqual(reply.result.machineId, 'machine-1');
+        assert.strictEqual(reply.result.storagePath,
+            path.join(base, 'home', '.config', 'Code', 'User', 'globalStorage', 'storage.json'));
+    });
+
+    test('lists the workspace folders', async () => {
+        const reply = await request(3, 'getWorkspaceInfo', {});
+        assert.deepStrictEqual(reply.result, [{ name: 'workspace', uri: vscode.Uri.file(path.join(base, 'workspace')).toString() }]);
+    });
+
+    test('answers an unknown method with MethodNotFound', async () => {
+        const reply = await request(4, 'formatDisk', {});
+        assert.strictEqual(reply.error.code, 'MethodNotFound');
+        assert.ok(vscode.calls.log.some(line => line.level === 'warn' && line.text.includes('formatDisk')));
+    });
+
+    test('rejects params that do not match the handler schema', async () => {
+        const reply = await request(5, 'showError', { text: 42 });
+        assert.strictEqual(reply.error.code, 'InvalidRequest');
+        assert.deepStrictEqual(reply.error.data.errors, ['params.text must be string, not number']);
+        assert.deepStrictEqual(vscode.calls.messages, []);
+    });
+
+    test('answers malformed messages that carry an id, and drops the rest', async () => {
+        const reply = await send({ type: 'execute', id: 6, method: 'showInfo' });
+        assert.strictEqual(reply.error.code, 'InvalidRequest');
+
+        const before = panel.posted.length;
+        await webviewPanel._handleMessage('showInfo');
+        await webviewPanel._handleMessage({ type: 'request', method: 'showInfo' });
+        assert.strictEqual(panel.posted.length, before);
+    });
+
+    test('opens files inside the workspace only', async () => {
+        const opened = await request(7, 'openFile', { path: 'notes.md' });
+        assert.strictEqual(opened.result.relativePath, 'notes.md');
+        assert.deepStrictEqual(vscode.calls.documents, [path.join(base, 'workspace', 'notes.md')]);
+
+        const escaped = await request(8, 'openFile', { path: '../secret.txt' });
+        assert.strictEqual(escaped.error.code, 'InvalidRequest');
+        assert.strictEqual(vscode.calls.documents.length, 1);
+    });
+
+    test('opens a picked file outside the workspace but marks it as not reopenable', async () => {
+        const showOpenDialog = vscode.window.showOpenDialog;
+        try {
+            vscode.window.showOpenDialog = async () => [vscode.Uri.file(path.join(base, 'secret.txt'))];
+            const outside = await request(7, 'openFile', {});
+            assert.strictEqual(outside.result.reopenable, false);
+
+            vscode.window.showOpenDialog = async () => [vscode.Uri.file(path.join(base, 'workspace', 'notes.md'))];
+            const inside = await request(8, 'openFile', {});
+            assert.strictEqual(inside.result.reopenable, true);
+        } finally {
+            vscode.window.showOpenDialog = showOpenDialog;
+        }
+        assert.strictEqual(vscode.calls.documents.length, 2);
+    });
+
+    test('mirrors output entries to other views but not back to the sender', async () => {
+        const other = createPanel();
+        const endpoint = registry.connect(other.webview);
+        try {
+            const entry = { message: 'Saved', type: 'success', time: new Date().toISOString() };
+            await request(9, 'syncOutput', entry);
+            assert.deepStrictEqual(other.posted, [{ type: 'event', event: 'output', data: entry }]);
+            assert.ok(!panel.posted.some(posted => posted.type === 'event'));
+
+            const history = await request(10, 'getOutputHistory');
+            assert.deepStrictEqual(history.result, [entry]);
+        } finally {
+            endpoint.dispose();
+        }
+    });
+
+    test('checks setting values against their package.json schema', async () => {
+        const rejected = await request(11, 'updateSetting', { key: 'logLevel', value: 'verbose', scope: 'user' });
+        assert.strictEqual(rejected.error.code, 'InvalidRequest');
+
+        const accepted = await request(12, 'updateSetting', { key: 'logLevel', value: 'debug', scope: 'user' });
+        assert.strictEqual(accepted.error, undefined);
+        assert.strictEqual(vscode.configuration['learningExtension.logLevel'], 'debug');
+    });
+
+    test('cancels a request in flight', async () => {
+        let release;
+        disposables.push(registry.register('wait', (params, { token }) => new Promise(resolve => {
+            release = resolve;
+            token.onCancellationRequested(() => resolve('stopped'));
+        })));
+
+        const pending = request(13, 'wait');
+        await send({ type: 'cancel', id: 13 });
+        const reply = await pending;
+        assert.strictEqual(reply.error.code, 'Cancelled');
+        release();
+    });
+
+    test('creates one panel per scope and reveals it when opened again', () => {
+        const panels = new PanelManager(vscode.Uri.file(EXTENSION_ROOT), registry);
+        try {
+            const first = panels.open();
+            assert.strictEqual(panels.open(), first);
+            assert.notStrictEqual(panels.open(vscode.workspace.workspaceFolders[0]), first);
+
+            const created = vscode.calls.panels;
+            assert.deepStrictEqual(created.map(({ viewType, title }) => [viewType, title]), [
+                ['learningExtension', 'Learning Extension'],
+                ['learningExtension', 'Learning Extension: workspace']
+            ]);
+            assert.ok(created[0].options.enableScripts);
+            assert.strictEqual(created[0].revealed, 1);
+        } finally {
+            panels.panels.forEach(open => open.dispose());
+        }
+    });
+
+    test('cancels pending requests and tells the manager when disposed', async () => {
+        let disposed = false;
+        webviewPanel.onDidDispose(() => {
+            disposed = true;
+        });
+        let cancelled = false;
+        disposables.push(registry.register('wait', (params, { token }) => new Promise(resolve => {
+            token.onCancellationRequested(() => {
+                cancelled = true;
+                resolve();
+            });
+        })));
+
+        const pending = request(14, 'wait');
+        panel.dispose();
+        await pending;
+        assert.ok(cancelled);
+        assert.ok(disposed);
+    });
+});
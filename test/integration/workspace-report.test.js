@@ -0,0 +1,40 @@
+const assert = require('assert');
+const vscode = require('../stubs/vscode');
+
+vscode.install();
+
+const { compileGitignore, gitignoreExcludeGlobs, combineExcludeGlobs } = require('../../src/workspace-report');
+
+suite('Workspace report', () => {
+    test('matches gitignore character classes', () => {
+        const isIgnored = compileGitignore('*.py[cod]\nlog[!s]/\n[]]x\n');
+        assert.strictEqual(isIgnored('src/module.pyc'), true);
+        assert.strictEqual(isIgnored('src/module.pyo'), true);
+        assert.strictEqual(isIgnored('src/module.py'), undefined);
+        assert.strictEqual(isIgnored('log1/out.txt'), true);
+        assert.strictEqual(isIgnored('logs/out.txt'), undefined);
+        assert.strictEqual(isIgnored(']x'), true);
+    });
+
+    test('turns the rules no later rule re-includes into exclude globs', () => {
+        assert.deepStrictEqual(gitignoreExcludeGlobs('# build output\n/dist\nnode_modules/\n*.log\n!keep.log\ncoverage/\n.cache/tmp\n{odd}\n'), [
+            '**/coverage/**',
+            '.cache/tmp',
+            '.cache/tmp/**'
+        ]);
+        assert.deepStrictEqual(gitignoreExcludeGlobs('/dist\nbuild/\n*.py[cod]\n'), [
+            'dist',
+            'dist/**',
+            '**/build/**',
+            '**/*.py[cod]',
+            '**/*.py[cod]/**'
+        ]);
+    });
+
+    test('combines settings and gitignore globs into one findFiles exclude', () => {
+        assert.strictEqual(
+            combineExcludeGlobs(['**/node_modules/**', '**/{.git,.svn}', '**/node_modules/**', 'a,b']),
+            '{**/node_modules/**,**/.git,**/.svn}'
+        );
+    });
+});
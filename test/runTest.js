@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const Mocha = require('mocha');
+
+/*
+ * Runs every suite offline, in plain Node:
+ *
+ *   test/unit/         modules that do not need VS Code
+ *   test/integration/  host-side code against the stubbed 'vscode' module in test/stubs/
+ *
+ * Extra arguments are passed on as a grep, e.g. `npm test -- WebviewPanel`.
+ */
+
+const SUITES = ['unit', 'integration'];
+
+function main() {
+    const mocha = new Mocha({ ui: 'tdd', timeout: 10000 });
+    const grep = process.argv.slice(2).join(' ');
+    if (grep) {
+        mocha.grep(grep);
+    }
+
+    SUITES.forEach(suite => {
+        const directory = path.join(__dirname, suite);
+        fs.readdirSync(directory)
+            .filter(name => name.endsWith('.test.js'))
+            .sort()
+            .forEach(name => mocha.addFile(path.join(directory, name)));
+    });
+
+    mocha.run(failures => {
+        process.exitCode = failures > 0 ? 1 : 0;
+    });
+}
+
+main();
@@ -0,0 +1,563 @@
+const Module = require('module');
+const path = require('path');
+
+/*
+ * Just enough of the 'vscode' module to load the extension's host-side code
+ * in plain Node. Notifications, opened documents and log lines are recorded
+ * in `calls` so tests can check what the user would have seen; reset()
+ * clears them between tests. openEditor() shows an in-memory document, and
+ * `events` fires what the user would do to it.
+ *
+ *   require('../stubs/vscode').install();   // before requiring anything from src/
+ */
+
+class Disposable {
+    constructor(callOnDispose) {
+        this._callOnDispose = callOnDispose;
+    }
+
+    static from(...disposables) {
+        return new Disposable(() => disposables.forEach(disposable => disposable.dispose()));
+    }
+
+    dispose() {
+        if (this._callOnDispose) {
+            this._callOnDispose();
+            this._callOnDispose = undefined;
+        }
+    }
+}
+
+class EventEmitter {
+    constructor() {
+        this._listeners = new Set();
+        this.event = (listener, thisArg, disposables) => {
+            const bound = thisArg ? listener.bind(thisArg) : listener;
+            this._listeners.add(bound);
+            const disposable = new Disposable(() => this._listeners.delete(bound));
+            if (Array.isArray(disposables)) {
+                disposables.push(disposable);
+            }
+            return disposable;
+        };
+    }
+
+    fire(data) {
+        Array.from(this._listeners).forEach(listener => listener(data));
+    }
+
+    dispose() {
+        this._listeners.clear();
+    }
+}
+
+class CancellationTokenSource {
+    constructor() {
+        const emitter = new EventEmitter();
+        this._emitter = emitter;
+        this.token = {
+            isCancellationRequested: false,
+            onCancellationRequested: emitter.event
+        };
+    }
+
+    cancel() {
+        if (!this.token.isCancellationRequested) {
+            this.token.isCancellationRequested = true;
+            this._emitter.fire();
+        }
+    }
+
+    dispose() {
+        this._emitter.dispose();
+    }
+}
+
+class Position {
+    constructor(line, character) {
+        this.line = line;
+        this.character = character;
+    }
+}
+
+class Range {
+    constructor(start, end, endLine, endCharacter) {
+        // Also (startLine, startCharacter, endLine, endCharacter)
+        this.start = typeof start === 'number' ? new Position(start, end) : start;
+        this.end = typeof start === 'number' ? new Position(endLine, endCharacter) : end;
+    }
+
+    get isEmpty() {
+        return this.start.line === this.end.line && this.start.character === this.end.character;
+    }
+}
+
+class Selection extends Range {
+    constructor(anchor, active) {
+        super(anchor, active);
+        this.anchor = anchor;
+        this.active = active;
+    }
+}
+
+class SnippetString {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+class WorkspaceEdit {
+    constructor() {
+        this.edits = [];
+    }
+
+    replace(uri, range, text) {
+        this.edits.push({ uri, range, text });
+    }
+
+    insert(uri, position, text) {
+        this.replace(uri, new Range(position, position), text);
+    }
+}
+
+class Diagnostic {
+    constructor(range, message, severity) {
+        this.range = range;
+        this.message = message;
+        this.severity = severity;
+    }
+}
+
+class CodeAction {
+    constructor(title, kind) {
+        this.title = title;
+        this.kind = kind;
+    }
+}
+
+class RelativePattern {
+    constructor(base, pattern) {
+        this.baseUri = base instanceof Uri ? base : base.uri;
+        this.pattern = pattern;
+    }
+}
+
+class MarkdownString {
+    constructor(value = '') {
+        this.value = value;
+    }
+}
+
+class Hover {
+    constructor(contents, range) {
+        this.contents = [contents];
+        this.range = range;
+    }
+}
+
+class CodeLens {
+    constructor(range, command) {
+        this.range = range;
+        this.command = command;
+    }
+}
+
+class TabInputTextDiff {
+    constructor(original, modified) {
+        this.original = original;
+        this.modified = modified;
+    }
+}
+
+// The editor tabs; vscode.diff opens one, tabGroups.close closes them
+const tabs = [];
+
+class Uri {
+    constructor(scheme, fsPath) {
+        this.scheme = scheme;
+        this.fsPath = fsPath;
+        this.path = fsPath.split(path.sep).join('/');
+    }
+
+    static file(fsPath) {
+        return new Uri('file', path.resolve(fsPath));
+    }
+
+    static parse(value) {
+        const match = /^([a-z][\w+.-]*):(?:\/\/[^/]*)?(.*)$/i.exec(value);
+        return match ? new Uri(match[1], decodeURIComponent(match[2])) : Uri.file(value);
+    }
+
+    static from({ scheme, path: uriPath }) {
+        return new Uri(scheme, uriPath);
+    }
+
+    static joinPath(base, ...segments) {
+        return new Uri(base.scheme, path.join(base.fsPath, ...segments));
+    }
+
+    with(change) {
+        return new Uri(change.scheme || this.scheme, change.path || this.fsPath);
+    }
+
+    toString() {
+        return `${this.scheme}://${this.path}`;
+    }
+}
+
+// In-memory TextDocument; every change bumps the version and fires events.textDocument
+class TextDocument {
+    constructor(uri, text, languageId) {
+        this.uri = uri;
+        this.fileName = uri.fsPath;
+        this.languageId = languageId;
+        this.version = 1;
+        this.isDirty = false;
+        this.isClosed = false;
+        this._text = text;
+    }
+
+    get lineCount() {
+        return this._text.split('\n').length;
+    }
+
+    getText(range) {
+        return range ? this._text.slice(this.offsetAt(range.start), this.offsetAt(range.end)) : this._text;
+    }
+
+    lineAt(line) {
+        const text = this._text.split('\n')[line];
+        return { text, range: new Range(line, 0, line, text.length) };
+    }
+
+    offsetAt(position) {
+        const lines = this._text.split('\n').slice(0, position.line);
+        return lines.reduce((offset, line) => offset + line.length + 1, 0) + position.character;
+    }
+
+    positionAt(offset) {
+        const before = this._text.slice(0, offset).split('\n');
+        return new Position(before.length - 1, before[before.length - 1].length);
+    }
+
+    // Edits are applied last to first so earlier offsets stay valid
+    _apply(edits) {
+        edits
+            .map(edit => ({ start: this.offsetAt(edit.range.start), end: this.offsetAt(edit.range.end), text: edit.text }))
+            .sort((a, b) => b.start - a.start)
+            .forEach(({ start, end, text }) => {
+                this._text = this._text.slice(0, start) + text + this._text.slice(end);
+            });
+        this.version++;
+        this.isDirty = true;
+        events.textDocument.fire({ document: this, contentChanges: edits });
+    }
+}
+
+// Fire these to act as the user would
+const events = {
+    activeTextEditor: new EventEmitter(),
+    visibleTextEditors: new EventEmitter(),
+    textEditorSelection: new EventEmitter(),
+    textEditorVisibleRanges: new EventEmitter(),
+    textDocument: new EventEmitter(),
+    saveTextDocument: new EventEmitter(),
+    closeTextDocument: new EventEmitter()
+};
+
+const calls = {
+    messages: [],
+    documents: [],
+    log: [],
+    // { options, reports, source }: cancel `source` to press the notification's Cancel
+    progress: [],
+    // Diagnostic collections by name, each a Map of uri string → diagnostics
+    diagnostics: [],
+    // Every panel createWebviewPanel returned
+    panels: []
+};
+
+// Configuration values, keyed "section.key"; tests set them directly
+const configuration = {};
+
+function message(level) {
+    return async (text, ...items) => {
+        calls.messages.push({ level, text, items });
+        // Modal confirmations are declined unless a test says otherwise
+        return stub.window.messageReply ? stub.window.messageReply(level, text, items) : undefined;
+    };
+}
+
+function createOutputChannel(name) {
+    const channel = { name, show() {}, dispose() {} };
+    ['trace', 'debug', 'info', 'warn', 'error'].forEach(level => {
+        channel[level] = text => calls.log.push({ level, text });
+    });
+    return channel;
+}
+
+// Snippets are inserted with their placeholders filled in with the defaults
+function expandSnippet(value) {
+    return value.replace(/\$\{\d+:([^}]*)\}/g, '$1').replace(/\$\{?\d+\}?/g, '');
+}
+
+/**
+ * Show `text` in a new editor and make it the active one
+ * @returns a TextEditor whose setDecorations calls are kept in `decorations`
+ */
+// A webview panel that records what is posted to it. reveal() focuses it
+// like VS Code does: every other panel loses focus first.
+function createWebviewPanel(viewType, title, viewColumn, options) {
+    const disposed = new EventEmitter();
+    const viewState = new EventEmitter();
+    const panel = {
+        viewType,
+        title,
+        viewColumn,
+        options,
+        active: false,
+        disposed: false,
+        revealed: 0,
+        posted: [],
+        webview: {
+            html: '',
+            options: {},
+            cspSource: 'vscode-webview:',
+            asWebviewUri: uri => uri,
+            postMessage: async message => {
+                panel.posted.push(message);
+                return true;
+            },
+            onDidReceiveMessage: new EventEmitter().event
+        },
+        onDidDispose: disposed.event,
+        onDidChangeViewState: viewState.event,
+        reveal(column) {
+            panel.revealed++;
+            panel.focus(column);
+        },
+        focus(column = panel.viewColumn) {
+            calls.panels.filter(other => other !== panel && other.active).forEach(other => {
+                other.active = false;
+                other._viewState.fire({ webviewPanel: other });
+            });
+            panel.viewColumn = column;
+            panel.active = true;
+            viewState.fire({ webviewPanel: panel });
+        },
+        // Like VS Code, only the first dispose() fires onDidDispose
+        dispose() {
+            if (!panel.disposed) {
+                panel.disposed = true;
+                disposed.fire();
+            }
+        },
+        _viewState: viewState
+    };
+    calls.panels.push(panel);
+    return panel;
+}
+
+function openEditor(fsPath, text, languageId = 'plaintext') {
+    const document = new TextDocument(Uri.file(fsPath), text, languageId);
+    const editor = {
+        document,
+        viewColumn: 1,
+        selections: [new Selection(new Position(0, 0), new Position(0, 0))],
+        visibleRanges: [new Range(0, 0, document.lineCount - 1, 0)],
+        decorations: new Map(),
+        get selection() {
+            return this.selections[0];
+        },
+        setDecorations(type, ranges) {
+            this.decorations.set(type, ranges);
+        },
+        async insertSnippet(snippet) {
+            document._apply(this.selections.map(range => ({ range, text: expandSnippet(snippet.value) })));
+            return true;
+        }
+    };
+    stub.workspace.textDocuments.push(document);
+    stub.window.visibleTextEditors.push(editor);
+    stub.window.activeTextEditor = editor;
+    events.visibleTextEditors.fire(stub.window.visibleTextEditors.slice());
+    events.activeTextEditor.fire(editor);
+    return editor;
+}
+
+const stub = {
+    Disposable,
+    EventEmitter,
+    CancellationTokenSource,
+    Position,
+    Range,
+    Selection,
+    SnippetString,
+    WorkspaceEdit,
+    Diagnostic,
+    CodeAction,
+    MarkdownString,
+    Hover,
+    CodeLens,
+    RelativePattern,
+    TabInputTextDiff,
+    Uri,
+    ViewColumn: { Active: -1, Beside: -2, One: 1, Two: 2 },
+    ConfigurationTarget: { Global: 1, Workspace: 2, WorkspaceFolder: 3 },
+    ProgressLocation: { SourceControl: 1, Window: 10, Notification: 15 },
+    DecorationRangeBehavior: { OpenOpen: 0, ClosedClosed: 1, OpenClosed: 2, ClosedOpen: 3 },
+    OverviewRulerLane: { Left: 1, Center: 2, Right: 4, Full: 7 },
+    DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 },
+    DiagnosticTag: { Unnecessary: 1, Deprecated: 2 },
+    CodeActionKind: { QuickFix: 'quickfix' },
+
+    env: { appName: 'Visual Studio Code', clipboard: { writeText: async () => {} } },
+
+    window: {
+        createWebviewPanel,
+        tabGroups: {
+            all: [{ tabs }],
+            close: async closed => {
+                [].concat(closed).forEach(tab => tabs.includes(tab) && tabs.splice(tabs.indexOf(tab), 1));
+                return true;
+            }
+        },
+        activeTextEditor: undefined,
+        visibleTextEditors: [],
+        onDidChangeActiveTextEditor: events.activeTextEditor.event,
+        onDidChangeVisibleTextEditors: events.visibleTextEditors.event,
+        onDidChangeTextEditorSelection: events.textEditorSelection.event,
+        onDidChangeTextEditorVisibleRanges: events.textEditorVisibleRanges.event,
+        createTextEditorDecorationType: options => {
+            const type = new Disposable(() => stub.window.visibleTextEditors.forEach(editor => editor.decorations.delete(type)));
+            type.options = options;
+            return type;
+        },
+        // Set these to answer messages, input boxes and quick picks as the user
+        messageReply: undefined,
+        inputReply: undefined,
+        quickPickReply: undefined,
+        showInformationMessage: message('info'),
+        showWarningMessage: message('warning'),
+        showErrorMessage: message('error'),
+        showTextDocument: async document => ({ document }),
+        showSaveDialog: async () => undefined,
+        showOpenDialog: async () => undefined,
+        showWorkspaceFolderPick: async () => undefined,
+        showInputBox: async (options, token) => stub.window.inputReply && stub.window.inputReply(options, token),
+        showQuickPick: async (items, options, token) => stub.window.quickPickReply && stub.window.quickPickReply(items, options, token),
+        withProgress: async (options, task) => {
+            const run = { options, reports: [], source: new CancellationTokenSource() };
+            calls.progress.push(run);
+            return task({ report: value => run.reports.push(value) }, run.source.token);
+        },
+        createOutputChannel
+    },
+
+    workspace: {
+        workspaceFolders: undefined,
+        textDocuments: [],
+        onDidChangeTextDocument: events.textDocument.event,
+        onDidSaveTextDocument: events.saveTextDocument.event,
+        onDidCloseTextDocument: events.closeTextDocument.event,
+        registerTextDocumentContentProvider: () => new Disposable(),
+        // Set to the files a findFiles call should return
+        files: [],
+        findFiles: async include => stub.workspace.files.filter(uri =>
+            !(include instanceof RelativePattern) || uri.fsPath.startsWith(include.baseUri.fsPath + path.sep)),
+        applyEdit: async edit => {
+            const documents = edit.edits.map(({ uri }) => stub.workspace.textDocuments.find(document => document.uri.fsPath === uri.fsPath));
+            if (documents.includes(undefined)) {
+                return false;
+            }
+            new Set(documents).forEach(document => document._apply(edit.edits.filter(({ uri }) => uri.fsPath === document.uri.fsPath)));
+            return true;
+        },
+        getConfiguration: section => ({
+            get: (key, defaultValue) => {
+                const value = configuration[`${section}.${key}`];
+                return value === undefined ? defaultValue : value;
+            },
+            inspect: () => ({}),
+            update: async (key, value) => {
+                configuration[`${section}.${key}`] = value;
+            }
+        }),
+        getWorkspaceFolder: uri => (stub.workspace.workspaceFolders || [])
+            .find(folder => !path.relative(folder.uri.fsPath, uri.fsPath).startsWith('..')),
+        asRelativePath: uri => {
+            const folder = stub.workspace.getWorkspaceFolder(uri);
+            return folder ? path.relative(folder.uri.fsPath, uri.fsPath) : uri.fsPath;
+        },
+        openTextDocument: async uri => {
+            calls.documents.push(uri.fsPath);
+            const open = stub.workspace.textDocuments.find(document => document.uri.fsPath === uri.fsPath);
+            return open || { uri, fileName: uri.fsPath };
+        },
+        onDidChangeConfiguration: new EventEmitter().event
+    },
+
+    commands: {
+        registerCommand: () => new Disposable(),
+        executeCommand: async (command, ...args) => {
+            if (command === 'vscode.diff') {
+                tabs.push({ label: args[2], input: new TabInputTextDiff(args[0], args[1]) });
+            }
+            return undefined;
+        },
+        getCommands: async () => []
+    },
+
+    languages: {
+        createDiagnosticCollection: name => {
+            const entries = new Map();
+            calls.diagnostics.push({ name, entries });
+            return {
+                name,
+                set: (uri, diagnostics) => entries.set(uri.toString(), diagnostics),
+                get: uri => entries.get(uri.toString()),
+                delete: uri => entries.delete(uri.toString()),
+                dispose: () => entries.clear()
+            };
+        },
+        registerCodeActionsProvider: () => new Disposable(),
+        registerHoverProvider: () => new Disposable(),
+        registerCodeLensProvider: () => new Disposable()
+    },
+
+    extensions: { all: [] },
+
+    calls,
+    configuration,
+    events,
+    openEditor,
+
+    // Forget what earlier tests recorded or configured
+    reset() {
+        Object.values(calls).forEach(list => list.splice(0));
+        Object.keys(configuration).forEach(key => delete configuration[key]);
+        stub.window.messageReply = undefined;
+        stub.window.inputReply = undefined;
+        stub.window.quickPickReply = undefined;
+        stub.window.activeTextEditor = undefined;
+        stub.window.visibleTextEditors = [];
+        stub.workspace.workspaceFolders = undefined;
+        stub.workspace.textDocuments = [];
+        stub.workspace.files = [];
+        tabs.splice(0);
+    },
+
+    // Make require('vscode') resolve to this module
+    install() {
+        const resolveFilename = Module._resolveFilename;
+        if (resolveFilename.vscodeStub) {
+            return;
+        }
+        Module._resolveFilename = function (request, ...rest) {
+            return request === 'vscode' ? __filename : resolveFilename.call(this, request, ...rest);
+        };
+        Module._resolveFilename.vscodeStub = true;
+    }
+};
+
+module.exports = stub;
@@ -0,0 +1,242 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VSCodeDeviceManager = require('../../vscode-device-cleaner');
+
+const STORAGE = {
+    'telemetry.machineId': 'machine-1',
+    'telemetry.devDeviceId': 'device-1',
+    'telemetry.sessionId': 'session-1',
+    'scoreInfo_42': { score: 7 },
+    theme: 'dark'
+};
+
+// A fake home with a Linux-style Code user data tree: storage.json,
+// state.vscdb and two workspace storage folders
+function createHome() {
+    const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-device-'));
+    const userDir = path.join(homeDir, '.config', 'Code', 'User');
+    fs.mkdirSync(path.join(userDir, 'globalStorage'), { recursive: true });
+    fs.writeFileSync(path.join(userDir, 'globalStorage', 'storage.json'), JSON.stringify(STORAGE, null, 2));
+    fs.writeFileSync(path.join(userDir, 'globalStorage', 'state.vscdb'), 'telemetry');
+    ['1a2b', '3c4d'].forEach(name => {
+        fs.mkdirSync(path.join(userDir, 'workspaceStorage', name), { recursive: true });
+        fs.writeFileSync(path.join(userDir, 'workspaceStorage', name, 'state.vscdb'), '');
+    });
+    fs.writeFileSync(path.join(userDir, 'workspaceStorage', 'stray.txt'), '');
+    return homeDir;
+}
+
+function createLogger() {
+    const lines = [];
+    const logger = {};
+    ['error', 'warn', 'info', 'debug'].forEach(level => {
+        logger[level] = (...args) => lines.push({ level, args });
+    });
+    return { logger, lines };
+}
+
+suite('VSCodeDeviceManager', () => {
+    let homeDir;
+    let userDir;
+    let log;
+    let operations;
+
+    const create = (options = {}) => new VSCodeDeviceManager({
+        homeDir,
+        env: {},
+        userData: { platform: 'linux', argv: [] },
+        clock: { now: () => 1700000000000 },
+        logger: log.logger,
+        onOperation: record => operations.push(record),
+        ...options
+    });
+    const storagePath = () => path.join(userDir, 'globalStorage', 'storage.json');
+    const readStorage = () => JSON.parse(fs.readFileSync(storagePath(), 'utf8'));
+
+    setup(() => {
+        homeDir = createHome();
+        userDir = path.join(homeDir, '.config', 'Code', 'User');
+        log = createLogger();
+        operations = [];
+    });
+
+    teardown(() => {
+        fs.rmSync(homeDir, { recursive: true, force: true });
+    });
+
+    suite('info', () => {
+        test('reads the identifiers from storage.json', async () => {
+            assert.deepStrictEqual(await create().getCurrentDeviceInfo(), {
+                machineId: 'machine-1',
+                deviceId: 'device-1',
+                sessionId: 'session-1',
+                storagePath: storagePath()
+            });
+        });
+
+        test('falls back to the unprefixed keys', async () => {
+            fs.writeFileSync(storagePath(), JSON.stringify({ machineId: 'm', deviceId: 'd', sessionId: 's' }));
+            const info = await create().getCurrentDeviceInfo();
+            assert.deepStrictEqual([info.machineId, info.deviceId, info.sessionId], ['m', 'd', 's']);
+        });
+
+        test('returns null without a storage.json', async () => {
+            fs.rmSync(storagePath());
+            assert.strictEqual(await create().getCurrentDeviceInfo(), null);
+        });
+
+        test('returns null and logs an error when storage.json is corrupt', async () => {
+            fs.writeFileSync(storagePath(), '{ not json');
+            assert.strictEqual(await create().getCurrentDeviceInfo(), null);
+            assert.strictEqual(log.lines.filter(line => line.level === 'error').length, 1);
+        });
+    });
+
+    suite('inspection', () => {
+        test('detects the variant from the injected environment', () => {
+            assert.strictEqual(create({ env: { CURSOR_PID: '1' } }).detectVSCodeVariant(), 'Cursor');
+            assert.strictEqual(create({ env: { WINDSURF_PID: '1' } }).detectVSCodeVariant(), 'Windsurf');
+            assert.strictEqual(create().detectVSCodeVariant(), 'Code');
+        });
+
+        test('builds every path under the injected home', () => {
+            const manager = create();
+            assert.strictEqual(manager.getUserDataPath(), path.join(homeDir, '.config', 'Code'));
+            assert.strictEqual(manager.getMachineIdPath(), storagePath());
+            assert.strictEqual(manager.getTelemetryPath(), path.join(userDir, 'globalStorage', 'state.vscdb'));
+            assert.strictEqual(manager.getWorkspaceStatePath('Windsurf'),
+                path.join(homeDir, '.config', 'Windsurf', 'User', 'workspaceStorage'));
+        });
+
+        test('uses the injected environment for portable installs', () => {
+            const portable = path.join(homeDir, 'portable');
+            assert.strictEqual(create({ env: { VSCODE_PORTABLE: portable } }).getUserDataPath(),
+                path.join(portable, 'user-data'));
+        });
+
+        test('checks locations through the injected file system', () => {
+            const seen = [];
+            const fileSystem = {
+                ...fs,
+                statSync: (...args) => {
+                    seen.push(args[0]);
+                    return fs.statSync(...args);
+                }
+            };
+            const locations = create({ fileSystem }).getUserDataLocations().locations;
+            assert.ok(locations.storageJson.found);
+            assert.ok(seen.includes(storagePath()));
+        });
+
+        test('plans without touching the disk', () => {
+            const before = fs.readFileSync(storagePath(), 'utf8');
+            const plan = create().planResetDeviceIdentifiers();
+            assert.strictEqual(plan.changes.length, 1);
+            assert.strictEqual(plan.changes[0].before, before);
+            assert.strictEqual(fs.readFileSync(storagePath(), 'utf8'), before);
+            assert.match(plan.identifiers.machineId, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        });
+
+        test('plans only the workspace storage folders', () => {
+            const plan = create().planClearWorkspaceStorage();
+            assert.deepStrictEqual(plan.changes.map(change => path.basename(change.path)).sort(), ['1a2b', '3c4d']);
+        });
+    });
+
+    suite('changes and backups', () => {
+        test('resets the identifiers and keeps every other key', async () => {
+            const identifiers = await create().resetDeviceIdentifiers();
+            const storage = readStorage();
+            assert.strictEqual(storage['telemetry.machineId'], identifiers.machineId);
+            assert.strictEqual(storage['telemetry.sessionId'], identifiers.sessionId);
+            assert.strictEqual(storage.theme, 'dark');
+            assert.deepStrictEqual(operations, [{
+                operation: 'resetDeviceIdentifiers',
+                changes: [{ type: 'write', path: storagePath() }],
+                applied: 1,
+                error: undefined
+            }]);
+        });
+
+        test('gives telemetry.devDeviceId the new device id, not the session id', async () => {
+            const identifiers = await create().resetDeviceIdentifiers();
+            const storage = readStorage();
+            assert.notStrictEqual(identifiers.deviceId, identifiers.sessionId);
+            assert.strictEqual(storage['telemetry.devDeviceId'], identifiers.deviceId);
+        });
+
+        test('backs up state.vscdb, named by the injected clock, before deleting it', async () => {
+            const telemetryPath = path.join(userDir, 'globalStorage', 'state.vscdb');
+            await create().cleanTelemetryData();
+            assert.ok(!fs.existsSync(telemetryPath));
+            assert.strictEqual(fs.readFileSync(`${telemetryPath}.backup.1700000000000`, 'utf8'), 'telemetry');
+        });
+
+        test('removes one user cache entry', async () => {
+            await create().clearUserCache('42');
+            const storage = readStorage();
+            assert.strictEqual(storage.scoreInfo_42, undefined);
+            assert.strictEqual(storage['telemetry.machineId'], 'machine-1');
+        });
+
+        test('removes only the chosen workspace storage folders', () => {
+            const manager = create();
+            manager.applyPlan(manager.planRemoveWorkspaceStorage(['1a2b', 'gone']));
+            assert.deepStrictEqual(fs.readdirSync(path.join(userDir, 'workspaceStorage')).sort(), ['3c4d', 'stray.txt']);
+        });
+    });
+
+    suite('errors', () => {
+        test('refuses workspace storage names that leave the folder', () => {
+            const manager = create();
+            ['..', '.', '../globalStorage', '', 'a/b'].forEach(name => {
+                assert.throws(() => manager.planRemoveWorkspaceStorage([name]), /Not a workspace storage folder/);
+            });
+        });
+
+        test('refuses to apply a plan when the file changed after planning', () => {
+            const manager = create();
+            const plan = manager.planResetDeviceIdentifiers();
+            fs.writeFileSync(storagePath(), '{}');
+            assert.throws(() => manager.applyPlan(plan), /changed since the plan was made/);
+            assert.strictEqual(fs.readFileSync(storagePath(), 'utf8'), '{}');
+            assert.strictEqual(operations[0].applied, 0);
+            assert.match(operations[0].error.message, /changed since/);
+        });
+
+        test('reports a write that fails part way through', () => {
+            const denied = Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+            const fileSystem = {
+                ...fs,
+                writeFileSync: () => {
+                    throw denied;
+                }
+            };
+            const manager = create({ fileSystem });
+            const plan = manager.planRemoveWorkspaceStorage(['1a2b']);
+            plan.changes.push(...manager.planResetDeviceIdentifiers().changes);
+
+            assert.throws(() => manager.applyPlan(plan), /EACCES/);
+            assert.strictEqual(operations[0].applied, 1);
+            assert.strictEqual(operations[0].error, denied);
+            assert.deepStrictEqual(readStorage(), STORAGE);
+        });
+
+        test('throws from resetDeviceIdentifiers when storage.json is corrupt', async () => {
+            fs.writeFileSync(storagePath(), '{ not json');
+            await assert.rejects(() => create().resetDeviceIdentifiers(), SyntaxError);
+            assert.strictEqual(log.lines.filter(line => line.level === 'error').length, 1);
+        });
+
+        test('plans nothing when the user data folder is missing', () => {
+            fs.rmSync(path.join(homeDir, '.config'), { recursive: true });
+            const manager = create();
+            assert.deepStrictEqual(manager.planResetDeviceIdentifiers().changes, []);
+            assert.deepStrictEqual(manager.planCleanTelemetryData().changes, []);
+            assert.deepStrictEqual(manager.planClearWorkspaceStorage().changes, []);
+            assert.strictEqual(manager.getUserDataLocations().locations.userData.reason, 'missing');
+        });
+    });
+});
@@ -0,0 +1,204 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { lintManifest, findRegisteredCommands, findSourceLiteral, minimumEngineVersion } = require('../../src/manifest-rules');
+const { parseJsonTree, locateJsonPath } = require('../../src/json-tree');
+
+const EXTENSION_SOURCE = `
+const vscode = require('vscode');
+const { registerViews } = require('./views');
+
+function activate(context) {
+    context.subscriptions.push(vscode.commands.registerCommand('demo.hello', () => {}));
+    registerViews(context);
+}
+module.exports = { activate };
+`;
+
+const VIEWS_SOURCE = `
+const vscode = require('vscode');
+exports.registerViews = context => {
+    context.subscriptions.push(vscode.commands.registerCommand(
+        "demo.refresh", () => {}
+    ));
+    vscode.commands.registerCommand('demo.internal', () => {});
+};
+`;
+
+function manifest(overrides = {}) {
+    return {
+        name: 'demo',
+        engines: { vscode: '^1.74.0' },
+        main: './src/extension.js',
+        scripts: { test: 'node ./test/runTest.js' },
+        contributes: {
+            commands: [
+                { command: 'demo.hello', title: 'Hello', category: 'Demo' },
+                { command: 'demo.refresh', title: 'Refresh', category: 'Demo' }
+            ]
+        },
+        ...overrides
+    };
+}
+
+// Apply a problem's quick fix to the text it was found in
+function applyFix(text, fix) {
+    return fix.edits
+        .slice()
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+}
+
+suite('Manifest rules', () => {
+    let folder;
+    let manifestPath;
+
+    async function lint(value) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+        return { text, problems: await lintManifest(text, manifestPath) };
+    }
+
+    function codes(problems) {
+        return problems.map(problem => problem.code);
+    }
+
+    setup(() => {
+        folder = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'learning-manifest-')));
+        manifestPath = path.join(folder, 'package.json');
+        fs.mkdirSync(path.join(folder, 'src'));
+        fs.mkdirSync(path.join(folder, 'test'));
+        fs.writeFileSync(path.join(folder, 'src', 'extension.js'), EXTENSION_SOURCE);
+        fs.writeFileSync(path.join(folder, 'src', 'views.js'), VIEWS_SOURCE);
+        fs.writeFileSync(path.join(folder, 'test', 'runTest.js'), '');
+    });
+
+    teardown(() => {
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    test('parses JSON with offsets and locates keys', () => {
+        const text = '{ "a": [1, { "b": "x" }] }';
+        const tree = parseJsonTree(text);
+        assert.strictEqual(tree.members[0].key, 'a');
+        assert.strictEqual(text.slice(...Object.values(locateJsonPath(text, ['a', 1, 'b']))), '"b"');
+        assert.strictEqual(text.slice(...Object.values(locateJsonPath(text, ['a', 0]))), '1');
+        assert.throws(() => parseJsonTree('{ "a": }'), error => error.offset === 7);
+    });
+
+    test('finds commands registered in the entry file and the modules it requires', async () => {
+        const { commands, computed } = await findRegisteredCommands(path.join(folder, 'src', 'extension.js'));
+        assert.deepStrictEqual(Array.from(commands.keys()), ['demo.hello', 'demo.refresh', 'demo.internal']);
+        assert.deepStrictEqual(commands.get('demo.refresh'), { file: path.join(folder, 'src', 'views.js'), line: 4, character: 8 });
+        assert.strictEqual(computed, false);
+    });
+
+    test('finds the string literal a view id is kept in', async () => {
+        const { sources } = await findRegisteredCommands(path.join(folder, 'src', 'extension.js'));
+        assert.deepStrictEqual(findSourceLiteral(sources, 'demo.internal'), { file: path.join(folder, 'src', 'views.js'), line: 6, character: 36 });
+        assert.strictEqual(findSourceLiteral(sources, 'demo'), undefined);
+    });
+
+    test('reports only the uncontributed command for a consistent manifest', async () => {
+        const { problems } = await lint(manifest());
+        assert.deepStrictEqual(codes(problems), ['uncontributed-command']);
+        assert.match(problems[0].message, /demo\.internal is registered in src[\\/]views\.js/);
+    });
+
+    test('ignores package.json files that are not extensions', async () => {
+        assert.strictEqual((await lint({ name: 'library', main: 'index.js' })).problems, null);
+    });
+
+    test('points at invalid JSON', async () => {
+        const { text, problems } = await lint('{\n  "engines": { "vscode": "^1.74.0" },\n}');
+        assert.deepStrictEqual(codes(problems), ['invalid-json']);
+        // The trailing comma is only wrong once the closing brace follows it
+        assert.strictEqual(problems[0].start, text.length - 1);
+    });
+
+    test('checks the engine range and offers a valid one', async () => {
+        assert.deepStrictEqual(minimumEngineVersion('>=1.80.x'), [1, 80, 0]);
+        assert.strictEqual(minimumEngineVersion('~1.74.0'), undefined);
+
+        const { text, problems } = await lint(manifest({ engines: { vscode: '~1.74' } }));
+        const engine = problems.find(problem => problem.code === 'invalid-engine');
+        assert.strictEqual(engine.severity, 'error');
+        assert.strictEqual(text.slice(engine.start, engine.end), '"~1.74"');
+        assert.strictEqual(JSON.parse(applyFix(text, engine.fix)).engines.vscode, '^1.74.0');
+    });
+
+    test('flags missing entry points, icons and script targets', async () => {
+        const { text, problems } = await lint(manifest({
+            main: './out/extension.js',
+            icon: 'images/icon.png',
+            scripts: { test: 'node ./out/test/runTest.js', lint: 'eslint src' }
+        }));
+        assert.deepStrictEqual(problems.map(problem => [problem.severity, text.slice(problem.start, problem.end)]), [
+            ['error', '"./out/extension.js"'],
+            ['warning', '"node ./out/test/runTest.js"'],
+            ['warning', '"images/icon.png"']
+        ]);
+    });
+
+    test('cross-checks contributed and registered commands', async () => {
+        const { problems } = await lint(manifest({
+            contributes: { commands: [{ command: 'demo.hello', title: 'Hello' }, { command: 'demo.missing', title: 'Missing' }] }
+        }));
+        assert.deepStrictEqual(codes(problems).sort(), ['uncontributed-command', 'uncontributed-command', 'unregistered-command']);
+        const unregistered = problems.find(problem => problem.code === 'unregistered-command');
+        assert.strictEqual(unregistered.severity, 'warning');
+        assert.match(unregistered.message, /demo\.missing is contributed but never registered/);
+    });
+
+    test('adds a command that a menu refers to', async () => {
+        const { text, problems } = await lint(manifest({
+            contributes: {
+                commands: [{ command: 'demo.hello', title: 'Hello', category: 'Demo' }],
+                menus: { 'view/title': [{ command: 'demo.refresh', group: 'navigation' }] }
+            }
+        }));
+        const menu = problems.find(problem => problem.code === 'unknown-menu-command');
+        assert.strictEqual(menu.severity, 'error');
+
+        const fixed = JSON.parse(applyFix(text, menu.fix));
+        assert.deepStrictEqual(fixed.contributes.commands[1], { command: 'demo.refresh', title: 'Refresh', category: 'Demo' });
+        assert.deepStrictEqual(codes((await lint(applyFix(text, menu.fix))).problems), ['uncontributed-command']);
+    });
+
+    test('removes activation events VS Code generates itself', async () => {
+        const { text, problems } = await lint(manifest({
+            activationEvents: ['onCommand:demo.hello', 'onView:demo.view', 'onStartupFinished']
+        }));
+        const redundant = problems.find(problem => problem.code === 'redundant-activation-event');
+        assert.strictEqual(redundant.unnecessary, true);
+        assert.deepStrictEqual(JSON.parse(applyFix(text, redundant.fix)).activationEvents, ['onView:demo.view', 'onStartupFinished']);
+
+        const unknownView = problems.find(problem => problem.code === 'unknown-activation-event');
+        assert.deepStrictEqual(JSON.parse(applyFix(text, unknownView.fix)).activationEvents, ['onCommand:demo.hello', 'onStartupFinished']);
+    });
+
+    test('asks older engines to declare onCommand, and adds it', async () => {
+        const { text, problems } = await lint(manifest({ engines: { vscode: '^1.60.0' }, activationEvents: ['onCommand:demo.hello'] }));
+        const missing = problems.filter(problem => problem.code === 'missing-activation-event');
+        assert.strictEqual(missing.length, 1);
+        assert.match(missing[0].message, /demo\.refresh cannot activate the extension/);
+        assert.deepStrictEqual(JSON.parse(applyFix(text, missing[0].fix)).activationEvents, ['onCommand:demo.hello', 'onCommand:demo.refresh']);
+
+        // Without an activationEvents array the fix creates one
+        const bare = await lint(manifest({ engines: { vscode: '^1.60.0' } }));
+        const fixed = JSON.parse(applyFix(bare.text, bare.problems.find(problem => problem.code === 'missing-activation-event').fix));
+        assert.deepStrictEqual(fixed.activationEvents, ['onCommand:demo.hello']);
+    });
+
+    test('suggests onStartupFinished over *', async () => {
+        const { text, problems } = await lint(manifest({ activationEvents: ['*'] }));
+        const startup = problems.find(problem => problem.code === 'startup-activation');
+        assert.deepStrictEqual(JSON.parse(applyFix(text, startup.fix)).activationEvents, ['onStartupFinished']);
+    });
+
+    test('passes on this extension\'s own manifest', async () => {
+        const manifestPath = path.join(__dirname, '..', '..', 'package.json');
+        const problems = await lintManifest(fs.readFileSync(manifestPath, 'utf8'), manifestPath);
+        assert.deepStrictEqual(problems.map(problem => problem.message), []);
+    });
+});
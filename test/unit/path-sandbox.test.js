@@ -0,0 +1,81 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PathOutsideRootsError, resolveInsideRoots } = require('../../src/path-sandbox');
+
+// A workspace folder next to a secret it must not reach, plus a symlink
+// inside the workspace that points out at the secret
+function createTree() {
+    const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'learning-sandbox-')));
+    const workspace = path.join(base, 'workspace');
+    fs.mkdirSync(path.join(workspace, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(workspace, 'package.json'), '{}');
+    fs.writeFileSync(path.join(workspace, 'src', 'index.js'), '');
+    fs.writeFileSync(path.join(base, 'secret.txt'), 'secret');
+    fs.symlinkSync(path.join(base, 'secret.txt'), path.join(workspace, 'escape.txt'));
+    fs.symlinkSync(base, path.join(workspace, 'parent'));
+    return { base, workspace };
+}
+
+suite('Path sandbox', () => {
+    let tree;
+
+    setup(() => {
+        tree = createTree();
+    });
+
+    teardown(() => {
+        fs.rmSync(tree.base, { recursive: true, force: true });
+    });
+
+    test('resolves relative paths against the base folder', () => {
+        const options = { roots: [tree.workspace], base: tree.workspace };
+        assert.strictEqual(resolveInsideRoots('package.json', options), path.join(tree.workspace, 'package.json'));
+        assert.strictEqual(resolveInsideRoots('src/../src/index.js', options), path.join(tree.workspace, 'src', 'index.js'));
+    });
+
+    test('accepts absolute paths inside a root, and files that do not exist yet', () => {
+        const options = { roots: [tree.workspace] };
+        assert.strictEqual(resolveInsideRoots(path.join(tree.workspace, 'src', 'index.js'), options), path.join(tree.workspace, 'src', 'index.js'));
+        assert.strictEqual(resolveInsideRoots(path.join(tree.workspace, 'new', 'file.js'), options), path.join(tree.workspace, 'new', 'file.js'));
+    });
+
+    test('rejects .. segments that leave the root', () => {
+        const options = { roots: [tree.workspace], base: tree.workspace };
+        assert.throws(() => resolveInsideRoots('../secret.txt', options), PathOutsideRootsError);
+        assert.throws(() => resolveInsideRoots('src/../../secret.txt', options), PathOutsideRootsError);
+        assert.throws(() => resolveInsideRoots(path.join(tree.workspace, '..', 'secret.txt'), options), PathOutsideRootsError);
+    });
+
+    test('rejects symlinks that point out of the root', () => {
+        const options = { roots: [tree.workspace], base: tree.workspace };
+        assert.throws(() => resolveInsideRoots('escape.txt', options), error => {
+            assert.ok(error instanceof PathOutsideRootsError);
+            assert.strictEqual(error.resolvedPath, path.join(tree.base, 'secret.txt'));
+            return true;
+        });
+        assert.throws(() => resolveInsideRoots('parent/secret.txt', options), PathOutsideRootsError);
+    });
+
+    test('rejects absolute paths elsewhere, and a sibling folder sharing the prefix', () => {
+        fs.mkdirSync(`${tree.workspace}-other`);
+        const options = { roots: [tree.workspace] };
+        assert.throws(() => resolveInsideRoots(path.join(tree.base, 'secret.txt'), options), PathOutsideRootsError);
+        assert.throws(() => resolveInsideRoots(`${tree.workspace}-other`, options), PathOutsideRootsError);
+    });
+
+    test('rejects relative paths without a base, and malformed input', () => {
+        assert.throws(() => resolveInsideRoots('package.json', { roots: [tree.workspace] }), PathOutsideRootsError);
+        assert.throws(() => resolveInsideRoots('', { roots: [tree.workspace], base: tree.workspace }), PathOutsideRootsError);
+        assert.throws(() => resolveInsideRoots('a\0b', { roots: [tree.workspace], base: tree.workspace }), PathOutsideRootsError);
+    });
+
+    test('accepts a path in any of several roots, including one reached through a symlink', () => {
+        const other = path.join(tree.base, 'other');
+        fs.mkdirSync(other);
+        fs.symlinkSync(other, path.join(tree.base, 'linked-other'));
+        const options = { roots: [tree.workspace, path.join(tree.base, 'linked-other')] };
+        assert.strictEqual(resolveInsideRoots(path.join(other, 'notes.md'), options), path.join(other, 'notes.md'));
+    });
+});
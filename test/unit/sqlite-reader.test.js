@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { SqliteReader } = require('../../src/sqlite-reader');
+
+/*
+ * Fixtures, written by SQLite itself with 512-byte pages:
+ *
+ *   items.vscdb            an ItemTable of 62 rows over several leaf pages
+ *                          under an interior page, one value with a chain of
+ *                          overflow pages and one blob
+ *   wal.vscdb, -wal        theme = 'light' in the main file; one committed
+ *                          transaction in the log sets it to 'dark' and adds a key
+ */
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const PAGE_SIZE = 512;
+const FRAME_SIZE = 24 + PAGE_SIZE;
+
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name));
+const items = reader => Object.fromEntries(reader.readTable('ItemTable').map(({ values }) => values));
+
+suite('SqliteReader', () => {
+    test('reads a table spread over several pages in rowid order', () => {
+        const database = fixture('items.vscdb');
+        const reader = new SqliteReader(database);
+        assert.strictEqual(reader.pageSize, PAGE_SIZE);
+
+        const table = reader.schema().find(entry => entry.name === 'ItemTable');
+        assert.strictEqual(database[(table.rootPage - 1) * PAGE_SIZE], 5, 'the root is an interior page');
+
+        const rows = reader.readTable('ItemTable');
+        assert.strictEqual(rows.length, 62);
+        assert.deepStrictEqual(rows.map(row => row.rowid), rows.map((row, index) => index + 1));
+        assert.deepStrictEqual(rows[0].values, ['key.00', '{"value":0}']);
+        assert.deepStrictEqual(rows[59].values, ['key.59', '{"value":59}']);
+    });
+
+    test('follows overflow pages and reads blobs', () => {
+        const values = items(new SqliteReader(fixture('items.vscdb')));
+        assert.strictEqual(values.long, 'x'.repeat(1500) + 'end');
+        assert.deepStrictEqual(values.blob, Buffer.from([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]));
+    });
+
+    test('lets committed WAL frames override the main file', () => {
+        const database = fixture('wal.vscdb');
+        assert.deepStrictEqual(items(new SqliteReader(database)), { theme: 'light' });
+        assert.deepStrictEqual(items(new SqliteReader(database, fixture('wal.vscdb-wal'))), { theme: 'dark', added: 'in the wal' });
+    });
+
+    test('ignores frames with old salts, bad checksums or no commit', () => {
+        const database = fixture('wal.vscdb');
+        const wal = fixture('wal.vscdb-wal');
+        assert.strictEqual(wal.length, 32 + 2 * FRAME_SIZE, 'one transaction of two frames');
+
+        const oldSalt = Buffer.from(wal);
+        oldSalt.writeUInt32BE(oldSalt.readUInt32BE(32 + 8) - 1, 32 + 8);
+        assert.deepStrictEqual(items(new SqliteReader(database, oldSalt)), { theme: 'light' });
+
+        const corrupt = Buffer.from(wal);
+        corrupt[32 + FRAME_SIZE + 24 + 100] ^= 0xff;
+        assert.deepStrictEqual(items(new SqliteReader(database, corrupt)), { theme: 'light' });
+
+        // The commit frame was only half written
+        const torn = wal.subarray(0, 32 + FRAME_SIZE + FRAME_SIZE / 2);
+        assert.deepStrictEqual(items(new SqliteReader(database, torn)), { theme: 'light' });
+    });
+
+    test('rejects files that are not SQLite databases', () => {
+        assert.throws(() => new SqliteReader(Buffer.alloc(512)), /Not an SQLite 3 database/);
+        assert.throws(() => new SqliteReader(fixture('items.vscdb')).readTable('Missing'), /No table named Missing/);
+    });
+});
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_PROFILE_ID, resolveUserDataDir, resolveUserDataPaths } = require('../../src/user-data-paths');
+const VSCodeDeviceManager = require('../../vscode-device-cleaner');
+
+// A fake home with ~/.config/Code laid out like a real Linux install
+function createHome() {
+    const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-home-'));
+    const userDir = path.join(homeDir, '.config', 'Code', 'User');
+    fs.mkdirSync(path.join(userDir, 'globalStorage'), { recursive: true });
+    fs.mkdirSync(path.join(userDir, 'workspaceStorage'));
+    fs.writeFileSync(path.join(userDir, 'globalStorage', 'storage.json'), JSON.stringify({
+        'telemetry.machineId': 'machine',
+        userDataProfiles: [{ location: '1a2b3c', name: 'Work' }]
+    }));
+    fs.writeFileSync(path.join(userDir, 'globalStorage', 'state.vscdb'), '');
+    fs.mkdirSync(path.join(userDir, 'profiles', '1a2b3c', 'globalStorage'), { recursive: true });
+    fs.writeFileSync(path.join(userDir, 'profiles', '1a2b3c', 'globalStorage', 'state.vscdb'), '');
+    fs.mkdirSync(path.join(userDir, 'profiles', '9f8e7d'));
+    return homeDir;
+}
+
+suite('User data paths', () => {
+    let homeDir;
+    const linux = () => ({ platform: 'linux', env: {}, homeDir, argv: [] });
+
+    setup(() => {
+        homeDir = createHome();
+    });
+
+    teardown(() => {
+        fs.rmSync(homeDir, { recursive: true, force: true });
+    });
+
+    test('uses ~/.config/<product> on Linux', () => {
+        const result = resolveUserDataDir(linux());
+        assert.strictEqual(result.source, 'default');
+        assert.strictEqual(result.product, 'Code');
+        assert.strictEqual(result.userDataDir, path.join(homeDir, '.config', 'Code'));
+    });
+
+    test('respects XDG_CONFIG_HOME and VSCODE_APPDATA', () => {
+        assert.strictEqual(
+            resolveUserDataDir({ ...linux(), env: { XDG_CONFIG_HOME: '/xdg' } }).userDataDir,
+            '/xdg/Code'
+        );
+        assert.strictEqual(
+            resolveUserDataDir({ ...linux(), env: { XDG_CONFIG_HOME: '/xdg', VSCODE_APPDATA: '/appdata' } }).userDataDir,
+            '/appdata/Code'
+        );
+    });
+
+    test('uses Application Support on macOS and %APPDATA% on Windows', () => {
+        assert.strictEqual(
+            resolveUserDataDir({ platform: 'darwin', env: {}, homeDir: '/Users/me', argv: [] }).userDataDir,
+            '/Users/me/Library/Application Support/Code'
+        );
+        assert.strictEqual(
+            resolveUserDataDir({ platform: 'win32', env: { APPDATA: 'C:\\Users\\me\\AppData\\Roaming' }, homeDir: 'C:\\Users\\me', argv: [] }).userDataDir,
+            'C:\\Users\\me\\AppData\\Roaming\\Code'
+        );
+        assert.strictEqual(
+            resolveUserDataDir({ platform: 'win32', env: {}, homeDir: 'C:\\Users\\me', argv: [] }).userDataDir,
+            'C:\\Users\\me\\AppData\\Roaming\\Code'
+        );
+    });
+
+    test('maps product names to their data folders', () => {
+        const folder = appName => resolveUserDataDir({ ...linux(), appName }).product;
+        assert.strictEqual(folder('Visual Studio Code - Insiders'), 'Code - Insiders');
+        assert.strictEqual(folder('Code - OSS'), 'Code - OSS');
+        assert.strictEqual(folder('VSCodium'), 'VSCodium');
+        assert.strictEqual(folder('Cursor'), 'Cursor');
+    });
+
+    test('prefers the extension\'s global storage, then --user-data-dir, then portable mode', () => {
+        const globalStoragePath = '/custom/data/User/globalStorage/publisher.extension';
+        const profileStoragePath = '/custom/data/User/profiles/1a2b3c/globalStorage/publisher.extension';
+        const env = { VSCODE_PORTABLE: '/portable' };
+        const argv = ['--user-data-dir', '/from/argument'];
+
+        assert.deepStrictEqual(
+            resolveUserDataDir({ ...linux(), env, argv, globalStoragePath }),
+            { product: 'Code', source: 'extension', userDataDir: '/custom/data' }
+        );
+        assert.strictEqual(resolveUserDataDir({ ...linux(), globalStoragePath: profileStoragePath }).userDataDir, '/custom/data');
+        assert.strictEqual(resolveUserDataDir({ ...linux(), env, argv }).userDataDir, '/from/argument');
+        assert.strictEqual(resolveUserDataDir({ ...linux(), argv: ['--user-data-dir=/equals'] }).userDataDir, '/equals');
+        assert.deepStrictEqual(
+            resolveUserDataDir({ ...linux(), env }),
+            { product: 'Code', source: 'portable', userDataDir: '/portable/user-data' }
+        );
+    });
+
+    test('finds every location in the fake home', () => {
+        const result = resolveUserDataPaths(linux());
+        Object.keys(result.locations).forEach(name => {
+            assert.strictEqual(result.locations[name].found, true, name);
+        });
+        assert.strictEqual(result.locations.storageJson.path,
+            path.join(homeDir, '.config', 'Code', 'User', 'globalStorage', 'storage.json'));
+    });
+
+    test('explains what is missing', () => {
+        const userDir = path.join(homeDir, '.config', 'Code', 'User');
+        fs.rmSync(path.join(userDir, 'workspaceStorage'), { recursive: true });
+        fs.rmSync(path.join(userDir, 'globalStorage', 'state.vscdb'));
+        fs.mkdirSync(path.join(userDir, 'globalStorage', 'state.vscdb'));
+
+        const { locations } = resolveUserDataPaths(linux());
+        assert.strictEqual(locations.workspaceStorage.found, false);
+        assert.strictEqual(locations.workspaceStorage.reason, 'missing');
+        assert.match(locations.workspaceStorage.message, /No workspaceStorage folder at /);
+        assert.strictEqual(locations.stateDatabase.reason, 'notFile');
+
+        const other = resolveUserDataPaths({ ...linux(), appName: 'Visual Studio Code - Insiders' });
+        assert.strictEqual(other.locations.userData.reason, 'missing');
+        assert.deepStrictEqual(other.profiles.map(profile => profile.id), [DEFAULT_PROFILE_ID]);
+    });
+
+    test('lists every profile with its name and state database', () => {
+        const { profiles } = resolveUserDataPaths(linux());
+        assert.deepStrictEqual(
+            profiles.map(profile => [profile.id, profile.name, profile.isDefault, profile.stateDatabase.found]),
+            [
+                [DEFAULT_PROFILE_ID, 'Default', true, true],
+                ['1a2b3c', 'Work', false, true],
+                ['9f8e7d', '9f8e7d', false, false]
+            ]
+        );
+        assert.strictEqual(profiles[2].globalStorage.reason, 'missing');
+    });
+
+    test('VSCodeDeviceManager reads from the resolved folder', () => {
+        const quiet = { error() {}, warn() {}, info() {}, debug() {} };
+        const manager = new VSCodeDeviceManager({ userData: linux(), logger: quiet });
+        assert.strictEqual(manager.getMachineIdPath(),
+            path.join(homeDir, '.config', 'Code', 'User', 'globalStorage', 'storage.json'));
+        assert.strictEqual(manager.getWorkspaceStatePath('Cursor'),
+            path.join(homeDir, '.config', 'Cursor', 'User', 'workspaceStorage'));
+    });
+});
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const { validate } = require('../../src/validation');
+
+suite('Validation', () => {
+    const textParams = {
+        type: 'object',
+        properties: { text: { type: 'string', minLength: 1, maxLength: 5 } },
+        required: ['text'],
+        additionalProperties: false
+    };
+
+    test('accepts a value that matches', () => {
+        assert.deepStrictEqual(validate({ text: 'hi' }, textParams), []);
+    });
+
+    test('reports the wrong type with its location', () => {
+        assert.deepStrictEqual(validate({ text: 42 }, textParams), ['params.text must be string, not number']);
+        assert.deepStrictEqual(validate(null, textParams), ['params must be object, not null']);
+        assert.deepStrictEqual(validate([], textParams), ['params must be object, not array']);
+    });
+
+    test('reports missing and unexpected properties', () => {
+        assert.deepStrictEqual(validate({ path: '/etc/passwd' }, textParams), [
+            'params.text is required',
+            'params.path is not allowed'
+        ]);
+    });
+
+    test('ignores properties that are undefined', () => {
+        const schema = { type: 'object', properties: { path: { type: 'string' } }, additionalProperties: false };
+        assert.deepStrictEqual(validate({ path: undefined }, schema), []);
+    });
+
+    test('checks string length and pattern', () => {
+        assert.deepStrictEqual(validate({ text: '' }, textParams), ['params.text must be at least 1 characters']);
+        assert.deepStrictEqual(validate({ text: 'too long' }, textParams), ['params.text must be at most 5 characters']);
+        assert.deepStrictEqual(validate('a/b', { type: 'string', pattern: '^[^/]+$' }, 'id'), ['id has an invalid format']);
+    });
+
+    test('checks enums, integers and ranges', () => {
+        assert.deepStrictEqual(validate('xml', { enum: ['markdown', 'json'] }, 'format'), ['format must be one of "markdown", "json"']);
+        assert.deepStrictEqual(validate(1.5, { type: 'integer' }, 'index'), ['index must be integer, not number']);
+        assert.deepStrictEqual(validate(-1, { type: 'integer', minimum: 0 }, 'index'), ['index must be at least 0']);
+        assert.deepStrictEqual(validate(NaN, { type: 'number' }, 'n'), ['n must be number, not NaN']);
+        assert.deepStrictEqual(validate(null, { type: ['string', 'null'] }), []);
+    });
+
+    test('checks every array item, and the array size', () => {
+        const schema = { type: 'array', maxItems: 3, items: { type: 'string' } };
+        assert.deepStrictEqual(validate(['a', 1, 'c'], schema, 'ids'), ['ids[1] must be string, not number']);
+        assert.deepStrictEqual(validate(['a', 'b', 'c', 'd'], schema, 'ids'), ['ids must have at most 3 items']);
+    });
+
+    test('accepts anything without a schema or type', () => {
+        assert.deepStrictEqual(validate({ any: 'thing' }), []);
+        assert.deepStrictEqual(validate({ nested: { deep: [1] } }, {}), []);
+    });
+});
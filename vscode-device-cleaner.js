@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { resolveUserDataDir, resolveUserDataPaths } = require('./src/user-data-paths');
+const { createStderrLogger } = require('./src/stderr-logger');
 
 /*
  * VS CODE DEVICE ID CLEANER/REFRESHER SCRIPT
@@ -11,42 +13,74 @@ const os = require('os');
  * 
  * Key functionality:
  * 1. Detects VS Code variants (Code, Windsurf, Cursor)
- * 2. Locates user data directories
+ * 2. Locates user data directories (per platform, portable mode, --user-data-dir)
  * 3. Cleans/resets device identifiers and telemetry data
  * 4. Modifies authentication tokens
  */
 
 class VSCodeDeviceManager {
-    constructor() {
-        this.homeDir = os.homedir();
+    /**
+     * @param {object} [options]
+     * @param {object} [options.userData] extra resolveUserDataPaths() options,
+     *   e.g. the running editor's appName and the extension's globalStorage path
+     * @param {{ error: Function, warn: Function, info: Function, debug: Function }} [options.logger]
+     *   defaults to plain text on stderr
+     * @param {Function} [options.onOperation] called after every applied (or failed) plan with
+     *   `{ operation, changes: [{ type, path }], applied, error? }`
+     * @param {typeof fs} [options.fileSystem] defaults to fs; only its synchronous methods are used
+     * @param {object} [options.env] environment variables, defaults to process.env
+     * @param {string} [options.homeDir] defaults to os.homedir()
+     * @param {{ now: () => number }} [options.clock] defaults to Date, used to name backups
+     */
+    constructor(options = {}) {
+        this.fs = options.fileSystem || fs;
+        this.env = options.env || process.env;
+        this.homeDir = options.homeDir || os.homedir();
+        this.clock = options.clock || Date;
+        // Variant → name of its user data folder
         this.supportedApps = {
-            'Code': '.vscode',
-            'Windsurf': '.windsurf', 
-            'Cursor': '.cursor'
+            'Code': 'Code',
+            'Windsurf': 'Windsurf',
+            'Cursor': 'Cursor'
         };
-        this.logger = console;
+        this.userDataOptions = options.userData || {};
+        this.logger = options.logger || createStderrLogger();
+        this.onOperation = options.onOperation || (() => {});
     }
 
     // Detect which VS Code variant is being used
     detectVSCodeVariant() {
-        const currentApp = process.env.VSCODE_PID ? 'Code' : 
-                          process.env.WINDSURF_PID ? 'Windsurf' :
-                          process.env.CURSOR_PID ? 'Cursor' : 'Code';
+        const currentApp = this.env.VSCODE_PID ? 'Code' : 
+                          this.env.WINDSURF_PID ? 'Windsurf' :
+                          this.env.CURSOR_PID ? 'Cursor' : 'Code';
         
-        this.logger.info('Detected VS Code variant:', currentApp);
+        this.logger.debug('Detected VS Code variant:', currentApp);
         return currentApp;
     }
 
+    // Options for src/user-data-paths.js. An explicit appName asks for that
+    // variant's own folder, not the running editor's.
+    _userDataOptions(appName) {
+        const defaults = { homeDir: this.homeDir, env: this.env, fileSystem: this.fs };
+        if (appName) {
+            return { ...defaults, ...this.userDataOptions, appName: this.supportedApps[appName] || appName, globalStoragePath: undefined };
+        }
+        return { ...defaults, ...this.userDataOptions, appName: this.userDataOptions.appName || this.detectVSCodeVariant() };
+    }
+
     // Get the user data directory for the detected app
     getUserDataPath(appName = null) {
-        appName = appName || this.detectVSCodeVariant();
-        const configDir = this.supportedApps[appName] || '.vscode';
-        const userDataPath = path.join(this.homeDir, configDir);
-        
-        this.logger.info('User data path:', userDataPath);
+        const userDataPath = resolveUserDataDir(this._userDataOptions(appName)).userDataDir;
+
+        this.logger.debug('User data path:', userDataPath);
         return userDataPath;
     }
 
+    // Every user data location and profile, with a reason for each one that is missing
+    getUserDataLocations(appName = null) {
+        return resolveUserDataPaths(this._userDataOptions(appName));
+    }
+
     // Get machineId storage path
     getMachineIdPath(appName = null) {
         const userDataPath = this.getUserDataPath(appName);
@@ -65,25 +99,76 @@ class VSCodeDeviceManager {
         return path.join(userDataPath, 'User', 'workspaceStorage');
     }
 
-    // Clear user's score/cache information (from AugProxy)
-    async clearUserCache(userId) {
-        if (!userId) return;
-        
+    /*
+     * Modifying operations are split into a plan and its application. A plan
+     * lists every change up front without touching the disk:
+     *
+     *   { operation, changes: [{ type: 'write', path, before, after }
+     *                        | { type: 'delete', path }] }
+     *
+     * so that callers can preview it, back up the affected paths and ask
+     * before calling applyPlan().
+     */
+
+    // Apply a plan made by one of the plan* methods
+    applyPlan(plan) {
+        let applied = 0;
+        const report = error => this.onOperation({
+            operation: plan.operation,
+            changes: plan.changes.map(change => ({ type: change.type, path: change.path })),
+            applied,
+            error
+        });
+
+        try {
+            plan.changes.forEach(change => {
+                if (change.type === 'write') {
+                    // Refuse to overwrite edits made after the plan was shown
+                    const current = this.fs.existsSync(change.path) ? this.fs.readFileSync(change.path, 'utf8') : undefined;
+                    if (current !== change.before) {
+                        throw new Error(`${change.path} changed since the plan was made`);
+                    }
+                    this.fs.writeFileSync(change.path, change.after);
+                } else if (change.type === 'delete') {
+                    this.fs.rmSync(change.path, { recursive: true, force: true });
+                }
+                applied++;
+            });
+        } catch (error) {
+            report(error);
+            throw error;
+        }
+        report();
+    }
+
+    // Plan the removal of a user's score/cache entry from storage.json
+    planClearUserCache(userId) {
+        const plan = { operation: 'clearUserCache', changes: [] };
+        if (!userId) return plan;
+
         const cacheKey = `scoreInfo_${userId}`;
-        
-        // Clear from VS Code storage
         const storagePath = this.getMachineIdPath();
-        if (fs.existsSync(storagePath)) {
-            try {
-                const storage = JSON.parse(fs.readFileSync(storagePath, 'utf8'));
-                if (storage[cacheKey]) {
-                    delete storage[cacheKey];
-                    fs.writeFileSync(storagePath, JSON.stringify(storage, null, 2));
-                    this.logger.info(`Cleared user's scoreInfo cache for ID: ${userId}`);
-                }
-            } catch (error) {
-                this.logger.error('Error clearing cache:', error);
+        if (this.fs.existsSync(storagePath)) {
+            const before = this.fs.readFileSync(storagePath, 'utf8');
+            const storage = JSON.parse(before);
+            if (storage[cacheKey]) {
+                delete storage[cacheKey];
+                plan.changes.push({ type: 'write', path: storagePath, before, after: JSON.stringify(storage, null, 2) });
+            }
+        }
+        return plan;
+    }
+
+    // Clear user's score/cache information (from AugProxy)
+    async clearUserCache(userId) {
+        try {
+            const plan = this.planClearUserCache(userId);
+            if (plan.changes.length > 0) {
+                this.applyPlan(plan);
+                this.logger.info(`Cleared user's scoreInfo cache for ID: ${userId}`);
             }
+        } catch (error) {
+            this.logger.error('Error clearing cache:', error);
         }
     }
 
@@ -96,50 +181,56 @@ class VSCodeDeviceManager {
         });
     }
 
+    // Plan new device identifiers; `identifiers` holds the generated values
+    planResetDeviceIdentifiers(appName = null) {
+        const storagePath = this.getMachineIdPath(appName);
+        const identifiers = {
+            machineId: this.generateNewUUID(),
+            deviceId: this.generateNewUUID(),
+            sessionId: this.generateNewUUID()
+        };
+        const plan = { operation: 'resetDeviceIdentifiers', identifiers, changes: [] };
+
+        // Update storage.json if it exists
+        if (this.fs.existsSync(storagePath)) {
+            const before = this.fs.readFileSync(storagePath, 'utf8');
+            const storage = JSON.parse(before);
+
+            // Reset common device identifier keys
+            const identifierKeys = [
+                'telemetry.machineId',
+                'telemetry.devDeviceId', 
+                'telemetry.sessionId',
+                'machineId',
+                'deviceId',
+                'sessionId'
+            ];
+
+            identifierKeys.forEach(key => {
+                if (storage[key]) {
+                    // Case-insensitive: telemetry.devDeviceId has no lowercase "device"
+                    const name = key.toLowerCase();
+                    storage[key] = name.includes('machine') ? identifiers.machineId : 
+                                 name.includes('device') ? identifiers.deviceId : identifiers.sessionId;
+                }
+            });
+
+            plan.changes.push({ type: 'write', path: storagePath, before, after: JSON.stringify(storage, null, 2) });
+        }
+        return plan;
+    }
+
     // Reset VS Code device identifiers
     async resetDeviceIdentifiers(appName = null) {
-        const userDataPath = this.getUserDataPath(appName);
-        const storagePath = this.getMachineIdPath(appName);
-        
         this.logger.info('Resetting device identifiers...');
         
         try {
-            // Generate new identifiers
-            const newMachineId = this.generateNewUUID();
-            const newDeviceId = this.generateNewUUID();
-            const newSessionId = this.generateNewUUID();
-            
-            // Update storage.json if it exists
-            if (fs.existsSync(storagePath)) {
-                const storage = JSON.parse(fs.readFileSync(storagePath, 'utf8'));
-                
-                // Reset common device identifier keys
-                const identifierKeys = [
-                    'telemetry.machineId',
-                    'telemetry.devDeviceId', 
-                    'telemetry.sessionId',
-                    'machineId',
-                    'deviceId',
-                    'sessionId'
-                ];
-                
-                identifierKeys.forEach(key => {
-                    if (storage[key]) {
-                        storage[key] = key.includes('machine') ? newMachineId : 
-                                     key.includes('device') ? newDeviceId : newSessionId;
-                        this.logger.info(`Reset ${key}`);
-                    }
-                });
-                
-                fs.writeFileSync(storagePath, JSON.stringify(storage, null, 2));
+            const plan = this.planResetDeviceIdentifiers(appName);
+            this.applyPlan(plan);
+            if (plan.changes.length > 0) {
                 this.logger.info('Device identifiers reset successfully');
             }
-            
-            return {
-                machineId: newMachineId,
-                deviceId: newDeviceId,
-                sessionId: newSessionId
-            };
+            return plan.identifiers;
             
         } catch (error) {
             this.logger.error('Error resetting device identifiers:', error);
@@ -147,6 +238,16 @@ class VSCodeDeviceManager {
         }
     }
 
+    // Plan the deletion of the telemetry database
+    planCleanTelemetryData(appName = null) {
+        const telemetryPath = this.getTelemetryPath(appName);
+        const plan = { operation: 'cleanTelemetryData', changes: [] };
+        if (this.fs.existsSync(telemetryPath)) {
+            plan.changes.push({ type: 'delete', path: telemetryPath });
+        }
+        return plan;
+    }
+
     // Clean telemetry data
     async cleanTelemetryData(appName = null) {
         const telemetryPath = this.getTelemetryPath(appName);
@@ -154,13 +255,14 @@ class VSCodeDeviceManager {
         this.logger.info('Cleaning telemetry data...');
         
         try {
-            if (fs.existsSync(telemetryPath)) {
+            const plan = this.planCleanTelemetryData(appName);
+            if (plan.changes.length > 0) {
                 // Backup original
-                const backupPath = telemetryPath + '.backup.' + Date.now();
-                fs.copyFileSync(telemetryPath, backupPath);
+                const backupPath = telemetryPath + '.backup.' + this.clock.now();
+                this.fs.copyFileSync(telemetryPath, backupPath);
                 
                 // Clear or reset telemetry database
-                fs.unlinkSync(telemetryPath);
+                this.applyPlan(plan);
                 this.logger.info('Telemetry data cleared');
                 this.logger.info('Backup created at:', backupPath);
             }
@@ -169,28 +271,46 @@ class VSCodeDeviceManager {
         }
     }
 
+    // Plan the deletion of every folder in workspace storage
+    planClearWorkspaceStorage(appName = null) {
+        const workspaceStoragePath = this.getWorkspaceStatePath(appName);
+        const plan = { operation: 'clearWorkspaceStorage', changes: [] };
+        if (this.fs.existsSync(workspaceStoragePath)) {
+            this.fs.readdirSync(workspaceStoragePath).forEach(item => {
+                const itemPath = path.join(workspaceStoragePath, item);
+                if (this.fs.statSync(itemPath).isDirectory()) {
+                    plan.changes.push({ type: 'delete', path: itemPath });
+                }
+            });
+        }
+        return plan;
+    }
+
+    // Plan the deletion of chosen workspace storage folders (by folder name)
+    planRemoveWorkspaceStorage(names, appName = null) {
+        const workspaceStoragePath = this.getWorkspaceStatePath(appName);
+        const plan = { operation: 'removeWorkspaceStorage', changes: [] };
+        names.forEach(name => {
+            // Only direct children of workspaceStorage, never a path that escapes it
+            if (!name || name !== path.basename(name) || name === '.' || name === '..') {
+                throw new Error(`Not a workspace storage folder: ${name}`);
+            }
+            const itemPath = path.join(workspaceStoragePath, name);
+            if (this.fs.existsSync(itemPath) && this.fs.statSync(itemPath).isDirectory()) {
+                plan.changes.push({ type: 'delete', path: itemPath });
+            }
+        });
+        return plan;
+    }
+
     // Clear workspace storage (contains extension data)
     async clearWorkspaceStorage(appName = null) {
-        const workspaceStoragePath = this.getWorkspaceStatePath(appName);
-        
         this.logger.info('Clearing workspace storage...');
         
         try {
-            if (fs.existsSync(workspaceStoragePath)) {
-                const items = fs.readdirSync(workspaceStoragePath);
-                let clearedCount = 0;
-                
-                items.forEach(item => {
-                    const itemPath = path.join(workspaceStoragePath, item);
-                    if (fs.statSync(itemPath).isDirectory()) {
-                        // Clear extension-specific storage
-                        fs.rmSync(itemPath, { recursive: true, force: true });
-                        clearedCount++;
-                    }
-                });
-                
-                this.logger.info(`Cleared ${clearedCount} workspace storage items`);
-            }
+            const plan = this.planClearWorkspaceStorage(appName);
+            this.applyPlan(plan);
+            this.logger.info(`Cleared ${plan.changes.length} workspace storage items`);
         } catch (error) {
             this.logger.error('Error clearing workspace storage:', error);
         }
@@ -244,8 +364,8 @@ class VSCodeDeviceManager {
         const storagePath = this.getMachineIdPath(appName);
         
         try {
-            if (fs.existsSync(storagePath)) {
-                const storage = JSON.parse(fs.readFileSync(storagePath, 'utf8'));
+            if (this.fs.existsSync(storagePath)) {
+                const storage = JSON.parse(this.fs.readFileSync(storagePath, 'utf8'));
                 return {
                     machineId: storage['telemetry.machineId'] || storage['machineId'],
                     deviceId: storage['telemetry.devDeviceId'] || storage['deviceId'], 
@@ -263,7 +383,10 @@ class VSCodeDeviceManager {
 
 // CLI Usage Example
 async function main() {
-    const deviceManager = new VSCodeDeviceManager();
+    const args = process.argv.slice(2);
+    const deviceManager = new VSCodeDeviceManager({
+        logger: createStderrLogger(args.includes('--verbose') || args.includes('-v') ? 'debug' : 'info')
+    });
     
     console.log('=== VS Code Device Manager ===');
     
@@ -273,7 +396,6 @@ async function main() {
     console.log(currentInfo);
     
     // Ask user what they want to do
-    const args = process.argv.slice(2);
     
     if (args.includes('--reset') || args.includes('-r')) {
         console.log('\nResetting device identifiers...');
@@ -296,6 +418,7 @@ async function main() {
         console.log('  --telemetry       Clean telemetry data');
         console.log('  --workspace       Clear workspace storage');
         console.log('  --info, -i        Show current device info');
+        console.log('  --verbose, -v     Log debug details to stderr');
     }
 }
 